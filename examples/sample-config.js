@@ -1 +1,76 @@
+/**
+ * CashFlow Automator - Sample Configuration
+ * Example overrides for a two-branch setup. Copy this file into the Apps Script project and run
+ * installSampleConfig() once, or enter the same Key | Value pairs in the "Config" sheet.
+ * Settings not listed keep the defaults of CONFIG in core-engine.js; see CONFIG_SCHEMA in config.js.
+ * @version 2.1.0
+ */
 
+/* ==================== SAMPLE VALUES ==================== */
+
+// Values are written as they are typed in Script Properties or in a Config sheet cell
+const SAMPLE_CONFIG = {
+  SHEET_NAME: 'Financial_Reports_2025',
+  MAIN_FOLDER: 'PDF_PROCESSING_MAIN',
+  DESTINATION_FOLDER_ID: 'your_drive_folder_id_here',
+  EMAIL_INTAKE_RULES: JSON.stringify([
+    {
+      id: 'daily-closure',
+      senders: ['pos@yourcompany.com'],
+      subjectPattern: '/business\\s+(?<branch>.*?)\\s+-\\s+Daily Closure Report\\s+-\\s+(?<date>\\d{2}\\/\\d{2}\\/\\d{4})\\s+-\\s+(?<time>\\d{2}:\\d{2}:\\d{2})/',
+      query: 'subject:"Daily Closure Report"'
+    }
+  ]),
+  BATCH_SIZE: '18',
+  MAX_BATCH_SIZE: '40',
+  DELAY_SECONDS: '30',
+  MAX_RETRIES: '3',
+  DEFAULT_LOCALE: 'es-AR',
+  BRANCH_LOCALES: JSON.stringify({ 'Riverside': 'en-US' }),
+  TEXT_EXTRACTION_BACKENDS: 'js-pdf, docs-conversion',
+  ATTACHMENT_TYPES: 'pdf, zip, csv, xlsx',
+  SHIFT_CALENDARS: JSON.stringify({
+    default: {
+      rolloverHour: 0,
+      shifts: [
+        { name: 'Morning', code: 'MORNING', start: '00:00', end: '16:00' },
+        { name: 'Evening', code: 'EVENING', start: '16:00', end: '24:00' }
+      ]
+    },
+    'Riverside': {
+      rolloverHour: 4,
+      shifts: [
+        { name: 'Day', code: 'DAY', start: '04:00', end: '18:00' },
+        { name: 'Night', code: 'NIGHT', start: '18:00', end: '04:00' }
+      ]
+    }
+  })
+};
+
+/* ==================== INSTALLATION ==================== */
+
+/**
+ * Stores SAMPLE_CONFIG as config.* Script Properties and logs any configuration problems
+ * Run once after editing the values above (at least DESTINATION_FOLDER_ID)
+ */
+function installSampleConfig() {
+  const properties = {};
+  Object.keys(SAMPLE_CONFIG).forEach(key => {
+    properties[CONFIG_PROPERTY_PREFIX + key] = SAMPLE_CONFIG[key];
+  });
+  
+  Services.properties.getScriptProperties().setProperties(properties);
+  
+  const state = loadConfig(true);
+  Log.info('config', 'Installed ' + Object.keys(properties).length + ' settings');
+  state.errors.forEach(error => Log.error('config', error));
+  state.warnings.forEach(warning => Log.warn('config', warning));
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAMPLE_CONFIG,
+    installSampleConfig
+  };
+}
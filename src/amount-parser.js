@@ -0,0 +1,176 @@
+/**
+ * CashFlow Automator - Monetary Amount Parser
+ * Locale-aware parsing of amounts shared by data extraction and spreadsheet sync
+ * @version 2.1.0
+ */
+
+/* ==================== LOCALE DEFINITIONS ==================== */
+
+/**
+ * Separator conventions per locale.
+ * Spaces (regular, no-break and narrow no-break) are always accepted as thousands separators.
+ */
+const AMOUNT_LOCALES = {
+  'es-AR': { decimal: ',', thousands: '.' },
+  'es-ES': { decimal: ',', thousands: '.' },
+  'en-US': { decimal: '.', thousands: ',' },
+  'fr-FR': { decimal: ',', thousands: '' }
+};
+
+const CURRENCY_SYMBOL_PATTERN = '(?:US\\$|AR\\$|\\$|€|£|ARS|USD|EUR)';
+
+// Candidate amount token: sign, parentheses and currency before or after the digits (single line only)
+const AMOUNT_TOKEN_PATTERN =
+  '(?:' + CURRENCY_SYMBOL_PATTERN + '[ \\t]*)?\\(?[ \\t]*-?[ \\t]*(?:' + CURRENCY_SYMBOL_PATTERN + '[ \\t]*)?-?[ \\t]*' +
+  '(?:\\d(?:[\\d.,]|[ \\u00a0\\u202f](?=\\d{3}(?!\\d)))*\\d|\\d)' +
+  '(?:[ \\t]*' + CURRENCY_SYMBOL_PATTERN + ')?[ \\t]*\\)?-?';
+
+/* ==================== PARSING FUNCTIONS ==================== */
+
+/**
+ * Parses a monetary amount using the separator convention of a locale
+ * Accepts currency symbols before or after the number (also outside parentheses), space thousands
+ * separators, and one negative marker: a leading/trailing minus sign or accounting-style parentheses
+ * (two markers, as in "(-5)" or "--5", are rejected rather than cancelled out)
+ * @param {string|number} raw - Raw amount text
+ * @param {string} locale - Locale key from AMOUNT_LOCALES (defaults to CONFIG.DEFAULT_LOCALE)
+ * @returns {Object} {value: number|null, raw: string, error: string}
+ */
+function parseAmount(raw, locale) {
+  if (typeof raw === 'number') {
+    return isFinite(raw) ? { value: raw, raw: String(raw), error: '' } : { value: null, raw: String(raw), error: 'Not a finite number' };
+  }
+  
+  const rawText = (raw === null || raw === undefined) ? '' : String(raw).trim();
+  if (!rawText) {
+    return { value: null, raw: rawText, error: 'Empty amount' };
+  }
+  
+  const localeKey = locale || CONFIG.DEFAULT_LOCALE;
+  const separators = AMOUNT_LOCALES[localeKey];
+  if (!separators) {
+    return { value: null, raw: rawText, error: 'Unknown locale: ' + localeKey };
+  }
+  
+  let text = rawText;
+  let signs = 0;
+  
+  // Currency symbols, minus signs and accounting-style parentheses may wrap the number in any order
+  const currencyPrefix = new RegExp('^' + CURRENCY_SYMBOL_PATTERN + '\\s*', 'i');
+  const currencySuffix = new RegExp('\\s*' + CURRENCY_SYMBOL_PATTERN + '$', 'i');
+  let previous = null;
+  while (previous !== text) {
+    previous = text;
+    text = text.replace(currencyPrefix, '').replace(currencySuffix, '').trim();
+    const parenMatch = text.match(/^\((.*)\)$/);
+    if (parenMatch) {
+      signs++;
+      text = parenMatch[1].trim();
+    }
+    if (/^-/.test(text) || /-$/.test(text)) {
+      signs++;
+      text = text.replace(/^-\s*|\s*-$/, '');
+    }
+  }
+  
+  if (signs > 1) {
+    return { value: null, raw: rawText, error: 'More than one negative sign' };
+  }
+  const negative = signs === 1;
+  
+  const decimal = escapeRegExpChar(separators.decimal);
+  const thousandsChars = '\\s\\u00a0\\u202f' + (separators.thousands ? escapeRegExpChar(separators.thousands) : '');
+  const grouped = new RegExp('^\\d{1,3}(?:[' + thousandsChars + ']\\d{3})*(?:' + decimal + '\\d{1,2})?$');
+  const plain = new RegExp('^\\d+(?:' + decimal + '\\d{1,2})?$');
+  
+  if (!grouped.test(text) && !plain.test(text)) {
+    return { value: null, raw: rawText, error: 'Unparseable amount for locale ' + localeKey };
+  }
+  
+  const normalized = text
+    .replace(new RegExp('[' + thousandsChars + ']', 'g'), '')
+    .replace(separators.decimal, '.');
+  const value = Math.round(parseFloat(normalized) * 100) / 100;
+  
+  return { value: negative ? -value : value, raw: rawText, error: '' };
+}
+
+/**
+ * Finds the amount that follows a label in report text
+ * @param {string} text - Text to search
+ * @param {RegExp} labelRegex - Pattern identifying the amount label
+ * @returns {string} Raw amount text (unparsed) or empty string if the label is absent
+ */
+function findAmountText(text, labelRegex) {
+  const match = findAmountMatch(text, labelRegex);
+  return match ? match.raw : '';
+}
+
+/**
+ * Finds the amount that follows a label, with its position in the text
+ * @param {string} text - Text to search
+ * @param {RegExp} labelRegex - Pattern identifying the amount label
+ * @returns {Object|null} {raw, text, index} or null if the label is absent
+ */
+function findAmountMatch(text, labelRegex) {
+  // The amount must be on the label's line, so a count on the next line is not taken for it
+  const pattern = new RegExp(labelRegex.source + '[ \\t]*(' + AMOUNT_TOKEN_PATTERN + ')', 'i');
+  const match = text.match(pattern);
+  if (!match) return null;
+  
+  // Skip leading line breaks so the position points at the label's line
+  const leading = match[0].length - match[0].replace(/^\s+/, '').length;
+  return { raw: match[1].trim(), text: match[0].trim(), index: match.index + leading };
+}
+
+/**
+ * Finds the first amount-looking token in a single line
+ * Only tokens with decimals or a currency symbol count, so stray counters are ignored
+ * @param {string} line - Line of report text
+ * @returns {string} Raw amount text or empty string
+ */
+function findAmountInLine(line) {
+  const tokens = line.match(new RegExp(AMOUNT_TOKEN_PATTERN, 'gi')) || [];
+  const currency = new RegExp(CURRENCY_SYMBOL_PATTERN, 'i');
+  const amount = tokens
+    .map(token => token.trim())
+    .find(token => /\d[.,]\d{1,2}(?!\d)/.test(token) || currency.test(token));
+  
+  return amount || '';
+}
+
+/**
+ * Resolves the amount locale for a report
+ * Branch overrides (CONFIG.BRANCH_LOCALES) win over the template locale
+ * @param {string} templateLocale - Locale declared by the report template
+ * @param {string} branch - Branch name
+ * @returns {string} Locale key
+ */
+function resolveAmountLocale(templateLocale, branch) {
+  const branchLocales = CONFIG.BRANCH_LOCALES || {};
+  const branchKey = Object.keys(branchLocales)
+    .find(name => name.toLowerCase() === (branch || '').toLowerCase());
+  
+  return branchKey ? branchLocales[branchKey] : (templateLocale || CONFIG.DEFAULT_LOCALE);
+}
+
+/**
+ * Escapes a single separator character for use inside a RegExp
+ * @param {string} char - Separator character
+ * @returns {string} Escaped character
+ */
+function escapeRegExpChar(char) {
+  return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AMOUNT_LOCALES,
+    parseAmount,
+    findAmountText,
+    findAmountMatch,
+    findAmountInLine,
+    resolveAmountLocale
+  };
+}
@@ -0,0 +1,516 @@
+/**
+ * CashFlow Automator - Attachment Handlers
+ * Closure file types: which attachments are ingested, how archives are unpacked and how
+ * structured exports (CSV/XLSX) are read without PDF text extraction
+ * @version 2.1.0
+ */
+
+/* ==================== HANDLER DEFINITIONS ==================== */
+
+// How a closure file's data was obtained (recorded on the extracted data and in cell notes)
+const CLOSURE_SOURCE_TYPES = {
+  PDF: 'pdf text',
+  STRUCTURED_EXPORT: 'structured export'
+};
+
+/**
+ * Registered attachment handlers.
+ * Each handler declares:
+ *  - id: identifier used in CONFIG.ATTACHMENT_TYPES
+ *  - name: human-readable description
+ *  - extension: file name extension, given to the files saved from email
+ *  - mimeTypes: content types it accepts (the first is given to saved files); attachments sent with
+ *    another type (e.g. application/octet-stream) are recognized by extension
+ *  - unpack(blob): archives only; returns the blobs inside it
+ *  - extract(file, options): closure files only; returns the data extractPDFData returns
+ */
+const ATTACHMENT_HANDLERS = [
+  {
+    id: 'pdf',
+    name: 'PDF closure report',
+    extension: 'pdf',
+    mimeTypes: [MimeType.PDF],
+    extract: extractPdfClosure
+  },
+  {
+    id: 'zip',
+    name: 'ZIP archive of closure files',
+    extension: 'zip',
+    mimeTypes: [MimeType.ZIP, 'application/x-zip-compressed'],
+    unpack: unpackZipArchive
+  },
+  {
+    id: 'csv',
+    name: 'CSV closure export',
+    extension: 'csv',
+    mimeTypes: [MimeType.CSV, 'text/comma-separated-values', 'application/csv'],
+    extract: file => readStructuredExport(parseCsvRows(file.getBlob().getDataAsString()), file.getName())
+  },
+  {
+    id: 'xlsx',
+    name: 'Excel closure export',
+    extension: 'xlsx',
+    mimeTypes: [MimeType.MICROSOFT_EXCEL],
+    extract: file => readStructuredExport(readXlsxRows(file.getBlob()), file.getName())
+  }
+];
+
+/**
+ * Column layouts of structured closure exports, evaluated in order.
+ * Exports have a header row and one row for the closure. Each layout declares:
+ *  - id / name: identifiers recorded on the extracted data (as its template)
+ *  - locale: amount format of text cells (see AMOUNT_LOCALES); numeric cells are used as they are
+ *  - columns: header pattern per field; a layout matches when the header has the
+ *    STRUCTURED_EXPORT_REQUIRED columns
+ * Dates are dd/mm/yyyy, yyyy-mm-dd or spreadsheet date cells; the time may be in its own column
+ * or in the date cell.
+ */
+const STRUCTURED_EXPORT_LAYOUTS = [
+  {
+    id: 'pos-export-en',
+    name: 'POS closure export (English)',
+    locale: 'en-US',
+    columns: {
+      branch: /^(?:branch|store)$/i,
+      closureDate: /^closure date$/i,
+      closureTime: /^closure time$/i,
+      registerId: /^(?:register|pos|terminal)(?: id)?$/i,
+      cashier: /^(?:cashier|operator)$/i,
+      openingCash: /^opening cash$/i,
+      totalSales: /^total sales$/i,
+      cashSales: /^cash(?: sales)?$/i,
+      cardSales: /^cards?(?: sales)?$/i,
+      digitalPayments: /^digital(?: payments)?$/i,
+      closingCash: /^closing cash$/i,
+      cashWithdrawal: /^(?:cash )?withdrawal(?: at closure)?$/i
+    }
+  },
+  {
+    id: 'pos-export-es',
+    name: 'POS closure export (Spanish)',
+    locale: 'es-AR',
+    columns: {
+      branch: /^sucursal$/i,
+      closureDate: /^fecha de cierre$/i,
+      closureTime: /^hora de cierre$/i,
+      registerId: /^(?:caja|terminal|punto de venta)$/i,
+      cashier: /^(?:cajer[oa]|operador[a]?)$/i,
+      openingCash: /^efectivo (?:en caja )?apertura$/i,
+      totalSales: /^total de ventas$/i,
+      cashSales: /^efectivo$/i,
+      cardSales: /^tarjetas$/i,
+      digitalPayments: /^qr$/i,
+      closingCash: /^efectivo (?:en caja )?cierre$/i,
+      cashWithdrawal: /^retiro(?: de efectivo)?(?: al cierre)?$/i
+    }
+  }
+];
+
+// Columns an export must have for a layout to match
+const STRUCTURED_EXPORT_REQUIRED = ['branch', 'closureDate'];
+
+/* ==================== HANDLER REGISTRY ==================== */
+
+/**
+ * Gets an enabled handler (CONFIG.ATTACHMENT_TYPES) for a blob or Drive file
+ * Matched by content type first, then by the extension of its name
+ * @param {Blob|File} item - Attachment blob or Drive file
+ * @returns {Object|null} Handler, or null for a type that is not ingested
+ */
+function findAttachmentHandler(item) {
+  const contentType = item.getContentType ? item.getContentType() : item.getMimeType();
+  const extension = (String(item.getName() || '').match(/\.([^.\/]+)$/) || [])[1];
+  const handlers = ATTACHMENT_HANDLERS.filter(handler => CONFIG.ATTACHMENT_TYPES.includes(handler.id));
+  
+  return handlers.find(handler => handler.mimeTypes.includes(contentType)) ||
+    handlers.find(handler => extension && handler.extension === extension.toLowerCase()) ||
+    null;
+}
+
+/**
+ * Gets a registered handler by id
+ * @param {string} handlerId - Handler identifier
+ * @returns {Object|null} Handler definition or null if not registered
+ */
+function getAttachmentHandler(handlerId) {
+  return ATTACHMENT_HANDLERS.find(handler => handler.id === handlerId) || null;
+}
+
+/**
+ * Builds the Gmail search terms for emails with an attachment of an enabled type
+ * @returns {string} e.g. "has:attachment filename:{pdf zip csv xlsx}"
+ */
+function buildAttachmentQuery() {
+  const extensions = ATTACHMENT_HANDLERS
+    .filter(handler => CONFIG.ATTACHMENT_TYPES.includes(handler.id))
+    .map(handler => handler.extension);
+  return 'has:attachment filename:' + (extensions.length === 1 ? extensions[0] : '{' + extensions.join(' ') + '}');
+}
+
+/**
+ * Turns an email's attachments into the closure files to save, unpacking archives
+ * @param {Array<Blob>} attachments - Attachments with a handler (see getIntakeAttachments)
+ * @returns {Array<Object>} [{blob, handler, archive: name of the archive it came from, or ''}]
+ */
+function unpackClosureAttachments(attachments) {
+  const closureFiles = [];
+  
+  attachments.forEach(attachment => {
+    const handler = findAttachmentHandler(attachment);
+    if (!handler.unpack) {
+      closureFiles.push({ blob: attachment, handler, archive: '' });
+      return;
+    }
+    
+    // Archives inside archives are not unpacked
+    handler.unpack(attachment).forEach(entry => {
+      const entryHandler = findAttachmentHandler(entry);
+      if (entryHandler && entryHandler.extract) {
+        closureFiles.push({ blob: entry.setContentType(entryHandler.mimeTypes[0]), handler: entryHandler, archive: attachment.getName() });
+      } else {
+        Log.debug('email', 'Archive entry skipped: ' + entry.getName(), { file: attachment.getName(), step: 'attachments' });
+      }
+    });
+  });
+  
+  return closureFiles;
+}
+
+/**
+ * Lists the closure files of a folder (files an enabled handler extracts)
+ * @param {Folder} folder - Drive folder
+ * @returns {Array<File>} Files, in folder order
+ */
+function getClosureFiles(folder) {
+  const files = [];
+  const iterator = folder.getFiles();
+  
+  while (iterator.hasNext()) {
+    const file = iterator.next();
+    const handler = findAttachmentHandler(file);
+    if (handler && handler.extract) files.push(file);
+  }
+  return files;
+}
+
+/* ==================== EXTRACTION ==================== */
+
+/**
+ * Extracts the closure data of a saved file with its handler
+ * @param {File} file - Drive file
+ * @param {Object} options - {plan, localOnly} (see extractFileText)
+ * @returns {Object} Structured financial data (see extractPDFData), with backend and sourceType
+ */
+function extractClosureData(file, options = {}) {
+  const handler = findAttachmentHandler(file);
+  if (!handler || !handler.extract) {
+    throw new Error('Unsupported file type: ' + file.getMimeType());
+  }
+  return handler.extract(file, options);
+}
+
+/**
+ * Reads the branch and closure date and time of a closure file that is not saved yet
+ * Only the local backends run (see extractFileText); files they can't read give null.
+ * @param {Object} closureFile - See unpackClosureAttachments
+ * @returns {Object|null} {branch, date (dd/mm/yyyy), time} like the subject fields, or null when unreadable
+ */
+function readClosureFileFields(closureFile) {
+  const blob = closureFile.blob;
+  const file = { getName: () => blob.getName(), getId: () => null, getMimeType: () => blob.getContentType(), getBlob: () => blob };
+  
+  try {
+    const data = closureFile.handler.extract(file, { localOnly: true });
+    if (data.error || !data.branch || !data.closureDate || !data.closureTime) return null;
+    return { branch: data.branch, date: data.closureDate, time: data.closureTime };
+  } catch (error) {
+    Log.debug('email', 'Could not read closure file: ' + error.message, { file: blob.getName(), step: 'attachments' });
+    return null;
+  }
+}
+
+/**
+ * Reads a PDF closure report: text extraction (local parser first, Docs conversion as fallback)
+ * and the matching report template
+ * @param {File} pdf - Drive file
+ * @param {Object} options - {plan, localOnly} (see extractFileText)
+ * @returns {Object} Structured financial data
+ */
+function extractPdfClosure(pdf, options = {}) {
+  const extraction = extractFileText(pdf, options);
+  const data = extractPDFData(extraction.text, pdf.getName());
+  data.backend = extraction.backend;
+  data.sourceType = CLOSURE_SOURCE_TYPES.PDF;
+  return data;
+}
+
+/**
+ * Reads a structured closure export into the data extractPDFData returns
+ * Every field found is a high-confidence value of the export's own column; provenance records
+ * the row and column it came from
+ * @param {Array<Array>} rows - Cell values, header row first
+ * @param {string} filename - File name for reference
+ * @returns {Object} Structured financial data (sourceType CLOSURE_SOURCE_TYPES.STRUCTURED_EXPORT)
+ */
+function readStructuredExport(rows, filename) {
+  const header = (rows[0] || []).map(cell => String(cell).trim());
+  const layout = STRUCTURED_EXPORT_LAYOUTS.find(candidate =>
+    STRUCTURED_EXPORT_REQUIRED.every(field => header.some(name => candidate.columns[field].test(name))));
+  
+  if (!layout) {
+    return { file: filename, template: '', error: 'No structured export layout matched' };
+  }
+  
+  const records = rows.slice(1)
+    .map((row, index) => ({ row, line: index + 2 }))
+    .filter(record => record.row.some(cell => String(cell).trim() !== ''));
+  if (records.length !== 1) {
+    return { file: filename, template: layout.id, error: 'Expected one closure per export, found ' + records.length };
+  }
+  
+  const { row, line } = records[0];
+  const cell = field => {
+    const column = header.findIndex(name => layout.columns[field].test(name));
+    const value = column === -1 || row[column] === undefined ? '' : row[column];
+    return { value: typeof value === 'string' ? value.trim() : value, header: column === -1 ? '' : header[column] };
+  };
+  const cellProvenance = (field, found) => found.value !== ''
+    ? createProvenance(layout.id + '/' + field, line, found.header + ': ' + found.value, false, 'high')
+    : createProvenance('', null, '', false, 'none');
+  
+  const company = getActiveCompany();
+  const branch = String(cell('branch').value);
+  const closure = readExportDateTime(cell('closureDate').value, cell('closureTime').value);
+  const shiftInfo = resolveShift(branch, closure.date, closure.time);
+  const register = cell('registerId');
+  const cashier = cell('cashier');
+  
+  const data = {
+    file: filename,
+    company: company ? company.id : '',
+    template: layout.id,
+    locale: resolveAmountLocale(layout.locale, branch),
+    closureDate: closure.date,
+    closureTime: closure.time,
+    businessDate: shiftInfo ? shiftInfo.businessDate : closure.date,
+    shift: shiftInfo ? shiftInfo.name : '',
+    branch,
+    registerId: String(register.value),
+    cashier: String(cashier.value),
+    unparseableAmounts: [],
+    backend: '',
+    sourceType: CLOSURE_SOURCE_TYPES.STRUCTURED_EXPORT,
+    provenance: {
+      branch: cellProvenance('branch', cell('branch')),
+      closureDate: cellProvenance('closureDate', closure.date ? cell('closureDate') : { value: '' }),
+      registerId: cellProvenance('registerId', register),
+      cashier: cellProvenance('cashier', cashier)
+    }
+  };
+  
+  AMOUNT_FIELDS.forEach(field => {
+    const found = cell(field);
+    data[field] = found.value;
+    data.provenance[field] = cellProvenance(field, found);
+  });
+  
+  flagUnusableAmounts(data);
+  return data;
+}
+
+/**
+ * Reads the closure date and time of an export
+ * @param {string|number} dateValue - dd/mm/yyyy or yyyy-mm-dd text (optionally followed by the time),
+ *   or a spreadsheet date serial
+ * @param {string|number} timeValue - hh:mm[:ss] text or a fraction of a day; empty when the time is in the date
+ * @returns {Object} {date: dd/mm/yyyy, time: hh:mm:ss}, empty strings for what is missing
+ */
+function readExportDateTime(dateValue, timeValue) {
+  let date = '';
+  let time = '';
+  
+  if (typeof dateValue === 'number') {
+    // Spreadsheet serials count days from 1899-12-30; the fraction is the time of day
+    const moment = new Date(Math.round((dateValue - 25569) * 86400) * 1000);
+    const iso = moment.toISOString();
+    date = iso.slice(8, 10) + '/' + iso.slice(5, 7) + '/' + iso.slice(0, 4);
+    time = dateValue % 1 ? iso.slice(11, 19) : '';
+  } else {
+    const text = String(dateValue);
+    const local = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    const iso = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+    if (local) {
+      date = local[1].padStart(2, '0') + '/' + local[2].padStart(2, '0') + '/' + local[3];
+    } else if (iso) {
+      date = iso[3] + '/' + iso[2] + '/' + iso[1];
+    }
+    time = readExportTime(text.replace(/^\S+/, ''));
+  }
+  
+  if (timeValue !== '' && timeValue !== undefined) {
+    time = typeof timeValue === 'number'
+      ? new Date(Math.round(timeValue % 1 * 86400) * 1000).toISOString().slice(11, 19)
+      : readExportTime(String(timeValue));
+  }
+  
+  return { date, time };
+}
+
+/**
+ * Reads an hh:mm[:ss] time from text
+ * @param {string} text - Text holding the time
+ * @returns {string} hh:mm:ss, or empty string
+ */
+function readExportTime(text) {
+  const match = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  return match ? match[1].padStart(2, '0') + ':' + match[2] + ':' + (match[3] || '00') : '';
+}
+
+/* ==================== FILE FORMATS ==================== */
+
+/**
+ * Unpacks a ZIP attachment
+ * @param {Blob} blob - ZIP archive
+ * @returns {Array<Blob>} Files inside it (folders and macOS metadata left out), named without their folder
+ */
+function unpackZipArchive(blob) {
+  return Services.utilities.unzip(blob.copyBlob().setContentType(MimeType.ZIP))
+    .filter(entry => !/(?:^|\/)__MACOSX\/|\/$/.test(entry.getName()))
+    .map(entry => entry.setName(entry.getName().split('/').pop()));
+}
+
+/**
+ * Parses CSV text into rows
+ * Quoted cells may hold separators, quotes ("") and line breaks; the separator (comma or
+ * semicolon) is the one the header line uses most
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsvRows(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/)[0];
+  const separator = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Reads the first worksheet of an XLSX workbook into rows
+ * Text cells (shared or inline strings) become strings and numeric cells numbers
+ * @param {Blob} blob - XLSX workbook
+ * @returns {Array<Array<string|number>>} Rows of cells, empty cells as ''
+ */
+function readXlsxRows(blob) {
+  const parts = Services.utilities.unzip(blob.copyBlob().setContentType(MimeType.ZIP));
+  const part = name => parts.find(entry => entry.getName() === name);
+  const sheet = part('xl/worksheets/sheet1.xml') || parts.find(entry => /^xl\/worksheets\/[^/]+\.xml$/.test(entry.getName()));
+  if (!sheet) throw new Error('XLSX workbook without worksheets');
+  
+  const sharedPart = part('xl/sharedStrings.xml');
+  const shared = sharedPart
+    ? (sharedPart.getDataAsString().match(/<si\b[\s\S]*?<\/si>/g) || []).map(readXlsxText)
+    : [];
+  
+  const rows = [];
+  const cells = sheet.getDataAsString().match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || [];
+  cells.forEach(xml => {
+    const reference = (xml.match(/\br="([A-Z]+)(\d+)"/) || []);
+    if (!reference[1]) return;
+    
+    const type = (xml.match(/\bt="(\w+)"/) || [])[1] || 'n';
+    const raw = (xml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+    let value = '';
+    if (type === 's') {
+      value = shared[parseInt(raw, 10)] || '';
+    } else if (type === 'inlineStr') {
+      value = readXlsxText(xml);
+    } else if (raw !== undefined) {
+      value = type === 'n' ? Number(raw) : decodeXmlText(raw);
+    }
+    
+    const rowIndex = parseInt(reference[2], 10) - 1;
+    const column = reference[1].split('').reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    rows[rowIndex] = rows[rowIndex] || [];
+    rows[rowIndex][column] = value;
+  });
+  
+  return Array.from(rows, row => Array.from(row || [], value => value === undefined ? '' : value));
+}
+
+/**
+ * Joins the text runs (<t>) of an XLSX string element
+ * @param {string} xml - <si> or inline string cell
+ * @returns {string} Text
+ */
+function readXlsxText(xml) {
+  return (xml.match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [])
+    .map(run => decodeXmlText(run.replace(/^<t\b[^>]*>|<\/t>$/g, '')))
+    .join('');
+}
+
+/**
+ * Decodes the XML entities of element text
+ * @param {string} text - Element text
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (entity, hex, decimal, name) => {
+    if (hex) return String.fromCharCode(parseInt(hex, 16));
+    if (decimal) return String.fromCharCode(parseInt(decimal, 10));
+    return entities[name] !== undefined ? entities[name] : entity;
+  });
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CLOSURE_SOURCE_TYPES,
+    ATTACHMENT_HANDLERS,
+    STRUCTURED_EXPORT_LAYOUTS,
+    findAttachmentHandler,
+    getAttachmentHandler,
+    unpackClosureAttachments,
+    getClosureFiles,
+    extractClosureData,
+    readClosureFileFields,
+    readStructuredExport,
+    parseCsvRows,
+    readXlsxRows
+  };
+}
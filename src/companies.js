@@ -0,0 +1,218 @@
+/**
+ * CashFlow Automator - Companies
+ * Company (brand) dimension: per-company email intake, report templates, Drive root and target sheet
+ * @version 2.1.0
+ */
+
+/* ==================== COMPANY DEFINITIONS ==================== */
+
+// Per-company settings and the CONFIG value each one replaces while the company is active
+const COMPANY_SETTINGS = {
+  mainFolder: 'MAIN_FOLDER',
+  destinationFolderId: 'DESTINATION_FOLDER_ID',
+  sheetName: 'SHEET_NAME',
+  intakeRules: 'EMAIL_INTAKE_RULES'
+};
+
+// Company used when CONFIG.COMPANIES is empty (single-company deployments)
+const DEFAULT_COMPANY_ID = 'default';
+
+// Company being worked on and the CONFIG values it replaced: {company, saved}
+let COMPANY_CONTEXT = null;
+
+/* ==================== COMPANY REGISTRY ==================== */
+
+/**
+ * Lists the companies served by this deployment
+ * CONFIG.COMPANIES is keyed by company id. Each company declares (all optional; the matching
+ * CONFIG value is used for a missing one):
+ *  - name: display name
+ *  - mainFolder / destinationFolderId / sheetName: PDF root, email attachment folder and target sheet
+ *  - intakeRules: rules its closure emails are ingested by (see getIntakeRules)
+ *  - templates: report template ids its PDFs are matched against (all templates when missing)
+ * Without COMPANIES, a single 'default' company uses the CONFIG values.
+ * @returns {Array<Object>} [{id, name, templates, mainFolder, destinationFolderId, sheetName, intakeRules}]
+ */
+function getCompanies() {
+  const base = COMPANY_CONTEXT ? COMPANY_CONTEXT.saved : CONFIG;
+  const definitions = CONFIG.COMPANIES || {};
+  const ids = Object.keys(definitions);
+  
+  if (ids.length === 0) {
+    return [buildCompany(DEFAULT_COMPANY_ID, { name: 'Default' }, base)];
+  }
+  return ids.map(id => buildCompany(id, definitions[id], base));
+}
+
+/**
+ * Gets a company by id
+ * @param {string} companyId - Company id
+ * @returns {Object} Company (see getCompanies)
+ */
+function getCompany(companyId) {
+  const company = getCompanies().find(c => c.id === companyId);
+  if (!company) {
+    throw new Error('Unknown company: ' + companyId);
+  }
+  return company;
+}
+
+/**
+ * Gets the companies to work on
+ * @param {Array<string>} companyIds - Company ids, or empty/null for all companies
+ * @returns {Array<Object>} Companies
+ */
+function selectCompanies(companyIds) {
+  return companyIds && companyIds.length > 0 ? companyIds.map(getCompany) : getCompanies();
+}
+
+/**
+ * Whether more than one company is configured (views then label and filter by company)
+ * @returns {boolean} True for multi-company deployments
+ */
+function isMultiCompany() {
+  return getCompanies().length > 1;
+}
+
+/**
+ * Fills a company's missing settings from CONFIG
+ * @param {string} id - Company id
+ * @param {Object} definition - Entry of CONFIG.COMPANIES
+ * @param {Object} base - CONFIG values outside any company
+ * @returns {Object} Company
+ */
+function buildCompany(id, definition, base) {
+  const settings = definition && typeof definition === 'object' ? definition : {};
+  const company = { id, name: settings.name || id, templates: Array.isArray(settings.templates) ? settings.templates : null };
+  
+  Object.keys(COMPANY_SETTINGS).forEach(field => {
+    const value = settings[field];
+    company[field] = value === undefined || value === '' ? base[COMPANY_SETTINGS[field]] : value;
+  });
+  return company;
+}
+
+/* ==================== ACTIVE COMPANY ==================== */
+
+/**
+ * Runs a function with a company active: CONFIG.MAIN_FOLDER, SHEET_NAME, DESTINATION_FOLDER_ID
+ * and EMAIL_INTAKE_RULES hold the company's values until it returns
+ * @param {Object|string} company - Company or company id
+ * @param {Function} fn - (company) => result
+ * @returns {*} Result of fn
+ */
+function withCompany(company, fn) {
+  loadConfig();
+  const active = typeof company === 'string' ? getCompany(company) : company;
+  const previous = COMPANY_CONTEXT;
+  const saved = previous ? previous.saved : {};
+  
+  if (!previous) {
+    Object.values(COMPANY_SETTINGS).forEach(key => {
+      saved[key] = CONFIG[key];
+    });
+  }
+  
+  const apply = source => Object.keys(COMPANY_SETTINGS).forEach(field => {
+    CONFIG[COMPANY_SETTINGS[field]] = source[field];
+  });
+  
+  apply(active);
+  COMPANY_CONTEXT = { company: active, saved };
+  try {
+    return fn(active);
+  } finally {
+    COMPANY_CONTEXT = previous;
+    if (previous) {
+      apply(previous.company);
+    } else {
+      Object.keys(saved).forEach(key => {
+        CONFIG[key] = saved[key];
+      });
+    }
+  }
+}
+
+/**
+ * Runs a function once per company with that company active
+ * @param {Function} fn - (company) => result
+ * @param {Array<string>} companyIds - Optional: only these companies
+ * @returns {Array} Results, in company order
+ */
+function forEachCompany(fn, companyIds) {
+  return selectCompanies(companyIds).map(company => withCompany(company, fn));
+}
+
+/**
+ * Gets the company currently being worked on
+ * @returns {Object|null} Active company, or null outside withCompany
+ */
+function getActiveCompany() {
+  return COMPANY_CONTEXT ? COMPANY_CONTEXT.company : null;
+}
+
+/* ==================== VALIDATION ==================== */
+
+/**
+ * Checks CONFIG.COMPANIES: known settings, intake rules, templates, and that no two
+ * companies share a folder or sheet (their data would mix)
+ * @param {Array<string>} errors - Collects the problems found
+ */
+function validateCompanies(errors) {
+  const definitions = CONFIG.COMPANIES || {};
+  
+  Object.keys(definitions).forEach(id => {
+    const definition = definitions[id];
+    const label = 'COMPANIES.' + id;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      errors.push(label + ': expected an object');
+      return;
+    }
+    
+    Object.keys(definition)
+      .filter(field => field !== 'name' && field !== 'templates' && !COMPANY_SETTINGS[field])
+      .forEach(field => errors.push(label + ': unknown setting "' + field + '"'));
+    
+    if (definition.intakeRules !== undefined) {
+      validateIntakeRules(definition.intakeRules, label + '.intakeRules', errors);
+    }
+    
+    if (definition.templates !== undefined) {
+      if (!Array.isArray(definition.templates) || definition.templates.length === 0) {
+        errors.push(label + '.templates: expected a list of template ids');
+      } else {
+        definition.templates
+          .filter(templateId => !getReportTemplate(templateId))
+          .forEach(templateId => errors.push(label + '.templates: unknown template "' + templateId + '"'));
+      }
+    }
+  });
+  
+  const companies = getCompanies();
+  ['mainFolder', 'destinationFolderId', 'sheetName'].forEach(field => {
+    const owners = {};
+    companies.forEach(company => {
+      const value = String(company[field]);
+      if (owners[value]) {
+        errors.push('COMPANIES: ' + owners[value] + ' and ' + company.id + ' share ' + field + ' "' + value + '"');
+      } else {
+        owners[value] = company.id;
+      }
+    });
+  });
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COMPANY_SETTINGS,
+    getCompanies,
+    getCompany,
+    selectCompanies,
+    isMultiCompany,
+    withCompany,
+    forEachCompany,
+    getActiveCompany,
+    validateCompanies
+  };
+}
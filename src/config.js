@@ -0,0 +1,446 @@
+/**
+ * CashFlow Automator - Configuration
+ * Loads CONFIG overrides from Script Properties and the "Config" sheet, validated against a schema
+ * @version 2.1.0
+ */
+
+/* ==================== CONFIGURATION SCHEMA ==================== */
+
+// Sheet with Key | Value rows; Script Properties use the same keys with this prefix (e.g. config.SHEET_NAME)
+const CONFIG_SHEET_NAME = 'Config';
+const CONFIG_PROPERTY_PREFIX = 'config.';
+
+const CONFIG_SOURCES = {
+  DEFAULT: 'default',
+  SHEET: 'Config sheet',
+  PROPERTY: 'Script Properties'
+};
+
+/**
+ * Settings that can be overridden, in display order. Defaults are the values of CONFIG in core-engine.js.
+ * Each entry declares:
+ *  - type: string | integer | number | boolean | list (comma-separated or JSON array) | json (object)
+ *  - min / max: allowed range for integer and number settings
+ *  - values: allowed values for string settings
+ *  - resource: folderName | folderId | sheetName - checked to exist by validateConfigResources()
+ *  - description: shown in the configuration view
+ */
+const CONFIG_SCHEMA = {
+  SHEET_NAME: { type: 'string', resource: 'sheetName', description: 'Financial report sheet' },
+  MAIN_FOLDER: { type: 'string', resource: 'folderName', description: 'Drive folder with the PDFs to process' },
+  DESTINATION_FOLDER_ID: { type: 'string', resource: 'folderId', description: 'Drive folder ID for email attachments' },
+  EMAIL_INTAKE_RULES: { type: 'list', description: 'Email intake rules as a JSON list (see intake-rules.js)' },
+  EMAIL_LABELS: { type: 'json', description: 'Gmail label per thread outcome: processed, failed, noPdf' },
+  EMAIL_SKIP_LABELED: { type: 'boolean', description: 'Leave threads labeled processed out of email searches' },
+  EMAIL_ARCHIVE_PROCESSED: { type: 'boolean', description: 'Archive threads labeled processed' },
+  BATCH_SIZE: { type: 'integer', min: 1, max: 500, description: 'Initial batch size' },
+  MIN_BATCH_SIZE: { type: 'integer', min: 1, max: 500, description: 'Smallest adaptive batch' },
+  MAX_BATCH_SIZE: { type: 'integer', min: 1, max: 500, description: 'Largest adaptive batch' },
+  DELAY_SECONDS: { type: 'integer', min: 1, max: 3600, description: 'Delay between batch runs' },
+  MAX_RETRIES: { type: 'integer', min: 0, max: 20, description: 'Attempts before a file is quarantined' },
+  RETRY_BACKOFF_MINUTES: { type: 'number', min: 0, max: 1440, description: 'Base retry backoff' },
+  MAX_EXECUTION_TIME: { type: 'integer', min: 30000, max: 30 * 60 * 1000, description: 'Time budget per run (ms)' },
+  FINALIZE_RESERVE_TIME: { type: 'integer', min: 0, max: 30 * 60 * 1000, description: 'Time kept for sheet update and moves (ms)' },
+  LOCK_WAIT_TIME: { type: 'integer', min: 0, max: 5 * 60 * 1000, description: 'Wait for a busy lock before giving up (ms)' },
+  LOCK_LEASE_TIME: { type: 'integer', min: 60 * 1000, max: 60 * 60 * 1000, description: 'Age after which a lock of a dead job is taken over (ms)' },
+  LOG_LEVEL: { type: 'string', values: ['debug', 'info', 'warn', 'error'], description: 'Lowest level logged' },
+  LOG_MODULE_LEVELS: { type: 'json', description: 'Log level per module, e.g. {"email": "debug"}' },
+  LOG_SINKS: { type: 'list', description: 'Log destinations: logger, sheet, console' },
+  LOG_SHEET_NAME: { type: 'string', description: 'Rolling log sheet' },
+  LOG_SHEET_MAX_ROWS: { type: 'integer', min: 100, max: 100000, description: 'Entries kept in the log sheet' },
+  EMAIL_BATCH_SIZE: { type: 'integer', min: 1, max: 100, description: 'Emails indexed between email index writes' },
+  EMAIL_SEARCH_PAGE_SIZE: { type: 'integer', min: 1, max: 500, description: 'Threads fetched per Gmail search call' },
+  INDEX_FILE_NAME: { type: 'string', description: 'Email index file of older versions, imported once' },
+  EMAIL_INDEX_SHEET_NAME: { type: 'string', description: 'Email index sheet (hidden)' },
+  CASHIER_REPORT_SHEET_NAME: { type: 'string', description: 'Cashier over/short report sheet' },
+  LEDGER_SHEET_NAME: { type: 'string', description: 'Processed-file ledger sheet' },
+  REVIEW_SHEET_NAME: { type: 'string', description: 'Review queue sheet' },
+  RUN_HISTORY_SHEET_NAME: { type: 'string', description: 'Run history sheet' },
+  RUN_FILES_SHEET_NAME: { type: 'string', description: 'Per-file run outcomes sheet' },
+  DRY_RUN_SHEET_NAME: { type: 'string', description: 'Dry-run report sheet' },
+  QUARANTINE_FOLDER: { type: 'string', description: 'Folder for permanently failing files' },
+  DEFAULT_LOCALE: { type: 'string', description: 'Amount locale when a branch has none' },
+  BRANCH_LOCALES: { type: 'json', description: 'Locale per branch' },
+  TEXT_EXTRACTION_BACKENDS: { type: 'list', description: 'PDF text backends, in order' },
+  ATTACHMENT_TYPES: { type: 'list', description: 'Closure file types ingested: pdf, zip, csv, xlsx' },
+  SHIFT_CALENDARS: { type: 'json', description: 'Shifts per branch' },
+  REVIEW_RULES: { type: 'json', description: 'Review queue rules' },
+  COMPANIES: { type: 'json', description: 'Companies by id (see companies.js)' }
+};
+
+// Loaded state for this execution: {defaults, sources: {key: source}, errors, warnings}
+let CONFIG_STATE = null;
+
+/* ==================== LOADING ==================== */
+
+/**
+ * Applies the configured overrides to CONFIG (once per execution)
+ * Precedence: Script Properties, then the Config sheet, then the defaults in core-engine.js.
+ * Values that fail validation are not applied; they are reported in the returned errors.
+ * @param {boolean} reload - Load again even if already loaded in this execution
+ * @returns {Object} {sources: {key: source}, errors: Array<string>, warnings: Array<string>}
+ */
+function loadConfig(reload = false) {
+  if (CONFIG_STATE && !reload) return CONFIG_STATE;
+  
+  const defaults = CONFIG_STATE ? CONFIG_STATE.defaults : snapshotConfigDefaults();
+  const state = { defaults, sources: {}, errors: [], warnings: [] };
+  const candidates = {};
+  
+  readConfigSheet(state).forEach(entry => {
+    candidates[entry.key] = { raw: entry.value, source: CONFIG_SOURCES.SHEET };
+  });
+  readConfigProperties(state).forEach(entry => {
+    candidates[entry.key] = { raw: entry.value, source: CONFIG_SOURCES.PROPERTY };
+  });
+  
+  Object.keys(CONFIG_SCHEMA).forEach(key => {
+    CONFIG[key] = defaults[key];
+    state.sources[key] = CONFIG_SOURCES.DEFAULT;
+    
+    const candidate = candidates[key];
+    if (!candidate) return;
+    
+    const parsed = parseConfigValue(key, candidate.raw);
+    if (parsed.error) {
+      state.errors.push(key + ' (' + candidate.source + '): ' + parsed.error);
+      return;
+    }
+    CONFIG[key] = parsed.value;
+    state.sources[key] = candidate.source;
+  });
+  
+  validateConfigRelations(state.errors);
+  CONFIG_STATE = state;
+  
+  if (state.errors.length > 0) {
+    Log.error('config', 'Configuration errors: ' + state.errors.join('; '), { errors: state.errors.length });
+  }
+  return state;
+}
+
+/**
+ * Loads the configuration and stops with a clear error when it is invalid
+ * Entry points call this before doing any work, so a typo fails the run up front
+ * @param {Array<string>} resourceKeys - Settings whose folder or sheet must exist for this run
+ * @param {Array<string>} companyIds - Companies the run works on (all when empty)
+ * @returns {Object} Loaded state (see loadConfig)
+ */
+function requireValidConfig(resourceKeys = [], companyIds = null) {
+  const state = loadConfig();
+  const errors = state.errors.concat(state.errors.length > 0 ? [] : validateCompanyResources(resourceKeys, companyIds));
+  
+  if (errors.length > 0) {
+    throw new Error('Invalid configuration: ' + errors.join('; '));
+  }
+  return state;
+}
+
+/**
+ * Copies the default values before any override is applied
+ * @returns {Object} Defaults by key
+ */
+function snapshotConfigDefaults() {
+  const defaults = {};
+  Object.keys(CONFIG_SCHEMA).forEach(key => {
+    defaults[key] = CONFIG[key];
+  });
+  return defaults;
+}
+
+/**
+ * Reads Key | Value rows from the Config sheet (a header row is optional)
+ * @param {Object} state - Loaded state, for warnings
+ * @returns {Array<Object>} [{key, value}]
+ */
+function readConfigSheet(state) {
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG_SHEET_NAME);
+  if (!sheet) return [];
+  
+  const entries = [];
+  sheet.getDataRange().getValues().forEach((row, index) => {
+    const key = String(row[0] || '').trim();
+    if (!key || key.startsWith('#') || (index === 0 && key.toLowerCase() === 'key')) return;
+    
+    if (!CONFIG_SCHEMA[key]) {
+      state.warnings.push('Unknown setting in ' + CONFIG_SHEET_NAME + ' sheet row ' + (index + 1) + ': ' + key);
+      return;
+    }
+    if (row[1] === '' || row[1] === null) return;
+    entries.push({ key, value: row[1] });
+  });
+  
+  return entries;
+}
+
+/**
+ * Reads config.* Script Properties
+ * @param {Object} state - Loaded state, for warnings
+ * @returns {Array<Object>} [{key, value}]
+ */
+function readConfigProperties(state) {
+  const properties = Services.properties.getScriptProperties().getProperties();
+  const entries = [];
+  
+  Object.keys(properties).forEach(name => {
+    if (!name.startsWith(CONFIG_PROPERTY_PREFIX)) return;
+    const key = name.slice(CONFIG_PROPERTY_PREFIX.length);
+    
+    if (!CONFIG_SCHEMA[key]) {
+      state.warnings.push('Unknown setting in Script Properties: ' + name);
+      return;
+    }
+    entries.push({ key, value: properties[name] });
+  });
+  
+  return entries;
+}
+
+/* ==================== VALIDATION ==================== */
+
+/**
+ * Converts a property or cell value to the type declared in the schema and checks its range
+ * @param {string} key - Setting name
+ * @param {*} raw - Text from Script Properties, or a cell value
+ * @returns {Object} {value, error}
+ */
+function parseConfigValue(key, raw) {
+  const schema = CONFIG_SCHEMA[key];
+  const text = String(raw).trim();
+  let value;
+  
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      value = typeof raw === 'number' ? raw : (/^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN);
+      if (isNaN(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        return { error: 'expected ' + (schema.type === 'integer' ? 'an integer' : 'a number') + ', got "' + text + '"' };
+      }
+      if (schema.min !== undefined && value < schema.min) return { error: value + ' is below the minimum ' + schema.min };
+      if (schema.max !== undefined && value > schema.max) return { error: value + ' is above the maximum ' + schema.max };
+      break;
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') value = raw;
+      else if (/^(true|yes|1)$/i.test(text)) value = true;
+      else if (/^(false|no|0)$/i.test(text)) value = false;
+      else return { error: 'expected true or false, got "' + text + '"' };
+      break;
+    case 'list':
+      if (text.startsWith('[')) {
+        try {
+          value = JSON.parse(text);
+        } catch (error) {
+          return { error: 'invalid JSON list: ' + error.message };
+        }
+        if (!Array.isArray(value)) return { error: 'expected a list' };
+      } else {
+        value = text.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      if (value.length === 0) return { error: 'list is empty' };
+      break;
+    case 'json':
+      try {
+        value = JSON.parse(text);
+      } catch (error) {
+        return { error: 'invalid JSON: ' + error.message };
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'expected a JSON object' };
+      break;
+    default:
+      if (!text) return { error: 'value is empty' };
+      if (schema.values && !schema.values.includes(text)) return { error: 'expected one of ' + schema.values.join(', ') + ', got "' + text + '"' };
+      value = text;
+  }
+  
+  return { value, error: '' };
+}
+
+/**
+ * Checks rules that involve more than one setting, on the current CONFIG
+ * @param {Array<string>} errors - Collects the problems found
+ */
+function validateConfigRelations(errors) {
+  if (CONFIG.MIN_BATCH_SIZE > CONFIG.MAX_BATCH_SIZE) {
+    errors.push('MIN_BATCH_SIZE (' + CONFIG.MIN_BATCH_SIZE + ') is above MAX_BATCH_SIZE (' + CONFIG.MAX_BATCH_SIZE + ')');
+  } else if (CONFIG.BATCH_SIZE < CONFIG.MIN_BATCH_SIZE || CONFIG.BATCH_SIZE > CONFIG.MAX_BATCH_SIZE) {
+    errors.push('BATCH_SIZE (' + CONFIG.BATCH_SIZE + ') is outside MIN_BATCH_SIZE-MAX_BATCH_SIZE (' + CONFIG.MIN_BATCH_SIZE + '-' + CONFIG.MAX_BATCH_SIZE + ')');
+  }
+  
+  if (CONFIG.FINALIZE_RESERVE_TIME >= CONFIG.MAX_EXECUTION_TIME) {
+    errors.push('FINALIZE_RESERVE_TIME must be below MAX_EXECUTION_TIME');
+  }
+  
+  validateIntakeRules(CONFIG.EMAIL_INTAKE_RULES, 'EMAIL_INTAKE_RULES', errors);
+  
+  Object.keys(CONFIG.EMAIL_LABELS)
+    .filter(outcome => !EMAIL_LABEL_OUTCOMES.includes(outcome) || typeof CONFIG.EMAIL_LABELS[outcome] !== 'string')
+    .forEach(outcome => errors.push('EMAIL_LABELS.' + outcome + ': expected one of ' + EMAIL_LABEL_OUTCOMES.join(', ') + ' with a label name'));
+  
+  CONFIG.TEXT_EXTRACTION_BACKENDS
+    .filter(id => !getTextExtractionBackend(id))
+    .forEach(id => errors.push('TEXT_EXTRACTION_BACKENDS: unknown backend "' + id + '"'));
+  
+  CONFIG.ATTACHMENT_TYPES
+    .filter(id => !getAttachmentHandler(id))
+    .forEach(id => errors.push('ATTACHMENT_TYPES: unknown attachment type "' + id + '"'));
+  
+  Object.keys(CONFIG.SHIFT_CALENDARS).forEach(branch => {
+    const calendar = CONFIG.SHIFT_CALENDARS[branch];
+    if (!calendar || typeof calendar !== 'object' || Array.isArray(calendar)) {
+      errors.push('SHIFT_CALENDARS.' + branch + ': expected an object with shifts');
+      return;
+    }
+    if (!Array.isArray(calendar.shifts) || calendar.shifts.length === 0) {
+      errors.push('SHIFT_CALENDARS.' + branch + ': no shifts');
+      return;
+    }
+    calendar.shifts
+      .filter(shift => !shift || typeof shift !== 'object' || !shift.name || !shift.code || !/^\d{2}:\d{2}$/.test(shift.start) || !/^\d{2}:\d{2}$/.test(shift.end))
+      .forEach(shift => errors.push('SHIFT_CALENDARS.' + branch + ': shift needs name, code, start and end (HH:MM): ' + JSON.stringify(shift)));
+  });
+  
+  CONFIG.LOG_SINKS
+    .filter(name => !LOG_SINKS[name])
+    .forEach(name => errors.push('LOG_SINKS: unknown sink "' + name + '"'));
+  
+  Object.keys(CONFIG.LOG_MODULE_LEVELS)
+    .filter(module => !LOG_LEVELS[CONFIG.LOG_MODULE_LEVELS[module]])
+    .forEach(module => errors.push('LOG_MODULE_LEVELS.' + module + ': unknown level "' + CONFIG.LOG_MODULE_LEVELS[module] + '"'));
+  
+  validateCompanies(errors);
+}
+
+/**
+ * Checks that the folders and sheets referenced by the given settings exist
+ * @param {Array<string>} keys - Settings to check (those with a resource in the schema)
+ * @returns {Array<string>} Problems found
+ */
+function validateConfigResources(keys) {
+  const errors = [];
+  
+  keys.forEach(key => {
+    const value = CONFIG[key];
+    switch (CONFIG_SCHEMA[key] && CONFIG_SCHEMA[key].resource) {
+      case 'folderName':
+        if (!Services.drive.getFoldersByName(value).hasNext()) {
+          errors.push(key + ': no Drive folder named "' + value + '"');
+        }
+        break;
+      case 'folderId':
+        try {
+          Services.drive.getFolderById(value).getName();
+        } catch (error) {
+          errors.push(key + ': no Drive folder with ID "' + value + '"');
+        }
+        break;
+      case 'sheetName':
+        if (!Services.spreadsheet.getActiveSpreadsheet().getSheetByName(value)) {
+          errors.push(key + ': no sheet named "' + value + '"');
+        }
+        break;
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Checks the folders and sheets of each company (settings such as MAIN_FOLDER are per company)
+ * @param {Array<string>} keys - Settings to check
+ * @param {Array<string>} companyIds - Companies to check (all when empty)
+ * @returns {Array<string>} Problems found, prefixed with the company when there are several
+ */
+function validateCompanyResources(keys, companyIds) {
+  const prefix = company => isMultiCompany() ? company.name + ' - ' : '';
+  
+  return forEachCompany(company => validateConfigResources(keys).map(error => prefix(company) + error), companyIds)
+    .reduce((all, errors) => all.concat(errors), []);
+}
+
+/* ==================== CONFIGURATION VIEW ==================== */
+
+/**
+ * Lists the effective value of every setting and where it came from
+ * @returns {Array<Object>} [{key, value, source, description}]
+ */
+function getEffectiveConfig() {
+  const state = loadConfig();
+  
+  return Object.keys(CONFIG_SCHEMA).map(key => ({
+    key,
+    value: formatConfigValue(CONFIG[key]),
+    source: state.sources[key],
+    description: CONFIG_SCHEMA[key].description
+  }));
+}
+
+/**
+ * Formats a setting for display
+ * @param {*} value - Setting value
+ * @returns {string} Display text
+ */
+function formatConfigValue(value) {
+  if (value instanceof RegExp) return String(value);
+  if (Array.isArray(value)) return value.some(item => item && typeof item === 'object') ? JSON.stringify(value, formatConfigPattern) : value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * JSON replacer that shows patterns inside lists (e.g. RegExp literals in intake rules) as /source/flags
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value to serialize
+ */
+function formatConfigPattern(key, value) {
+  return value instanceof RegExp ? String(value) : value;
+}
+
+/**
+ * Shows the effective configuration, where each value came from and any problems
+ */
+function showEffectiveConfig() {
+  const ui = Services.spreadsheet.getUi();
+  const state = loadConfig(true);
+  const problems = state.errors.concat(state.errors.length > 0 ? [] : validateCompanyResources(['SHEET_NAME', 'MAIN_FOLDER', 'DESTINATION_FOLDER_ID']));
+  
+  let message = '=== EFFECTIVE CONFIGURATION ===\n';
+  getEffectiveConfig().forEach(setting => {
+    const value = setting.value.length > 60 ? setting.value.substring(0, 57) + '...' : setting.value;
+    message += setting.key + ': ' + value + '  [' + setting.source + ']\n';
+  });
+  
+  if (isMultiCompany()) {
+    message += '\nCOMPANIES:\n';
+    getCompanies().forEach(company => {
+      message += '• ' + company.name + ' (' + company.id + '): folder ' + company.mainFolder + ', sheet ' + company.sheetName +
+                 ', templates ' + (company.templates ? company.templates.join(', ') : 'all') + '\n';
+    });
+  }
+  
+  if (problems.length > 0) {
+    message += '\n❌ ERRORS:\n' + problems.map(p => '• ' + p).join('\n') + '\n';
+  }
+  if (state.warnings.length > 0) {
+    message += '\n⚠️ WARNINGS:\n' + state.warnings.map(w => '• ' + w).join('\n') + '\n';
+  }
+  
+  message += '\nOverride values in the "' + CONFIG_SHEET_NAME + '" sheet (Key | Value) or in Script Properties as ' +
+             CONFIG_PROPERTY_PREFIX + 'KEY (Script Properties win).';
+  
+  ui.alert('Configuration', message, ui.ButtonSet.OK);
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONFIG_SCHEMA,
+    loadConfig,
+    requireValidConfig,
+    parseConfigValue,
+    validateConfigResources,
+    getEffectiveConfig,
+    showEffectiveConfig
+  };
+}
@@ -1,33 +1,108 @@
 /**
  * CashFlow Automator - Core Processing Engine
- * Main system for PDF processing, data extraction, and batch management
+ * Main system for closure file processing, data extraction, and batch management
  * @version 2.1.0
  */
 
 /* ==================== SYSTEM CONFIGURATION ==================== */
 const CONFIG = {
   SHEET_NAME: 'Financial_Reports_2025',
+  CASHIER_REPORT_SHEET_NAME: 'Cashier_Over_Short',
   MAIN_FOLDER: 'PDF_PROCESSING_MAIN',
   BATCH_SIZE: 18,
+  MIN_BATCH_SIZE: 1,
+  MAX_BATCH_SIZE: 60,
   DELAY_SECONDS: 30,
   MAX_RETRIES: 3,
+  RETRY_BACKOFF_MINUTES: 5,
   DESTINATION_FOLDER_ID: "your_drive_folder_id_here",
   INDEX_FILE_NAME: "processing_index.doc",
+  EMAIL_INDEX_SHEET_NAME: '_Email_Index',
+  REVIEW_SHEET_NAME: 'Review_Queue',
+  LEDGER_SHEET_NAME: '_File_Ledger',
+  RUN_HISTORY_SHEET_NAME: 'Run_History',
+  RUN_FILES_SHEET_NAME: 'Run_Files',
+  DRY_RUN_SHEET_NAME: 'Dry_Run_Report',
+  QUARANTINE_FOLDER: '_Quarantine',
   EMAIL_BATCH_SIZE: 8,
-  SHIFT_CUTOFF_HOUR: 16,
-  EMAIL_SUBJECT_REGEX: /business\s+(.*?)\s+-\s+Daily Closure Report\s+-\s+(\d{2}\/\d{2}\/\d{4})\s+-\s+(\d{2}:\d{2}:\d{2})/,
-  MAX_EXECUTION_TIME: 5 * 60 * 1000
+  EMAIL_SEARCH_PAGE_SIZE: 50,
+  SHIFT_CALENDARS: {
+    default: {
+      rolloverHour: 0,
+      shifts: [
+        { name: 'Morning', code: 'MORNING', start: '00:00', end: '16:00' },
+        { name: 'Evening', code: 'EVENING', start: '16:00', end: '24:00' }
+      ]
+    }
+  },
+  DEFAULT_LOCALE: 'es-AR',
+  REVIEW_RULES: {
+    REQUIRED_FIELDS: ['closureDate', 'branch', 'closingCash', 'totalSales'],
+    PRIMARY_RULE_FIELDS: ['totalSales', 'closingCash'],
+    MIN_CONFIDENCE: 'medium'
+  },
+  BRANCH_LOCALES: {},
+  TEXT_EXTRACTION_BACKENDS: ['js-pdf', 'docs-conversion'],
+  // Closure attachment types ingested from email and processed from the root folder (see attachment-handlers.js)
+  ATTACHMENT_TYPES: ['pdf', 'zip', 'csv', 'xlsx'],
+  // Which emails are ingested, evaluated in order; mail from senders no rule lists is never ingested (see intake-rules.js)
+  EMAIL_INTAKE_RULES: [
+    {
+      id: 'daily-closure',
+      senders: ['pos@example.com'],
+      subjectPattern: /business\s+(?<branch>.*?)\s+-\s+Daily Closure Report\s+-\s+(?<date>\d{2}\/\d{2}\/\d{4})\s+-\s+(?<time>\d{2}:\d{2}:\d{2})/,
+      query: 'subject:"Daily Closure Report"'
+    }
+  ],
+  // Gmail labels for each thread outcome (empty to not label it); processed threads are left out of later searches
+  EMAIL_LABELS: {
+    processed: 'Closures/Processed',
+    failed: 'Closures/Failed',
+    noPdf: 'Closures/NoPDF'
+  },
+  EMAIL_SKIP_LABELED: true,
+  EMAIL_ARCHIVE_PROCESSED: false,
+  MAX_EXECUTION_TIME: 5 * 60 * 1000,
+  FINALIZE_RESERVE_TIME: 60 * 1000,
+  // How long a job waits for a busy lock, and how long a lock lives if its job dies (longer than any execution)
+  LOCK_WAIT_TIME: 10 * 1000,
+  LOCK_LEASE_TIME: 7 * 60 * 1000,
+  // Logging: default level, levels per module (e.g. {email: 'debug'}), sinks in use and the Logs sheet size
+  LOG_LEVEL: 'info',
+  LOG_MODULE_LEVELS: {},
+  LOG_SINKS: ['logger', 'sheet'],
+  LOG_SHEET_NAME: 'Logs',
+  LOG_SHEET_MAX_ROWS: 5000,
+  // Companies by id; empty for a single company using the values above (see companies.js)
+  COMPANIES: {}
 };
 
 /* ==================== MAIN PROCESSING FUNCTIONS ==================== */
 
 /**
  * Starts the automated processing system
- * Initializes properties and begins batch processing
+ * Initializes properties, opens a journal run and begins batch processing
+ * @param {string} source - What started processing (recorded in the run journal)
+ * @param {Object} options - {dryRun: preview the next batch in the dry-run report instead of processing}
  */
-function startProcessing() {
+function startProcessing(source = 'menu', options = {}) {
+  if (options.dryRun) {
+    previewNextBatch();
+    return;
+  }
+  
+  requireValidConfig(['MAIN_FOLDER', 'SHEET_NAME']);
+  
+  // Restarting would reset the progress of a batch that is running right now
+  const holder = findLockHolder(getLockNames([LOCK_RESOURCES.ROOT_QUEUE, LOCK_RESOURCES.SHEET]));
+  if (holder) {
+    reportLockBusy(holder, source);
+    return;
+  }
+  
   clearTriggers();
-  const props = PropertiesService.getScriptProperties();
+  endBatchRun('RESTARTED');
+  const props = Services.properties.getScriptProperties();
   props.setProperties({
     'processing_active': 'true',
     'current_batch': '1',
@@ -36,11 +111,12 @@ function startProcessing() {
     'start_time': new Date().toISOString()
   });
   
-  const now = new Date().toLocaleString('es-AR');
-  Logger.log('=== PROCESSING STARTED ===');
-  Logger.log('Date/Time: ' + now);
-  Logger.log('Folder: ' + CONFIG.MAIN_FOLDER);
-  Logger.log('Batch size: ' + CONFIG.BATCH_SIZE + ' files, ' + CONFIG.DELAY_SECONDS + 's delay');
+  beginBatchRun(source);
+  Log.info('batch', 'Processing started', {
+    folder: CONFIG.MAIN_FOLDER,
+    batchSize: getBatchPlan(Date.now()).batchSize,
+    budgetSeconds: Math.round(CONFIG.MAX_EXECUTION_TIME / 1000)
+  });
   
   processNextBatch();
 }
@@ -48,47 +124,84 @@ function startProcessing() {
 /**
  * Processes the next batch of files
  * Handles batch management and progress tracking
+ * Each run works within a time budget (CONFIG.MAX_EXECUTION_TIME) and sizes its batch
+ * from the measured time per file
+ * @param {Object} e - Trigger event (set when invoked by a time-based trigger)
  */
-function processNextBatch() {
-  const props = PropertiesService.getScriptProperties();
+function processNextBatch(e) {
+  const runStart = Date.now();
+  const props = Services.properties.getScriptProperties();
   
   if (props.getProperty('processing_active') !== 'true') {
-    Logger.log('Processing paused');
+    Log.info('batch', 'Processing paused');
     return;
   }
   
+  requireValidConfig(['MAIN_FOLDER', 'SHEET_NAME']);
   const currentBatch = parseInt(props.getProperty('current_batch') || '1');
   const totalProcessed = parseInt(props.getProperty('files_processed') || '0');
+  const runId = getCurrentBatchRun(e);
   
-  Logger.log('=== BATCH ' + currentBatch + ' ===');
-  Logger.log('Total processed: ' + totalProcessed + ' files');
+  Log.info('batch', 'Batch ' + currentBatch + ' started', { step: 'batch ' + currentBatch, totalProcessed });
   
+  // The root queues, the ledger and the sheets stay ours until the batch is saved; wait for a busy job by trying later
+  let locks;
   try {
-    // Get pending files
-    const rootFolder = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER).next();
-    const pdfs = rootFolder.getFilesByType(MimeType.PDF);
-    const pendingFiles = [];
+    locks = acquireLocks(getLockNames([LOCK_RESOURCES.ROOT_QUEUE, LOCK_RESOURCES.SHEET]), 'batch run ' + runId, CONFIG.LOCK_WAIT_TIME);
+  } catch (error) {
+    if (!error.lock) throw error;
+    Log.warn('batch', 'Batch ' + currentBatch + ' postponed, ' + describeLockHolder(error.lock), { step: 'batch ' + currentBatch });
+    scheduleNextBatch();
+    flushLogs();
+    return;
+  }
+  
+  try {
+    // Pick the batch of the first company with processable files, leaving out files the ledger says are finished or exhausted
+    const plan = getBatchPlan(runStart);
+    const ledger = loadFileLedger();
+    const queue = selectNextBatch(ledger, plan.batchSize);
     
-    while (pdfs.hasNext()) {
-      pendingFiles.push(pdfs.next());
+    if (queue.pendingFiles.length === 0) {
+      Log.info('batch', 'Processing completed, no more files to process');
+      finishProcessing('COMPLETED');
+      return;
     }
     
-    Logger.log('Pending files in root folder: ' + pendingFiles.length);
-    
-    if (pendingFiles.length === 0) {
-      Logger.log('=== PROCESSING COMPLETED ===');
-      Logger.log('No more files to process');
-      finishProcessing('COMPLETED');
+    if (!queue.company) {
+      saveFileLedger(ledger);
+      scheduleRetryOrFinish(ledger, queue.pendingFiles);
       return;
     }
     
-    // Process current batch
-    const batchFiles = pendingFiles.slice(0, CONFIG.BATCH_SIZE);
-    Logger.log('Processing ' + batchFiles.length + ' files in this batch...');
+    const selection = queue.selection;
+    const batchFiles = selection.batch;
+    Log.info('batch', 'Processing ' + batchFiles.length + ' files in this batch' + (isMultiCompany() ? ' for ' + queue.company.name : ''), {
+      step: 'batch ' + currentBatch,
+      secondsPerFile: Math.round(plan.fileMs / 1000)
+    });
     
-    const results = processFiles(batchFiles);
+    const processingStart = Date.now();
+    const results = withCompany(queue.company, () => {
+      const companyResults = processFiles(batchFiles, { deadline: plan.deadline, expectedFileMs: plan.fileMs, runId });
+      
+      // Retry transient failures later, quarantine permanent ones; files cut by the budget stay pending
+      batchFiles.forEach(file => {
+        const result = companyResults.find(r => r.fileId === file.getId());
+        if (!result) return;
+        const error = result.error;
+        if (recordFileResult(ledger, file, error) === 'quarantine') {
+          quarantineFile(file, error);
+          appendReviewItem({ category: 'Quarantined', file: file.getName(), fileId: file.getId(), reason: error });
+        }
+      });
+      return companyResults;
+    });
     const successful = results.filter(r => !r.error).length;
     const failed = results.length - successful;
+    const deferred = batchFiles.filter(file => !results.some(r => r.fileId === file.getId()));
+    recordBatchTiming(results.length, Date.now() - processingStart);
+    saveFileLedger(ledger);
     
     // Update progress
     props.setProperties({
@@ -97,74 +210,203 @@ function processNextBatch() {
       'failed_attempts': '0'
     });
     
-    Logger.log('=== BATCH ' + currentBatch + ' RESULTS ===');
-    Logger.log('Successful: ' + successful);
-    Logger.log('Failed: ' + failed);
-    Logger.log('Total accumulated: ' + (totalProcessed + successful));
-    Logger.log('Remaining: ' + (pendingFiles.length - batchFiles.length));
+    Log.info('batch', 'Batch ' + currentBatch + ' finished: ' + successful + ' successful, ' + failed + ' failed', {
+      step: 'batch ' + currentBatch,
+      totalProcessed: totalProcessed + successful,
+      remaining: selection.remaining + deferred.length,
+      otherCompanies: queue.laterPending || undefined,
+      seconds: Math.round((Date.now() - runStart) / 1000),
+      nextBatchSize: props.getProperty('adaptive_batch_size')
+    });
     
-    // Continue if there are more files
-    if (pendingFiles.length > batchFiles.length) {
-      Logger.log('Next batch in ' + CONFIG.DELAY_SECONDS + ' seconds...');
-      scheduleNextBatch();
+    // Continue right away while there are files left (this company's or the next ones'), then wait for retries that are still due
+    if (selection.remaining > 0 || deferred.length > 0 || queue.laterPending > 0) {
+      scheduleNextBatch(0);
     } else {
-      Logger.log('All batches completed');
-      finishProcessing('COMPLETED');
+      scheduleRetryOrFinish(ledger, queue.pendingFiles);
     }
   } catch (error) {
-    Logger.log('Batch ' + currentBatch + ' error: ' + error.message);
+    Log.error('batch', 'Batch ' + currentBatch + ' error: ' + error.message, { step: 'batch ' + currentBatch });
     handleError();
+  } finally {
+    releaseLocks(locks);
+    flushLogs();
   }
 }
 
 /**
- * Processes individual PDF files and extracts financial data
- * @param {Array} files - Array of PDF files to process
+ * Dry run of the next batch: extracts the files batch processing would pick and reports
+ * the sheet updates, file moves and quarantines it would make, without making them
+ * Nothing is written except the dry-run report (no ledger, journal, triggers or properties)
+ * @returns {Array} Processing results of the previewed files
+ */
+function previewNextBatch() {
+  requireValidConfig(['MAIN_FOLDER', 'SHEET_NAME']);
+  const runStart = Date.now();
+  const plan = createDryRunPlan('Batch processing');
+  
+  Log.info('batch', 'Dry run of the next batch', { dryRun: true });
+  
+  // The ledger is only read; the selection and results below change the in-memory copy
+  const budget = getBatchPlan(runStart);
+  const ledger = loadFileLedger(true);
+  const queue = selectNextBatch(ledger, budget.batchSize);
+  
+  Log.info('batch', 'Next batch would take ' + (queue.company ? queue.selection.batch.length : 0) + ' files' +
+           (queue.company && isMultiCompany() ? ' for ' + queue.company.name : ''), { pending: queue.pendingFiles.length, dryRun: true });
+  
+  if (!queue.company) {
+    writeDryRunReport(plan);
+    flushLogs();
+    return [];
+  }
+  
+  const results = withCompany(queue.company, () => {
+    const batch = queue.selection.batch;
+    const companyResults = processFiles(batch, { deadline: budget.deadline, expectedFileMs: budget.fileMs, dryRun: true, plan });
+    
+    companyResults.filter(r => r.error).forEach(result => {
+      const file = batch.find(f => f.getId() === result.fileId);
+      if (recordFileResult(ledger, file, result.error) === 'quarantine') {
+        addPlannedAction(plan, {
+          action: 'Move file',
+          target: result.file,
+          sourceFolder: CONFIG.MAIN_FOLDER,
+          targetFolder: CONFIG.QUARANTINE_FOLDER,
+          detail: 'Quarantine: ' + result.error
+        });
+      }
+    });
+    return companyResults;
+  });
+  
+  writeDryRunReport(plan);
+  flushLogs();
+  return results;
+}
+
+/**
+ * Picks the next batch: companies are served in order, so the first company with processable
+ * files in its root folder gets the batch and the others wait for the following runs
+ * @param {Object} ledger - Loaded ledger (updated in place)
+ * @param {number} limit - Maximum batch size
+ * @returns {Object} {company: company of the batch or null, selection (see selectBatchFiles),
+ *                    pendingFiles: root PDFs of every company, laterPending: root PDFs of the companies after it}
+ */
+function selectNextBatch(ledger, limit) {
+  const queue = { company: null, selection: null, pendingFiles: [], laterPending: 0 };
+  
+  getCompanies().forEach(company => {
+    withCompany(company, () => {
+      const rootFolder = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next();
+      const files = getClosureFiles(rootFolder);
+      
+      queue.pendingFiles.push(...files);
+      if (queue.company) {
+        queue.laterPending += files.length;
+        return;
+      }
+      
+      Log.info('batch', 'Pending files in root folder: ' + files.length);
+      if (files.length === 0) return;
+      
+      const selection = selectBatchFiles(files, ledger, limit);
+      if (selection.excluded > 0 || selection.duplicates > 0 || selection.waiting > 0) {
+        Log.info('batch', 'Files left out by the ledger', {
+          excluded: selection.excluded,
+          duplicates: selection.duplicates,
+          waiting: selection.waiting
+        });
+      }
+      if (selection.batch.length > 0) {
+        queue.company = company;
+        queue.selection = selection;
+      }
+    });
+  });
+  
+  return queue;
+}
+
+/**
+ * Processes individual closure files (PDF reports and structured exports) and extracts financial data
+ * When a deadline is given, stops before the file that would not finish in time;
+ * files left unprocessed get no result row.
+ * With options.dryRun, sheet updates, review items, file moves and Docs conversions are added to
+ * options.plan (or to a new plan written to the dry-run report at the end) instead of being made.
+ * @param {Array} files - Array of closure files to process
+ * @param {Object} options - {deadline: epoch ms, expectedFileMs: time per file until measured,
+ *                           runId: journal run that receives counts and per-file outcomes,
+ *                           dryRun: boolean, plan: dry-run plan to add planned actions to}
  * @returns {Array} Processing results with extracted data or errors
  */
-function processFiles(files) {
+function processFiles(files, options = {}) {
+  const plan = options.dryRun ? (options.plan || createDryRunPlan('Process files')) : null;
   const rows = [];
   const filesByDate = new Map();
   const foundDates = new Set();
+  const startTime = Date.now();
+  const reconciliation = createReconciliation();
+  let stopped = false;
   
-  Logger.log('Processing ' + files.length + ' files...');
+  Log.debug('batch', 'Processing ' + files.length + ' files', { step: 'extract' });
   
   files.forEach((pdf, index) => {
-    let tempDocId = null;
+    if (stopped) return;
     
-    try {
-      // Progress logging
-      if (index % 5 === 0 || index === files.length - 1) {
-        Logger.log('Progress: ' + (index + 1) + '/' + files.length + ' - ' + pdf.getName());
+    // The first file always runs so an overestimated file time cannot stall the queue
+    if (options.deadline && index > 0) {
+      const fileMs = rows.length > 0 ? (Date.now() - startTime) / rows.length : (options.expectedFileMs || 0);
+      if (Date.now() + fileMs > options.deadline) {
+        Log.warn('batch', 'Time budget reached after ' + rows.length + '/' + files.length + ' files, stopping', { step: 'extract' });
+        stopped = true;
+        return;
       }
+    }
+    
+    try {
+      Log.debug('batch', 'Extracting ' + (index + 1) + '/' + files.length, { file: pdf.getName(), step: 'extract' });
       
-      // Convert PDF to text
-      const docMetadata = Drive.Files.copy(
-        { title: pdf.getName() + ' (temp)', mimeType: MimeType.GOOGLE_DOCS },
-        pdf.getId()
-      );
-      tempDocId = docMetadata.id;
-      Utilities.sleep(2000);
-      
-      const exportUrl = 'https://docs.google.com/document/d/' + tempDocId + '/export?format=txt';
-      const response = UrlFetchApp.fetch(exportUrl, {
-        headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() }
-      });
-      
-      if (response.getResponseCode() !== 200) throw new Error('HTTP ' + response.getResponseCode());
-      
-      const textContent = response.getContentText();
-      if (!textContent.trim()) throw new Error('PDF without extractable text');
-      
-      // Extract data
-      const extractedData = extractPDFData(textContent, pdf.getName());
+      // PDFs go through text extraction and the report templates, structured exports are read directly
+      const extractedData = extractClosureData(pdf, { plan });
+      extractedData.fileId = pdf.getId();
+      if (extractedData.error) throw new Error(extractedData.error);
       
       if (extractedData.closureDate) {
+        // An approved review item lets the file through; otherwise it stays out of the sheet
+        const held = decideReviewHold(pdf, HELD_REVIEW_CATEGORY, assessExtraction(extractedData).reasons, reconciliation.decisions);
+        const mismatch = reconcileClosure(pdf, extractedData, reconciliation);
+        extractedData.needsReview = held.hold || mismatch.hold;
+        extractedData.reviewReasons = held.reasons.concat(mismatch.reasons);
+        if (held.hold) {
+          Log.warn('batch', 'Needs review: ' + held.reasons.join('; '), {
+            file: pdf.getName(),
+            branch: extractedData.branch,
+            date: extractedData.businessDate,
+            step: 'review'
+          });
+        }
+        
+        // The subject of the email the file came from disagrees with its content
+        if (mismatch.hold) {
+          Log.warn('batch', 'Subject mismatch: ' + mismatch.reasons.join('; '), { file: pdf.getName(), branch: extractedData.branch, step: 'review' });
+        }
+        
+        [[HELD_REVIEW_CATEGORY, held], [MISMATCH_REVIEW_CATEGORY, mismatch]].forEach(([category, decision]) => {
+          if (!decision.newItem) return;
+          const reviewItem = { category, file: pdf.getName(), fileId: pdf.getId(), reason: decision.reasons.join('; ') };
+          if (plan) {
+            addPlannedAction(plan, { action: 'Add review item', target: CONFIG.REVIEW_SHEET_NAME, newValue: reviewItem.file, detail: reviewItem.reason });
+          } else {
+            appendReviewItem(reviewItem);
+          }
+        });
+        
         rows.push(extractedData);
-        foundDates.add(extractedData.closureDate);
+        foundDates.add(extractedData.businessDate);
         
-        // Group by date
-        const normalizedDate = normalizeDate(extractedData.closureDate);
+        // Group by business date (overnight shifts roll back to the day they started)
+        const normalizedDate = normalizeDate(extractedData.businessDate);
         if (normalizedDate) {
           if (!filesByDate.has(normalizedDate)) {
             filesByDate.set(normalizedDate, []);
@@ -172,40 +414,52 @@ function processFiles(files) {
           filesByDate.get(normalizedDate).push(pdf);
         }
         
-        // Log important data
-        if (index < 3 || index === files.length - 1) {
-          Logger.log('Processed: ' + pdf.getName() + ' → ' + extractedData.closureDate + ' (' + extractedData.branch + ') ' + extractedData.shift);
-        }
+        Log.debug('batch', 'Processed ' + extractedData.shift + ' [' + extractedData.template + ', ' + (extractedData.backend || extractedData.sourceType) + ']', {
+          file: pdf.getName(),
+          branch: extractedData.branch,
+          date: extractedData.businessDate,
+          step: 'extract'
+        });
       } else {
         throw new Error('Could not extract date');
       }
     } catch (error) {
-      Logger.log('Failed: ' + pdf.getName() + ' → Error: ' + error.message);
-      rows.push({ file: pdf.getName(), error: error.message });
-    } finally {
-      if (tempDocId) {
-        try {
-          DriveApp.getFileById(tempDocId).setTrashed(true);
-        } catch (_) {}
-      }
+      Log.error('batch', 'Failed: ' + error.message, { file: pdf.getName(), step: 'extract' });
+      rows.push({ file: pdf.getName(), fileId: pdf.getId(), error: error.message });
     }
   });
   
   // Show processed dates summary
   if (foundDates.size > 0) {
     const datesArray = Array.from(foundDates).sort();
-    Logger.log('Dates processed in this batch: ' + datesArray.join(', '));
+    Log.info('batch', 'Dates processed in this batch: ' + datesArray.join(', '));
   }
   
-  // Update sheet and organize files
+  // Update sheet (only rows that passed the review rules) and organize files
   const successfulRows = rows.filter(r => !r.error);
+  const autoWriteRows = successfulRows.filter(r => !r.needsReview);
+  let rowsUpdated = 0;
+  let filesMoved = 0;
   if (successfulRows.length > 0) {
-    Logger.log('Updating ' + successfulRows.length + ' rows in spreadsheet...');
-    updateSpreadsheet(successfulRows);
+    if (autoWriteRows.length > 0) {
+      Log.info('batch', 'Updating ' + autoWriteRows.length + ' rows in spreadsheet', { step: 'sheet' });
+      rowsUpdated = updateSpreadsheet(autoWriteRows, plan);
+    }
+    if (autoWriteRows.length < successfulRows.length) {
+      Log.info('batch', 'Held for review (not written): ' + (successfulRows.length - autoWriteRows.length) + ' files, see ' + CONFIG.REVIEW_SHEET_NAME, { step: 'review' });
+    }
     
-    Logger.log('Organizing files into ' + filesByDate.size + ' date folders...');
-    const rootFolder = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER).next();
-    organizeFiles(rootFolder, filesByDate);
+    Log.info('batch', 'Organizing files into ' + filesByDate.size + ' date folders', { step: 'organize' });
+    const rootFolder = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next();
+    filesMoved = organizeFiles(rootFolder, filesByDate, plan);
+  }
+  
+  if (options.runId) {
+    recordRunBatch(options.runId, rows, { rowsUpdated, filesMoved });
+  }
+  
+  if (plan && !options.plan) {
+    writeDryRunReport(plan);
   }
   
   return rows;
@@ -213,68 +467,258 @@ function processFiles(files) {
 
 /* ==================== DATA EXTRACTION FUNCTIONS ==================== */
 
+// Monetary fields produced by extractPDFData
+const AMOUNT_FIELDS = ['openingCash', 'totalSales', 'cashSales', 'cardSales', 'digitalPayments', 'closingCash', 'cashWithdrawal'];
+
+/**
+ * How a negative value is treated for each monetary field:
+ *  - allow: legitimate (returns, voids, negative adjustments)
+ *  - reject: data error, the value is never written
+ *  - normalize: sign convention of the POS, the magnitude is stored
+ */
+const AMOUNT_SIGN_POLICIES = {
+  openingCash: 'reject',
+  totalSales: 'allow',
+  cashSales: 'allow',
+  cardSales: 'allow',
+  digitalPayments: 'allow',
+  closingCash: 'reject',
+  cashWithdrawal: 'normalize'
+};
+
+// Confidence levels, lowest to highest
+const CONFIDENCE_LEVELS = ['none', 'low', 'medium', 'high'];
+
 /**
  * Extracts financial data from PDF text content
+ * Picks the matching report template (among the active company's templates) and records
+ * which one was used, plus per-field provenance (source line, matched text, rule) and confidence
  * @param {string} text - Text content extracted from PDF
  * @param {string} filename - Original filename for reference
+ * @param {string} templateId - Optional template to force instead of detecting
  * @returns {Object} Structured financial data
  */
-function extractPDFData(text, filename) {
-  const companyLine = text.split('\n')
-    .find(line => line.toLowerCase().includes('company name:') && line.toLowerCase().includes('sample business')) || '';
+function extractPDFData(text, filename, templateId) {
+  const company = getActiveCompany();
+  const template = templateId ? getReportTemplate(templateId) : detectReportTemplate(text, company ? company.templates : null);
+  
+  if (!template) {
+    const scope = company && company.templates ? ' for ' + company.name : '';
+    return { file: filename, template: '', error: 'No report template matched' + scope };
+  }
   
-  const branch = (companyLine.match(/SAMPLE BUSINESS\s*[-\s]*(.+)/i) || [])[1]?.trim() || '';
+  const lines = text.split('\n');
+  const branchIndex = lines.findIndex(line => template.branchPattern.test(line));
+  const branchLine = branchIndex === -1 ? '' : lines[branchIndex];
+  const branch = (branchLine.match(template.branchPattern) || [])[1]?.trim() || '';
   
-  const dateMatch = text.match(/Closure date:\s*(\d{2}\/\d{2}\/\d{4})\s+(\d{2}:\d{2}:\d{2})/);
+  const dateMatch = text.match(template.closurePattern);
   const closureDate = dateMatch ? dateMatch[1] : '';
   const closureTime = dateMatch ? dateMatch[2] : '';
-  const shift = closureTime && parseInt(closureTime.split(':')[0], 10) < 16 ? 'Morning' : 'Evening';
+  const shiftInfo = resolveShift(branch, closureDate, closureTime);
+  const register = extractLineValue(lines, template.registerPattern);
+  const cashier = extractLineValue(lines, template.cashierPattern);
   
-  return {
+  const data = {
     file: filename,
+    company: company ? company.id : '',
+    template: template.id,
+    locale: resolveAmountLocale(template.locale, branch),
     closureDate,
     closureTime,
-    shift,
+    businessDate: shiftInfo ? shiftInfo.businessDate : closureDate,
+    shift: shiftInfo ? shiftInfo.name : '',
     branch,
-    openingCash: extractAmount(text, /Opening cash:/i),
-    totalSales: extractAmount(text, /Total sales:/i),
-    cashSales: extractAmount(text, /(?:^|\n)\s*Cash:/i),
-    cardSales: extractAmount(text, /Cards:/i),
-    digitalPayments: extractAmount(text, /Digital:/i),
-    closingCash: extractAmount(text, /Closing cash:/i),
-    cashWithdrawal: extractCashWithdrawal(text)
+    registerId: register.value,
+    cashier: cashier.value,
+    unparseableAmounts: [],
+    provenance: {
+      branch: createProvenance(template.id + '/branch', branchIndex === -1 ? null : branchIndex + 1, branchLine.trim(), false, branch ? 'high' : 'none'),
+      closureDate: createProvenance(template.id + '/closure', dateMatch ? lineNumberAt(text, dateMatch.index) : null, dateMatch ? dateMatch[0] : '', false, closureDate ? 'high' : 'none'),
+      registerId: createProvenance(register.value ? template.id + '/register' : '', register.line, register.text, false, register.value ? 'high' : 'none'),
+      cashier: createProvenance(cashier.value ? template.id + '/cashier' : '', cashier.line, cashier.text, false, cashier.value ? 'high' : 'none')
+    }
   };
+  
+  Object.keys(template.fields).forEach(field => {
+    const extracted = extractFieldAmount(text, template.fields[field], template.id + '/' + field);
+    data[field] = extracted.raw;
+    data.provenance[field] = extracted.provenance;
+  });
+  
+  const withdrawal = template.withdrawalPattern ? findCashWithdrawal(text, template.withdrawalPattern) : null;
+  data.cashWithdrawal = withdrawal ? withdrawal.raw : '';
+  data.provenance.cashWithdrawal = withdrawal
+    ? createProvenance(template.id + '/cashWithdrawal#0', withdrawal.line, withdrawal.text, false, 'high')
+    : createProvenance('', null, '', false, 'none');
+  
+  flagUnusableAmounts(data);
+  return data;
+}
+
+/**
+ * Reports amounts that were found but do not fit the locale (or their sign policy) instead of guessing:
+ * their confidence drops to low and they are listed in data.unparseableAmounts
+ * @param {Object} data - Extracted financial data with provenance, updated in place
+ */
+function flagUnusableAmounts(data) {
+  AMOUNT_FIELDS.forEach(field => {
+    const provenance = data.provenance[field] || createProvenance('', null, '', false, 'none');
+    data.provenance[field] = provenance;
+    if (!data[field]) return;
+    
+    const amount = resolveFieldAmount(data, field);
+    if (amount.error) {
+      provenance.confidence = 'low';
+      data.unparseableAmounts.push(field);
+      Log.warn('extraction', 'Unusable amount in ' + field + ': "' + data[field] + '" (' + amount.error + ', ' + data.locale + ')', {
+        file: data.file,
+        branch: data.branch,
+        step: 'amounts'
+      });
+    }
+  });
+}
+
+/**
+ * Extracts a text value (first capture group) from the first line matching a pattern
+ * @param {Array<string>} lines - Report text lines
+ * @param {RegExp} pattern - Line pattern, optional
+ * @returns {Object} {value, line, text} with empty value when absent
+ */
+function extractLineValue(lines, pattern) {
+  const index = pattern ? lines.findIndex(line => pattern.test(line)) : -1;
+  if (index === -1) return { value: '', line: null, text: '' };
+  
+  const value = (lines[index].match(pattern)[1] || '').trim();
+  return { value, line: index + 1, text: lines[index].trim() };
 }
 
 /**
- * Extracts monetary amounts from text using regex patterns
+ * Extracts a monetary field trying the template rules in order
+ * The first rule is the primary one; later rules are fallbacks with lower confidence
+ * @param {string} text - Text to search
+ * @param {RegExp|Array<RegExp>} rules - Label pattern(s) for the field
+ * @param {string} ruleId - Rule identifier prefix (template/field)
+ * @returns {Object} {raw: string, provenance: Object}
+ */
+function extractFieldAmount(text, rules, ruleId) {
+  const ruleList = Array.isArray(rules) ? rules : [rules];
+  
+  for (let i = 0; i < ruleList.length; i++) {
+    const match = findAmountMatch(text, ruleList[i]);
+    if (match) {
+      return {
+        raw: match.raw,
+        provenance: createProvenance(ruleId + '#' + i, lineNumberAt(text, match.index), match.text, i > 0, i > 0 ? 'medium' : 'high')
+      };
+    }
+  }
+  
+  return { raw: '', provenance: createProvenance('', null, '', false, 'none') };
+}
+
+/**
+ * Builds a provenance record for an extracted field
+ * @param {string} rule - Template rule that matched (template/field#index)
+ * @param {number|null} line - 1-based source line number
+ * @param {string} text - Raw matched text
+ * @param {boolean} fallback - Whether a fallback rule matched
+ * @param {string} confidence - Confidence level from CONFIDENCE_LEVELS
+ * @returns {Object} Provenance record
+ */
+function createProvenance(rule, line, text, fallback, confidence) {
+  return { rule, line, text, fallback, confidence };
+}
+
+/**
+ * Extracts the raw monetary amount that follows a label
  * @param {string} text - Text to search
  * @param {RegExp} labelRegex - Pattern to identify amount labels
- * @returns {string} Extracted amount or empty string
+ * @returns {string} Raw amount text or empty string
  */
 function extractAmount(text, labelRegex) {
-  const pattern = new RegExp(labelRegex.source + '\\s*\\$?\\s*([0-9]{1,3}(?:\\.[0-9]{3})*,[0-9]{2})', 'i');
-  const match = text.match(pattern);
-  return match ? match[1] : '';
+  return findAmountText(text, labelRegex);
 }
 
 /**
  * Extracts cash withdrawal amounts from closure reports
  * @param {string} text - Text to search
+ * @param {RegExp} labelRegex - Pattern identifying the withdrawal block
  * @returns {string} Extracted withdrawal amount or empty string
  */
-function extractCashWithdrawal(text) {
+function extractCashWithdrawal(text, labelRegex = /Withdrawal\s+at\s+Closure\s*-?/i) {
+  const withdrawal = findCashWithdrawal(text, labelRegex);
+  return withdrawal ? withdrawal.raw : '';
+}
+
+/**
+ * Locates the cash withdrawal amount (label line or up to two lines below)
+ * @param {string} text - Text to search
+ * @param {RegExp} labelRegex - Pattern identifying the withdrawal block
+ * @returns {Object|null} {raw, line, text} or null if not found
+ */
+function findCashWithdrawal(text, labelRegex) {
   const lines = text.split('\n');
-  const idx = lines.findIndex(line => /Withdrawal\s+at\s+Closure\s*-?/i.test(line));
+  const idx = lines.findIndex(line => labelRegex.test(line));
   
-  if (idx === -1) return '';
+  if (idx === -1) return null;
   
   for (let i = idx; i < Math.min(idx + 3, lines.length); i++) {
-    const match = lines[i].match(/-?\$?\s*([0-9]{1,3}(?:\.[0-9]{3})*,[0-9]{2})/);
-    if (match) return match[1];
+    const amount = findAmountInLine(lines[i].replace(labelRegex, ''));
+    if (amount) return { raw: amount, line: i + 1, text: lines[i].trim() };
   }
   
-  return '';
+  return null;
+}
+
+/* ==================== REVIEW DECISION ==================== */
+
+/**
+ * Decides whether extracted data can be written automatically or needs review
+ * Uses CONFIG.REVIEW_RULES:
+ *  - REQUIRED_FIELDS: fields that must be present
+ *  - PRIMARY_RULE_FIELDS: fields that must not come from a fallback rule
+ *  - MIN_CONFIDENCE: lowest confidence accepted for any field that was found
+ * @param {Object} data - Extracted financial data with provenance
+ * @returns {Object} {autoWrite: boolean, reasons: Array<string>}
+ */
+function assessExtraction(data) {
+  const rules = CONFIG.REVIEW_RULES;
+  const provenance = data.provenance || {};
+  const reasons = [];
+  
+  rules.REQUIRED_FIELDS.forEach(field => {
+    if (!provenance[field] || provenance[field].confidence === 'none') {
+      reasons.push(field + ' missing');
+    }
+  });
+  
+  rules.PRIMARY_RULE_FIELDS.forEach(field => {
+    if (provenance[field] && provenance[field].fallback) {
+      reasons.push(field + ' found by fallback rule (' + provenance[field].rule + ')');
+    }
+  });
+  
+  const minRank = CONFIDENCE_LEVELS.indexOf(rules.MIN_CONFIDENCE);
+  Object.keys(provenance).forEach(field => {
+    const confidence = provenance[field].confidence;
+    if (confidence !== 'none' && CONFIDENCE_LEVELS.indexOf(confidence) < minRank) {
+      reasons.push(field + ' has ' + confidence + ' confidence');
+    }
+  });
+  
+  return { autoWrite: reasons.length === 0, reasons };
+}
+
+/**
+ * Gets the 1-based line number of a character offset
+ * @param {string} text - Full text
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+function lineNumberAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
 }
 
 /* ==================== UTILITY FUNCTIONS ==================== */
@@ -287,8 +731,9 @@ function extractCashWithdrawal(text) {
 function normalizeDate(value) {
   if (!value) return '';
   
-  if (value instanceof Date) {
-    return Utilities.formatDate(value, SpreadsheetApp.getActive().getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+  // Dates from service fakes under Node come from another realm, where instanceof fails
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    return Services.utilities.formatDate(value, Services.spreadsheet.getActive().getSpreadsheetTimeZone(), 'yyyy-MM-dd');
   }
   
   const match = value.toString().match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
@@ -296,60 +741,122 @@ function normalizeDate(value) {
 }
 
 /**
- * Converts Argentine number format to standard numeric format
- * @param {string} str - Number string in Argentine format
- * @returns {string} Converted number or empty string
+ * Parses a monetary field of extracted data and applies its sign policy
+ * @param {Object} data - Extracted financial data
+ * @param {string} field - Field name from AMOUNT_FIELDS
+ * @returns {Object} {value: number|null, raw: string, error: string}
  */
-function convertArgentineNumber(str) {
-  if (!str) return '';
-  
-  let cleaned = str.replace(/[^0-9.,-]/g, '');
+function resolveFieldAmount(data, field) {
+  const parsed = parseAmount(data[field], data.locale);
+  if (parsed.error || parsed.value >= 0) return parsed;
   
-  if (cleaned.includes('.') && cleaned.includes(',')) {
-    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
-  } else if (cleaned.includes(',')) {
-    cleaned = cleaned.replace(',', '.');
-  } else if ((cleaned.match(/\./g) || []).length > 1) {
-    cleaned = cleaned.replace(/\./g, '');
+  const policy = AMOUNT_SIGN_POLICIES[field] || 'allow';
+  if (policy === 'reject') {
+    return { value: null, raw: parsed.raw, error: 'Negative value not allowed' };
+  }
+  if (policy === 'normalize') {
+    return { value: Math.abs(parsed.value), raw: parsed.raw, error: '' };
   }
+  return parsed;
+}
+
+/* ==================== BATCH TIME BUDGET ==================== */
+
+/**
+ * Plans a run: deadline within the execution budget and a batch size that fits it
+ * Keeps CONFIG.FINALIZE_RESERVE_TIME for the spreadsheet update and file organization
+ * @param {number} runStart - Run start (epoch ms)
+ * @returns {Object} {batchSize, deadline, fileMs}
+ */
+function getBatchPlan(runStart) {
+  const props = Services.properties.getScriptProperties();
+  const deadline = runStart + CONFIG.MAX_EXECUTION_TIME - CONFIG.FINALIZE_RESERVE_TIME;
+  const storedSize = parseInt(props.getProperty('adaptive_batch_size') || '0');
+  const fileMs = parseFloat(props.getProperty('avg_file_ms') || '0') ||
+    (CONFIG.MAX_EXECUTION_TIME - CONFIG.FINALIZE_RESERVE_TIME) / CONFIG.BATCH_SIZE;
+  
+  // Never plan more files than fit in the time left for this run
+  const fitting = Math.floor((deadline - Date.now()) / fileMs);
+  const batchSize = Math.max(CONFIG.MIN_BATCH_SIZE, Math.min(storedSize || CONFIG.BATCH_SIZE, fitting, CONFIG.MAX_BATCH_SIZE));
+  
+  return { batchSize, deadline, fileMs };
+}
+
+/**
+ * Updates the measured time per file and the batch size for the next runs
+ * Uses an exponential moving average so one slow batch doesn't swing the size too far
+ * @param {number} filesProcessed - Files processed in this run
+ * @param {number} elapsedMs - Time spent processing them
+ */
+function recordBatchTiming(filesProcessed, elapsedMs) {
+  if (filesProcessed === 0) return;
+  
+  const props = Services.properties.getScriptProperties();
+  const measured = elapsedMs / filesProcessed;
+  const previous = parseFloat(props.getProperty('avg_file_ms') || '0');
+  const average = previous ? previous * 0.7 + measured * 0.3 : measured;
   
-  const number = parseFloat(cleaned);
-  return isNaN(number) ? '' : Math.abs(number);
+  const budget = CONFIG.MAX_EXECUTION_TIME - CONFIG.FINALIZE_RESERVE_TIME;
+  const batchSize = Math.max(CONFIG.MIN_BATCH_SIZE, Math.min(Math.floor(budget / average), CONFIG.MAX_BATCH_SIZE));
+  
+  props.setProperties({
+    'avg_file_ms': Math.round(average).toString(),
+    'adaptive_batch_size': batchSize.toString()
+  });
 }
 
 /**
  * Schedules the next processing batch
+ * @param {number} delayMs - Delay in milliseconds (defaults to CONFIG.DELAY_SECONDS; 0 = as soon as possible)
  */
-function scheduleNextBatch() {
+function scheduleNextBatch(delayMs) {
+  const delay = delayMs === undefined ? CONFIG.DELAY_SECONDS * 1000 : Math.max(delayMs, 1000);
   clearTriggers();
-  ScriptApp.newTrigger('processNextBatch')
+  Services.script.newTrigger('processNextBatch')
     .timeBased()
-    .after(CONFIG.DELAY_SECONDS * 1000)
+    .after(delay)
     .create();
-  Logger.log('Next batch in ' + CONFIG.DELAY_SECONDS + 's');
+  Log.info('batch', 'Next batch in ' + Math.round(delay / 1000) + 's');
+}
+
+/**
+ * Once no file is ready, waits for the earliest pending retry or finishes processing
+ * @param {Object} ledger - Loaded file ledger
+ * @param {Array<File>} files - Files still in the root folder
+ */
+function scheduleRetryOrFinish(ledger, files) {
+  const nextRetry = getNextRetryTime(ledger, files);
+  
+  if (nextRetry) {
+    Log.info('batch', 'Waiting for retries, next due at ' + nextRetry.toLocaleString('es-AR'));
+    scheduleNextBatch(nextRetry.getTime() - Date.now());
+  } else {
+    Log.info('batch', 'Processing completed, no processable files left (remaining files are done, duplicates or quarantined)');
+    finishProcessing('COMPLETED');
+  }
 }
 
 /**
  * Clears all existing processing triggers
  */
 function clearTriggers() {
-  ScriptApp.getProjectTriggers()
+  Services.script.getProjectTriggers()
     .filter(trigger => trigger.getHandlerFunction() === 'processNextBatch')
-    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    .forEach(trigger => Services.script.deleteTrigger(trigger));
 }
 
 /**
  * Handles processing errors with retry logic
  */
 function handleError() {
-  const props = PropertiesService.getScriptProperties();
+  const props = Services.properties.getScriptProperties();
   const attempts = parseInt(props.getProperty('failed_attempts') || '0') + 1;
   
   if (attempts >= CONFIG.MAX_RETRIES) {
     finishProcessing('MULTIPLE_ERRORS');
   } else {
     props.setProperty('failed_attempts', attempts.toString());
-    Logger.log('Retry ' + attempts + '/' + CONFIG.MAX_RETRIES);
+    Log.warn('batch', 'Retry ' + attempts + '/' + CONFIG.MAX_RETRIES);
     scheduleNextBatch();
   }
 }
@@ -359,12 +866,13 @@ function handleError() {
  * @param {string} reason - Reason for finishing
  */
 function finishProcessing(reason) {
-  const props = PropertiesService.getScriptProperties();
+  const props = Services.properties.getScriptProperties();
   props.setProperty('processing_active', 'false');
   clearTriggers();
   
   const processed = props.getProperty('files_processed') || '0';
-  Logger.log('Finished: ' + reason + ' - ' + processed + ' files processed');
+  Log.info('batch', 'Finished: ' + reason + ' - ' + processed + ' files processed');
+  endBatchRun(reason);
 }
 
 // Export functions for testing and external use
@@ -372,12 +880,20 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     startProcessing,
     processNextBatch,
+    scheduleRetryOrFinish,
     processFiles,
+    previewNextBatch,
+    getBatchPlan,
+    recordBatchTiming,
     extractPDFData,
     extractAmount,
     extractCashWithdrawal,
+    extractFieldAmount,
+    assessExtraction,
+    AMOUNT_FIELDS,
+    AMOUNT_SIGN_POLICIES,
     normalizeDate,
-    convertArgentineNumber,
+    resolveFieldAmount,
     CONFIG
   };
 }
@@ -0,0 +1,98 @@
+/**
+ * CashFlow Automator - Dry Run Reports
+ * Collects the actions a run would take and writes them to a report sheet instead of applying them
+ * @version 2.1.0
+ */
+
+/* ==================== DRY RUN PLAN ==================== */
+
+const DRY_RUN_HEADERS = ['Run', 'Action', 'Target', 'Cell', 'Old Value', 'New Value', 'Source Folder', 'Target Folder', 'Detail'];
+
+/**
+ * Creates an empty dry-run plan
+ * @param {string} label - What is being previewed (shown on every report row)
+ * @returns {Object} {label, actions: []}
+ */
+function createDryRunPlan(label) {
+  return { label, actions: [] };
+}
+
+/**
+ * Adds a planned action to a dry-run plan
+ * @param {Object} plan - Dry-run plan
+ * @param {Object} action - {action, target, cell, oldValue, newValue, sourceFolder, targetFolder, detail}
+ */
+function addPlannedAction(plan, action) {
+  plan.actions.push(action);
+}
+
+/**
+ * Writes a dry-run plan to the report sheet, replacing the previous report
+ * This is the only write a dry run makes
+ * @param {Object} plan - Dry-run plan
+ * @returns {number} Number of planned actions
+ */
+function writeDryRunReport(plan) {
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(CONFIG.DRY_RUN_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.DRY_RUN_SHEET_NAME);
+  } else {
+    sheet.clear();
+  }
+  
+  sheet.getRange(1, 1, 1, DRY_RUN_HEADERS.length).setValues([DRY_RUN_HEADERS]);
+  sheet.setFrozenRows(1);
+  
+  const label = plan.label + ' (' + new Date().toLocaleString('es-AR') + ')';
+  const values = plan.actions.map(a => [
+    label,
+    a.action,
+    a.target || '',
+    a.cell || '',
+    a.oldValue === undefined ? '' : a.oldValue,
+    a.newValue === undefined ? '' : a.newValue,
+    a.sourceFolder || '',
+    a.targetFolder || '',
+    a.detail || ''
+  ]);
+  
+  if (values.length > 0) {
+    sheet.getRange(2, 1, values.length, DRY_RUN_HEADERS.length).setValues(values);
+  }
+  
+  Log.info('dry-run', 'Planned actions written to ' + CONFIG.DRY_RUN_SHEET_NAME, { actions: values.length });
+  return values.length;
+}
+
+/* ==================== UTILITIES ==================== */
+
+/**
+ * Converts a row/column pair to A1 notation
+ * @param {number} row - Row number (1-based)
+ * @param {number} column - Column number (1-based)
+ * @returns {string} Cell reference, e.g. "C12"
+ */
+function toA1Notation(row, column) {
+  let letters = '';
+  let n = column;
+  
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  
+  return letters + row;
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createDryRunPlan,
+    addPlannedAction,
+    writeDryRunReport,
+    toA1Notation
+  };
+}
@@ -0,0 +1,338 @@
+/**
+ * CashFlow Automator - Email Index
+ * Records every closure email saved from Gmail (message, parsed subject, files created) in a hidden
+ * sheet, so emails are not saved twice and any saved file can be traced back to its email
+ * @version 2.1.0
+ */
+
+/* ==================== INDEX DEFINITIONS ==================== */
+
+const EMAIL_INDEX_STATUS = {
+  PROCESSED: 'processed',
+  // Same attachments as another indexed email (a resend); recorded, nothing saved
+  DUPLICATE: 'duplicate',
+  // Released by reprocessing; processed again by the next email run
+  REPROCESS: 'reprocess',
+  // Imported from the old index file, not matched to a Gmail message yet (see migrateEmailIndex)
+  LEGACY: 'legacy'
+};
+
+const EMAIL_INDEX_HEADERS = ['Message ID', 'Company', 'Subject', 'Received', 'Branch', 'Business Date', 'Shift', 'Files', 'File IDs', 'Attachment Hash', 'Status', 'Processed At', 'Intake Rule'];
+
+// Columns kept as plain text, so Sheets doesn't turn numeric-looking IDs and hashes into numbers
+const EMAIL_INDEX_TEXT_COLUMNS = ['Message ID', 'Attachment Hash'];
+
+// Prefixes of the tokens in lines of the old index file; a line without them is a legacy ID
+const LEGACY_INDEX_PREFIXES = {
+  MESSAGE: 'msg:',
+  CONTENT: 'md5:'
+};
+
+/* ==================== INDEX STORAGE ==================== */
+
+/**
+ * Gets the hidden email index sheet, creating it on first use
+ * @returns {Sheet} Email index sheet
+ */
+function getEmailIndexSheet() {
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(CONFIG.EMAIL_INDEX_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.EMAIL_INDEX_SHEET_NAME);
+    sheet.getRange(1, 1, 1, EMAIL_INDEX_HEADERS.length).setValues([EMAIL_INDEX_HEADERS]);
+    EMAIL_INDEX_TEXT_COLUMNS.forEach(header => {
+      sheet.getRange(1, EMAIL_INDEX_HEADERS.indexOf(header) + 1, sheet.getMaxRows(), 1).setNumberFormat('@');
+    });
+    sheet.hideSheet();
+    Log.info('email', 'Created email index sheet: ' + CONFIG.EMAIL_INDEX_SHEET_NAME, { step: 'index' });
+  }
+  
+  return sheet;
+}
+
+/**
+ * Loads the active company's email index into memory
+ * A company without entries gets the entries of its old index file, if it has one.
+ * @param {boolean} readOnly - Don't create the sheet or save the imported entries (dry runs, diagnosis)
+ * @param {Object} options - {skipLegacy: don't read the old index file (its entries carry no subject fields)}
+ * @returns {Object} {sheet, entries: Map<messageId, entry>, dirty: Set<messageId>, company}
+ */
+function loadEmailIndex(readOnly = false, options = {}) {
+  const sheet = readOnly ? Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.EMAIL_INDEX_SHEET_NAME) : getEmailIndexSheet();
+  const values = sheet ? sheet.getDataRange().getValues().slice(1) : [];
+  const company = getActiveCompany() ? getActiveCompany().id : '';
+  const index = { sheet, entries: new Map(), dirty: new Set(), company };
+  
+  values.forEach((row, rowIndex) => {
+    if (!row[0] || (row[1] || DEFAULT_COMPANY_ID) !== (company || DEFAULT_COMPANY_ID)) return;
+    index.entries.set(String(row[0]), {
+      row: rowIndex + 2,
+      messageId: String(row[0]),
+      company: row[1] || '',
+      subject: row[2] || '',
+      received: normalizeDate(row[3]),
+      branch: row[4] || '',
+      businessDate: normalizeDate(row[5]),
+      shift: row[6] || '',
+      fileNames: splitIndexList(row[7]),
+      fileIds: splitIndexList(row[8]),
+      hash: row[9] || '',
+      status: row[10] || EMAIL_INDEX_STATUS.PROCESSED,
+      processedAt: row[11] || '',
+      rule: row[12] || ''
+    });
+  });
+  
+  if (index.entries.size === 0 && !options.skipLegacy) {
+    importLegacyIndexFile(index, readOnly);
+  }
+  return index;
+}
+
+/**
+ * Writes new and modified entries back to the index sheet
+ * @param {Object} index - Loaded index
+ * @param {Object} plan - Optional dry-run plan (the index update is planned, not made)
+ */
+function saveEmailIndex(index, plan) {
+  if (index.dirty.size === 0) return;
+  
+  if (plan) {
+    addPlannedAction(plan, {
+      action: 'Update sheet',
+      target: CONFIG.EMAIL_INDEX_SHEET_NAME,
+      newValue: index.dirty.size + ' emails',
+      detail: Array.from(index.dirty).join(', ')
+    });
+    index.dirty.clear();
+    return;
+  }
+  
+  const toRow = entry => [
+    entry.messageId, entry.company, entry.subject, entry.received, entry.branch, entry.businessDate, entry.shift,
+    entry.fileNames.join(', '), entry.fileIds.join(', '), entry.hash, entry.status, entry.processedAt, entry.rule
+  ];
+  
+  let nextRow = Math.max(index.sheet.getLastRow(), 1) + 1;
+  index.dirty.forEach(messageId => {
+    const entry = index.entries.get(messageId);
+    if (!entry.row) entry.row = nextRow++;
+    index.sheet.getRange(entry.row, 1, 1, EMAIL_INDEX_HEADERS.length).setValues([toRow(entry)]);
+  });
+  
+  Log.debug('email', 'Email index updated', { entries: index.dirty.size, step: 'index' });
+  index.dirty.clear();
+}
+
+/* ==================== INDEX ENTRIES ==================== */
+
+/**
+ * Records an email in the index, updating its entry if it has one
+ * @param {Object} index - Loaded index
+ * @param {Object} identity - Email identity (see getEmailIdentity)
+ * @param {Object} details - {subject, closure: parsed subject (see parseClosureSubject),
+ *   rule: id of the intake rule that ingested it, fileNames, fileIds, status (EMAIL_INDEX_STATUS.PROCESSED by default)}
+ * @returns {Object} Index entry
+ */
+function recordIndexedEmail(index, identity, details) {
+  const existing = index.entries.get(identity.id);
+  const closure = details.closure || {};
+  const entry = Object.assign(existing || { row: null, messageId: identity.id }, {
+    company: index.company,
+    subject: details.subject || '',
+    received: identity.received,
+    branch: closure.branch || '',
+    businessDate: closure.businessDate || '',
+    shift: closure.shift || '',
+    fileNames: details.fileNames || [],
+    fileIds: details.fileIds || [],
+    hash: identity.hash || '',
+    status: details.status || EMAIL_INDEX_STATUS.PROCESSED,
+    processedAt: new Date().toISOString(),
+    rule: details.rule || ''
+  });
+  
+  index.entries.set(entry.messageId, entry);
+  index.dirty.add(entry.messageId);
+  return entry;
+}
+
+/**
+ * Finds how an email is recorded in the index
+ * @param {Object} index - Loaded index
+ * @param {Object} identity - Email identity; the hash is only checked when set
+ * @returns {string|null} 'message', 'legacy' (old index entry), 'content' (same attachments as a
+ *   processed email) or null if the email still has to be processed
+ */
+function findIndexedEmail(index, identity) {
+  const entry = index.entries.get(identity.id);
+  if (entry && isIndexedEmailDone(entry)) return 'message';
+  
+  const legacy = index.entries.get(identity.legacyId);
+  if (legacy && legacy.status === EMAIL_INDEX_STATUS.LEGACY) return 'legacy';
+  
+  if (identity.hash) {
+    for (const other of index.entries.values()) {
+      if (other.hash === identity.hash && other.messageId !== identity.id && isIndexedEmailDone(other)) return 'content';
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether an entry keeps its email from being processed again
+ * @param {Object} entry - Index entry
+ * @returns {boolean} True unless released for reprocessing
+ */
+function isIndexedEmailDone(entry) {
+  return entry.status !== EMAIL_INDEX_STATUS.REPROCESS;
+}
+
+/**
+ * Releases the emails received on a day for reprocessing
+ * @param {Object} index - Loaded index
+ * @param {string} dateISO - Receive day (YYYY-MM-DD)
+ * @returns {number} Entries released
+ */
+function releaseIndexedEmails(index, dateISO) {
+  let released = 0;
+  index.entries.forEach(entry => {
+    if (entry.received !== dateISO || entry.status === EMAIL_INDEX_STATUS.LEGACY) return;
+    entry.status = EMAIL_INDEX_STATUS.REPROCESS;
+    index.dirty.add(entry.messageId);
+    released++;
+  });
+  return released;
+}
+
+/**
+ * Replaces a legacy entry with the entry of the Gmail message it was generated from
+ * The first message keeps the legacy entry's row; the legacy ID is dropped from the index.
+ * @param {Object} index - Loaded index
+ * @param {string} legacyId - Legacy ID
+ * @param {Object} identity - Identity of the matching message
+ * @param {Object} details - Entry details (see recordIndexedEmail)
+ * @returns {Object} New entry
+ */
+function convertLegacyEntry(index, legacyId, identity, details) {
+  const legacy = index.entries.get(legacyId);
+  if (legacy && legacy.status === EMAIL_INDEX_STATUS.LEGACY && !index.entries.has(identity.id)) {
+    index.entries.delete(legacyId);
+    index.dirty.delete(legacyId);
+    index.entries.set(identity.id, { row: legacy.row, messageId: identity.id });
+  }
+  return recordIndexedEmail(index, identity, details);
+}
+
+/* ==================== INDEX QUERIES ==================== */
+
+/**
+ * Finds the email that produced a saved file in a loaded index
+ * Entries from before file IDs were recorded are matched by file name.
+ * @param {Object} index - Loaded index (see loadEmailIndex)
+ * @param {File} file - Drive file
+ * @returns {Object|null} Index entry or null if no indexed email created it
+ */
+function findIndexedFileEmail(index, file) {
+  const fileId = file.getId();
+  const fileName = file.getName();
+  
+  for (const entry of index.entries.values()) {
+    if (entry.fileIds.includes(fileId) || (entry.fileIds.length === 0 && entry.fileNames.includes(fileName))) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the email that produced a saved file
+ * @param {string} file - File name or Drive file ID
+ * @returns {Object|null} Index entry (with its company) or null if no indexed email created it
+ */
+function findEmailForFile(file) {
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.EMAIL_INDEX_SHEET_NAME);
+  if (!sheet) return null;
+  
+  const rows = sheet.getDataRange().getValues().slice(1);
+  const row = rows.find(values => splitIndexList(values[7]).includes(file) || splitIndexList(values[8]).includes(file));
+  if (!row) return null;
+  
+  return {
+    messageId: String(row[0]),
+    company: row[1] || DEFAULT_COMPANY_ID,
+    subject: row[2],
+    received: normalizeDate(row[3]),
+    branch: row[4],
+    businessDate: normalizeDate(row[5]),
+    shift: row[6],
+    fileNames: splitIndexList(row[7]),
+    fileIds: splitIndexList(row[8]),
+    status: row[10],
+    processedAt: row[11],
+    rule: row[12] || ''
+  };
+}
+
+/* ==================== LEGACY INDEX FILE ==================== */
+
+/**
+ * Adds the entries of the active company's old index file (CONFIG.INDEX_FILE_NAME) to an empty index
+ * Lines with a message ID become processed entries; legacy IDs become LEGACY entries until
+ * migrateEmailIndex matches them to their messages. The file itself is left in place.
+ * @param {Object} index - Loaded index (empty)
+ * @param {boolean} readOnly - Only load the entries, don't write them to the sheet
+ */
+function importLegacyIndexFile(index, readOnly) {
+  const files = Services.drive.getFolderById(CONFIG.DESTINATION_FOLDER_ID).getFilesByName(CONFIG.INDEX_FILE_NAME);
+  if (!files.hasNext()) return;
+  
+  const lines = files.next().getBlob().getDataAsString().split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '');
+  
+  lines.forEach(line => {
+    if (!line.startsWith(LEGACY_INDEX_PREFIXES.MESSAGE)) {
+      recordIndexedEmail(index, { id: line, hash: '', received: '' }, { status: EMAIL_INDEX_STATUS.LEGACY });
+      return;
+    }
+    
+    const tokens = line.split(' ');
+    const hash = tokens.find(token => token.startsWith(LEGACY_INDEX_PREFIXES.CONTENT));
+    recordIndexedEmail(index, {
+      id: tokens[0].substring(LEGACY_INDEX_PREFIXES.MESSAGE.length),
+      hash: hash ? hash.substring(LEGACY_INDEX_PREFIXES.CONTENT.length) : '',
+      received: tokens.find(token => /^\d{4}-\d{2}-\d{2}$/.test(token)) || ''
+    }, {});
+  });
+  
+  Log.info('email', 'Imported ' + index.entries.size + ' entries from ' + CONFIG.INDEX_FILE_NAME, { step: 'index' });
+  if (!readOnly) saveEmailIndex(index);
+}
+
+/* ==================== INDEX UTILITIES ==================== */
+
+/**
+ * Splits a comma-separated index cell
+ * @param {*} value - Cell value
+ * @returns {Array<string>} Items
+ */
+function splitIndexList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EMAIL_INDEX_STATUS,
+    loadEmailIndex,
+    saveEmailIndex,
+    recordIndexedEmail,
+    findIndexedEmail,
+    releaseIndexedEmails,
+    convertLegacyEntry,
+    findIndexedFileEmail,
+    findEmailForFile
+  };
+}
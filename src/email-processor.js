@@ -8,133 +8,351 @@
 
 /**
  * Main function to process emails within a date range
+ * Each company's emails are searched with its own intake rules, a page of threads at a time, and
+ * saved to its own destination folder. A run that reaches the time limit saves where it stopped and
+ * schedules its continuation (see resumeEmailIngestion), so a long back-fill spans executions.
  * @param {string} startDate - Start date (YYYY/MM/DD)
  * @param {string} endDate - End date (YYYY/MM/DD)
  * @param {boolean} forceReprocess - Whether to force reprocessing
- * @returns {Object} Processing results and statistics
+ * @param {string} source - What started the run: 'menu', 'trigger' or 'manual'
+ * @param {Object} options - {dryRun: report the files that would be created instead of creating them,
+ *   company: only this company's emails (all companies by default)}
+ * @returns {Object|null} Results of this execution, totalled over the companies (continued is true when
+ *   the rest of the range was scheduled); null if another job was using an email index
  */
-function processEmails(startDate, endDate, forceReprocess = false) {
+function processEmails(startDate, endDate, forceReprocess = false, source = 'manual', options = {}) {
+  const companyIds = options.company ? [options.company] : null;
+  requireValidConfig(['DESTINATION_FOLDER_ID'], companyIds);
+  
+  const locks = options.dryRun ? [] :
+    acquireLocksOrReport(getLockNames([LOCK_RESOURCES.EMAIL_INDEX], companyIds), 'email run ' + startDate + ' to ' + endDate, source);
+  if (!locks) return null;
+  
   const startTime = Date.now();
-  Logger.log('Processing emails from ' + startDate + ' to ' + endDate + (forceReprocess ? ' (FORCED)' : ''));
+  const plan = options.dryRun ? createDryRunPlan('Emails ' + startDate + ' to ' + endDate) : null;
+  const runId = plan ? null : startRun('email', source, startDate + ' to ' + endDate + (forceReprocess ? ' (forced)' : ''));
+  const cursor = createEmailCursor(runId, startDate, endDate, forceReprocess, companyIds);
+  Log.info('email', 'Processing emails from ' + startDate + ' to ' + endDate, {
+    forced: forceReprocess || undefined,
+    dryRun: options.dryRun || undefined
+  });
+  try {
+    const result = runEmailIngestion(cursor, startTime, plan);
+    
+    if (plan) writeDryRunReport(plan);
+    return finishEmailExecution(cursor, result, !!plan);
+  } catch (error) {
+    finishRun(runId, 'ERROR');
+    throw error;
+  } finally {
+    releaseLocks(locks);
+    flushLogs();
+  }
+}
+
+/**
+ * Works through the companies of an email run from its cursor, until done or out of time
+ * @param {Object} cursor - Email cursor (see createEmailCursor), advanced in place
+ * @param {number} startTime - Execution start time
+ * @param {Object} plan - Optional dry-run plan
+ * @returns {Object} Results of this execution, totalled over the companies
+ */
+function runEmailIngestion(cursor, startTime, plan) {
+  const companies = selectCompanies(cursor.companyIds);
+  const result = createEmptySummary();
   
-  const destinationFolder = DriveApp.getFolderById(CONFIG.DESTINATION_FOLDER_ID);
+  while (cursor.companyIndex < companies.length) {
+    const company = companies[cursor.companyIndex];
+    const companyResult = withCompany(company, () => {
+      if (companies.length > 1) Log.info('email', 'Searching emails of ' + company.name);
+      const processed = ingestCompanyEmails(cursor, startTime, plan);
+      recordEmailRun(cursor.runId, processed);
+      return processed;
+    });
+    mergeEmailResults(result, companyResult);
+    
+    // A company that ran out of time leaves the rest for the next execution
+    if (companyResult.timedOut) break;
+    cursor.companyIndex++;
+    cursor.ruleIndex = 0;
+    cursor.offset = 0;
+  }
   
-  // Initialize processing index
-  const { indexFile, processedEmails } = initializeIndex(destinationFolder);
-  Logger.log('Emails already in index: ' + processedEmails.size);
+  return result;
+}
+
+// Searches of a page that Gmail still fills with threads labeled processed, before moving past them
+const EMAIL_LABEL_LAG_SEARCHES = 3;
+
+// Wait between those searches
+const EMAIL_LABEL_LAG_MS = 2000;
+
+/**
+ * Searches the active company's closure emails page by page, one intake rule after the other, and
+ * saves their PDF attachments
+ * With EMAIL_SKIP_LABELED, threads labeled processed drop out of the search once Gmail has caught up
+ * with the label, so the cursor offset only moves past the threads that stay in the results.
+ * @param {Object} cursor - Email cursor (see createEmailCursor), advanced in place
+ * @param {number} startTime - Execution start time
+ * @param {Object} plan - Optional dry-run plan
+ * @returns {Object} Processing results and statistics
+ */
+function ingestCompanyEmails(cursor, startTime, plan) {
+  const destinationFolder = Services.drive.getFolderById(CONFIG.DESTINATION_FOLDER_ID);
+  const result = createEmptySummary();
+  
+  // Load email index
+  const index = loadEmailIndex(!!plan);
+  Log.debug('email', 'Emails already in index: ' + index.entries.size, { step: 'index' });
   
   // Build cache of existing files
   const existingFilesCache = buildExistingFilesCache(destinationFolder);
-  Logger.log('Files in cache: ' + existingFilesCache.size);
+  Log.debug('email', 'Files in cache: ' + existingFilesCache.size, { step: 'cache' });
   
-  // Prepare search query
-  const adjustedEndDate = adjustEndDate(endDate);
-  const query = 'subject:"Daily Closure Report" has:attachment filename:pdf after:' + startDate + ' before:' + adjustedEndDate;
-  Logger.log('Search query: ' + query);
+  // Forced runs also fetch threads already labeled processed
+  const exclusion = cursor.forceReprocess ? '' : buildProcessedLabelExclusion();
+  const rules = getIntakeRules();
+  const seen = new Set();
+  const labeledProcessed = new Set();
+  let lagSearches = 0;
   
-  const threads = GmailApp.search(query);
-  Logger.log('Threads found: ' + threads.length);
-  
-  if (threads.length === 0) {
-    Logger.log('No emails found in this date range');
-    return createEmptySummary();
+  while (cursor.ruleIndex < rules.length) {
+    const rule = rules[cursor.ruleIndex];
+    const query = buildEmailSearchQuery(rule, cursor.startDate, cursor.endDate) + exclusion;
+    const threads = Services.gmail.search(query, cursor.offset, CONFIG.EMAIL_SEARCH_PAGE_SIZE);
+    Log.debug('email', 'Search page: ' + query, { step: 'search', rule: rule.id, offset: cursor.offset, threads: threads.length });
+    
+    // A thread handled earlier in this execution is listed again if another rule matches it too, or, when
+    // it was labeled processed, until Gmail catches up with the label: that one leaves the results later
+    const fresh = threads.filter(thread => !seen.has(thread.getId()));
+    const lagging = exclusion ? threads.filter(thread => labeledProcessed.has(thread.getId())).length : 0;
+    fresh.forEach(thread => seen.add(thread.getId()));
+    
+    if (fresh.length === 0 && lagging > 0 && ++lagSearches < EMAIL_LABEL_LAG_SEARCHES) {
+      Services.utilities.sleep(EMAIL_LABEL_LAG_MS);
+      continue;
+    }
+    if (fresh.length === 0 && lagging > 0) {
+      Log.warn('email', 'Gmail still lists ' + lagging + ' threads labeled processed; moving past them, process ' +
+               cursor.startDate + ' to ' + cursor.endDate + ' again if emails are missing', { step: 'search', rule: rule.id });
+    }
+    const staying = threads.length - fresh.length - (fresh.length === 0 ? 0 : lagging);
+    lagSearches = 0;
+    
+    const page = processEmailThreads(fresh, index, existingFilesCache, destinationFolder, cursor.forceReprocess, startTime, plan);
+    mergeEmailResults(result, page);
+    page.labeledProcessed.forEach(threadId => labeledProcessed.add(threadId));
+    cursor.offset += staying + page.threadsDone - (exclusion ? page.labeledProcessed.length : 0);
+    if (page.timedOut) break;
+    
+    if (threads.length < CONFIG.EMAIL_SEARCH_PAGE_SIZE) {
+      cursor.ruleIndex++;
+      cursor.offset = 0;
+    }
   }
   
-  // Process email threads
-  const result = processEmailThreads(threads, processedEmails, existingFilesCache, destinationFolder, indexFile, forceReprocess, startTime);
+  if (result.stats.emailsFound === 0 && !result.timedOut) {
+    Log.info('email', 'No emails found in this date range', { step: 'search' });
+  }
   
   // Final summary
   showProcessingSummary(result);
   return result;
 }
 
+/**
+ * Records an email run's counts and per-file outcomes in the run journal
+ * @param {string} runId - Run ID
+ * @param {Object} result - Email processing results
+ */
+function recordEmailRun(runId, result) {
+  const { stats } = result;
+  const failures = result.failures || [];
+  
+  updateRun(runId, {
+    batches: 1,
+    attempted: stats.emailsFound - stats.emailsAlreadyProcessed - stats.emailsRejected,
+    succeeded: stats.emailsNewlyProcessed,
+    failed: stats.errors
+  });
+  
+  recordRunFiles(runId, [
+    ...result.createdFiles.map(name => ({ file: name, outcome: 'saved', detail: 'Attachment saved to destination folder' })),
+    ...failures.map(f => ({ file: f.subject, outcome: 'failed', detail: f.error }))
+  ]);
+}
+
 /**
  * Processes specific date emails (convenience function)
+ * @param {Object} options - Optional processEmails options (e.g. {company})
  * @returns {Object} Processing results
  */
-function processMyDates() {
+function processMyDates(options = {}) {
   // Configure date range for processing
   const startDate = "2025/07/05";
   const endDate = "2025/07/05";
   
-  return processEmails(startDate, endDate);
+  return processEmails(startDate, endDate, false, 'manual', options);
 }
 
 /**
  * Reprocesses emails for a specific date
  * @param {string} date - Date to reprocess (YYYY/MM/DD)
+ * @param {boolean} removeFromIndex - Whether to release the date's index entries first
+ * @param {string} source - What started the run: 'menu' or 'manual'
+ * @param {Object} options - {company: only this company's emails (all companies by default)}
+ * @returns {Object|null} Reprocessing results; null if another job was using an email index
+ */
+function reprocessDateEmails(date, removeFromIndex = true, source = 'manual', options = {}) {
+  const companyIds = options.company ? [options.company] : null;
+  requireValidConfig(['DESTINATION_FOLDER_ID'], companyIds);
+  
+  // Held across the index rewrite and the reprocessing run, which reuses it
+  const locks = acquireLocksOrReport(getLockNames([LOCK_RESOURCES.EMAIL_INDEX], companyIds), 'email reprocess ' + date, source);
+  if (!locks) return null;
+  
+  try {
+    return removeAndReprocessDate(date, removeFromIndex, source, options.company);
+  } finally {
+    releaseLocks(locks);
+  }
+}
+
+/**
+ * Releases a date's email index entries and processes its emails again
+ * @param {string} date - Date to reprocess (YYYY/MM/DD)
  * @param {boolean} removeFromIndex - Whether to remove from index first
+ * @param {string} source - What started the run
+ * @param {string} companyId - Optional: only this company
  * @returns {Object} Reprocessing results
  */
-function reprocessDateEmails(date, removeFromIndex = true) {
-  Logger.log('=== REPROCESSING DATE: ' + date + ' ===');
+function removeAndReprocessDate(date, removeFromIndex, source, companyId) {
+  const companyIds = companyId ? [companyId] : null;
+  Log.info('email', 'Reprocessing date', { date, removeFromIndex });
   
   if (removeFromIndex) {
-    const destinationFolder = DriveApp.getFolderById(CONFIG.DESTINATION_FOLDER_ID);
-    const { indexFile } = initializeIndex(destinationFolder);
-    
-    // Remove existing entries for this date
-    let content = indexFile.getBlob().getDataAsString();
-    const originalLineCount = content.split('\n').length - 1;
-    
-    const formattedDate = date.replace(/\//g, '-');
-    const filteredLines = content.split('\n')
-      .filter(line => !line.includes(formattedDate))
-      .filter(line => line.trim() !== '');
-    
-    // Rewrite index file
-    indexFile.setContent(filteredLines.join('\n') + '\n');
-    const removedEntries = originalLineCount - filteredLines.length;
-    Logger.log('Removed ' + removedEntries + ' entries from index');
+    // Release the entries of the emails received on this date, company by company
+    forEachCompany(() => {
+      const index = loadEmailIndex();
+      const releasedEntries = releaseIndexedEmails(index, date.replace(/\//g, '-'));
+      saveEmailIndex(index);
+      Log.info('email', 'Released ' + releasedEntries + ' index entries for reprocessing', { date, step: 'index' });
+    }, companyIds);
   }
   
   // Process normally
-  return processEmails(date, date, true);
+  return processEmails(date, date, true, source, { company: companyId });
 }
 
 /**
  * Diagnoses email processing issues
  * @param {string} startDate - Start date
  * @param {string} endDate - End date
+ * @param {Object} options - {company: only this company's emails (all companies by default)}
  * @returns {Array} Problematic emails found
  */
-function diagnoseEmailIssues(startDate, endDate) {
-  Logger.log('=== EMAIL DIAGNOSIS ===');
+function diagnoseEmailIssues(startDate, endDate, options = {}) {
+  const companyIds = options.company ? [options.company] : null;
+  requireValidConfig(['DESTINATION_FOLDER_ID'], companyIds);
+  Log.info('email', 'Diagnosing emails from ' + startDate + ' to ' + endDate, { step: 'diagnose' });
   
-  const destinationFolder = DriveApp.getFolderById(CONFIG.DESTINATION_FOLDER_ID);
-  const { processedEmails } = initializeIndex(destinationFolder);
-  const existingFilesCache = buildExistingFilesCache(destinationFolder);
+  const problematicEmails = [];
+  let emailsAnalyzed = 0;
   
-  const adjustedEndDate = adjustEndDate(endDate);
-  const query = 'subject:"Daily Closure Report" has:attachment filename:pdf after:' + startDate + ' before:' + adjustedEndDate;
-  const threads = GmailApp.search(query);
+  forEachCompany(company => {
+    const destinationFolder = Services.drive.getFolderById(CONFIG.DESTINATION_FOLDER_ID);
+    const index = loadEmailIndex(true);
+    const existingFilesCache = buildExistingFilesCache(destinationFolder);
+    
+    const threads = searchIntakeThreads(startDate, endDate);
+    emailsAnalyzed += threads.reduce((sum, h) => sum + h.getMessageCount(), 0);
+    diagnoseThreads(threads, index, existingFilesCache, company).forEach(issue => problematicEmails.push(issue));
+  }, companyIds);
   
+  Log.info('email', 'Diagnosis complete: ' + problematicEmails.length + ' problematic emails', { step: 'diagnose', analyzed: emailsAnalyzed });
+  
+  problematicEmails.forEach(issue => {
+    Log.warn('email', issue.type + ': ' + issue.subject, {
+      company: isMultiCompany() ? issue.company : undefined,
+      sender: issue.sender,
+      file: issue.filename,
+      date: issue.date.toLocaleDateString(),
+      step: 'diagnose'
+    });
+  });
+  flushLogs();
+  
+  return problematicEmails;
+}
+
+/**
+ * Finds a company's emails from a sender no intake rule lists, with a subject no rule matches,
+ * an indexed attachment missing from Drive,
+ * an index entry still in the legacy format, or the same attachments as another indexed email
+ * @param {Array} threads - Gmail threads found for the company
+ * @param {Object} index - Email index of the company (see loadEmailIndex)
+ * @param {Set} existingFilesCache - Files in the company's destination folder
+ * @param {Object} company - Company the threads belong to
+ * @returns {Array} Problematic emails
+ */
+function diagnoseThreads(threads, index, existingFilesCache, company) {
   const problematicEmails = [];
   
-  threads.forEach((thread, threadIndex) => {
+  threads.forEach(thread => {
     thread.getMessages().forEach(message => {
-      const emailId = generateEmailId(message);
+      const identity = getEmailIdentity(message);
       const subject = message.getSubject().trim();
-      const match = subject.match(CONFIG.EMAIL_SUBJECT_REGEX);
+      const intake = matchIntakeRule(message);
       
-      if (!match) {
+      if (!intake.rule) {
         problematicEmails.push({
-          type: 'INVALID_FORMAT',
-          emailId: emailId,
+          type: intake.rejection === INTAKE_REJECTIONS.SENDER ? 'UNKNOWN_SENDER' : 'INVALID_FORMAT',
+          company: company.id,
+          emailId: identity.id,
           subject: subject,
+          sender: intake.sender,
           date: message.getDate()
         });
         return;
       }
       
-      const filename = generateFilename(match, 0, 1);
-      const inIndex = processedEmails.has(emailId);
-      const fileExists = existingFilesCache.has(filename);
+      // Only emails missing under their message ID need their attachments hashed
+      let indexedBy = findIndexedEmail(index, identity);
+      if (!indexedBy) {
+        const attachments = getIntakeAttachments(message, intake.rule);
+        identity.hash = attachments.length > 0 ? computeAttachmentHash(attachments) : '';
+        indexedBy = findIndexedEmail(index, identity);
+      }
+      
+      // The entry lists the files the email created; older entries don't, so its first file is assumed
+      const entry = index.entries.get(identity.id);
+      const filenames = entry && entry.fileNames.length > 0 ? entry.fileNames : [generateFilename(intake.fields, 0, 1, 'pdf')];
+      const filename = filenames.find(name => !existingFilesCache.has(name));
+      const fileExists = !filename;
+      
+      if (indexedBy === 'legacy') {
+        problematicEmails.push({
+          type: 'LEGACY_INDEX_ENTRY',
+          company: company.id,
+          emailId: identity.id,
+          subject: subject,
+          date: message.getDate()
+        });
+      } else if (indexedBy === 'content') {
+        problematicEmails.push({
+          type: 'SAME_ATTACHMENTS_AS_INDEXED_EMAIL',
+          company: company.id,
+          emailId: identity.id,
+          subject: subject,
+          date: message.getDate()
+        });
+      }
       
-      if (inIndex && !fileExists) {
+      if (indexedBy && !fileExists) {
         problematicEmails.push({
           type: 'INDEXED_BUT_MISSING_FILE',
-          emailId: emailId,
+          company: company.id,
+          emailId: identity.id,
           subject: subject,
           filename: filename,
           date: message.getDate()
@@ -143,107 +361,623 @@ function diagnoseEmailIssues(startDate, endDate) {
     });
   });
   
-  Logger.log('=== DIAGNOSIS COMPLETE ===');
-  Logger.log('Emails analyzed: ' + threads.reduce((sum, h) => sum + h.getMessageCount(), 0));
-  Logger.log('Problematic emails: ' + problematicEmails.length);
+  return problematicEmails;
+}
+
+/* ==================== EMAIL CONTINUATION ==================== */
+
+// Script property holding the cursor of the email run waiting for its next execution
+const EMAIL_CURSOR_PROPERTY = 'email_cursor';
+
+/**
+ * Creates the cursor of an email run: its range, where it is, and its totals so far
+ * @param {string} runId - Journal run ID (null for dry runs)
+ * @param {string} startDate - Start date (YYYY/MM/DD)
+ * @param {string} endDate - End date (YYYY/MM/DD)
+ * @param {boolean} forceReprocess - Whether to force reprocessing
+ * @param {Array<string>} companyIds - Companies to work on (all when empty)
+ * @returns {Object} {runId, startDate, endDate, forceReprocess, companyIds, companyIndex, ruleIndex,
+ *   offset, executions, failedAttempts, startedAt, totals}
+ */
+function createEmailCursor(runId, startDate, endDate, forceReprocess, companyIds) {
+  return {
+    runId,
+    startDate,
+    endDate,
+    forceReprocess: !!forceReprocess,
+    // Fixed when the run starts, so a company added meanwhile doesn't shift the position
+    companyIds: selectCompanies(companyIds).map(company => company.id),
+    companyIndex: 0,
+    ruleIndex: 0,
+    offset: 0,
+    executions: 0,
+    failedAttempts: 0,
+    startedAt: new Date().toISOString(),
+    totals: createEmptySummary().stats
+  };
+}
+
+/**
+ * Ends an execution of an email run: schedules the continuation when time ran out, otherwise
+ * closes the run in the journal
+ * @param {Object} cursor - Email cursor
+ * @param {Object} result - Results of this execution
+ * @param {boolean} dryRun - Dry runs are never continued
+ * @returns {Object} Results, with continued set
+ */
+function finishEmailExecution(cursor, result, dryRun) {
+  cursor.executions++;
+  cursor.failedAttempts = 0;
+  Object.keys(cursor.totals).forEach(key => {
+    cursor.totals[key] += result.stats[key] || 0;
+  });
+  result.continued = false;
   
-  problematicEmails.forEach((issue, i) => {
-    Logger.log((i + 1) + '. ' + issue.type + ':');
-    Logger.log('   Subject: ' + issue.subject);
-    Logger.log('   Date: ' + issue.date.toLocaleDateString());
-    if (issue.filename) {
-      Logger.log('   Expected file: ' + issue.filename);
+  if (result.timedOut && !dryRun) {
+    if (saveEmailCursor(cursor)) {
+      scheduleEmailContinuation(0);
+      result.continued = true;
+      Log.info('email', 'Email run continues in the next execution', describeEmailProgress(cursor));
+      return result;
     }
-  });
+    Log.warn('email', 'Another email run is waiting for its continuation; process ' + cursor.startDate + ' to ' +
+             cursor.endDate + ' again once it has finished', describeEmailProgress(cursor));
+  }
   
-  return problematicEmails;
+  finishRun(cursor.runId, result.timedOut ? 'TIME_LIMIT' : 'COMPLETED');
+  if (!dryRun) clearEmailCursor(cursor.runId);
+  if (cursor.executions > 1) {
+    Log.info('email', 'Email run finished after ' + cursor.executions + ' executions', describeEmailProgress(cursor));
+  }
+  return result;
 }
 
-/* ==================== EMAIL PROCESSING UTILITIES ==================== */
-
 /**
- * Initializes or loads the processing index
- * @param {Folder} destinationFolder - Destination folder
- * @returns {Object} Index file and processed emails set
+ * Continues the email run saved by an execution that ran out of time (time-based trigger handler)
+ * @param {Object} e - Trigger event
+ * @returns {Object|null} Results of this execution; null if there was nothing to continue or it was postponed
  */
-function initializeIndex(destinationFolder) {
-  let indexFile = null;
-  const files = destinationFolder.getFilesByName(CONFIG.INDEX_FILE_NAME);
+function resumeEmailIngestion(e) {
+  const startTime = Date.now();
+  const cursor = loadEmailCursor();
+  if (!cursor) {
+    clearEmailTriggers();
+    return null;
+  }
+  
+  requireValidConfig(['DESTINATION_FOLDER_ID'], cursor.companyIds);
+  setLogContext({ runId: cursor.runId });
   
-  if (files.hasNext()) {
-    indexFile = files.next();
-  } else {
-    indexFile = destinationFolder.createFile(CONFIG.INDEX_FILE_NAME, "", MimeType.PLAIN_TEXT);
+  // A busy email index means another email job is running; try again later
+  let locks;
+  try {
+    locks = acquireLocks(getLockNames([LOCK_RESOURCES.EMAIL_INDEX], cursor.companyIds), 'email run ' + cursor.runId, CONFIG.LOCK_WAIT_TIME);
+  } catch (error) {
+    if (!error.lock) throw error;
+    Log.warn('email', 'Email run continuation postponed, ' + describeLockHolder(error.lock), { step: 'continue' });
+    scheduleEmailContinuation();
+    flushLogs();
+    return null;
   }
   
-  const indexContent = indexFile.getBlob().getDataAsString();
-  const processedEmails = new Set(
-    indexContent.split('\n')
-      .map(line => line.trim())
-      .filter(line => line !== "")
-  );
+  try {
+    Log.info('email', 'Continuing emails from ' + cursor.startDate + ' to ' + cursor.endDate, describeEmailProgress(cursor));
+    return finishEmailExecution(cursor, runEmailIngestion(cursor, startTime, null), false);
+  } catch (error) {
+    Log.error('email', 'Email run continuation error: ' + error.message, { step: 'continue' });
+    
+    // The cursor only moves past finished pages, so a retry picks up where the error struck
+    cursor.failedAttempts++;
+    if (cursor.failedAttempts >= CONFIG.MAX_RETRIES) {
+      finishRun(cursor.runId, 'MULTIPLE_ERRORS');
+      clearEmailCursor(cursor.runId);
+    } else {
+      saveEmailCursor(cursor);
+      scheduleEmailContinuation();
+    }
+    return null;
+  } finally {
+    releaseLocks(locks);
+    flushLogs();
+  }
+}
+
+/**
+ * Stops the email run waiting for its continuation
+ * The emails it saved stay saved; processing the same range again picks up the rest.
+ * @returns {boolean} True if a run was waiting
+ */
+function cancelEmailIngestion() {
+  const cursor = loadEmailCursor();
+  clearEmailTriggers();
+  if (!cursor) return false;
   
-  return { indexFile, processedEmails };
+  finishRun(cursor.runId, 'CANCELLED');
+  clearEmailCursor(cursor.runId);
+  Log.info('email', 'Email run cancelled', describeEmailProgress(cursor));
+  flushLogs();
+  return true;
 }
 
 /**
- * Adjusts end date for Gmail search (exclusive boundary)
- * @param {string} endDate - Original end date
- * @returns {string} Adjusted end date
+ * Gets the progress of the email run waiting for its continuation
+ * @returns {Object|null} Cursor (see createEmailCursor), or null if no run is waiting
  */
-function adjustEndDate(endDate) {
-  const endDateObj = new Date(endDate);
-  endDateObj.setDate(endDateObj.getDate() + 1);
-  return endDateObj.toISOString().split('T')[0].replace(/-/g, '/');
+function getEmailIngestionProgress() {
+  return loadEmailCursor();
+}
+
+/**
+ * Describes where an email run is, as log fields
+ * @param {Object} cursor - Email cursor
+ * @returns {Object} Log fields
+ */
+function describeEmailProgress(cursor) {
+  return {
+    step: 'continue',
+    range: cursor.startDate + ' to ' + cursor.endDate,
+    company: cursor.companyIds.length > 1 ? cursor.companyIds[cursor.companyIndex] : undefined,
+    rule: cursor.ruleIndex,
+    offset: cursor.offset,
+    executions: cursor.executions,
+    emailsFound: cursor.totals.emailsFound,
+    newlyProcessed: cursor.totals.emailsNewlyProcessed,
+    filesCreated: cursor.totals.filesCreated,
+    errors: cursor.totals.errors
+  };
+}
+
+/**
+ * Saves the cursor of a run for its next execution
+ * Only one email run waits at a time; a run that finds another one waiting is not saved.
+ * @param {Object} cursor - Email cursor
+ * @returns {boolean} True if saved
+ */
+function saveEmailCursor(cursor) {
+  const waiting = loadEmailCursor();
+  if (waiting && waiting.runId !== cursor.runId) return false;
+  
+  Services.properties.getScriptProperties().setProperty(EMAIL_CURSOR_PROPERTY, JSON.stringify(cursor));
+  return true;
+}
+
+/**
+ * Loads the cursor of the email run waiting for its next execution
+ * @returns {Object|null} Email cursor, or null if no run is waiting
+ */
+function loadEmailCursor() {
+  const stored = Services.properties.getScriptProperties().getProperty(EMAIL_CURSOR_PROPERTY);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Removes a run's saved cursor, leaving another run's in place
+ * @param {string} runId - Run ID
+ */
+function clearEmailCursor(runId) {
+  const waiting = loadEmailCursor();
+  if (waiting && waiting.runId === runId) {
+    Services.properties.getScriptProperties().deleteProperty(EMAIL_CURSOR_PROPERTY);
+    clearEmailTriggers();
+  }
+}
+
+/**
+ * Schedules the next execution of the waiting email run
+ * @param {number} delayMs - Delay in milliseconds (defaults to CONFIG.DELAY_SECONDS; 0 = as soon as possible)
+ */
+function scheduleEmailContinuation(delayMs) {
+  const delay = delayMs === undefined ? CONFIG.DELAY_SECONDS * 1000 : Math.max(delayMs, 1000);
+  clearEmailTriggers();
+  Services.script.newTrigger('resumeEmailIngestion')
+    .timeBased()
+    .after(delay)
+    .create();
+  Log.info('email', 'Email run continues in ' + Math.round(delay / 1000) + 's', { step: 'continue' });
+}
+
+/**
+ * Clears the continuation triggers of email runs
+ */
+function clearEmailTriggers() {
+  Services.script.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'resumeEmailIngestion')
+    .forEach(trigger => Services.script.deleteTrigger(trigger));
+}
+
+/* ==================== EMAIL IDENTITY ==================== */
+
+/**
+ * Gets what identifies an email in the email index
+ * The Gmail message ID identifies the email; the attachment hash (set by the caller once the
+ * attachments are read) recognizes the same report resent or forwarded as another message.
+ * @param {GmailMessage} message - Gmail message
+ * @returns {Object} {id, hash, legacyId, received: receive day (YYYY-MM-DD)}
+ */
+function getEmailIdentity(message) {
+  return {
+    id: generateEmailId(message),
+    hash: '',
+    legacyId: generateLegacyEmailId(message),
+    received: normalizeDate(message.getDate())
+  };
 }
 
 /**
  * Generates unique ID for email tracking
  * @param {GmailMessage} message - Gmail message
- * @returns {string} Unique email ID
+ * @returns {string} Gmail message ID
  */
 function generateEmailId(message) {
+  return message.getId();
+}
+
+/**
+ * Generates the ID older versions wrote to the index: receive time plus the start of the subject
+ * A resent email gets a new one, and identical subjects received in the same millisecond collide.
+ * @param {GmailMessage} message - Gmail message
+ * @returns {string} Legacy email ID
+ */
+function generateLegacyEmailId(message) {
   const receiveDate = message.getDate();
   const subject = message.getSubject().trim();
   return receiveDate.getTime() + '_' + subject.replace(/[^\w\s-]/g, '').substring(0, 50);
 }
 
+/**
+ * Hashes an email's PDF attachments
+ * A single attachment hashes like its saved file (Drive's md5Checksum).
+ * @param {Array<Blob>} attachments - PDF attachments
+ * @returns {string} Hex MD5 hash
+ */
+function computeAttachmentHash(attachments) {
+  const hashes = attachments.map(attachment => computeMd5(attachment.getBytes()));
+  return hashes.length === 1 ? hashes[0] : computeMd5(hashes.join(','));
+}
+
+/* ==================== INDEX MIGRATION ==================== */
+
+/**
+ * One-off conversion of legacy index entries to message ID and attachment hash entries,
+ * matching each entry to the Gmail message it was generated from
+ * Entries without a matching message are kept (and still honored). A run stopped by the time
+ * limit saves what it converted; running it again continues with the remaining entries.
+ * @param {Object} options - {company: only this company's index (all companies by default),
+ *   dryRun: count the entries that would be converted without rewriting the index}
+ * @returns {Object|null} {converted, unmatched, timedOut}; null if another job was using an email index
+ */
+function migrateEmailIndex(options = {}) {
+  const companyIds = options.company ? [options.company] : null;
+  requireValidConfig(['DESTINATION_FOLDER_ID'], companyIds);
+  
+  const locks = acquireLocksOrReport(getLockNames([LOCK_RESOURCES.EMAIL_INDEX], companyIds), 'email index migration', 'manual');
+  if (!locks) return null;
+  
+  const startTime = Date.now();
+  const totals = { converted: 0, unmatched: 0, timedOut: false };
+  try {
+    forEachCompany(() => {
+      if (totals.timedOut) return;
+      const result = migrateCompanyIndex(startTime, !!options.dryRun);
+      totals.converted += result.converted;
+      totals.unmatched += result.unmatched;
+      totals.timedOut = result.timedOut;
+    }, companyIds);
+    
+    Log.info('email', (options.dryRun ? 'Index entries that would be converted: ' : 'Index entries converted: ') + totals.converted, {
+      step: 'migration',
+      unmatched: totals.unmatched,
+      timedOut: totals.timedOut || undefined
+    });
+    return totals;
+  } finally {
+    releaseLocks(locks);
+    flushLogs();
+  }
+}
+
+/**
+ * Converts the legacy entries of the active company's index
+ * Legacy IDs start with the receive time, so only the months they span are searched. A legacy ID
+ * shared by several messages (same millisecond and subject start) covered all of them, so it
+ * becomes one entry per message.
+ * @param {number} startTime - Migration start time
+ * @param {boolean} dryRun - Count only
+ * @returns {Object} {converted, unmatched, timedOut}
+ */
+function migrateCompanyIndex(startTime, dryRun) {
+  const index = loadEmailIndex(dryRun);
+  const legacy = new Set(Array.from(index.entries.values())
+    .filter(entry => entry.status === EMAIL_INDEX_STATUS.LEGACY)
+    .map(entry => entry.messageId));
+  const converted = new Set();
+  const seen = new Set();
+  let timedOut = false;
+  
+  const times = Array.from(legacy).map(id => parseInt(id, 10)).filter(time => !isNaN(time));
+  if (times.length > 0) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const last = Math.max(...times) + dayMs;
+    
+    // Searched 30 days at a time to stay under Gmail's search result limit
+    for (let windowStart = Math.min(...times) - dayMs; windowStart <= last; windowStart += 30 * dayMs) {
+      if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
+        Log.warn('email', 'Time limit reached, saving the entries converted so far', { step: 'migration' });
+        timedOut = true;
+        break;
+      }
+      
+      const windowEnd = Math.min(windowStart + 29 * dayMs, last);
+      searchIntakeThreads(formatSearchDate(windowStart), formatSearchDate(windowEnd)).forEach(thread => thread.getMessages().forEach(message => {
+        const identity = getEmailIdentity(message);
+        if (!legacy.has(identity.legacyId) || seen.has(identity.id)) return;
+        seen.add(identity.id);
+        
+        const intake = matchIntakeRule(message);
+        const attachments = intake.rule ? getIntakeAttachments(message, intake.rule) : [];
+        const closureFiles = unpackClosureAttachments(attachments);
+        identity.hash = attachments.length > 0 ? computeAttachmentHash(attachments) : '';
+        convertLegacyEntry(index, identity.legacyId, identity, {
+          subject: message.getSubject().trim(),
+          closure: intake.rule ? parseClosureSubject(intake.fields) : null,
+          fileNames: closureFiles.map((closureFile, i) => generateFilename(intake.fields, i, closureFiles.length, closureFile.handler.extension)),
+          rule: intake.rule ? intake.rule.id : ''
+        });
+        converted.add(identity.legacyId);
+      }));
+    }
+  }
+  
+  if (!dryRun) saveEmailIndex(index);
+  Log.info('email', 'Index migration: ' + converted.size + ' of ' + legacy.size + ' legacy entries matched', { step: 'migration' });
+  
+  return { converted: converted.size, unmatched: legacy.size - converted.size, timedOut };
+}
+
+/**
+ * Formats a time as a Gmail search date
+ * @param {number} time - Epoch ms
+ * @returns {string} Date (YYYY/MM/DD)
+ */
+function formatSearchDate(time) {
+  return normalizeDate(new Date(time)).replace(/-/g, '/');
+}
+
+/* ==================== EMAIL LABELS ==================== */
+
+// Thread outcomes that can get a label (keys of CONFIG.EMAIL_LABELS)
+const EMAIL_LABEL_OUTCOMES = ['processed', 'failed', 'noPdf'];
+
+// Gmail labels by name, fetched or created once per execution
+const EMAIL_LABEL_CACHE = {};
+
+/**
+ * Labels a processed thread with its outcome (CONFIG.EMAIL_LABELS) and removes the other outcome
+ * labels, so a failed thread that later succeeds only shows as processed
+ * Failures win over missing PDFs, which win over processed; a thread with only ignored messages
+ * (unknown senders) is left alone. Processed threads are archived when CONFIG.EMAIL_ARCHIVE_PROCESSED
+ * is on. Called once the index entries of the thread's messages are saved (see processEmailThreads),
+ * so labelling problems are logged, never fatal.
+ * @param {GmailThread} thread - Gmail thread
+ * @param {Object} outcome - {processed, failed, noPdf}: what happened to its messages
+ * @param {Object} plan - Optional dry-run plan (labels are planned, not applied)
+ * @returns {boolean} True if the thread was labeled processed
+ */
+function labelEmailThread(thread, outcome, plan) {
+  const key = outcome.failed ? 'failed' : outcome.noPdf ? 'noPdf' : outcome.processed ? 'processed' : null;
+  const labelName = key && CONFIG.EMAIL_LABELS[key];
+  if (!labelName) return false;
+  
+  const archive = key === 'processed' && CONFIG.EMAIL_ARCHIVE_PROCESSED;
+  if (plan) {
+    addPlannedAction(plan, {
+      action: 'Label email',
+      target: thread.getFirstMessageSubject(),
+      newValue: labelName + (archive ? ' (archived)' : '')
+    });
+    return false;
+  }
+  
+  try {
+    EMAIL_LABEL_OUTCOMES
+      .filter(other => other !== key && CONFIG.EMAIL_LABELS[other])
+      .forEach(other => {
+        const label = getEmailLabel(CONFIG.EMAIL_LABELS[other], false);
+        if (label) thread.removeLabel(label);
+      });
+    thread.addLabel(getEmailLabel(labelName, true));
+    if (archive) thread.moveToArchive();
+    return key === 'processed';
+  } catch (error) {
+    Log.warn('email', 'Could not label thread: ' + error.message, { label: labelName, step: 'label' });
+    return false;
+  }
+}
+
+/**
+ * Gets a Gmail label by name
+ * @param {string} name - Label name; "/" nests it (e.g. Closures/Processed)
+ * @param {boolean} create - Create the label if it doesn't exist
+ * @returns {GmailLabel|null} Label, or null if it doesn't exist and create is false
+ */
+function getEmailLabel(name, create) {
+  if (!EMAIL_LABEL_CACHE[name]) {
+    EMAIL_LABEL_CACHE[name] = Services.gmail.getUserLabelByName(name) || (create ? Services.gmail.createLabel(name) : null);
+  }
+  return EMAIL_LABEL_CACHE[name];
+}
+
+/**
+ * Gets the search terms that leave out threads labeled processed
+ * @returns {string} " -label:..." or '' when EMAIL_SKIP_LABELED is off or the label is disabled
+ */
+function buildProcessedLabelExclusion() {
+  return CONFIG.EMAIL_SKIP_LABELED && CONFIG.EMAIL_LABELS.processed ?
+    ' -label:' + formatLabelSearchName(CONFIG.EMAIL_LABELS.processed) : '';
+}
+
+/**
+ * Formats a label name for a Gmail search, which writes spaces and "/" as "-"
+ * @param {string} name - Label name
+ * @returns {string} Search name, e.g. closures-processed
+ */
+function formatLabelSearchName(name) {
+  return name.toLowerCase().replace(/[\s\/]+/g, '-');
+}
+
+/* ==================== EMAIL PROCESSING UTILITIES ==================== */
+
+/**
+ * Searches the active company's closure emails in a date range, once per intake rule
+ * A thread found by several rules is returned once; which rule ingests each message is decided
+ * when it is processed (see matchIntakeRule).
+ * Used where every thread is needed at once (diagnosis, index migration); email runs page through
+ * the results instead (see ingestCompanyEmails).
+ * @param {string} startDate - Start date (YYYY/MM/DD)
+ * @param {string} endDate - End date (YYYY/MM/DD), inclusive
+ * @returns {Array<GmailThread>} Threads
+ */
+function searchIntakeThreads(startDate, endDate) {
+  const threads = new Map();
+  
+  getIntakeRules().forEach(rule => {
+    const query = buildEmailSearchQuery(rule, startDate, endDate);
+    Log.debug('email', 'Search query: ' + query, { step: 'search', rule: rule.id });
+    
+    // Gmail refuses unpaged searches with too many results
+    for (let start = 0; ; start += CONFIG.EMAIL_SEARCH_PAGE_SIZE) {
+      const page = Services.gmail.search(query, start, CONFIG.EMAIL_SEARCH_PAGE_SIZE);
+      page.forEach(thread => {
+        if (!threads.has(thread.getId())) threads.set(thread.getId(), thread);
+      });
+      if (page.length < CONFIG.EMAIL_SEARCH_PAGE_SIZE) break;
+    }
+  });
+  
+  return Array.from(threads.values());
+}
+
+/**
+ * Builds the Gmail search of an intake rule in a date range
+ * @param {Object} rule - Intake rule (see getIntakeRules)
+ * @param {string} startDate - Start date (YYYY/MM/DD)
+ * @param {string} endDate - End date (YYYY/MM/DD), inclusive
+ * @returns {string} Gmail search query
+ */
+function buildEmailSearchQuery(rule, startDate, endDate) {
+  return buildIntakeQuery(rule) + ' ' + buildAttachmentQuery() + ' after:' + startDate + ' before:' + adjustEndDate(endDate);
+}
+
+/**
+ * Adjusts end date for Gmail search (exclusive boundary)
+ * @param {string} endDate - Original end date
+ * @returns {string} Adjusted end date
+ */
+function adjustEndDate(endDate) {
+  const endDateObj = new Date(endDate);
+  endDateObj.setDate(endDateObj.getDate() + 1);
+  return endDateObj.toISOString().split('T')[0].replace(/-/g, '/');
+}
+
+
 /**
  * Generates standardized filename for attachments
- * @param {Array} match - Regex match results
- * @param {number} index - Attachment index
- * @param {number} totalAttachments - Total attachments
+ * @param {Object} fields - Subject fields {branch, date, time} (see matchIntakeRule)
+ * @param {number} index - Closure file index (files unpacked from archives count one by one)
+ * @param {number} totalAttachments - Total closure files of the email
+ * @param {string} extension - Extension of the file type (see ATTACHMENT_HANDLERS)
  * @returns {string} Generated filename
  */
-function generateFilename(match, index, totalAttachments) {
-  const businessName = match[1].trim().replace(/\s+/g, "_");
-  const [day, month, year] = match[2].split("/");
-  const hour = parseInt(match[3].split(":")[0], 10);
-  const shift = hour < CONFIG.SHIFT_CUTOFF_HOUR ? "MORNING" : "EVENING";
-  const formattedDate = year + '-' + month + '-' + day;
+function generateFilename(fields, index, totalAttachments, extension) {
   const suffix = totalAttachments > 1 ? '_A' + (index + 1) : '';
   
-  return businessName + '_' + formattedDate + '_' + shift + suffix + '.pdf';
+  return buildClosureFileStem(parseClosureSubject(fields)) + suffix + '.' + extension;
+}
+
+/**
+ * Builds the part of a closure file name that identifies the closure
+ * @param {Object} closure - {branch, businessDate, shift} (see parseClosureSubject)
+ * @returns {string} Name stem, e.g. Main_Branch_2025-07-22_MORNING
+ */
+function buildClosureFileStem(closure) {
+  return closure.branch.replace(/\s+/g, "_") + '_' + closure.businessDate + '_' + closure.shift;
+}
+
+/**
+ * Names the closure files of an email
+ * One subject can't describe several closures (a ZIP of a day's shifts), so when an email has more
+ * than one closure file, each is named after the branch, date and shift its own content shows.
+ * A file whose content can't be read, or the only file of an email, is named after the subject,
+ * with _A<n> when the email has several files; so are files whose content names would clash.
+ * @param {Object} fields - Subject fields {branch, date, time} (see matchIntakeRule)
+ * @param {Array<Object>} closureFiles - See unpackClosureAttachments
+ * @returns {Array<string>} File names, in the order of closureFiles
+ */
+function nameClosureFiles(fields, closureFiles) {
+  const total = closureFiles.length;
+  const contentNames = closureFiles.map(closureFile => {
+    const contentFields = total > 1 ? readClosureFileFields(closureFile) : null;
+    return contentFields ? generateFilename(contentFields, 0, 1, closureFile.handler.extension) : null;
+  });
+  
+  return closureFiles.map((closureFile, index) => {
+    const name = contentNames[index];
+    if (name && contentNames.indexOf(name) === contentNames.lastIndexOf(name)) return name;
+    return generateFilename(fields, index, total, closureFile.handler.extension);
+  });
+}
+
+/**
+ * Resolves the business date and shift of a closure email's subject fields
+ * @param {Object} fields - Subject fields {branch, date (dd/mm/yyyy), time} (see matchIntakeRule)
+ * @returns {Object} {branch, businessDate (YYYY-MM-DD), shift (code, or UNKNOWN_SHIFT)}
+ */
+function parseClosureSubject(fields) {
+  const branch = fields.branch;
+  const shiftInfo = resolveShift(branch, fields.date, fields.time);
+  const [day, month, year] = fields.date.split("/");
+  
+  return {
+    branch,
+    businessDate: shiftInfo ? shiftInfo.businessDateISO : year + '-' + month + '-' + day,
+    shift: shiftInfo ? shiftInfo.code : 'UNKNOWN_SHIFT'
+  };
 }
 
 /**
  * Processes email threads and extracts attachments
  * @param {Array} threads - Gmail threads to process
- * @param {Set} processedEmails - Set of already processed emails
+ * @param {Object} index - Loaded email index of the company (see loadEmailIndex)
  * @param {Set} existingFilesCache - Cache of existing files
  * @param {Folder} destinationFolder - Destination folder
- * @param {File} indexFile - Index file
  * @param {boolean} forceReprocess - Whether to force reprocessing
  * @param {number} startTime - Processing start time
- * @returns {Object} Processing results and statistics
+ * @param {Object} plan - Optional dry-run plan (file creations and index updates are planned, not made)
+ * @returns {Object} Processing results and statistics, with the number of threads handled before any
+ *   time limit (threadsDone) and the IDs of those labeled processed (labeledProcessed)
  */
-function processEmailThreads(threads, processedEmails, existingFilesCache, destinationFolder, indexFile, forceReprocess, startTime) {
-  const newlyProcessed = [];
+function processEmailThreads(threads, index, existingFilesCache, destinationFolder, forceReprocess, startTime, plan) {
+  const failures = [];
   let createdFiles = [];
+  let timedOut = false;
+  let threadsDone = 0;
+  const labeledProcessed = [];
+  
+  // Threads are labelled only after the index entries of their messages are saved: a thread
+  // labelled processed is left out of later searches, so its emails must not be lost from the index
+  const unlabeled = [];
+  const saveIndexAndLabel = () => {
+    saveEmailIndex(index, plan);
+    unlabeled.splice(0).forEach(done => {
+      if (labelEmailThread(done.thread, done.outcome, plan)) labeledProcessed.push(done.thread.getId());
+    });
+  };
+  
   let stats = {
     emailsFound: 0,
     emailsAlreadyProcessed: 0,
     emailsNewlyProcessed: 0,
+    emailsRejected: 0,
     filesCreated: 0,
     filesAlreadyExist: 0,
     errors: 0
@@ -253,116 +987,143 @@ function processEmailThreads(threads, processedEmails, existingFilesCache, desti
     for (let threadIndex = 0; threadIndex < threads.length; threadIndex++) {
       // Execution time check
       if (Date.now() - startTime > CONFIG.MAX_EXECUTION_TIME) {
-        Logger.log('Time limit reached, saving progress...');
+        Log.warn('email', 'Time limit reached, saving progress', { step: 'search', threadsLeft: threads.length - threadIndex });
+        timedOut = true;
         break;
       }
       
       const thread = threads[threadIndex];
-      Logger.log('Processing thread ' + (threadIndex + 1) + '/' + threads.length);
+      const outcome = { processed: false, failed: false, noPdf: false };
+      Log.debug('email', 'Processing thread ' + (threadIndex + 1) + '/' + threads.length);
       
       thread.getMessages().forEach(message => {
         stats.emailsFound++;
-        const emailId = generateEmailId(message);
+        const identity = getEmailIdentity(message);
         const subject = message.getSubject().trim();
         
         // Skip if already processed (unless forced)
-        if (!forceReprocess && processedEmails.has(emailId)) {
+        if (!forceReprocess && findIndexedEmail(index, identity)) {
           stats.emailsAlreadyProcessed++;
+          outcome.processed = true;
           return;
         }
         
-        Logger.log((forceReprocess ? 'Reprocessing' : 'Processing') + ': ' + subject + ' - ' + message.getDate().toLocaleDateString());
+        Log.debug('email', (forceReprocess ? 'Reprocessing' : 'Processing') + ': ' + subject, { date: identity.received });
         
-        const match = subject.match(CONFIG.EMAIL_SUBJECT_REGEX);
-        if (!match) {
-          Logger.log('Invalid format: ' + subject);
+        // Mail from senders no rule lists is never ingested
+        const intake = matchIntakeRule(message);
+        if (intake.rejection === INTAKE_REJECTIONS.SENDER) {
+          Log.warn('email', 'Sender not in any intake rule, ignored: ' + subject, { sender: intake.sender, step: 'intake' });
+          stats.emailsRejected++;
+          return;
+        }
+        if (!intake.rule) {
+          Log.warn('email', 'Invalid format: ' + subject, { sender: intake.sender, step: 'subject' });
+          failures.push({ subject, error: 'Subject does not match any intake rule' });
           stats.errors++;
+          outcome.failed = true;
           return;
         }
         
+        const closure = parseClosureSubject(intake.fields);
+        const rule = intake.rule.id;
         try {
-          const attachments = message.getAttachments();
-          const pdfAttachments = attachments.filter(file => file.getContentType() === MimeType.PDF);
+          const attachments = getIntakeAttachments(message, intake.rule);
           
-          if (pdfAttachments.length === 0) {
-            Logger.log('No PDF attachments found');
+          if (attachments.length === 0) {
+            Log.warn('email', 'No closure attachments found: ' + subject, { branch: closure.branch, rule, step: 'attachments' });
+            outcome.noPdf = true;
             return;
           }
           
-          let messageFiles = [];
-          let anyFileCreated = false;
+          // The same report resent as another message is recorded under its new ID, not saved again
+          identity.hash = computeAttachmentHash(attachments);
+          if (!forceReprocess && findIndexedEmail(index, identity)) {
+            Log.info('email', 'Same attachments as an indexed email, skipped: ' + subject, { branch: closure.branch, step: 'attachments' });
+            recordIndexedEmail(index, identity, { subject, closure, rule, status: EMAIL_INDEX_STATUS.DUPLICATE });
+            stats.emailsAlreadyProcessed++;
+            outcome.processed = true;
+            return;
+          }
           
-          pdfAttachments.forEach((attachment, index) => {
-            const newFilename = generateFilename(match, index, pdfAttachments.length);
+          // ZIP archives are saved as the closure files inside them
+          const closureFiles = unpackClosureAttachments(attachments);
+          if (closureFiles.length === 0) {
+            Log.warn('email', 'No closure files in the attached archives: ' + subject, { branch: closure.branch, rule, step: 'attachments' });
+            outcome.noPdf = true;
+            return;
+          }
+          
+          const messageFiles = [];
+          const messageFileIds = [];
+          const filenames = nameClosureFiles(intake.fields, closureFiles);
+          
+          closureFiles.forEach((closureFile, attachmentIndex) => {
+            const newFilename = filenames[attachmentIndex];
             
             if (!forceReprocess && existingFilesCache.has(newFilename)) {
-              Logger.log('File already exists: ' + newFilename);
+              Log.debug('email', 'File already exists', { file: newFilename, branch: closure.branch, step: 'save' });
               stats.filesAlreadyExist++;
             } else {
-              destinationFolder.createFile(attachment.copyBlob().setName(newFilename));
+              if (plan) {
+                addPlannedAction(plan, {
+                  action: 'Create file',
+                  target: newFilename,
+                  targetFolder: destinationFolder.getName(),
+                  detail: 'Attachment ' + (attachmentIndex + 1) + '/' + closureFiles.length +
+                          (closureFile.archive ? ' (from ' + closureFile.archive + ')' : '') + ' of: ' + subject
+                });
+              } else {
+                const blob = closureFile.blob.copyBlob().setName(newFilename).setContentType(closureFile.handler.mimeTypes[0]);
+                messageFileIds.push(destinationFolder.createFile(blob).getId());
+              }
               messageFiles.push(newFilename);
-              anyFileCreated = true;
-              Logger.log((forceReprocess ? 'Recreated' : 'Created') + ': ' + newFilename);
+              Log.info('email', forceReprocess ? 'Recreated' : 'Created', { file: newFilename, branch: closure.branch, step: 'save' });
             }
           });
+          outcome.processed = true;
           
-          // Only mark as processed if files were created
-          if (anyFileCreated) {
-            newlyProcessed.push(emailId);
+          // Only mark as processed if files were created (in forced mode, even if none were)
+          if (messageFiles.length > 0 || forceReprocess) {
+            recordIndexedEmail(index, identity, { subject, closure, rule, fileNames: messageFiles, fileIds: messageFileIds });
             createdFiles.push(...messageFiles);
             stats.emailsNewlyProcessed++;
             stats.filesCreated += messageFiles.length;
-            
-            // Batch index updates
-            if (newlyProcessed.length >= CONFIG.EMAIL_BATCH_SIZE) {
-              writeBatchToIndex(indexFile, newlyProcessed, processedEmails);
-              newlyProcessed.length = 0;
-            }
-          } else if (forceReprocess) {
-            // In forced mode, mark as processed even if no files created
-            newlyProcessed.push(emailId);
-            stats.emailsNewlyProcessed++;
           }
         } catch (error) {
-          Logger.log('Error processing: ' + error.message);
+          Log.error('email', 'Error processing: ' + error.message, { branch: closure.branch, step: 'save' });
+          failures.push({ subject, error: error.message });
           stats.errors++;
+          outcome.failed = true;
         }
       });
+      
+      unlabeled.push({ thread, outcome });
+      threadsDone++;
+      
+      // Batch index updates
+      if (index.dirty.size >= CONFIG.EMAIL_BATCH_SIZE) {
+        saveIndexAndLabel();
+      }
     }
     
     // Final batch write
-    if (newlyProcessed.length > 0) {
-      writeBatchToIndex(indexFile, newlyProcessed, processedEmails);
-    }
+    saveIndexAndLabel();
   } catch (error) {
-    Logger.log('PROCESSING ERROR: ' + error.message);
+    Log.error('email', 'Processing error: ' + error.message);
     // Save progress on error
-    if (newlyProcessed.length > 0) {
+    if (index.dirty.size > 0 || unlabeled.length > 0) {
       try {
-        writeBatchToIndex(indexFile, newlyProcessed, processedEmails);
-        Logger.log('Progress saved before error');
+        saveIndexAndLabel();
+        Log.info('email', 'Progress saved before error', { step: 'index' });
       } catch (recoveryError) {
-        Logger.log('Save error: ' + recoveryError.message);
+        Log.error('email', 'Save error: ' + recoveryError.message, { step: 'index' });
       }
     }
     throw error;
   }
   
-  return { stats, createdFiles };
-}
-
-/**
- * Writes batch of processed emails to index
- * @param {File} indexFile - Index file
- * @param {Array} newlyProcessed - Newly processed email IDs
- * @param {Set} processedEmails - Processed emails set
- */
-function writeBatchToIndex(indexFile, newlyProcessed, processedEmails) {
-  const currentContent = indexFile.getBlob().getDataAsString();
-  const newContent = currentContent + newlyProcessed.join("\n") + "\n";
-  indexFile.setContent(newContent);
-  newlyProcessed.forEach(id => processedEmails.add(id));
-  Logger.log('Batch saved: ' + newlyProcessed.length + ' emails');
+  return { stats, createdFiles, failures, timedOut, threadsDone, labeledProcessed };
 }
 
 /**
@@ -372,13 +1133,15 @@ function writeBatchToIndex(indexFile, newlyProcessed, processedEmails) {
 function showProcessingSummary(result) {
   const { stats } = result;
   
-  Logger.log('=== PROCESSING SUMMARY ===');
-  Logger.log('Emails found: ' + stats.emailsFound);
-  Logger.log('Already processed: ' + stats.emailsAlreadyProcessed);
-  Logger.log('Newly processed: ' + stats.emailsNewlyProcessed);
-  Logger.log('Files created: ' + stats.filesCreated);
-  Logger.log('Files already existed: ' + stats.filesAlreadyExist);
-  Logger.log('Errors: ' + stats.errors);
+  Log.info('email', 'Processing summary', {
+    emailsFound: stats.emailsFound,
+    alreadyProcessed: stats.emailsAlreadyProcessed,
+    newlyProcessed: stats.emailsNewlyProcessed,
+    rejected: stats.emailsRejected,
+    filesCreated: stats.filesCreated,
+    filesAlreadyExist: stats.filesAlreadyExist,
+    errors: stats.errors
+  });
 }
 
 /**
@@ -391,14 +1154,31 @@ function createEmptySummary() {
       emailsFound: 0,
       emailsAlreadyProcessed: 0,
       emailsNewlyProcessed: 0,
+      emailsRejected: 0,
       filesCreated: 0,
       filesAlreadyExist: 0,
       errors: 0
     },
-    createdFiles: []
+    createdFiles: [],
+    failures: [],
+    timedOut: false
   };
 }
 
+/**
+ * Adds one company's email results to the run totals
+ * @param {Object} total - Totals (see createEmptySummary), updated in place
+ * @param {Object} result - Company results
+ */
+function mergeEmailResults(total, result) {
+  Object.keys(total.stats).forEach(key => {
+    total.stats[key] += result.stats[key] || 0;
+  });
+  total.createdFiles.push(...result.createdFiles);
+  total.failures.push(...(result.failures || []));
+  total.timedOut = total.timedOut || !!result.timedOut;
+}
+
 /* ==================== FILE CACHE SYSTEM ==================== */
 
 /**
@@ -410,10 +1190,7 @@ function buildExistingFilesCache(destinationFolder) {
   const cache = new Set();
   
   // Root folder files
-  const rootFiles = destinationFolder.getFilesByType(MimeType.PDF);
-  while (rootFiles.hasNext()) {
-    cache.add(rootFiles.next().getName());
-  }
+  getClosureFiles(destinationFolder).forEach(file => cache.add(file.getName()));
   
   // Subfolder files (date-based organization)
   const subfolders = destinationFolder.getFolders();
@@ -425,22 +1202,17 @@ function buildExistingFilesCache(destinationFolder) {
     
     // Only scan date-formatted folders (yyyy-mm-dd)
     if (/^\d{4}-\d{2}-\d{2}$/.test(subfolderName)) {
-      const subfolderFiles = subfolder.getFilesByType(MimeType.PDF);
-      let filesInSubfolder = 0;
-      
-      while (subfolderFiles.hasNext()) {
-        cache.add(subfolderFiles.next().getName());
-        filesInSubfolder++;
-      }
+      const subfolderFiles = getClosureFiles(subfolder);
+      subfolderFiles.forEach(file => cache.add(file.getName()));
       
       scannedSubfolders++;
-      if (filesInSubfolder > 0) {
-        Logger.log(subfolderName + ': ' + filesInSubfolder + ' files');
+      if (subfolderFiles.length > 0) {
+        Log.debug('email', subfolderName + ': ' + subfolderFiles.length + ' files', { step: 'cache' });
       }
     }
   }
   
-  Logger.log('Subfolders scanned: ' + scannedSubfolders);
+  Log.debug('email', 'Subfolders scanned: ' + scannedSubfolders, { step: 'cache' });
   return cache;
 }
 
@@ -448,12 +1220,21 @@ function buildExistingFilesCache(destinationFolder) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     processEmails,
+    resumeEmailIngestion,
+    cancelEmailIngestion,
+    getEmailIngestionProgress,
     processMyDates,
     reprocessDateEmails,
     diagnoseEmailIssues,
-    initializeIndex,
+    migrateEmailIndex,
+    getEmailIdentity,
     generateEmailId,
+    generateLegacyEmailId,
+    computeAttachmentHash,
     generateFilename,
+    nameClosureFiles,
+    buildClosureFileStem,
+    parseClosureSubject,
     buildExistingFilesCache
   };
 }
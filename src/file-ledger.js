@@ -0,0 +1,404 @@
+/**
+ * CashFlow Automator - Processed File Ledger
+ * Tracks every PDF seen by batch processing, keyed by file ID and content hash,
+ * so broken files stop being retried forever and identical re-uploads are recognized
+ * @version 2.1.0
+ */
+
+/* ==================== LEDGER DEFINITIONS ==================== */
+
+const LEDGER_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const LEDGER_HEADERS = ['File ID', 'File Name', 'Content Hash', 'Status', 'Attempts', 'Last Error', 'First Seen', 'Last Attempt', 'Completed At', 'Error Type', 'Next Attempt', 'Company'];
+
+const ERROR_TYPES = {
+  TRANSIENT: 'transient',
+  PERMANENT: 'permanent'
+};
+
+// Failures worth retrying: throttling, server errors and timeouts from Drive or the export URL
+const TRANSIENT_ERROR_PATTERN = /HTTP (?:429|5\d\d)|rate limit|too many|quota|backend error|internal error|server error|service (?:unavailable|error)|timed? ?out|try again/i;
+
+/* ==================== LEDGER STORAGE ==================== */
+
+/**
+ * Gets the hidden ledger sheet, creating it on first use
+ * @returns {Sheet} Ledger sheet
+ */
+function getFileLedgerSheet() {
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(CONFIG.LEDGER_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.LEDGER_SHEET_NAME);
+    sheet.getRange(1, 1, 1, LEDGER_HEADERS.length).setValues([LEDGER_HEADERS]);
+    sheet.hideSheet();
+    Log.info('ledger', 'Created file ledger sheet: ' + CONFIG.LEDGER_SHEET_NAME);
+  } else if (sheet.getLastColumn() < LEDGER_HEADERS.length) {
+    // Ledgers created before new columns were added
+    sheet.getRange(1, 1, 1, LEDGER_HEADERS.length).setValues([LEDGER_HEADERS]);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Loads the ledger into memory
+ * @param {boolean} readOnly - Don't create or upgrade the ledger sheet (dry runs); an empty ledger is returned when missing
+ * @returns {Object} {sheet, entries: Map<fileId, entry>, dirty: Set<fileId>}
+ */
+function loadFileLedger(readOnly = false) {
+  const sheet = readOnly ? Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.LEDGER_SHEET_NAME) : getFileLedgerSheet();
+  const values = sheet ? sheet.getDataRange().getValues().slice(1) : [];
+  const entries = new Map();
+  
+  values.forEach((row, index) => {
+    if (!row[0]) return;
+    entries.set(String(row[0]), {
+      row: index + 2,
+      fileId: String(row[0]),
+      fileName: row[1],
+      hash: row[2],
+      status: row[3],
+      attempts: parseInt(row[4], 10) || 0,
+      lastError: row[5],
+      firstSeen: row[6],
+      lastAttempt: row[7],
+      completedAt: row[8],
+      errorType: row[9] || '',
+      nextAttempt: row[10] || '',
+      company: row[11] || ''
+    });
+  });
+  
+  return { sheet, entries, dirty: new Set() };
+}
+
+/**
+ * Writes new and modified entries back to the ledger sheet
+ * @param {Object} ledger - Loaded ledger
+ */
+function saveFileLedger(ledger) {
+  if (ledger.dirty.size === 0) return;
+  
+  const toRow = entry => [
+    entry.fileId, entry.fileName, entry.hash, entry.status, entry.attempts,
+    entry.lastError || '', entry.firstSeen || '', entry.lastAttempt || '', entry.completedAt || '',
+    entry.errorType || '', entry.nextAttempt || '', entry.company || ''
+  ];
+  
+  let nextRow = Math.max(ledger.sheet.getLastRow(), 1) + 1;
+  ledger.dirty.forEach(fileId => {
+    const entry = ledger.entries.get(fileId);
+    if (!entry.row) entry.row = nextRow++;
+    ledger.sheet.getRange(entry.row, 1, 1, LEDGER_HEADERS.length).setValues([toRow(entry)]);
+  });
+  
+  Log.debug('ledger', 'Ledger updated', { entries: ledger.dirty.size });
+  ledger.dirty.clear();
+}
+
+/* ==================== BATCH SELECTION ==================== */
+
+/**
+ * Picks the next batch of files, skipping what the ledger says should not be retried
+ * Files already done, skipped or given up on are left out, failures still in their backoff
+ * window wait, and a file whose content matches an already processed file is marked
+ * skipped as a duplicate.
+ * @param {Array<File>} files - Candidate PDF files
+ * @param {Object} ledger - Loaded ledger (updated in place)
+ * @param {number} limit - Maximum batch size
+ * @returns {Object} {batch: Array<File>, remaining, excluded, duplicates, waiting: number}
+ */
+function selectBatchFiles(files, ledger, limit) {
+  // Content already processed, or already claimed by a file earlier in this batch
+  const knownHashes = new Map();
+  ledger.entries.forEach(entry => {
+    if (entry.status === LEDGER_STATUS.DONE && entry.hash) knownHashes.set(entry.hash, entry);
+  });
+  
+  const batch = [];
+  let remaining = 0;
+  let excluded = 0;
+  let duplicates = 0;
+  let waiting = 0;
+  const now = new Date();
+  
+  files.forEach(file => {
+    let entry = ledger.entries.get(file.getId());
+    
+    // A file modified since we last saw it gets a fresh start
+    if (entry && isFileModifiedSince(file, entry.lastAttempt || entry.firstSeen)) {
+      const hash = getFileContentHash(file);
+      if (hash !== entry.hash) {
+        Object.assign(entry, { hash, status: LEDGER_STATUS.PENDING, attempts: 0, lastError: '', errorType: '', nextAttempt: '' });
+        ledger.dirty.add(entry.fileId);
+      }
+    }
+    
+    if (entry && !isLedgerEntryRetryable(entry)) {
+      excluded++;
+      return;
+    }
+    
+    if (entry && entry.nextAttempt && new Date(entry.nextAttempt) > now) {
+      waiting++;
+      return;
+    }
+    
+    if (batch.length >= limit) {
+      remaining++;
+      return;
+    }
+    
+    if (!entry) {
+      entry = createLedgerEntry(ledger, file, getFileContentHash(file));
+    }
+    
+    const original = entry.hash ? knownHashes.get(entry.hash) : null;
+    if (original && original.fileId !== entry.fileId) {
+      entry.status = LEDGER_STATUS.SKIPPED;
+      entry.lastError = 'Duplicate of ' + original.fileName + ' (' + original.fileId + ')';
+      ledger.dirty.add(entry.fileId);
+      Log.info('ledger', 'Skipped duplicate, same content as ' + original.fileName, { file: file.getName(), step: 'dedupe' });
+      duplicates++;
+      return;
+    }
+    
+    if (entry.hash) knownHashes.set(entry.hash, entry);
+    batch.push(file);
+  });
+  
+  return { batch, remaining, excluded, duplicates, waiting };
+}
+
+/**
+ * Records the outcome of processing a file and decides what happens next
+ * Transient failures are retried with exponential backoff until CONFIG.MAX_RETRIES;
+ * permanent failures (and transient ones out of attempts) are sent to quarantine.
+ * @param {Object} ledger - Loaded ledger (updated in place)
+ * @param {File} file - Processed file
+ * @param {string} error - Error message, or empty when processing succeeded
+ * @returns {string} 'done', 'retry' or 'quarantine'
+ */
+function recordFileResult(ledger, file, error) {
+  const entry = ledger.entries.get(file.getId()) || createLedgerEntry(ledger, file, getFileContentHash(file));
+  const now = new Date().toISOString();
+  
+  entry.fileName = file.getName();
+  entry.attempts++;
+  entry.lastAttempt = now;
+  
+  ledger.dirty.add(entry.fileId);
+  
+  if (!error) {
+    Object.assign(entry, { status: LEDGER_STATUS.DONE, lastError: '', errorType: '', nextAttempt: '', completedAt: now });
+    return 'done';
+  }
+  
+  entry.status = LEDGER_STATUS.FAILED;
+  entry.lastError = error;
+  
+  if (classifyProcessingError(error) === ERROR_TYPES.TRANSIENT && entry.attempts < CONFIG.MAX_RETRIES) {
+    const delayMs = getRetryDelayMs(entry.attempts);
+    entry.errorType = ERROR_TYPES.TRANSIENT;
+    entry.nextAttempt = new Date(Date.now() + delayMs).toISOString();
+    Log.warn('ledger', 'Will retry in ' + Math.round(delayMs / 60000) + ' min (attempt ' + entry.attempts + '/' + CONFIG.MAX_RETRIES + ')', { file: entry.fileName });
+    return 'retry';
+  }
+  
+  entry.errorType = ERROR_TYPES.PERMANENT;
+  entry.nextAttempt = '';
+  Log.error('ledger', 'Giving up after ' + entry.attempts + ' attempts: ' + error, { file: entry.fileName });
+  return 'quarantine';
+}
+
+/**
+ * Gets the earliest time a waiting retry among the given files becomes due
+ * @param {Object} ledger - Loaded ledger
+ * @param {Array<File>} files - Files still in the queue
+ * @returns {Date|null} Earliest retry time, or null if nothing is waiting
+ */
+function getNextRetryTime(ledger, files) {
+  let next = null;
+  
+  files.forEach(file => {
+    const entry = ledger.entries.get(file.getId());
+    if (!entry || !entry.nextAttempt || !isLedgerEntryRetryable(entry)) return;
+    const due = new Date(entry.nextAttempt);
+    if (!next || due < next) next = due;
+  });
+  
+  return next;
+}
+
+/**
+ * Sends failed files back to the queue (e.g. after fixing a template)
+ * Quarantined files are moved back to the main folder
+ * @returns {number} Number of entries reset
+ */
+function resetFailedLedgerEntries() {
+  const ledger = loadFileLedger();
+  
+  ledger.entries.forEach(entry => {
+    if (entry.status === LEDGER_STATUS.FAILED) {
+      if (entry.errorType === ERROR_TYPES.PERMANENT) {
+        releaseQuarantinedFile(entry.fileId);
+      }
+      Object.assign(entry, { status: LEDGER_STATUS.PENDING, attempts: 0, errorType: '', nextAttempt: '' });
+      ledger.dirty.add(entry.fileId);
+    }
+  });
+  
+  const count = ledger.dirty.size;
+  saveFileLedger(ledger);
+  Log.info('ledger', 'Reset ' + count + ' failed files to pending');
+  return count;
+}
+
+/**
+ * Counts ledger entries per status
+ * Entries recorded before companies were introduced count for the default company
+ * @param {Array<string>} companyIds - Optional: only entries of these companies
+ * @returns {Object} {pending, done, failed (retrying), quarantined, skipped}
+ */
+function getFileLedgerSummary(companyIds) {
+  const ledger = loadFileLedger();
+  const summary = { pending: 0, done: 0, failed: 0, quarantined: 0, skipped: 0 };
+  
+  ledger.entries.forEach(entry => {
+    if (companyIds && companyIds.length > 0 && !companyIds.includes(entry.company || DEFAULT_COMPANY_ID)) return;
+    if (entry.status === LEDGER_STATUS.FAILED && !isLedgerEntryRetryable(entry)) {
+      summary.quarantined++;
+    } else if (summary[entry.status] !== undefined) {
+      summary[entry.status]++;
+    }
+  });
+  
+  return summary;
+}
+
+/* ==================== RETRY POLICY ==================== */
+
+/**
+ * Classifies a processing error as transient (worth retrying) or permanent
+ * Extraction failures list every backend's error, so one transient backend error
+ * (e.g. the Docs export returning HTTP 503) makes the whole failure transient.
+ * @param {string} message - Error message
+ * @returns {string} ERROR_TYPES.TRANSIENT or ERROR_TYPES.PERMANENT
+ */
+function classifyProcessingError(message) {
+  return TRANSIENT_ERROR_PATTERN.test(message || '') ? ERROR_TYPES.TRANSIENT : ERROR_TYPES.PERMANENT;
+}
+
+/**
+ * Backoff before the next attempt: CONFIG.RETRY_BACKOFF_MINUTES doubled per failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempts) {
+  return CONFIG.RETRY_BACKOFF_MINUTES * 60 * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/* ==================== LEDGER UTILITIES ==================== */
+
+/**
+ * Adds a pending entry for a file seen for the first time, under the active company
+ * @param {Object} ledger - Loaded ledger (updated in place)
+ * @param {File} file - Drive file
+ * @param {string} hash - Content hash
+ * @returns {Object} New entry
+ */
+function createLedgerEntry(ledger, file, hash) {
+  const entry = {
+    row: null,
+    fileId: file.getId(),
+    fileName: file.getName(),
+    hash,
+    status: LEDGER_STATUS.PENDING,
+    attempts: 0,
+    lastError: '',
+    firstSeen: new Date().toISOString(),
+    lastAttempt: '',
+    completedAt: '',
+    errorType: '',
+    nextAttempt: '',
+    company: getActiveCompany() ? getActiveCompany().id : ''
+  };
+  
+  ledger.entries.set(entry.fileId, entry);
+  ledger.dirty.add(entry.fileId);
+  return entry;
+}
+
+/**
+ * Whether a file should still be offered to batch processing
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean} True if pending, or failed transiently with attempts left
+ */
+function isLedgerEntryRetryable(entry) {
+  if (entry.status === LEDGER_STATUS.PENDING) return true;
+  return entry.status === LEDGER_STATUS.FAILED &&
+    entry.errorType !== ERROR_TYPES.PERMANENT &&
+    entry.attempts < CONFIG.MAX_RETRIES;
+}
+
+/**
+ * Checks whether a file changed after a recorded timestamp
+ * @param {File} file - Drive file
+ * @param {string|Date} since - Recorded timestamp
+ * @returns {boolean} True if modified later
+ */
+function isFileModifiedSince(file, since) {
+  if (!since) return false;
+  return file.getLastUpdated().getTime() > new Date(since).getTime();
+}
+
+/**
+ * Gets the MD5 hash of a file's content
+ * Uses the checksum Drive already computed, falling back to hashing the bytes
+ * @param {File} file - Drive file
+ * @returns {string} Hex MD5 hash
+ */
+function getFileContentHash(file) {
+  try {
+    const metadata = Services.driveApi.Files.get(file.getId());
+    if (metadata.md5Checksum) return metadata.md5Checksum;
+  } catch (error) {
+    Log.debug('ledger', 'Drive checksum unavailable: ' + error.message, { file: file.getName(), step: 'dedupe' });
+  }
+  
+  return computeMd5(file.getBlob().getBytes());
+}
+
+/**
+ * Gets the MD5 hash of bytes or a string
+ * @param {Array<number>|string} value - Bytes (as returned by Blob.getBytes()) or text
+ * @returns {string} Hex MD5 hash
+ */
+function computeMd5(value) {
+  const digest = Services.utilities.computeDigest(Services.utilities.DigestAlgorithm.MD5, value);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LEDGER_STATUS,
+    loadFileLedger,
+    saveFileLedger,
+    selectBatchFiles,
+    recordFileResult,
+    getNextRetryTime,
+    classifyProcessingError,
+    resetFailedLedgerEntries,
+    getFileLedgerSummary,
+    getFileContentHash,
+    computeMd5
+  };
+}
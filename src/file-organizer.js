@@ -8,23 +8,41 @@
 
 /**
  * Organizes files into date-based folder structure
+ * With a dry-run plan, the moves are added to the plan instead of made
  * @param {Folder} rootFolder - Root folder to organize from
  * @param {Map} filesByDate - Map of dates to file arrays
+ * @param {Object} plan - Optional dry-run plan
+ * @returns {number} Number of files moved (or that would be moved)
  */
-function organizeFiles(rootFolder, filesByDate) {
+function organizeFiles(rootFolder, filesByDate, plan) {
   let totalMoved = 0;
   
   filesByDate.forEach((files, dateISO) => {
     try {
+      if (plan) {
+        const targetFolder = rootFolder.getFoldersByName(dateISO).hasNext() ? dateISO : dateISO + ' (new folder)';
+        files.forEach(file => {
+          const parents = file.getParents();
+          addPlannedAction(plan, {
+            action: 'Move file',
+            target: file.getName(),
+            sourceFolder: parents.hasNext() ? parents.next().getName() : '',
+            targetFolder
+          });
+        });
+        totalMoved += files.length;
+        return;
+      }
+      
       let dateFolder = null;
       const existingFolders = rootFolder.getFoldersByName(dateISO);
       
       if (existingFolders.hasNext()) {
         dateFolder = existingFolders.next();
-        Logger.log('Using existing folder: ' + dateISO);
+        Log.debug('folders', 'Using existing folder', { date: dateISO, step: 'organize' });
       } else {
         dateFolder = rootFolder.createFolder(dateISO);
-        Logger.log('Created new folder: ' + dateISO);
+        Log.info('folders', 'Created new folder', { date: dateISO, step: 'organize' });
       }
       
       // Move files to date folder
@@ -33,105 +51,131 @@ function organizeFiles(rootFolder, filesByDate) {
           file.moveTo(dateFolder);
           totalMoved++;
         } catch (moveError) {
-          Logger.log('Error moving file ' + file.getName() + ': ' + moveError.message);
+          Log.error('folders', 'Error moving file: ' + moveError.message, { file: file.getName(), date: dateISO, step: 'organize' });
         }
       });
       
-      Logger.log('Moved ' + files.length + ' files to ' + dateISO);
+      Log.debug('folders', 'Moved ' + files.length + ' files', { date: dateISO, step: 'organize' });
     } catch (error) {
-      Logger.log('Error organizing ' + dateISO + ': ' + error.message);
+      Log.error('folders', 'Error organizing: ' + error.message, { date: dateISO, step: 'organize' });
     }
   });
   
-  Logger.log('Total files organized: ' + totalMoved);
+  Log.info('folders', (plan ? 'Files that would be organized: ' : 'Total files organized: ') + totalMoved, { step: 'organize', dryRun: plan ? true : undefined });
+  return totalMoved;
 }
 
 /**
  * Processes a specific date folder (manual operation)
  * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @param {string} source - What started the run: 'menu', 'cell' or 'manual'
+ * @param {Object} options - {dryRun: report planned actions instead of making them,
+ *   company: only this company's folder (by default, every company that has the date folder)}
+ * @returns {boolean|undefined} false if another job was using the folders or sheets
  */
-function processDateFolder(dateISO) {
+function processDateFolder(dateISO, source = 'manual', options = {}) {
   if (!dateISO) {
-    Logger.log('Usage: processDateFolder("2025-07-22")');
+    Log.warn('folders', 'Usage: processDateFolder("2025-07-22")');
     return;
   }
   
+  const companyIds = options.company ? [options.company] : null;
+  requireValidConfig(['MAIN_FOLDER', 'SHEET_NAME'], companyIds);
+  
+  const locks = options.dryRun ? [] :
+    acquireLocksOrReport(getLockNames([LOCK_RESOURCES.ROOT_QUEUE, LOCK_RESOURCES.SHEET], companyIds), 'folder run ' + dateISO, source);
+  if (!locks) return false;
+  
   const startTime = new Date();
-  Logger.log('=== MANUAL FOLDER PROCESSING ===');
-  Logger.log('Target date: ' + dateISO);
-  Logger.log('Started: ' + startTime.toLocaleString('es-AR'));
+  const runId = options.dryRun ? null : startRun('folder', source, dateISO);
+  const plan = options.dryRun ? createDryRunPlan('Folder ' + dateISO) : null;
+  Log.info('folders', 'Manual folder processing', { date: dateISO, dryRun: options.dryRun || undefined });
   
   try {
-    const rootFolder = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER).next();
-    const dateFolder = rootFolder.getFoldersByName(dateISO).next();
-    const files = [];
-    const pdfs = dateFolder.getFilesByType(MimeType.PDF);
+    const companies = selectCompanies(companyIds);
+    let foldersFound = 0;
     
-    while (pdfs.hasNext()) files.push(pdfs.next());
-    
-    Logger.log('Files found: ' + files.length);
-    
-    if (files.length === 0) {
-      Logger.log('Folder empty - no PDFs to process');
-      return;
-    }
-    
-    // Show sample file names
-    if (files.length <= 3) {
-      files.forEach(pdf => Logger.log(' • ' + pdf.getName()));
-    } else {
-      Logger.log(' • ' + files[0].getName());
-      Logger.log(' • ' + files[1].getName());
-      Logger.log(' • ... (and ' + (files.length - 2) + ' more)');
-    }
-    
-    const results = processFiles(files);
-    const successful = results.filter(r => !r.error).length;
-    const failed = results.length - successful;
-    const totalSeconds = Math.round((new Date() - startTime) / 1000);
-    
-    Logger.log('=== PROCESSING ' + dateISO + ' COMPLETED ===');
-    Logger.log('Successful: ' + successful);
-    Logger.log('Failed: ' + failed);
-    Logger.log('Total time: ' + totalSeconds + ' seconds');
+    companies.forEach(company => withCompany(company, () => {
+      const rootFolder = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next();
+      const dateFolders = rootFolder.getFoldersByName(dateISO);
+      if (!dateFolders.hasNext()) return;
+      
+      foldersFound++;
+      if (companies.length > 1) Log.info('folders', 'Processing folder of ' + company.name, { date: dateISO });
+      processDateFolderFiles(dateFolders.next(), dateISO, startTime, runId, plan);
+    }));
     
-    if (failed > 0) {
-      Logger.log('Files with errors:');
-      results.filter(r => r.error).forEach(r => {
-        Logger.log(' • ' + r.file + ': ' + r.error);
-      });
+    if (foldersFound === 0) {
+      throw new Error('Date folder not found');
     }
+    if (plan) writeDryRunReport(plan);
+    finishRun(runId, 'COMPLETED');
   } catch (error) {
-    Logger.log('Error accessing folder ' + dateISO + ': ' + error.message);
+    Log.error('folders', 'Error accessing folder: ' + error.message, { date: dateISO });
+    finishRun(runId, 'ERROR');
+  } finally {
+    releaseLocks(locks);
+    flushLogs();
   }
 }
 
+/**
+ * Processes the PDFs of one company's date folder
+ * @param {Folder} dateFolder - Date folder
+ * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @param {Date} startTime - When the folder run started
+ * @param {string} runId - Journal run (null for dry runs)
+ * @param {Object} plan - Dry-run plan, or null
+ */
+function processDateFolderFiles(dateFolder, dateISO, startTime, runId, plan) {
+  const files = getClosureFiles(dateFolder);
+  
+  Log.info('folders', 'Files found: ' + files.length, { date: dateISO });
+  
+  if (files.length === 0) {
+    Log.info('folders', 'Folder empty - no closure files to process', { date: dateISO });
+    return;
+  }
+  
+  files.forEach(pdf => Log.debug('folders', 'Found file', { file: pdf.getName(), date: dateISO }));
+  
+  const results = processFiles(files, { runId, dryRun: !!plan, plan });
+  const successful = results.filter(r => !r.error).length;
+  const failed = results.length - successful;
+  const totalSeconds = Math.round((new Date() - startTime) / 1000);
+  
+  Log.info('folders', 'Folder completed: ' + successful + ' successful, ' + failed + ' failed', { date: dateISO, seconds: totalSeconds });
+  
+  results.filter(r => r.error).forEach(r => {
+    Log.warn('folders', 'File with errors: ' + r.error, { file: r.file, date: dateISO });
+  });
+}
+
 /**
  * Shows available date folders for processing
  */
 function showAvailableFolders() {
-  const ui = SpreadsheetApp.getUi();
+  const ui = Services.spreadsheet.getUi();
   
   try {
-    const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER).next();
-    const subfolders = root.getFolders();
+    const multiCompany = isMultiCompany();
     const dates = [];
     
-    while (subfolders.hasNext()) {
-      const folder = subfolders.next();
-      const name = folder.getName();
+    forEachCompany(company => {
+      const root = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next();
+      const subfolders = root.getFolders();
       
-      if (/^\d{4}-\d{2}-\d{2}$/.test(name)) {
-        // Count PDF files in folder
-        const pdfs = folder.getFilesByType(MimeType.PDF);
-        let count = 0;
-        while (pdfs.hasNext()) {
-          pdfs.next();
-          count++;
+      while (subfolders.hasNext()) {
+        const folder = subfolders.next();
+        const name = folder.getName();
+        
+        if (/^\d{4}-\d{2}-\d{2}$/.test(name)) {
+          // Count closure files in folder
+          const count = getClosureFiles(folder).length;
+          dates.push(name + ' (' + (multiCompany ? company.name + ', ' : '') + count + ' files)');
         }
-        dates.push(name + ' (' + count + ' PDFs)');
       }
-    }
+    });
     
     if (dates.length === 0) {
       ui.alert('No Date Folders', 'No subfolders with date format found.', ui.ButtonSet.OK);
@@ -157,17 +201,17 @@ function showAvailableFolders() {
  * Recursively removes duplicate files by name
  */
 function removeDuplicateFilesRecursive() {
-  const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER);
+  const root = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER);
   if (!root.hasNext()) {
-    Logger.log('Root folder not found: ' + CONFIG.MAIN_FOLDER);
+    Log.warn('folders', 'Root folder not found: ' + CONFIG.MAIN_FOLDER);
     return;
   }
   
   const rootFolder = root.next();
-  Logger.log('Scanning file hierarchy from: ' + rootFolder.getName());
+  Log.info('folders', 'Scanning file hierarchy from: ' + rootFolder.getName(), { step: 'duplicates' });
   
   const allFiles = getAllFilesRecursive(rootFolder);
-  Logger.log('Total files found: ' + allFiles.length);
+  Log.info('folders', 'Total files found: ' + allFiles.length, { step: 'duplicates' });
   
   const fileMap = new Map();
   let totalRemoved = 0;
@@ -183,37 +227,37 @@ function removeDuplicateFilesRecursive() {
   
   for (const [fileName, fileList] of fileMap.entries()) {
     if (fileList.length > 1) {
-      Logger.log('Removing ' + (fileList.length - 1) + ' copies of "' + fileName + '"');
+      Log.info('folders', 'Removing ' + (fileList.length - 1) + ' copies', { file: fileName, step: 'duplicates' });
       for (let i = 1; i < fileList.length; i++) {
         try {
           fileList[i].setTrashed(true);
-          Logger.log(' • Removed: ' + fileList[i].getName());
+          Log.debug('folders', 'Removed copy', { file: fileList[i].getName(), fileId: fileList[i].getId(), step: 'duplicates' });
           totalRemoved++;
         } catch (error) {
-          Logger.log('Error removing "' + fileName + '": ' + error.message);
+          Log.error('folders', 'Error removing copy: ' + error.message, { file: fileName, step: 'duplicates' });
         }
       }
     }
   }
   
-  Logger.log('Total files removed: ' + totalRemoved);
+  Log.info('folders', 'Total files removed: ' + totalRemoved, { step: 'duplicates' });
 }
 
 /**
  * Counts duplicate files without removing them
  */
 function countDuplicateFilesRecursive() {
-  const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER);
+  const root = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER);
   if (!root.hasNext()) {
-    Logger.log('Root folder not found: ' + CONFIG.MAIN_FOLDER);
+    Log.warn('folders', 'Root folder not found: ' + CONFIG.MAIN_FOLDER);
     return;
   }
   
   const rootFolder = root.next();
-  Logger.log('Scanning file hierarchy from: ' + rootFolder.getName());
+  Log.info('folders', 'Scanning file hierarchy from: ' + rootFolder.getName(), { step: 'duplicates' });
   
   const allFiles = getAllFilesRecursive(rootFolder);
-  Logger.log('Total files found: ' + allFiles.length);
+  Log.info('folders', 'Total files found: ' + allFiles.length, { step: 'duplicates' });
   
   const fileMap = new Map();
   let duplicateNames = 0;
@@ -226,14 +270,13 @@ function countDuplicateFilesRecursive() {
   
   for (const [fileName, count] of fileMap.entries()) {
     if (count > 1) {
-      Logger.log('"' + fileName + '" → ' + count + ' copies');
+      Log.info('folders', count + ' copies', { file: fileName, step: 'duplicates' });
       duplicateNames++;
       totalDuplicateFiles += (count - 1);
     }
   }
   
-  Logger.log('Duplicate file names detected: ' + duplicateNames);
-  Logger.log('Total files that would be removed (keeping one each): ' + totalDuplicateFiles);
+  Log.info('folders', 'Duplicate file names detected: ' + duplicateNames + ', files that would be removed (keeping one each): ' + totalDuplicateFiles, { step: 'duplicates' });
 }
 
 /**
@@ -267,28 +310,83 @@ function getAllFilesRecursive(folder) {
  */
 function initializeFolderStructure() {
   try {
-    const rootFolders = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER);
+    const rootFolders = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER);
     if (!rootFolders.hasNext()) {
-      const rootFolder = DriveApp.createFolder(CONFIG.MAIN_FOLDER);
-      Logger.log('Created main folder: ' + CONFIG.MAIN_FOLDER);
+      const rootFolder = Services.drive.createFolder(CONFIG.MAIN_FOLDER);
+      Log.info('folders', 'Created main folder: ' + CONFIG.MAIN_FOLDER);
       return rootFolder;
     } else {
-      Logger.log('Main folder already exists: ' + CONFIG.MAIN_FOLDER);
+      Log.debug('folders', 'Main folder already exists: ' + CONFIG.MAIN_FOLDER);
       return rootFolders.next();
     }
   } catch (error) {
-    Logger.log('Error initializing folder structure: ' + error.message);
+    Log.error('folders', 'Error initializing folder structure: ' + error.message);
     return null;
   }
 }
 
+/* ==================== QUARANTINE ==================== */
+
+// Quarantine reason quarantineFile adds at the end of a file description
+const QUARANTINE_NOTE_PATTERN = /(^|\n)Quarantined \d{4}-\d{2}-\d{2}T[\d:.]+Z: [\s\S]*$/;
+
+/**
+ * Moves a file that failed permanently to the quarantine folder
+ * The reason is added to the file description so it travels with the file
+ * @param {File} file - Drive file
+ * @param {string} reason - Failure reason
+ * @returns {boolean} True if the file was moved
+ */
+function quarantineFile(file, reason) {
+  try {
+    const rootFolder = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next();
+    const existing = rootFolder.getFoldersByName(CONFIG.QUARANTINE_FOLDER);
+    const quarantine = existing.hasNext() ? existing.next() : rootFolder.createFolder(CONFIG.QUARANTINE_FOLDER);
+    
+    const description = file.getDescription() || '';
+    const note = (description ? '\n' : '') + 'Quarantined ' + new Date().toISOString() + ': ' + reason;
+    file.setDescription((description + note).substring(0, 4000));
+    file.moveTo(quarantine);
+    Log.warn('folders', 'Quarantined: ' + reason, { file: file.getName(), step: 'quarantine' });
+    return true;
+  } catch (error) {
+    Log.error('folders', 'Error quarantining: ' + error.message, { file: file.getName(), step: 'quarantine' });
+    return false;
+  }
+}
+
+/**
+ * Moves a quarantined file back to its company's main folder so batch processing picks it up again
+ * @param {string} fileId - Drive file ID
+ * @returns {boolean} True if the file was moved
+ */
+function releaseQuarantinedFile(fileId) {
+  try {
+    const file = Services.drive.getFileById(fileId);
+    const parents = file.getParents();
+    if (!parents.hasNext()) return false;
+    
+    const quarantine = parents.next();
+    if (quarantine.getName() !== CONFIG.QUARANTINE_FOLDER) return false;
+    
+    // The quarantine folder lives inside the main folder of the file's company
+    file.setDescription((file.getDescription() || '').replace(QUARANTINE_NOTE_PATTERN, ''));
+    file.moveTo(quarantine.getParents().next());
+    Log.info('folders', 'Released from quarantine', { file: file.getName(), step: 'quarantine' });
+    return true;
+  } catch (error) {
+    Log.error('folders', 'Error releasing from quarantine: ' + error.message, { fileId, step: 'quarantine' });
+    return false;
+  }
+}
+
 /**
  * Gets folder statistics (file counts, sizes, etc.)
  * @returns {Object} Folder statistics
  */
 function getFolderStats() {
   try {
-    const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER);
+    const root = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER);
     if (!root.hasNext()) {
       return { error: 'Main folder not found' };
     }
@@ -353,7 +451,7 @@ function getFolderStats() {
     
     return stats;
   } catch (error) {
-    Logger.log('Error getting folder stats: ' + error.message);
+    Log.error('folders', 'Error getting folder stats: ' + error.message);
     return { error: error.message };
   }
 }
@@ -365,24 +463,21 @@ function logFolderStats() {
   const stats = getFolderStats();
   
   if (stats.error) {
-    Logger.log('Error getting folder stats: ' + stats.error);
+    Log.error('folders', 'Error getting folder stats: ' + stats.error);
     return;
   }
   
-  Logger.log('=== FOLDER STATISTICS ===');
-  Logger.log('Total files: ' + stats.totalFiles);
-  Logger.log('PDF files: ' + stats.totalPDFs);
-  Logger.log('Date folders: ' + stats.dateFolders);
-  Logger.log('Total size: ' + stats.totalSizeMB + ' MB');
-  
-  if (stats.dateFolders > 0) {
-    Logger.log('Files by date folder:');
-    Object.keys(stats.filesByDate).sort().forEach(date => {
-      const folderStats = stats.filesByDate[date];
-      Logger.log(' • ' + date + ': ' + folderStats.pdfFiles + ' PDFs, ' + 
-                folderStats.totalFiles + ' total files');
-    });
-  }
+  Log.info('folders', 'Folder statistics', {
+    totalFiles: stats.totalFiles,
+    pdfFiles: stats.totalPDFs,
+    dateFolders: stats.dateFolders,
+    sizeMB: stats.totalSizeMB
+  });
+  
+  Object.keys(stats.filesByDate).sort().forEach(date => {
+    const folderStats = stats.filesByDate[date];
+    Log.info('folders', folderStats.pdfFiles + ' PDFs, ' + folderStats.totalFiles + ' total files', { date });
+  });
 }
 
 /**
@@ -391,7 +486,7 @@ function logFolderStats() {
  */
 function cleanupEmptyFolders() {
   try {
-    const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER);
+    const root = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER);
     if (!root.hasNext()) return 0;
     
     const rootFolder = root.next();
@@ -410,43 +505,41 @@ function cleanupEmptyFolders() {
         if (!hasFiles) {
           try {
             folder.setTrashed(true);
-            Logger.log('Removed empty folder: ' + folderName);
+            Log.info('folders', 'Removed empty folder', { date: folderName, step: 'cleanup' });
             removedCount++;
           } catch (error) {
-            Logger.log('Error removing folder ' + folderName + ': ' + error.message);
+            Log.error('folders', 'Error removing folder: ' + error.message, { date: folderName, step: 'cleanup' });
           }
         }
       }
     }
     
-    Logger.log('Removed ' + removedCount + ' empty folders');
+    Log.info('folders', 'Removed ' + removedCount + ' empty folders', { step: 'cleanup' });
     return removedCount;
   } catch (error) {
-    Logger.log('Error cleaning up folders: ' + error.message);
+    Log.error('folders', 'Error cleaning up folders: ' + error.message, { step: 'cleanup' });
     return 0;
   }
 }
 
 /**
- * Moves all PDF files from root to appropriate date folders
+ * Moves all closure files from root to appropriate date folders
  * @returns {number} Number of files moved
  */
 function organizeAllFiles() {
   try {
-    const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER);
+    const root = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER);
     if (!root.hasNext()) {
-      Logger.log('Main folder not found');
+      Log.warn('folders', 'Main folder not found');
       return 0;
     }
     
     const rootFolder = root.next();
-    const pdfs = rootFolder.getFilesByType(MimeType.PDF);
     const filesByDate = new Map();
     let processedCount = 0;
     
     // Group files by date from their names
-    while (pdfs.hasNext()) {
-      const file = pdfs.next();
+    getClosureFiles(rootFolder).forEach(file => {
       const fileName = file.getName();
       
       // Extract date from filename (assuming format contains YYYY-MM-DD)
@@ -459,9 +552,9 @@ function organizeAllFiles() {
         filesByDate.get(date).push(file);
         processedCount++;
       } else {
-        Logger.log('Could not extract date from: ' + fileName);
+        Log.warn('folders', 'Could not extract date from file name', { file: fileName, step: 'organize' });
       }
-    }
+    });
     
     if (filesByDate.size > 0) {
       organizeFiles(rootFolder, filesByDate);
@@ -469,7 +562,7 @@ function organizeAllFiles() {
     
     return processedCount;
   } catch (error) {
-    Logger.log('Error organizing all files: ' + error.message);
+    Log.error('folders', 'Error organizing all files: ' + error.message, { step: 'organize' });
     return 0;
   }
 }
@@ -484,6 +577,8 @@ if (typeof module !== 'undefined' && module.exports) {
     countDuplicateFilesRecursive,
     getAllFilesRecursive,
     initializeFolderStructure,
+    quarantineFile,
+    releaseQuarantinedFile,
     getFolderStats,
     logFolderStats,
     cleanupEmptyFolders,
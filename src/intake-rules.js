@@ -0,0 +1,234 @@
+/**
+ * CashFlow Automator - Email Intake Rules
+ * Which emails are ingested: allowed senders, subject pattern, attachment names and Gmail search per rule
+ * @version 2.1.0
+ */
+
+/* ==================== RULE DEFINITIONS ==================== */
+
+// Settings a rule may declare
+const INTAKE_RULE_FIELDS = ['id', 'senders', 'subjectPattern', 'filenamePattern', 'query'];
+
+// Named groups every subject pattern must capture
+const INTAKE_SUBJECT_GROUPS = ['branch', 'date', 'time'];
+
+// Why an email matched no rule
+const INTAKE_REJECTIONS = {
+  SENDER: 'sender',
+  SUBJECT: 'subject'
+};
+
+// Compiled rules of the CONFIG.EMAIL_INTAKE_RULES value they were compiled from: {source, rules}
+let INTAKE_RULES_CACHE = null;
+
+/* ==================== RULE REGISTRY ==================== */
+
+/**
+ * Gets the active company's intake rules, in evaluation order
+ * CONFIG.EMAIL_INTAKE_RULES is a list of rules, each declaring:
+ *  - id: recorded in the email index for every email the rule ingests
+ *  - senders: allowed addresses, or whole domains as "@example.com"; other senders are never ingested
+ *  - subjectPattern: regular expression with the named groups branch, date (dd/mm/yyyy) and time (hh:mm[:ss])
+ *  - filenamePattern: optional regular expression the attachment file names must match (archives by
+ *    their own name)
+ *  - query: optional Gmail search terms added to the rule's search (e.g. subject:"Daily Closure Report")
+ * Patterns are strings ("/.../i" for flags) or, in code, RegExp literals.
+ * @returns {Array<Object>} [{id, senders, subjectRegex, filenameRegex, query}]
+ */
+function getIntakeRules() {
+  const source = CONFIG.EMAIL_INTAKE_RULES;
+  if (!INTAKE_RULES_CACHE || INTAKE_RULES_CACHE.source !== source) {
+    INTAKE_RULES_CACHE = { source, rules: (source || []).map(compileIntakeRule) };
+  }
+  return INTAKE_RULES_CACHE.rules;
+}
+
+/**
+ * Compiles a rule's patterns and normalizes its senders
+ * @param {Object} rule - Entry of CONFIG.EMAIL_INTAKE_RULES
+ * @returns {Object} Compiled rule
+ */
+function compileIntakeRule(rule) {
+  return {
+    id: rule.id,
+    senders: rule.senders.map(sender => String(sender).trim().toLowerCase()),
+    subjectRegex: compileIntakePattern(rule.subjectPattern),
+    filenameRegex: rule.filenamePattern ? compileIntakePattern(rule.filenamePattern) : null,
+    query: rule.query || ''
+  };
+}
+
+/**
+ * Compiles a pattern written as a string ("/source/flags" or a bare source) or a RegExp
+ * @param {string|RegExp} pattern - Pattern
+ * @returns {RegExp} Regular expression
+ */
+function compileIntakePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const literal = String(pattern).match(/^\/(.*)\/([gimsuy]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+/* ==================== MATCHING ==================== */
+
+/**
+ * Finds the first rule that ingests an email
+ * @param {GmailMessage} message - Gmail message
+ * @returns {Object} {rule, fields: {branch, date, time}, sender}; when no rule matches, rule is null
+ *   and rejection says why (INTAKE_REJECTIONS)
+ */
+function matchIntakeRule(message) {
+  const sender = getSenderAddress(message.getFrom());
+  const subject = message.getSubject().trim();
+  const allowed = getIntakeRules().filter(rule => isSenderAllowed(rule, sender));
+  
+  for (const rule of allowed) {
+    const match = subject.match(rule.subjectRegex);
+    if (match) {
+      return { rule, fields: readSubjectFields(match), sender };
+    }
+  }
+  
+  return { rule: null, fields: null, sender, rejection: allowed.length > 0 ? INTAKE_REJECTIONS.SUBJECT : INTAKE_REJECTIONS.SENDER };
+}
+
+/**
+ * Reads the closure fields of a subject match
+ * @param {Array} match - Match of a rule's subject pattern
+ * @returns {Object} {branch, date (dd/mm/yyyy), time}
+ */
+function readSubjectFields(match) {
+  return {
+    branch: match.groups.branch.trim(),
+    date: match.groups.date,
+    time: match.groups.time
+  };
+}
+
+/**
+ * Extracts the address of a From header
+ * @param {string} from - e.g. "POS System <pos@example.com>"
+ * @returns {string} Lower-case address
+ */
+function getSenderAddress(from) {
+  const text = String(from || '');
+  const bracketed = text.match(/<([^>]+)>/);
+  return (bracketed ? bracketed[1] : text).trim().toLowerCase();
+}
+
+/**
+ * Whether a rule accepts mail from an address
+ * @param {Object} rule - Compiled rule
+ * @param {string} address - Lower-case sender address
+ * @returns {boolean} True if the address or its domain is listed
+ */
+function isSenderAllowed(rule, address) {
+  return rule.senders.some(sender => sender.startsWith('@') ? address.endsWith(sender) : address === sender);
+}
+
+/**
+ * Gets the closure attachments of an email that a rule ingests: those of a type in
+ * CONFIG.ATTACHMENT_TYPES (see findAttachmentHandler)
+ * @param {GmailMessage} message - Gmail message
+ * @param {Object} rule - Compiled rule
+ * @returns {Array<Blob>} Attachments
+ */
+function getIntakeAttachments(message, rule) {
+  return message.getAttachments()
+    .filter(file => findAttachmentHandler(file))
+    .filter(file => !rule.filenameRegex || rule.filenameRegex.test(file.getName()));
+}
+
+/**
+ * Builds the Gmail search of a rule: its senders and query terms
+ * Dates and attachment terms are added by the caller.
+ * @param {Object} rule - Compiled rule
+ * @returns {string} Gmail search terms
+ */
+function buildIntakeQuery(rule) {
+  const senders = rule.senders.map(sender => sender.replace(/^@/, ''));
+  return ('from:(' + senders.join(' OR ') + ') ' + rule.query).trim();
+}
+
+/* ==================== VALIDATION ==================== */
+
+/**
+ * Checks a list of intake rules: fields, senders, patterns and unique ids
+ * @param {*} rules - Value of EMAIL_INTAKE_RULES or of a company's intakeRules
+ * @param {string} label - Setting name used in the messages
+ * @param {Array<string>} errors - Collects the problems found
+ */
+function validateIntakeRules(rules, label, errors) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    errors.push(label + ': expected a list of rules');
+    return;
+  }
+  
+  const ids = new Set();
+  rules.forEach((rule, position) => {
+    const ruleLabel = label + '[' + position + ']';
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(ruleLabel + ': expected an object');
+      return;
+    }
+    
+    Object.keys(rule)
+      .filter(field => !INTAKE_RULE_FIELDS.includes(field))
+      .forEach(field => errors.push(ruleLabel + ': unknown setting "' + field + '"'));
+    
+    if (!rule.id) {
+      errors.push(ruleLabel + ': missing id');
+    } else if (ids.has(rule.id)) {
+      errors.push(ruleLabel + ': duplicate id "' + rule.id + '"');
+    }
+    ids.add(rule.id);
+    
+    if (!Array.isArray(rule.senders) || rule.senders.length === 0) {
+      errors.push(ruleLabel + '.senders: expected a list of addresses or @domains');
+    } else {
+      rule.senders
+        .filter(sender => typeof sender !== 'string' || !/^[^@\s]*@[^@\s]+$/.test(sender.trim()))
+        .forEach(sender => errors.push(ruleLabel + '.senders: invalid sender "' + sender + '"'));
+    }
+    
+    let subjectRegex = null;
+    try {
+      subjectRegex = compileIntakePattern(rule.subjectPattern || '');
+    } catch (error) {
+      errors.push(ruleLabel + '.subjectPattern: invalid regular expression: ' + error.message);
+    }
+    if (subjectRegex) {
+      // readSubjectFields reads the closure from these groups
+      const missing = INTAKE_SUBJECT_GROUPS.filter(group => !new RegExp('\\(\\?<' + group + '>').test(subjectRegex.source));
+      if (!rule.subjectPattern || missing.length > 0) {
+        errors.push(ruleLabel + '.subjectPattern needs the named groups ' + INTAKE_SUBJECT_GROUPS.join(', ') +
+                    (missing.length > 0 ? ' (missing: ' + missing.join(', ') + ')' : ''));
+      }
+    }
+    
+    if (rule.filenamePattern) {
+      try {
+        compileIntakePattern(rule.filenamePattern);
+      } catch (error) {
+        errors.push(ruleLabel + '.filenamePattern: invalid regular expression: ' + error.message);
+      }
+    }
+    
+    if (rule.query !== undefined && typeof rule.query !== 'string') {
+      errors.push(ruleLabel + '.query: expected Gmail search terms');
+    }
+  });
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INTAKE_REJECTIONS,
+    getIntakeRules,
+    matchIntakeRule,
+    getSenderAddress,
+    getIntakeAttachments,
+    buildIntakeQuery,
+    validateIntakeRules
+  };
+}
@@ -0,0 +1,294 @@
+/**
+ * CashFlow Automator - Locks
+ * Named locks that keep batch, folder and email jobs off the same root queue, email index and sheet
+ * @version 2.1.0
+ */
+
+/* ==================== LOCK DEFINITIONS ==================== */
+
+// Resources a job can lock; the lock name adds the active company's folder or sheet
+const LOCK_RESOURCES = {
+  ROOT_QUEUE: 'root-queue',
+  EMAIL_INDEX: 'email-index',
+  SHEET: 'sheet'
+};
+
+// Script Properties key prefix of the lock table
+const LOCK_PROPERTY_PREFIX = 'lock.';
+
+// Pause between attempts while waiting for a lock
+const LOCK_POLL_MS = 500;
+
+// Locks taken by this execution: name → {token, depth}
+let HELD_LOCKS = {};
+
+/* ==================== LOCK NAMES ==================== */
+
+/**
+ * Gets the lock name of a resource of the active company
+ * @param {string} resource - One of LOCK_RESOURCES
+ * @returns {string} Lock name, e.g. "sheet:Financial_Reports_2025"
+ */
+function getLockName(resource) {
+  const keys = {
+    [LOCK_RESOURCES.ROOT_QUEUE]: 'MAIN_FOLDER',
+    [LOCK_RESOURCES.EMAIL_INDEX]: 'DESTINATION_FOLDER_ID',
+    [LOCK_RESOURCES.SHEET]: 'SHEET_NAME'
+  };
+  if (!keys[resource]) {
+    throw new Error('Unknown lock resource: ' + resource);
+  }
+  return resource + ':' + CONFIG[keys[resource]];
+}
+
+/**
+ * Gets the lock names of some resources across companies
+ * @param {Array<string>} resources - LOCK_RESOURCES values
+ * @param {Array<string>} companyIds - Optional: only these companies (all by default)
+ * @returns {Array<string>} Distinct lock names
+ */
+function getLockNames(resources, companyIds) {
+  const names = forEachCompany(() => resources.map(getLockName), companyIds);
+  return Array.from(new Set([].concat(...names)));
+}
+
+/* ==================== ACQUIRE AND RELEASE ==================== */
+
+/**
+ * Runs a function while holding named locks
+ * All locks are taken together or none is, so two jobs never wait on each other.
+ * Locks already held by this execution are reused, so locked functions may call each other.
+ * @param {Array<string>} names - Lock names (see getLockNames)
+ * @param {string} job - What is holding the locks, shown to whoever finds them busy
+ * @param {Function} fn - Function to run
+ * @param {Object} options - {waitMs: how long to wait for busy locks (CONFIG.LOCK_WAIT_TIME by default)}
+ * @returns {*} Result of fn
+ */
+function withLock(names, job, fn, options = {}) {
+  const acquired = acquireLocks(names, job, options.waitMs === undefined ? CONFIG.LOCK_WAIT_TIME : options.waitMs);
+  try {
+    return fn();
+  } finally {
+    releaseLocks(acquired);
+  }
+}
+
+/**
+ * Takes named locks, waiting up to waitMs while another job holds any of them
+ * Locks past their lease (a job that died without releasing) are taken over.
+ * @param {Array<string>} names - Lock names
+ * @param {string} job - Holder description
+ * @param {number} waitMs - Maximum wait
+ * @returns {Array<string>} Names to pass to releaseLocks
+ */
+function acquireLocks(names, job, waitMs) {
+  const attempts = Math.max(1, Math.ceil(waitMs / LOCK_POLL_MS) + 1);
+  let holder = null;
+  
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    if (attempt > 0) Services.utilities.sleep(LOCK_POLL_MS);
+    
+    holder = withLockTable(props => {
+      const busy = findLockHolder(names, props);
+      if (busy) return busy;
+      
+      const now = Date.now();
+      names.forEach(name => {
+        const held = HELD_LOCKS[name];
+        if (held) {
+          held.depth++;
+          return;
+        }
+        
+        const stale = readLock(props, name, true);
+        if (stale) {
+          Log.warn('locks', 'Recovered stale lock ' + name, { holder: stale.job, since: stale.acquiredAt });
+        }
+        const token = Services.utilities.getUuid();
+        props.setProperty(LOCK_PROPERTY_PREFIX + name, JSON.stringify({
+          job, token, acquiredAt: new Date(now).toISOString(), expiresAt: now + CONFIG.LOCK_LEASE_TIME
+        }));
+        HELD_LOCKS[name] = { token, depth: 1 };
+      });
+      return null;
+    });
+    
+    if (!holder) return names.slice();
+  }
+  
+  throw createLockBusyError(holder);
+}
+
+/**
+ * Takes the locks of a job started from the menu, a cell or by hand; when they stay busy the
+ * job is reported as skipped (see reportLockBusy) instead of running alongside the holder
+ * @param {Array<string>} names - Lock names
+ * @param {string} job - Holder description
+ * @param {string} source - What started the job
+ * @returns {Array<string>|null} Names to pass to releaseLocks, or null if busy
+ */
+function acquireLocksOrReport(names, job, source) {
+  try {
+    return acquireLocks(names, job, CONFIG.LOCK_WAIT_TIME);
+  } catch (error) {
+    if (!error.lock) throw error;
+    reportLockBusy(error.lock, source);
+    return null;
+  }
+}
+
+/**
+ * Releases locks taken with acquireLocks (a lock taken over by another job is left alone)
+ * @param {Array<string>} names - Lock names
+ */
+function releaseLocks(names) {
+  if (names.length === 0) return;
+  
+  withLockTable(props => {
+    names.forEach(name => {
+      const held = HELD_LOCKS[name];
+      if (!held || --held.depth > 0) return;
+      
+      delete HELD_LOCKS[name];
+      const record = readLock(props, name, true);
+      if (record && record.token === held.token) {
+        props.deleteProperty(LOCK_PROPERTY_PREFIX + name);
+      }
+    });
+  });
+}
+
+/* ==================== LOCK QUERIES ==================== */
+
+/**
+ * Finds a live lock held by another execution
+ * @param {Array<string>} names - Lock names
+ * @param {Properties} props - Optional: Script Properties already opened
+ * @returns {Object|null} {name, job, acquiredAt, expiresAt} or null if all are free
+ */
+function findLockHolder(names, props) {
+  const store = props || Services.properties.getScriptProperties();
+  
+  for (const name of names) {
+    if (HELD_LOCKS[name]) continue;
+    const record = readLock(store, name);
+    if (record) return Object.assign({ name }, record);
+  }
+  return null;
+}
+
+/**
+ * Lists the lock table
+ * @returns {Array<Object>} [{name, job, acquiredAt, expiresAt, stale}]
+ */
+function getLockStatus() {
+  const properties = Services.properties.getScriptProperties().getProperties();
+  
+  return Object.keys(properties)
+    .filter(key => key.startsWith(LOCK_PROPERTY_PREFIX))
+    .map(key => {
+      const name = key.substring(LOCK_PROPERTY_PREFIX.length);
+      const record = parseLockRecord(properties[key]);
+      return Object.assign({ name, stale: record.expiresAt <= Date.now() }, record);
+    });
+}
+
+/**
+ * Describes who holds a lock, for logs and dialogs
+ * @param {Object} holder - Lock holder (see findLockHolder)
+ * @returns {string} Description
+ */
+function describeLockHolder(holder) {
+  return holder.name + ' is in use by ' + holder.job + ' since ' + new Date(holder.acquiredAt).toLocaleString('es-AR');
+}
+
+/**
+ * Logs a job skipped because of a busy lock, and tells the user when a menu or cell started it
+ * @param {Object} holder - Lock holder
+ * @param {string} source - What started the job
+ */
+function reportLockBusy(holder, source) {
+  const message = describeLockHolder(holder);
+  Log.warn('locks', 'Skipped, ' + message, { source });
+  
+  if (source === 'menu' || source === 'cell') {
+    const ui = Services.spreadsheet.getUi();
+    ui.alert('Processing Busy', message + '.\n\nTry again when it has finished.', ui.ButtonSet.OK);
+  }
+}
+
+/* ==================== LOCK UTILITIES ==================== */
+
+/**
+ * Runs a read-modify-write of the lock table under the script lock
+ * @param {Function} fn - (scriptProperties) => result
+ * @returns {*} Result of fn
+ */
+function withLockTable(fn) {
+  const scriptLock = Services.lock.getScriptLock();
+  if (!scriptLock.tryLock(CONFIG.LOCK_WAIT_TIME)) {
+    throw new Error('Could not open the lock table');
+  }
+  
+  try {
+    return fn(Services.properties.getScriptProperties());
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Reads a lock record
+ * @param {Properties} props - Script Properties
+ * @param {string} name - Lock name
+ * @param {boolean} includeExpired - Also return a lock past its lease
+ * @returns {Object|null} {job, token, acquiredAt, expiresAt} or null if free
+ */
+function readLock(props, name, includeExpired = false) {
+  const value = props.getProperty(LOCK_PROPERTY_PREFIX + name);
+  if (!value) return null;
+  
+  const record = parseLockRecord(value);
+  return includeExpired || record.expiresAt > Date.now() ? record : null;
+}
+
+/**
+ * Parses a stored lock record; unreadable records count as expired
+ * @param {string} value - Stored JSON
+ * @returns {Object} {job, token, acquiredAt, expiresAt}
+ */
+function parseLockRecord(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return { job: 'unknown', token: '', acquiredAt: '', expiresAt: 0 };
+  }
+}
+
+/**
+ * Creates the error thrown when a lock stays busy
+ * @param {Object} holder - Lock holder
+ * @returns {Error} Error whose lock property is the holder
+ */
+function createLockBusyError(holder) {
+  const error = new Error('Locked: ' + describeLockHolder(holder));
+  error.lock = holder;
+  return error;
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOCK_RESOURCES,
+    getLockName,
+    getLockNames,
+    withLock,
+    acquireLocks,
+    acquireLocksOrReport,
+    releaseLocks,
+    findLockHolder,
+    getLockStatus,
+    describeLockHolder,
+    reportLockBusy
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * CashFlow Automator - Logging
+ * Leveled, structured log entries tied to the current run, written to pluggable sinks
+ * @version 2.1.0
+ */
+
+/* ==================== LOG DEFINITIONS ==================== */
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const LOG_SHEET_HEADERS = ['Time', 'Level', 'Module', 'Message', 'Run ID', 'Company', 'File', 'Branch', 'Date', 'Step', 'Details'];
+
+// Fields with their own column in the Logs sheet; any other field goes to Details
+const LOG_COLUMN_FIELDS = ['runId', 'company', 'file', 'branch', 'date', 'step'];
+
+// Sheet entries kept in memory before they are written in one call
+const LOG_SHEET_BUFFER_SIZE = 50;
+
+// Fields added to every entry of this execution (runId of the open run)
+let LOG_CONTEXT = {};
+
+/**
+ * Logging entry point. Each method takes:
+ *  - module: area writing the entry (batch, email, folders, ledger, sheet, journal, locks,
+ *    extraction, config, dry-run, review, ui), used for per-module levels in CONFIG.LOG_MODULE_LEVELS
+ *  - message: text of the entry
+ *  - fields: optional structured data such as {file, branch, date, step}
+ * e.g. Log.warn('email', 'Attachment skipped', {file: name, step: 'save'})
+ */
+const Log = {
+  debug: (module, message, fields) => writeLog('debug', module, message, fields),
+  info: (module, message, fields) => writeLog('info', module, message, fields),
+  warn: (module, message, fields) => writeLog('warn', module, message, fields),
+  error: (module, message, fields) => writeLog('error', module, message, fields)
+};
+
+/* ==================== SINKS ==================== */
+
+/**
+ * Registered sinks by name; CONFIG.LOG_SINKS chooses the ones in use.
+ * A sink has write(entry) and optionally flush(); entries are
+ * {time, level, module, message, fields}.
+ */
+const LOG_SINKS = {
+  // Apps Script execution log (and the Node loader's log)
+  logger: {
+    write: entry => Logger.log(formatLogEntry(entry))
+  },
+  
+  // Standard console: Cloud Logging in Apps Script, the terminal in Node
+  console: {
+    write: entry => {
+      const line = formatLogEntry(entry);
+      if (entry.level === 'error') console.error(line);
+      else if (entry.level === 'warn') console.warn(line);
+      else console.log(line);
+    }
+  },
+  
+  // Rolling "Logs" sheet, written in buffered batches (errors are written right away)
+  sheet: {
+    buffer: [],
+    write(entry) {
+      this.buffer.push(entry);
+      if (entry.level === 'error' || this.buffer.length >= LOG_SHEET_BUFFER_SIZE) this.flush();
+    },
+    flush() {
+      if (this.buffer.length === 0) return;
+      const entries = this.buffer;
+      this.buffer = [];
+      writeLogSheet(entries);
+    }
+  }
+};
+
+/**
+ * Registers a sink (or replaces one with the same name)
+ * @param {string} name - Name to list in CONFIG.LOG_SINKS
+ * @param {Object} sink - {write(entry), flush()}
+ */
+function registerLogSink(name, sink) {
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error('Log sink ' + name + ' needs a write function');
+  }
+  LOG_SINKS[name] = sink;
+}
+
+/**
+ * Writes buffered entries of every sink (call at the end of a job)
+ */
+function flushLogs() {
+  Object.keys(LOG_SINKS).forEach(name => {
+    if (typeof LOG_SINKS[name].flush !== 'function') return;
+    try {
+      LOG_SINKS[name].flush();
+    } catch (error) {
+      Logger.log('Log sink ' + name + ' failed: ' + error.message);
+    }
+  });
+}
+
+/* ==================== WRITING ==================== */
+
+/**
+ * Sends an entry to the configured sinks if its level is enabled for the module
+ * A failing sink never stops processing; the failure goes to the Apps Script log.
+ * @param {string} level - debug | info | warn | error
+ * @param {string} module - Module name
+ * @param {string} message - Entry text
+ * @param {Object} fields - Optional structured fields
+ */
+function writeLog(level, module, message, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[getLogLevel(module)]) return;
+  
+  const company = getActiveCompany();
+  const entry = {
+    time: new Date(),
+    level,
+    module,
+    message: String(message),
+    fields: Object.assign({}, LOG_CONTEXT, company && isMultiCompany() ? { company: company.id } : {}, fields)
+  };
+  
+  (CONFIG.LOG_SINKS || ['logger']).forEach(name => {
+    const sink = LOG_SINKS[name];
+    if (!sink) return;
+    try {
+      sink.write(entry);
+    } catch (error) {
+      Logger.log('Log sink ' + name + ' failed: ' + error.message);
+    }
+  });
+}
+
+/**
+ * Gets the minimum level logged for a module
+ * @param {string} module - Module name
+ * @returns {string} Level name
+ */
+function getLogLevel(module) {
+  const levels = CONFIG.LOG_MODULE_LEVELS || {};
+  const level = levels[module] || CONFIG.LOG_LEVEL;
+  return LOG_LEVELS[level] ? level : 'info';
+}
+
+/**
+ * Sets fields added to every following entry of this execution
+ * @param {Object} fields - e.g. {runId}; a null or empty value removes the field
+ */
+function setLogContext(fields) {
+  Object.keys(fields).forEach(key => {
+    if (fields[key]) LOG_CONTEXT[key] = fields[key];
+    else delete LOG_CONTEXT[key];
+  });
+}
+
+/* ==================== FORMATTING ==================== */
+
+/**
+ * Formats an entry as one line: "INFO [batch] message | runId=R... file=x.pdf"
+ * @param {Object} entry - Log entry
+ * @returns {string} Log line
+ */
+function formatLogEntry(entry) {
+  const fields = Object.keys(entry.fields)
+    .filter(key => entry.fields[key] !== undefined && entry.fields[key] !== '')
+    .map(key => key + '=' + formatLogValue(entry.fields[key]));
+  
+  return entry.level.toUpperCase() + ' [' + entry.module + '] ' + entry.message + (fields.length > 0 ? ' | ' + fields.join(' ') : '');
+}
+
+/**
+ * Formats a field value for a log line
+ * @param {*} value - Field value
+ * @returns {string} Text
+ */
+function formatLogValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Appends entries to the Logs sheet, dropping the oldest rows beyond CONFIG.LOG_SHEET_MAX_ROWS
+ * @param {Array<Object>} entries - Log entries
+ */
+function writeLogSheet(entries) {
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(CONFIG.LOG_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, LOG_SHEET_HEADERS.length).setValues([LOG_SHEET_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  
+  const rows = entries.map(entry => {
+    const details = {};
+    Object.keys(entry.fields)
+      .filter(key => !LOG_COLUMN_FIELDS.includes(key))
+      .forEach(key => { details[key] = entry.fields[key]; });
+    
+    return [entry.time.toISOString(), entry.level, entry.module, entry.message]
+      .concat(LOG_COLUMN_FIELDS.map(key => entry.fields[key] === undefined ? '' : formatLogValue(entry.fields[key])))
+      .concat([Object.keys(details).length > 0 ? JSON.stringify(details) : '']);
+  });
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, LOG_SHEET_HEADERS.length).setValues(rows);
+  
+  const excess = sheet.getLastRow() - 1 - CONFIG.LOG_SHEET_MAX_ROWS;
+  if (excess > 0) {
+    sheet.deleteRows(2, excess);
+  }
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOG_LEVELS,
+    Log,
+    registerLogSink,
+    flushLogs,
+    getLogLevel,
+    setLogContext,
+    formatLogEntry
+  };
+}
@@ -0,0 +1,967 @@
+/**
+ * CashFlow Automator - Pure JavaScript PDF Text Extractor
+ * Reads the text layer of PDFs without the Docs conversion round-trip.
+ * Has no Apps Script dependencies so it also runs (and can be tested) in Node.
+ * @version 2.1.0
+ */
+
+/* ==================== PUBLIC API ==================== */
+
+/**
+ * Extracts the text layer of a PDF
+ * Text runs are grouped into lines by their position on the page (top to bottom, left to right)
+ * @param {Uint8Array|Array<number>} bytes - PDF file bytes (signed Apps Script bytes are accepted)
+ * @returns {Object} {text: string, pages: number, readable: boolean, reason: string}
+ */
+function extractPdfText(bytes) {
+  const data = pdfToUint8Array(bytes);
+  const source = pdfBytesToLatin1(data);
+  
+  if (!/^%PDF-/.test(source.slice(0, 1024).replace(/^[^%]*/, ''))) {
+    return { text: '', pages: 0, readable: false, reason: 'Not a PDF file' };
+  }
+  if (/\/Encrypt\s/.test(source)) {
+    return { text: '', pages: 0, readable: false, reason: 'Encrypted PDF' };
+  }
+  
+  const document = pdfLoadDocument(data, source);
+  const pages = pdfCollectPages(document);
+  if (pages.length === 0) {
+    return { text: '', pages: 0, readable: false, reason: 'No pages found' };
+  }
+  
+  const pageTexts = [];
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    const content = pdfGetContentBytes(document, page.dict.Contents);
+    if (content === null) {
+      return { text: '', pages: pages.length, readable: false, reason: 'Unsupported content stream filter' };
+    }
+    const runs = [];
+    pdfInterpretContent(document, content, page.resources, [1, 0, 0, 1, 0, 0], runs, 0);
+    pageTexts.push(pdfRunsToText(runs));
+  }
+  
+  const text = pageTexts.join('\n').replace(/[ \t]+\n/g, '\n').trim();
+  const quality = pdfAssessText(text);
+  return { text: quality.readable ? text : '', pages: pages.length, readable: quality.readable, reason: quality.reason };
+}
+
+/* ==================== DOCUMENT STRUCTURE ==================== */
+
+/**
+ * Indexes all objects in the file, including those stored in object streams
+ * @param {Uint8Array} data - PDF bytes
+ * @param {string} source - Same bytes as a latin1 string
+ * @returns {Object} {data, objects: Map<number, {value, stream}>}
+ */
+function pdfLoadDocument(data, source) {
+  const objects = new Map();
+  const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  
+  while ((match = objectPattern.exec(source)) !== null) {
+    const number = parseInt(match[1], 10);
+    let parsed;
+    try {
+      parsed = pdfParseValue(source, match.index + match[0].length);
+    } catch (_) {
+      continue;
+    }
+    
+    const entry = { value: parsed.value, stream: null };
+    const afterValue = pdfSkipWhitespace(source, parsed.pos);
+    if (source.startsWith('stream', afterValue)) {
+      let start = afterValue + 6;
+      if (source[start] === '\r') start++;
+      if (source[start] === '\n') start++;
+      const declaredLength = parsed.value && typeof parsed.value.Length === 'number' ? parsed.value.Length : -1;
+      let end = declaredLength >= 0 && source.startsWith('endstream', pdfSkipWhitespace(source, start + declaredLength))
+        ? start + declaredLength
+        : source.indexOf('endstream', start);
+      if (end === -1) end = source.length;
+      entry.stream = data.subarray(start, end);
+      objectPattern.lastIndex = end;
+    }
+    objects.set(number, entry);
+  }
+  
+  const document = { data, objects };
+  
+  // Objects packed in object streams (PDF 1.5+)
+  Array.from(objects.values())
+    .filter(entry => entry.stream && entry.value && entry.value.Type === '/ObjStm')
+    .forEach(entry => pdfLoadObjectStream(document, entry));
+  
+  return document;
+}
+
+/**
+ * Unpacks the objects of an object stream into the document index
+ * @param {Object} document - Loaded document
+ * @param {Object} entry - Object stream entry
+ */
+function pdfLoadObjectStream(document, entry) {
+  const decoded = pdfDecodeStream(document, entry);
+  if (!decoded) return;
+  
+  const source = pdfBytesToLatin1(decoded);
+  const count = pdfResolve(document, entry.value.N);
+  const first = pdfResolve(document, entry.value.First);
+  const header = source.slice(0, first).trim().split(/\s+/).map(n => parseInt(n, 10));
+  
+  for (let i = 0; i < count; i++) {
+    const number = header[i * 2];
+    const offset = header[i * 2 + 1];
+    if (document.objects.has(number)) continue;
+    try {
+      document.objects.set(number, { value: pdfParseValue(source, first + offset).value, stream: null });
+    } catch (_) {
+      // Skip malformed embedded objects
+    }
+  }
+}
+
+/**
+ * Collects pages in document order with their inherited resources
+ * @param {Object} document - Loaded document
+ * @returns {Array<Object>} [{dict, resources}]
+ */
+function pdfCollectPages(document) {
+  let catalog = null;
+  document.objects.forEach(entry => {
+    if (!catalog && entry.value && entry.value.Type === '/Catalog') catalog = entry.value;
+  });
+  
+  const pages = [];
+  const visited = new Set();
+  const walk = (node, inheritedResources) => {
+    const dict = pdfResolve(document, node);
+    if (!dict || typeof dict !== 'object' || visited.has(dict)) return;
+    visited.add(dict);
+    
+    const resources = dict.Resources !== undefined ? pdfResolve(document, dict.Resources) : inheritedResources;
+    if (dict.Type === '/Pages' || Array.isArray(pdfResolve(document, dict.Kids))) {
+      (pdfResolve(document, dict.Kids) || []).forEach(kid => walk(kid, resources));
+    } else {
+      pages.push({ dict, resources: resources || {} });
+    }
+  };
+  
+  if (catalog) {
+    walk(catalog.Pages, {});
+  } else {
+    // No catalog found: fall back to every page object in file order
+    document.objects.forEach(entry => {
+      if (entry.value && entry.value.Type === '/Page') {
+        pages.push({ dict: entry.value, resources: pdfResolve(document, entry.value.Resources) || {} });
+      }
+    });
+  }
+  
+  return pages;
+}
+
+/**
+ * Returns the decoded bytes of a page's content stream(s)
+ * @param {Object} document - Loaded document
+ * @param {*} contents - /Contents value (reference or array of references)
+ * @returns {Uint8Array|null} Concatenated content, or null if a filter is unsupported
+ */
+function pdfGetContentBytes(document, contents) {
+  const refs = Array.isArray(contents) ? contents : (contents ? [contents] : []);
+  const parts = [];
+  
+  for (let i = 0; i < refs.length; i++) {
+    const resolved = pdfResolve(document, refs[i]);
+    if (Array.isArray(resolved)) {
+      const nested = pdfGetContentBytes(document, resolved);
+      if (nested === null) return null;
+      parts.push(nested);
+      continue;
+    }
+    const entry = refs[i] && refs[i].ref !== undefined ? document.objects.get(refs[i].ref) : null;
+    if (!entry || !entry.stream) continue;
+    const decoded = pdfDecodeStream(document, entry);
+    if (decoded === null) return null;
+    parts.push(decoded);
+  }
+  
+  const total = parts.reduce((sum, part) => sum + part.length + 1, 0);
+  const output = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+    output[offset++] = 10;
+  });
+  return output;
+}
+
+/**
+ * Decodes a stream applying its filters
+ * @param {Object} document - Loaded document
+ * @param {Object} entry - Object entry with stream bytes
+ * @returns {Uint8Array|null} Decoded bytes, or null if a filter is unsupported
+ */
+function pdfDecodeStream(document, entry) {
+  const filter = pdfResolve(document, entry.value && entry.value.Filter);
+  const filters = Array.isArray(filter) ? filter : (filter ? [filter] : []);
+  let bytes = entry.stream;
+  
+  for (let i = 0; i < filters.length; i++) {
+    if (filters[i] === '/FlateDecode' || filters[i] === '/Fl') {
+      try {
+        bytes = pdfInflate(bytes);
+      } catch (_) {
+        return null;
+      }
+    } else if (filters[i] === '/ASCIIHexDecode' || filters[i] === '/AHx') {
+      bytes = pdfDecodeAsciiHex(pdfBytesToLatin1(bytes));
+    } else {
+      return null;
+    }
+  }
+  
+  return bytes;
+}
+
+/**
+ * Resolves an indirect reference (following chains)
+ * @param {Object} document - Loaded document
+ * @param {*} value - Any parsed value
+ * @returns {*} Resolved value
+ */
+function pdfResolve(document, value) {
+  let current = value;
+  let guard = 0;
+  while (current && current.ref !== undefined && guard++ < 32) {
+    const entry = document.objects.get(current.ref);
+    current = entry ? entry.value : null;
+  }
+  return current;
+}
+
+/* ==================== CONTENT STREAM INTERPRETER ==================== */
+
+/**
+ * Runs the text operators of a content stream, collecting positioned text runs
+ * @param {Object} document - Loaded document
+ * @param {Uint8Array} content - Decoded content stream
+ * @param {Object} resources - Resources dictionary in effect
+ * @param {Array<number>} baseMatrix - Transformation matrix of the caller (form XObjects)
+ * @param {Array<Object>} runs - Output runs {x, y, text}
+ * @param {number} depth - Form XObject nesting depth
+ */
+function pdfInterpretContent(document, content, resources, baseMatrix, runs, depth) {
+  const source = pdfBytesToLatin1(content);
+  const fonts = pdfResolve(document, resources && resources.Font) || {};
+  const xObjects = pdfResolve(document, resources && resources.XObject) || {};
+  const fontCache = {};
+  
+  const state = { ctm: baseMatrix.slice(), font: null, leading: 0 };
+  const stack = [];
+  let textMatrix = [1, 0, 0, 1, 0, 0];
+  let lineMatrix = [1, 0, 0, 1, 0, 0];
+  let operands = [];
+  let pos = 0;
+  
+  const moveLine = (tx, ty) => {
+    lineMatrix = pdfMultiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix.slice();
+  };
+  const showText = value => {
+    if (!state.font) return;
+    const text = pdfDecodeText(value, state.font);
+    if (!text) return;
+    const point = pdfMultiply(textMatrix, state.ctm);
+    runs.push({ x: point[4], y: point[5], text });
+    // Advance roughly so consecutive runs on a line keep their order
+    textMatrix = pdfMultiply([1, 0, 0, 1, text.length * 0.01, 0], textMatrix);
+  };
+  
+  while (pos < source.length) {
+    pos = pdfSkipWhitespace(source, pos);
+    if (pos >= source.length) break;
+    
+    const char = source[pos];
+    if (/[0-9+\-.]/.test(char) || char === '/' || char === '(' || char === '<' || char === '[') {
+      const parsed = pdfParseValue(source, pos, true);
+      operands.push(parsed.value);
+      pos = parsed.pos;
+      continue;
+    }
+    if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+      pos++;
+      continue;
+    }
+    
+    const operatorMatch = source.slice(pos, pos + 16).match(/^[^\s\/\[\]<>(){}%]+/);
+    const operator = operatorMatch ? operatorMatch[0] : source[pos];
+    pos += operator.length;
+    
+    switch (operator) {
+      case 'q':
+        stack.push({ ctm: state.ctm.slice(), font: state.font, leading: state.leading });
+        break;
+      case 'Q':
+        if (stack.length) Object.assign(state, stack.pop());
+        break;
+      case 'cm':
+        state.ctm = pdfMultiply(operands.slice(-6), state.ctm);
+        break;
+      case 'BT':
+        textMatrix = [1, 0, 0, 1, 0, 0];
+        lineMatrix = [1, 0, 0, 1, 0, 0];
+        break;
+      case 'Tf': {
+        const fontName = String(operands[operands.length - 2] || '').replace(/^\//, '');
+        if (!fontCache[fontName]) fontCache[fontName] = pdfLoadFont(document, pdfResolve(document, fonts[fontName]));
+        state.font = fontCache[fontName];
+        break;
+      }
+      case 'TL':
+        state.leading = operands[operands.length - 1] || 0;
+        break;
+      case 'Td':
+        moveLine(operands[0] || 0, operands[1] || 0);
+        break;
+      case 'TD':
+        state.leading = -(operands[1] || 0);
+        moveLine(operands[0] || 0, operands[1] || 0);
+        break;
+      case 'Tm':
+        lineMatrix = operands.slice(-6);
+        textMatrix = lineMatrix.slice();
+        break;
+      case 'T*':
+        moveLine(0, -state.leading);
+        break;
+      case 'Tj':
+        showText(operands[operands.length - 1]);
+        break;
+      case "'":
+        moveLine(0, -state.leading);
+        showText(operands[operands.length - 1]);
+        break;
+      case '"':
+        moveLine(0, -state.leading);
+        showText(operands[operands.length - 1]);
+        break;
+      case 'TJ': {
+        const parts = operands[operands.length - 1] || [];
+        const pieces = [];
+        parts.forEach(part => {
+          if (typeof part === 'number') {
+            // Large negative kerning is how many generators encode a word space
+            if (part < -200) pieces.push({ str: ' ', space: true });
+          } else {
+            pieces.push(part);
+          }
+        });
+        const text = pieces.map(piece => piece.space ? ' ' : pdfDecodeText(piece, state.font || {})).join('');
+        if (text && state.font) {
+          const point = pdfMultiply(textMatrix, state.ctm);
+          runs.push({ x: point[4], y: point[5], text });
+          textMatrix = pdfMultiply([1, 0, 0, 1, text.length * 0.01, 0], textMatrix);
+        }
+        break;
+      }
+      case 'Do': {
+        const name = String(operands[operands.length - 1] || '').replace(/^\//, '');
+        const ref = xObjects[name];
+        const entry = ref && ref.ref !== undefined ? document.objects.get(ref.ref) : null;
+        if (entry && entry.stream && entry.value.Subtype === '/Form' && depth < 8) {
+          const formContent = pdfDecodeStream(document, entry);
+          if (formContent) {
+            const formMatrix = Array.isArray(entry.value.Matrix) ? entry.value.Matrix : [1, 0, 0, 1, 0, 0];
+            const formResources = pdfResolve(document, entry.value.Resources) || resources;
+            pdfInterpretContent(document, formContent, formResources, pdfMultiply(formMatrix, state.ctm), runs, depth + 1);
+          }
+        }
+        break;
+      }
+      case 'BI': {
+        // Inline image: skip binary data up to the EI operator
+        const end = source.slice(pos).search(/\sEI(?=[\s]|$)/);
+        pos = end === -1 ? source.length : pos + end + 3;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+}
+
+/**
+ * Groups positioned runs into text lines
+ * @param {Array<Object>} runs - Runs {x, y, text}
+ * @returns {string} Page text
+ */
+function pdfRunsToText(runs) {
+  const sorted = runs
+    .map((run, order) => Object.assign({ order }, run))
+    .sort((a, b) => (b.y - a.y) || (a.x - b.x) || (a.order - b.order));
+  
+  const lines = [];
+  sorted.forEach(run => {
+    const line = lines.length ? lines[lines.length - 1] : null;
+    if (line && Math.abs(line.y - run.y) <= 2) {
+      line.runs.push(run);
+    } else {
+      lines.push({ y: run.y, runs: [run] });
+    }
+  });
+  
+  return lines
+    .map(line => line.runs
+      .sort((a, b) => (a.x - b.x) || (a.order - b.order))
+      .map(run => run.text)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(line => line)
+    .join('\n');
+}
+
+/**
+ * Decides whether extracted text is usable or the font encoding defeated us
+ * @param {string} text - Extracted text
+ * @returns {Object} {readable: boolean, reason: string}
+ */
+function pdfAssessText(text) {
+  if (!text) {
+    return { readable: false, reason: 'No text layer' };
+  }
+  
+  const unreadable = (text.match(/[�\u0000-\u0008\u000e-\u001f]/g) || []).length;
+  if (unreadable / text.length > 0.05) {
+    return { readable: false, reason: 'Text uses an unsupported font encoding' };
+  }
+  if (!/[A-Za-z0-9]/.test(text)) {
+    return { readable: false, reason: 'No text layer' };
+  }
+  
+  return { readable: true, reason: '' };
+}
+
+/* ==================== FONTS & TEXT DECODING ==================== */
+
+// Windows-1252 characters in the 0x80-0x9F range (WinAnsiEncoding)
+const PDF_WIN_ANSI_EXTRAS = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+  0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ',
+  0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+/**
+ * Loads what is needed to decode a font's strings
+ * @param {Object} document - Loaded document
+ * @param {Object} fontDict - Font dictionary
+ * @returns {Object} {cmap: Map|null, codeLength: number, composite: boolean}
+ */
+function pdfLoadFont(document, fontDict) {
+  const font = { cmap: null, codeLength: 1, composite: false };
+  if (!fontDict) return font;
+  
+  font.composite = fontDict.Subtype === '/Type0';
+  if (font.composite) font.codeLength = 2;
+  
+  const toUnicode = fontDict.ToUnicode;
+  const entry = toUnicode && toUnicode.ref !== undefined ? document.objects.get(toUnicode.ref) : null;
+  if (entry && entry.stream) {
+    const decoded = pdfDecodeStream(document, entry);
+    if (decoded) {
+      const parsed = pdfParseCMap(pdfBytesToLatin1(decoded));
+      font.cmap = parsed.map;
+      if (parsed.codeLength) font.codeLength = parsed.codeLength;
+    }
+  }
+  
+  return font;
+}
+
+/**
+ * Parses the bfchar/bfrange mappings of a ToUnicode CMap
+ * @param {string} source - CMap program text
+ * @returns {Object} {map: Map<number, string>, codeLength: number}
+ */
+function pdfParseCMap(source) {
+  const map = new Map();
+  let codeLength = 0;
+  
+  const codespace = source.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  if (codespace) codeLength = codespace[1].length / 2;
+  
+  const hexToString = hex => {
+    let text = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      text += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    }
+    return text;
+  };
+  
+  const charBlocks = source.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+  charBlocks.forEach(block => {
+    const pairs = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let pair;
+    while ((pair = pairs.exec(block)) !== null) {
+      map.set(parseInt(pair[1], 16), hexToString(pair[2]));
+    }
+  });
+  
+  const rangeBlocks = source.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+  rangeBlocks.forEach(block => {
+    const ranges = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+    let range;
+    while ((range = ranges.exec(block)) !== null) {
+      const low = parseInt(range[1], 16);
+      const high = parseInt(range[2], 16);
+      if (range[3][0] === '[') {
+        const targets = range[3].match(/<([0-9a-fA-F]*)>/g) || [];
+        targets.forEach((target, i) => map.set(low + i, hexToString(target.slice(1, -1))));
+      } else {
+        const base = range[3].slice(1, -1);
+        const prefix = hexToString(base.slice(0, -4));
+        const start = parseInt(base.slice(-4), 16);
+        for (let code = low; code <= high && code - low < 65536; code++) {
+          map.set(code, prefix + String.fromCharCode(start + code - low));
+        }
+      }
+    }
+  });
+  
+  return { map, codeLength };
+}
+
+/**
+ * Decodes a PDF string operand with the current font
+ * @param {Object} value - Parsed string {str: latin1 bytes}
+ * @param {Object} font - Loaded font
+ * @returns {string} Unicode text
+ */
+function pdfDecodeText(value, font) {
+  if (!value || typeof value.str !== 'string') return '';
+  const bytes = value.str;
+  let text = '';
+  
+  if (font.cmap) {
+    const step = font.codeLength || 1;
+    for (let i = 0; i < bytes.length; i += step) {
+      let code = 0;
+      for (let j = 0; j < step; j++) code = (code << 8) | (bytes.charCodeAt(i + j) || 0);
+      text += font.cmap.has(code) ? font.cmap.get(code) : '�';
+    }
+    return text;
+  }
+  
+  if (font.composite) {
+    // Glyph IDs without a ToUnicode map cannot be turned into text
+    return '�'.repeat(Math.ceil(bytes.length / 2));
+  }
+  
+  for (let i = 0; i < bytes.length; i++) {
+    const code = bytes.charCodeAt(i);
+    text += PDF_WIN_ANSI_EXTRAS[code] || String.fromCharCode(code);
+  }
+  return text;
+}
+
+/* ==================== OBJECT PARSER ==================== */
+
+/**
+ * Parses one PDF value starting at a position
+ * Names are returned as '/Name' strings, strings as {str}, references as {ref, gen}
+ * @param {string} source - Latin1 source
+ * @param {number} start - Start position
+ * @param {boolean} inContent - Content stream mode (no indirect references)
+ * @returns {Object} {value, pos}
+ */
+function pdfParseValue(source, start, inContent) {
+  let pos = pdfSkipWhitespace(source, start);
+  const char = source[pos];
+  
+  if (char === '<' && source[pos + 1] === '<') {
+    const dict = {};
+    pos += 2;
+    while (true) {
+      pos = pdfSkipWhitespace(source, pos);
+      if (pos >= source.length) throw new Error('Unterminated dictionary');
+      if (source[pos] === '>' && source[pos + 1] === '>') return { value: dict, pos: pos + 2 };
+      const key = pdfParseValue(source, pos, inContent);
+      const item = pdfParseValue(source, key.pos, inContent);
+      dict[String(key.value).replace(/^\//, '')] = item.value;
+      pos = item.pos;
+    }
+  }
+  
+  if (char === '<') {
+    const end = source.indexOf('>', pos);
+    if (end === -1) throw new Error('Unterminated hex string');
+    return { value: { str: pdfBytesToLatin1(pdfDecodeAsciiHex(source.slice(pos + 1, end))) }, pos: end + 1 };
+  }
+  
+  if (char === '(') {
+    return pdfParseLiteralString(source, pos);
+  }
+  
+  if (char === '[') {
+    const array = [];
+    pos++;
+    while (true) {
+      pos = pdfSkipWhitespace(source, pos);
+      if (pos >= source.length) throw new Error('Unterminated array');
+      if (source[pos] === ']') return { value: array, pos: pos + 1 };
+      const item = pdfParseValue(source, pos, inContent);
+      array.push(item.value);
+      pos = item.pos;
+    }
+  }
+  
+  if (char === '/') {
+    const match = source.slice(pos + 1, pos + 128).match(/^[^\s\/\[\]<>(){}%]*/);
+    const name = match[0].replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return { value: '/' + name, pos: pos + 1 + match[0].length };
+  }
+  
+  const numberMatch = source.slice(pos, pos + 32).match(/^[+\-]?(?:\d+\.?\d*|\.\d+)/);
+  if (numberMatch) {
+    const after = pos + numberMatch[0].length;
+    if (!inContent && /^\d+$/.test(numberMatch[0])) {
+      const refMatch = source.slice(after, after + 32).match(/^\s+(\d+)\s+R(?![A-Za-z0-9])/);
+      if (refMatch) {
+        return { value: { ref: parseInt(numberMatch[0], 10), gen: parseInt(refMatch[1], 10) }, pos: after + refMatch[0].length };
+      }
+    }
+    return { value: parseFloat(numberMatch[0]), pos: after };
+  }
+  
+  const keyword = source.slice(pos, pos + 16).match(/^[A-Za-z]+/);
+  if (keyword) {
+    const word = keyword[0];
+    const value = word === 'true' ? true : (word === 'false' ? false : null);
+    return { value, pos: pos + word.length };
+  }
+  
+  throw new Error('Unexpected character at ' + pos);
+}
+
+/**
+ * Parses a literal (parenthesized) string with escapes and nesting
+ * @param {string} source - Latin1 source
+ * @param {number} start - Position of the opening parenthesis
+ * @returns {Object} {value: {str}, pos}
+ */
+function pdfParseLiteralString(source, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+  let depth = 1;
+  let pos = start + 1;
+  let text = '';
+  
+  while (pos < source.length && depth > 0) {
+    const char = source[pos];
+    if (char === '\\') {
+      const next = source[pos + 1];
+      if (escapes[next] !== undefined) {
+        text += escapes[next];
+        pos += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = source.slice(pos + 1, pos + 4).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        pos += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        pos += (next === '\r' && source[pos + 2] === '\n') ? 3 : 2;
+      } else {
+        pos += 1;
+      }
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth > 0) text += char;
+    pos++;
+  }
+  
+  return { value: { str: text }, pos };
+}
+
+/**
+ * Skips whitespace and comments
+ * @param {string} source - Latin1 source
+ * @param {number} start - Start position
+ * @returns {number} Next significant position
+ */
+function pdfSkipWhitespace(source, start) {
+  let pos = start;
+  while (pos < source.length) {
+    const char = source[pos];
+    if (char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0') {
+      pos++;
+    } else if (char === '%') {
+      while (pos < source.length && source[pos] !== '\n' && source[pos] !== '\r') pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+/* ==================== BYTE UTILITIES ==================== */
+
+/**
+ * Multiplies two PDF matrices [a b c d e f] (m1 × m2)
+ * @param {Array<number>} m1 - First matrix
+ * @param {Array<number>} m2 - Second matrix
+ * @returns {Array<number>} Product
+ */
+function pdfMultiply(m1, m2) {
+  const a = m1.map(n => Number(n) || 0);
+  return [
+    a[0] * m2[0] + a[1] * m2[2],
+    a[0] * m2[1] + a[1] * m2[3],
+    a[2] * m2[0] + a[3] * m2[2],
+    a[2] * m2[1] + a[3] * m2[3],
+    a[4] * m2[0] + a[5] * m2[2] + m2[4],
+    a[4] * m2[1] + a[5] * m2[3] + m2[5]
+  ];
+}
+
+/**
+ * Decodes ASCII hex data (whitespace ignored, odd digit padded)
+ * @param {string} hex - Hex text
+ * @returns {Uint8Array} Bytes
+ */
+function pdfDecodeAsciiHex(hex) {
+  const clean = hex.replace(/[^0-9a-fA-F]/g, '');
+  const padded = clean.length % 2 ? clean + '0' : clean;
+  const output = new Uint8Array(padded.length / 2);
+  for (let i = 0; i < output.length; i++) {
+    output[i] = parseInt(padded.substr(i * 2, 2), 16);
+  }
+  return output;
+}
+
+/**
+ * Normalizes input bytes to a Uint8Array
+ * @param {Uint8Array|Array<number>} bytes - Bytes (Apps Script byte arrays are signed)
+ * @returns {Uint8Array} Unsigned bytes
+ */
+function pdfToUint8Array(bytes) {
+  if (bytes instanceof Uint8Array) return bytes;
+  const output = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) output[i] = bytes[i] & 0xff;
+  return output;
+}
+
+/**
+ * Converts bytes to a latin1 string (one char per byte)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Latin1 string
+ */
+function pdfBytesToLatin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+/* ==================== INFLATE (RFC 1950/1951) ==================== */
+
+const PDF_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const PDF_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const PDF_DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const PDF_DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const PDF_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Inflates zlib (FlateDecode) data
+ * Truncated streams return whatever was decoded so far, as PDF readers do
+ * @param {Uint8Array} input - Compressed bytes
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function pdfInflate(input) {
+  const reader = { data: input, pos: 0, bitBuffer: 0, bitCount: 0 };
+  if (input.length > 2 && (input[0] & 0x0f) === 8 && ((input[0] << 8) | input[1]) % 31 === 0) {
+    reader.pos = 2;
+  }
+  
+  let output = new Uint8Array(Math.max(1024, input.length * 4));
+  let length = 0;
+  const ensure = extra => {
+    if (length + extra <= output.length) return;
+    const grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+    grown.set(output.subarray(0, length));
+    output = grown;
+  };
+  
+  try {
+    let last = 0;
+    while (!last) {
+      last = pdfReadBits(reader, 1);
+      const type = pdfReadBits(reader, 2);
+      
+      if (type === 0) {
+        reader.bitBuffer = 0;
+        reader.bitCount = 0;
+        const blockLength = input[reader.pos] | (input[reader.pos + 1] << 8);
+        reader.pos += 4;
+        if (reader.pos + blockLength > input.length) throw new Error('Truncated stored block');
+        ensure(blockLength);
+        output.set(input.subarray(reader.pos, reader.pos + blockLength), length);
+        length += blockLength;
+        reader.pos += blockLength;
+        continue;
+      }
+      
+      let litLen;
+      let dist;
+      if (type === 1) {
+        const lengths = new Array(288);
+        for (let i = 0; i < 288; i++) lengths[i] = i < 144 ? 8 : (i < 256 ? 9 : (i < 280 ? 7 : 8));
+        litLen = pdfBuildHuffman(lengths);
+        dist = pdfBuildHuffman(new Array(30).fill(5));
+      } else if (type === 2) {
+        const tables = pdfReadDynamicTables(reader);
+        litLen = tables.litLen;
+        dist = tables.dist;
+      } else {
+        throw new Error('Invalid deflate block type');
+      }
+      
+      while (true) {
+        const symbol = pdfDecodeSymbol(reader, litLen);
+        if (symbol < 256) {
+          ensure(1);
+          output[length++] = symbol;
+        } else if (symbol === 256) {
+          break;
+        } else {
+          const index = symbol - 257;
+          const runLength = PDF_LENGTH_BASE[index] + pdfReadBits(reader, PDF_LENGTH_EXTRA[index]);
+          const distSymbol = pdfDecodeSymbol(reader, dist);
+          const distance = PDF_DIST_BASE[distSymbol] + pdfReadBits(reader, PDF_DIST_EXTRA[distSymbol]);
+          if (distance > length) throw new Error('Invalid deflate distance');
+          ensure(runLength);
+          for (let i = 0; i < runLength; i++) {
+            output[length] = output[length - distance];
+            length++;
+          }
+        }
+      }
+    }
+  } catch (error) {
+    if (length === 0) throw error;
+  }
+  
+  return output.subarray(0, length);
+}
+
+/**
+ * Reads the code length tables of a dynamic Huffman block
+ * @param {Object} reader - Bit reader
+ * @returns {Object} {litLen, dist} Huffman tables
+ */
+function pdfReadDynamicTables(reader) {
+  const literalCount = pdfReadBits(reader, 5) + 257;
+  const distanceCount = pdfReadBits(reader, 5) + 1;
+  const codeLengthCount = pdfReadBits(reader, 4) + 4;
+  
+  const codeLengthLengths = new Array(19).fill(0);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[PDF_CODE_LENGTH_ORDER[i]] = pdfReadBits(reader, 3);
+  }
+  const codeLengthTable = pdfBuildHuffman(codeLengthLengths);
+  
+  const lengths = [];
+  while (lengths.length < literalCount + distanceCount) {
+    const symbol = pdfDecodeSymbol(reader, codeLengthTable);
+    if (symbol < 16) {
+      lengths.push(symbol);
+    } else if (symbol === 16) {
+      if (lengths.length === 0) throw new Error('Invalid code length repeat');
+      const previous = lengths[lengths.length - 1];
+      for (let i = 3 + pdfReadBits(reader, 2); i > 0; i--) lengths.push(previous);
+    } else if (symbol === 17) {
+      for (let i = 3 + pdfReadBits(reader, 3); i > 0; i--) lengths.push(0);
+    } else {
+      for (let i = 11 + pdfReadBits(reader, 7); i > 0; i--) lengths.push(0);
+    }
+  }
+  
+  return {
+    litLen: pdfBuildHuffman(lengths.slice(0, literalCount)),
+    dist: pdfBuildHuffman(lengths.slice(literalCount, literalCount + distanceCount))
+  };
+}
+
+/**
+ * Builds a canonical Huffman table from code lengths
+ * @param {Array<number>} lengths - Code length per symbol
+ * @returns {Object} {counts, symbols}
+ */
+function pdfBuildHuffman(lengths) {
+  const counts = new Array(16).fill(0);
+  lengths.forEach(len => counts[len]++);
+  counts[0] = 0;
+  
+  const offsets = new Array(16).fill(0);
+  for (let len = 1; len < 16; len++) offsets[len] = offsets[len - 1] + counts[len - 1];
+  
+  const symbols = new Array(lengths.length);
+  lengths.forEach((len, symbol) => {
+    if (len) symbols[offsets[len]++] = symbol;
+  });
+  
+  return { counts, symbols };
+}
+
+/**
+ * Decodes one Huffman symbol (bit by bit, canonical codes)
+ * @param {Object} reader - Bit reader
+ * @param {Object} table - Huffman table
+ * @returns {number} Symbol
+ */
+function pdfDecodeSymbol(reader, table) {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+  for (let len = 1; len < 16; len++) {
+    code |= pdfReadBits(reader, 1);
+    const count = table.counts[len];
+    if (code - first < count) return table.symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw new Error('Invalid Huffman code');
+}
+
+/**
+ * Reads bits least-significant first
+ * @param {Object} reader - Bit reader
+ * @param {number} count - Number of bits
+ * @returns {number} Value
+ */
+function pdfReadBits(reader, count) {
+  while (reader.bitCount < count) {
+    if (reader.pos >= reader.data.length) throw new Error('Unexpected end of deflate data');
+    reader.bitBuffer |= reader.data[reader.pos++] << reader.bitCount;
+    reader.bitCount += 8;
+  }
+  const value = reader.bitBuffer & ((1 << count) - 1);
+  reader.bitBuffer >>>= count;
+  reader.bitCount -= count;
+  return value;
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    extractPdfText,
+    pdfInflate
+  };
+}
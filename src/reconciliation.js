@@ -0,0 +1,90 @@
+/**
+ * CashFlow Automator - Subject Reconciliation
+ * Cross-checks the branch, date and shift an email subject announced against the report content
+ * @version 2.1.0
+ */
+
+/* ==================== CROSS-CHECK ==================== */
+
+/**
+ * Loads what a batch needs to check its files: the active company's email index and
+ * the decisions already taken on its held closures
+ * Only the index sheet is read: old index file entries have no subject to compare with, and
+ * a deployment that never set up email intake has no destination folder to read them from.
+ * @returns {Object} {emailIndex, decisions (see loadReviewDecisions)}
+ */
+function createReconciliation() {
+  return { emailIndex: loadEmailIndex(true, { skipLegacy: true }), decisions: loadReviewDecisions() };
+}
+
+/**
+ * Compares the closure an email subject announced with the one the report contains
+ * Date and shift are only compared for files named after the subject: the files of an email with
+ * several closures (a ZIP of a day's shifts) are named after their own content (see nameClosureFiles).
+ * @param {Object} entry - Email index entry of the file (subject branch, businessDate ISO, shift code)
+ * @param {Object} data - Extracted closure data
+ * @param {string} fileName - Name of the file
+ * @returns {Array<string>} Mismatches, empty when both agree
+ */
+function compareClosureSources(entry, data, fileName) {
+  if (!entry || !entry.branch) return [];
+  
+  const mismatches = [];
+  if (normalizeBranchKey(entry.branch) !== normalizeBranchKey(data.branch)) {
+    mismatches.push('Subject branch "' + entry.branch + '" but report branch "' + data.branch + '"');
+  }
+  
+  if (fileName.startsWith(buildClosureFileStem(entry))) {
+    const reportDate = normalizeDate(data.businessDate);
+    if (entry.businessDate && reportDate && entry.businessDate !== reportDate) {
+      mismatches.push('Subject date ' + entry.businessDate + ' but report date ' + reportDate);
+    }
+    
+    const shiftInfo = resolveShift(data.branch, data.closureDate, data.closureTime);
+    if (entry.shift && entry.shift !== 'UNKNOWN_SHIFT' && shiftInfo && shiftInfo.code !== entry.shift) {
+      mismatches.push('Subject shift ' + entry.shift + ' but report shift ' + shiftInfo.code);
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Cross-checks a file against the email it came from
+ * A mismatch holds the file until its review item is approved (see decideReviewHold).
+ * @param {File} file - Closure file
+ * @param {Object} data - Extracted closure data
+ * @param {Object} reconciliation - See createReconciliation
+ * @returns {Object} {reasons, hold, newItem: whether a review item must be added}
+ */
+function reconcileClosure(file, data, reconciliation) {
+  const reasons = compareClosureSources(findIndexedFileEmail(reconciliation.emailIndex, file), data, file.getName());
+  return decideReviewHold(file, MISMATCH_REVIEW_CATEGORY, reasons, reconciliation.decisions);
+}
+
+/* ==================== RENAMING ==================== */
+
+/**
+ * Builds the name a closure file would have had if its subject had matched the content
+ * Keeps the archive suffix (_A<n>) and extension of the current name.
+ * @param {string} currentName - Current file name
+ * @param {Object} data - Extracted closure data
+ * @returns {string} New file name
+ */
+function buildContentFilename(currentName, data) {
+  const match = currentName.match(/(_A\d+)?\.([^.]+)$/);
+  const suffix = match && match[1] ? match[1] : '';
+  const extension = match ? match[2] : 'pdf';
+  const name = generateFilename({ branch: data.branch, date: data.closureDate, time: data.closureTime }, 0, 1, extension);
+  
+  return name.substring(0, name.length - extension.length - 1) + suffix + '.' + extension;
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createReconciliation,
+    compareClosureSources,
+    reconcileClosure,
+    buildContentFilename
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * CashFlow Automator - Report Template Registry
+ * Declares supported POS closure layouts and how their labels map to our fields
+ * @version 2.1.0
+ */
+
+/* ==================== TEMPLATE DEFINITIONS ==================== */
+
+/**
+ * Registered report templates, evaluated in order during detection.
+ * Each template declares:
+ *  - id / name: identifiers recorded on the extracted data
+ *  - locale: amount format used by the POS (see AMOUNT_LOCALES)
+ *  - detect: patterns that must ALL match the document text
+ *  - branchPattern: line pattern whose first group is the branch name
+ *  - closurePattern: pattern capturing closure date (dd/mm/yyyy) and time (hh:mm:ss)
+ *  - registerPattern / cashierPattern: optional line patterns for register ID and operator
+ *  - fields: label pattern(s) for each monetary field; when an array is given the
+ *    first pattern is the primary rule and the rest are lower-confidence fallbacks
+ *  - withdrawalPattern: label of the cash withdrawal block
+ */
+const REPORT_TEMPLATES = [
+  {
+    id: 'sample-business-en',
+    name: 'Sample Business POS (English)',
+    locale: 'en-US',
+    detect: [/Company name:.*sample business/i, /Closure date:/i],
+    branchPattern: /Company name:.*?SAMPLE BUSINESS\s*[-\s]*(.+)/i,
+    closurePattern: /Closure date:\s*(\d{2}\/\d{2}\/\d{4})\s+(\d{2}:\d{2}:\d{2})/,
+    registerPattern: /^\s*(?:Register|POS|Terminal)(?:\s+ID)?:\s*(\S+)/i,
+    cashierPattern: /^\s*(?:Cashier|Operator):\s*(.+)/i,
+    fields: {
+      openingCash: /Opening cash:/i,
+      totalSales: [/Total sales:/i, /(?:^|\n)\s*Total:/i],
+      cashSales: /(?:^|\n)\s*Cash:/i,
+      cardSales: /Cards:/i,
+      digitalPayments: /Digital:/i,
+      closingCash: /Closing cash:/i
+    },
+    withdrawalPattern: /Withdrawal\s+at\s+Closure\s*-?/i
+  },
+  {
+    id: 'cafe-de-barrio-es',
+    name: 'Cafe de Barrio POS (Spanish)',
+    locale: 'es-AR',
+    detect: [/Raz[oó]n social:.*cafe de barrio/i, /Fecha de cierre:/i],
+    branchPattern: /Raz[oó]n social:.*?CAFE DE BARRIO\s*[-\s]*(.+)/i,
+    closurePattern: /Fecha de cierre:\s*(\d{2}\/\d{2}\/\d{4})\s+(\d{2}:\d{2}:\d{2})/,
+    registerPattern: /^\s*(?:Caja|Terminal|Punto de venta)(?:\s+N[°º.]?)?:\s*(\S+)/i,
+    cashierPattern: /^\s*(?:Cajero|Cajera|Operador|Operadora):\s*(.+)/i,
+    fields: {
+      openingCash: /Efectivo en caja apertura:/i,
+      totalSales: [/Total de Ventas:/i, /(?:^|\n)\s*Total:/i],
+      cashSales: /(?:^|\n)\s*Efectivo:/i,
+      cardSales: /Tarjetas:/i,
+      digitalPayments: /QR:/i,
+      closingCash: /Efectivo en (?:caja cierre|cierre de caja):/i
+    },
+    withdrawalPattern: /Retiro\s+(?:de\s+efectivo\s+)?(?:al|en)\s+cierre\s*-?/i
+  }
+];
+
+/* ==================== TEMPLATE REGISTRY ==================== */
+
+/**
+ * Registers a new report template (or replaces one with the same id)
+ * @param {Object} template - Template definition (see REPORT_TEMPLATES)
+ * @returns {Object} The registered template
+ */
+function registerReportTemplate(template) {
+  if (!template || !template.id) {
+    throw new Error('Template id is required');
+  }
+  if (!Array.isArray(template.detect) || template.detect.length === 0) {
+    throw new Error('Template ' + template.id + ' needs at least one detect pattern');
+  }
+  if (!template.closurePattern || !template.fields) {
+    throw new Error('Template ' + template.id + ' needs closurePattern and fields');
+  }
+  
+  // Patterns are checked here so a bad template fails when registered, not on the first report
+  const invalid = listTemplatePatterns(template).filter(entry => !isRegExp(entry.pattern));
+  if (invalid.length > 0) {
+    throw new Error('Template ' + template.id + ' has patterns that are not regular expressions: ' +
+                    invalid.map(entry => entry.name).join(', '));
+  }
+  
+  const existingIndex = REPORT_TEMPLATES.findIndex(t => t.id === template.id);
+  if (existingIndex !== -1) {
+    REPORT_TEMPLATES[existingIndex] = template;
+  } else {
+    REPORT_TEMPLATES.push(template);
+  }
+  
+  return template;
+}
+
+/**
+ * Lists the patterns extraction runs from a template, with the setting each comes from
+ * @param {Object} template - Template definition
+ * @returns {Array<Object>} [{name, pattern}] (optional patterns only when set)
+ */
+function listTemplatePatterns(template) {
+  const patterns = template.detect.map((pattern, i) => ({ name: 'detect[' + i + ']', pattern }));
+  
+  patterns.push({ name: 'branchPattern', pattern: template.branchPattern });
+  patterns.push({ name: 'closurePattern', pattern: template.closurePattern });
+  ['registerPattern', 'cashierPattern', 'withdrawalPattern'].forEach(name => {
+    if (template[name] !== undefined) patterns.push({ name, pattern: template[name] });
+  });
+  
+  Object.keys(template.fields).forEach(field => {
+    const rules = template.fields[field];
+    if (Array.isArray(rules) && rules.length > 0) {
+      rules.forEach((pattern, i) => patterns.push({ name: 'fields.' + field + '[' + i + ']', pattern }));
+    } else {
+      patterns.push({ name: 'fields.' + field, pattern: rules });
+    }
+  });
+  return patterns;
+}
+
+/**
+ * Whether a value is a regular expression
+ * @param {*} value - Value to check
+ * @returns {boolean} True for RegExps (also those created in another realm, e.g. under Node)
+ */
+function isRegExp(value) {
+  return Object.prototype.toString.call(value) === '[object RegExp]';
+}
+
+/**
+ * Gets a registered template by id
+ * @param {string} templateId - Template identifier
+ * @returns {Object|null} Template definition or null if not registered
+ */
+function getReportTemplate(templateId) {
+  return REPORT_TEMPLATES.find(t => t.id === templateId) || null;
+}
+
+/**
+ * Detects which registered template matches a report's text
+ * @param {string} text - Text content extracted from PDF
+ * @param {Array<string>} templateIds - Optional: only consider these templates (a company's POS layouts)
+ * @returns {Object|null} First matching template or null if none match
+ */
+function detectReportTemplate(text, templateIds) {
+  return REPORT_TEMPLATES.find(template =>
+    (!templateIds || templateIds.includes(template.id)) &&
+    template.detect.every(pattern => pattern.test(text))
+  ) || null;
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REPORT_TEMPLATES,
+    registerReportTemplate,
+    getReportTemplate,
+    detectReportTemplate
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * CashFlow Automator - Review Decisions
+ * Holds the closures the review rules or the subject cross-check flag out of the sheet, with an item
+ * in the review sheet, and writes them once an operator approves the item
+ * @version 2.1.0
+ */
+
+/* ==================== REVIEW DEFINITIONS ==================== */
+
+// Review category of closures the review rules (confidence, unusable amounts) kept out of the sheet
+const HELD_REVIEW_CATEGORY = 'Held for review';
+
+// Review category of closures whose subject and content disagree (see reconciliation.js)
+const MISMATCH_REVIEW_CATEGORY = 'Subject mismatch';
+
+// Categories whose items hold a closure until approved
+const DECISION_REVIEW_CATEGORIES = [HELD_REVIEW_CATEGORY, MISMATCH_REVIEW_CATEGORY];
+
+/* ==================== HOLDING ==================== */
+
+/**
+ * Loads the decisions already taken on the active company's held closures
+ * @returns {Map} Category -> Map of file ID -> review status (latest item wins)
+ */
+function loadReviewDecisions() {
+  const company = getActiveCompany();
+  const companyId = company ? company.id : DEFAULT_COMPANY_ID;
+  const decisions = new Map();
+  
+  DECISION_REVIEW_CATEGORIES.forEach(category => {
+    const statuses = new Map();
+    loadReviewItems(category)
+      .filter(item => item.company === companyId && item.fileId)
+      .forEach(item => statuses.set(item.fileId, item.status));
+    decisions.set(category, statuses);
+  });
+  
+  return decisions;
+}
+
+/**
+ * Decides whether review reasons hold a file, given the decision already taken on it
+ * An approved (or applied) item lets the file through; open and rejected items keep holding it
+ * without adding another item, so reprocessing a date doesn't duplicate review rows.
+ * @param {File} file - Closure file
+ * @param {string} category - Review category of the reasons
+ * @param {Array<string>} reasons - Review reasons, empty when nothing needs review
+ * @param {Map} decisions - See loadReviewDecisions
+ * @returns {Object} {reasons, hold, newItem: whether a review item must be added}
+ */
+function decideReviewHold(file, category, reasons, decisions) {
+  if (reasons.length === 0) {
+    return { reasons, hold: false, newItem: false };
+  }
+  
+  const decision = decisions.get(category).get(file.getId());
+  if (decision === REVIEW_STATUS.APPROVED || decision === REVIEW_STATUS.APPLIED) {
+    return { reasons: [], hold: false, newItem: false };
+  }
+  return { reasons, hold: true, newItem: decision === undefined };
+}
+
+/* ==================== REVIEW DECISIONS ==================== */
+
+/**
+ * Writes the held closures whose review items were approved
+ * The report is read again and its values are written under the closure's company, then its items
+ * are marked applied. A closure with an open or rejected item in another category stays held, and
+ * approving a subject mismatch renames the file after the report content.
+ * @param {string} source - What started it (recorded in the run journal)
+ * @returns {Object|boolean} {applied, held, failed}, or false if another job was using the sheets
+ */
+function applyReviewDecisions(source = 'manual') {
+  requireValidConfig(['SHEET_NAME']);
+  const closures = listApprovedClosures();
+  const summary = { applied: 0, held: 0, failed: 0 };
+  
+  if (closures.length === 0) {
+    Log.info('review', 'No approved review items to apply');
+    return summary;
+  }
+  
+  const companyIds = Array.from(new Set(closures.map(closure => closure.company)));
+  const locks = acquireLocksOrReport(getLockNames([LOCK_RESOURCES.SHEET], companyIds), 'review decisions', source);
+  if (!locks) return false;
+  
+  const runId = startRun('review', source, closures.length + ' approved');
+  try {
+    companyIds.forEach(companyId => withCompany(companyId, () => {
+      const outcomes = closures
+        .filter(closure => closure.company === companyId)
+        .map(closure => applyApprovedClosure(closure, summary));
+      
+      recordRunFiles(runId, outcomes);
+      updateRun(runId, {
+        attempted: outcomes.length,
+        succeeded: outcomes.filter(o => o.outcome === 'done').length,
+        failed: outcomes.filter(o => o.outcome === 'failed').length,
+        rowsUpdated: outcomes.reduce((total, o) => total + (o.rowsUpdated || 0), 0)
+      });
+    }));
+    
+    Log.info('review', 'Review decisions applied', summary);
+    finishRun(runId, 'COMPLETED');
+  } catch (error) {
+    Log.error('review', 'Error applying review decisions: ' + error.message);
+    finishRun(runId, 'ERROR');
+    throw error;
+  } finally {
+    releaseLocks(locks);
+    flushLogs();
+  }
+  return summary;
+}
+
+/**
+ * Lists the closures with at least one approved review item, with all their decision items
+ * @returns {Array<Object>} [{company, fileId, file, items: review items of every decision category}]
+ */
+function listApprovedClosures() {
+  const closures = new Map();
+  
+  DECISION_REVIEW_CATEGORIES.forEach(category => {
+    loadReviewItems(category).filter(item => item.fileId).forEach(item => {
+      const key = item.company + '/' + item.fileId;
+      if (!closures.has(key)) {
+        closures.set(key, { company: item.company, fileId: item.fileId, file: item.file, items: [] });
+      }
+      closures.get(key).items.push(item);
+    });
+  });
+  
+  return Array.from(closures.values())
+    .filter(closure => closure.items.some(item => item.status === REVIEW_STATUS.APPROVED));
+}
+
+/**
+ * Writes one approved closure with the active company
+ * @param {Object} closure - See listApprovedClosures
+ * @param {Object} summary - {applied, held, failed} counts to add to
+ * @returns {Object} Run journal outcome {file, fileId, outcome, detail, rowsUpdated}
+ */
+function applyApprovedClosure(closure, summary) {
+  const approvedItem = category => closure.items.some(item => item.category === category && item.status === REVIEW_STATUS.APPROVED);
+  const waiting = closure.items.filter(item => item.status === REVIEW_STATUS.OPEN || item.status === REVIEW_STATUS.REJECTED);
+  
+  if (waiting.length > 0) {
+    const detail = waiting.map(item => item.category + ' (' + item.status + ')').join('; ');
+    Log.info('review', 'Still held for review: ' + detail, { file: closure.file });
+    summary.held++;
+    return { file: closure.file, fileId: closure.fileId, outcome: 'held for review', detail };
+  }
+  
+  try {
+    const file = Services.drive.getFileById(closure.fileId);
+    const data = extractClosureData(file);
+    data.fileId = closure.fileId;
+    if (data.error) throw new Error(data.error);
+    
+    // Approving a subject mismatch does not lift the review rules; approving the held closure does
+    const assessment = assessExtraction(data);
+    if (!assessment.autoWrite && !approvedItem(HELD_REVIEW_CATEGORY)) {
+      Log.warn('review', 'Still held for review: ' + assessment.reasons.join('; '), { file: file.getName() });
+      summary.held++;
+      return { file: file.getName(), fileId: closure.fileId, outcome: 'held for review', detail: assessment.reasons.join('; ') };
+    }
+    
+    const rowsUpdated = updateSpreadsheet([data]);
+    const previousName = file.getName();
+    if (approvedItem(MISMATCH_REVIEW_CATEGORY)) {
+      file.setName(buildContentFilename(previousName, data));
+    }
+    closure.items
+      .filter(item => item.status === REVIEW_STATUS.APPROVED)
+      .forEach(item => setReviewItemStatus(item.row, REVIEW_STATUS.APPLIED));
+    
+    Log.info('review', 'Applied approved closure', { file: file.getName(), branch: data.branch, date: data.businessDate });
+    summary.applied++;
+    const detail = file.getName() === previousName ? 'written' : 'written, renamed from ' + previousName;
+    return { file: file.getName(), fileId: closure.fileId, outcome: 'done', detail, rowsUpdated };
+  } catch (error) {
+    Log.error('review', 'Failed: ' + error.message, { file: closure.file });
+    summary.failed++;
+    return { file: closure.file, fileId: closure.fileId, outcome: 'failed', detail: error.message };
+  }
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HELD_REVIEW_CATEGORY,
+    MISMATCH_REVIEW_CATEGORY,
+    loadReviewDecisions,
+    decideReviewHold,
+    applyReviewDecisions,
+    listApprovedClosures,
+    applyApprovedClosure
+  };
+}
@@ -0,0 +1,262 @@
+/**
+ * CashFlow Automator - Run Journal
+ * Persistent history of batch, folder, email and review runs with per-file outcomes
+ * @version 2.1.0
+ */
+
+/* ==================== JOURNAL DEFINITIONS ==================== */
+
+const RUN_HISTORY_HEADERS = ['Run ID', 'Type', 'Source', 'Detail', 'Started', 'Ended', 'Batches', 'Attempted', 'Succeeded', 'Failed', 'Rows Updated', 'Files Moved', 'Finish Reason', 'Company'];
+const RUN_FILES_HEADERS = ['Run ID', 'Time', 'File', 'File ID', 'Outcome', 'Detail', 'Company'];
+
+// Column listing the companies a run worked on (comma-separated ids)
+const RUN_COMPANY_COLUMN = 14;
+
+// Counters accumulated on the run row (column positions in RUN_HISTORY_HEADERS)
+const RUN_COUNTER_COLUMNS = {
+  batches: 7,
+  attempted: 8,
+  succeeded: 9,
+  failed: 10,
+  rowsUpdated: 11,
+  filesMoved: 12
+};
+
+/* ==================== RUN LIFECYCLE ==================== */
+
+/**
+ * Opens a run in the journal
+ * @param {string} type - 'batch', 'folder', 'email' or 'review'
+ * @param {string} source - What started it: 'menu', 'trigger', 'cell' or 'manual'
+ * @param {string} detail - Optional context (date, date range)
+ * @returns {string} Run ID
+ */
+function startRun(type, source, detail) {
+  const runId = 'R' + Services.utilities.formatDate(new Date(), 'UTC', 'yyyyMMdd-HHmmss') + '-' + Services.utilities.getUuid().substring(0, 4);
+  const sheet = getJournalSheet(CONFIG.RUN_HISTORY_SHEET_NAME, RUN_HISTORY_HEADERS);
+  
+  const company = getActiveCompany();
+  sheet.appendRow([runId, type, source || 'manual', detail || '', new Date().toISOString(), '', 0, 0, 0, 0, 0, 0, 'RUNNING', company ? company.id : '']);
+  setLogContext({ runId });
+  Log.info('journal', 'Run started (' + type + ', ' + (source || 'manual') + ')', { detail: detail || undefined });
+  return runId;
+}
+
+/**
+ * Adds counts to a run, and the active company (if any) to the companies it worked on
+ * @param {string} runId - Run ID (no-op when empty, e.g. for dry runs)
+ * @param {Object} counts - Any of {batches, attempted, succeeded, failed, rowsUpdated, filesMoved}
+ */
+function updateRun(runId, counts) {
+  if (!runId) return;
+  
+  const sheet = getJournalSheet(CONFIG.RUN_HISTORY_SHEET_NAME, RUN_HISTORY_HEADERS);
+  const row = findRunRow(sheet, runId);
+  if (!row) {
+    Log.warn('journal', 'Run not found in journal', { runId });
+    return;
+  }
+  
+  const range = sheet.getRange(row, 1, 1, RUN_HISTORY_HEADERS.length);
+  const values = range.getValues()[0];
+  Object.keys(counts).forEach(key => {
+    const column = RUN_COUNTER_COLUMNS[key];
+    if (column !== undefined) values[column - 1] = (Number(values[column - 1]) || 0) + (counts[key] || 0);
+  });
+  
+  const company = getActiveCompany();
+  const companies = String(values[RUN_COMPANY_COLUMN - 1] || '').split(',').filter(Boolean);
+  if (company && !companies.includes(company.id)) {
+    values[RUN_COMPANY_COLUMN - 1] = companies.concat(company.id).join(',');
+  }
+  range.setValues([values]);
+}
+
+/**
+ * Closes a run with its finish reason
+ * @param {string} runId - Run ID (no-op when empty)
+ * @param {string} reason - COMPLETED, MULTIPLE_ERRORS, PAUSED, TIME_LIMIT, ERROR...
+ */
+function finishRun(runId, reason) {
+  if (!runId) return;
+  
+  const sheet = getJournalSheet(CONFIG.RUN_HISTORY_SHEET_NAME, RUN_HISTORY_HEADERS);
+  const row = findRunRow(sheet, runId);
+  if (!row) return;
+  
+  sheet.getRange(row, 6).setValue(new Date().toISOString());
+  sheet.getRange(row, 13).setValue(reason);
+  Log.info('journal', 'Run finished → ' + reason, { runId });
+  setLogContext({ runId: null });
+}
+
+/**
+ * Records the per-file outcomes of a run
+ * @param {string} runId - Run ID (no-op when empty)
+ * @param {Array<Object>} outcomes - [{file, fileId, outcome, detail}] (recorded under the active company)
+ */
+function recordRunFiles(runId, outcomes) {
+  if (!runId || outcomes.length === 0) return;
+  
+  const sheet = getJournalSheet(CONFIG.RUN_FILES_SHEET_NAME, RUN_FILES_HEADERS);
+  const now = new Date().toISOString();
+  const company = getActiveCompany();
+  const values = outcomes.map(o => [runId, now, o.file, o.fileId || '', o.outcome, o.detail || '', company ? company.id : '']);
+  sheet.getRange(sheet.getLastRow() + 1, 1, values.length, RUN_FILES_HEADERS.length).setValues(values);
+}
+
+/**
+ * Records one processFiles pass: counters plus one outcome row per file
+ * @param {string} runId - Run ID
+ * @param {Array} rows - processFiles results
+ * @param {Object} totals - {rowsUpdated, filesMoved}
+ */
+function recordRunBatch(runId, rows, totals) {
+  const failed = rows.filter(r => r.error).length;
+  
+  updateRun(runId, {
+    batches: 1,
+    attempted: rows.length,
+    succeeded: rows.length - failed,
+    failed,
+    rowsUpdated: totals.rowsUpdated || 0,
+    filesMoved: totals.filesMoved || 0
+  });
+  
+  recordRunFiles(runId, rows.map(r => ({
+    file: r.file,
+    fileId: r.fileId,
+    outcome: r.error ? 'failed' : (r.needsReview ? 'held for review' : 'done'),
+    detail: r.error || (r.needsReview ? r.reviewReasons.join('; ') : r.businessDate + ' ' + r.shift + ' ' + r.branch)
+  })));
+}
+
+/* ==================== BATCH RUN TRACKING ==================== */
+
+/**
+ * Opens the journal run for batch processing and remembers it across trigger executions
+ * @param {string} source - What started it
+ * @returns {string} Run ID
+ */
+function beginBatchRun(source) {
+  const runId = startRun('batch', source);
+  Services.properties.getScriptProperties().setProperty('current_run_id', runId);
+  return runId;
+}
+
+/**
+ * Gets the batch run in progress, opening one if processing was started outside the menu
+ * @param {Object} e - Trigger event (present when called by a time-based trigger)
+ * @returns {string} Run ID
+ */
+function getCurrentBatchRun(e) {
+  const runId = Services.properties.getScriptProperties().getProperty('current_run_id');
+  if (!runId) return beginBatchRun(e && e.triggerUid ? 'trigger' : 'manual');
+  
+  setLogContext({ runId });
+  return runId;
+}
+
+/**
+ * Closes the batch run in progress
+ * @param {string} reason - Finish reason
+ */
+function endBatchRun(reason) {
+  const props = Services.properties.getScriptProperties();
+  const runId = props.getProperty('current_run_id');
+  if (!runId) return;
+  
+  finishRun(runId, reason);
+  props.deleteProperty('current_run_id');
+}
+
+/* ==================== JOURNAL QUERIES ==================== */
+
+/**
+ * Gets the most recent runs, newest first
+ * @param {number} limit - Maximum number of runs
+ * @param {string} companyId - Optional: only runs that worked on this company
+ * @returns {Array<Object>} Runs keyed by header name
+ */
+function getRecentRuns(limit, companyId) {
+  const sheet = getJournalSheet(CONFIG.RUN_HISTORY_SHEET_NAME, RUN_HISTORY_HEADERS);
+  const values = sheet.getDataRange().getValues().slice(1)
+    .filter(row => row[0])
+    .filter(row => !companyId || String(row[RUN_COMPANY_COLUMN - 1] || '').split(',').includes(companyId));
+  
+  return values.reverse().slice(0, limit || 10).map(row => {
+    const run = {};
+    RUN_HISTORY_HEADERS.forEach((header, index) => {
+      run[header] = row[index];
+    });
+    return run;
+  });
+}
+
+/**
+ * Gets the per-file outcomes of a run
+ * @param {string} runId - Run ID
+ * @returns {Array<Object>} [{time, file, fileId, outcome, detail, company}]
+ */
+function getRunFiles(runId) {
+  const sheet = getJournalSheet(CONFIG.RUN_FILES_SHEET_NAME, RUN_FILES_HEADERS);
+  
+  return sheet.getDataRange().getValues().slice(1)
+    .filter(row => row[0] === runId)
+    .map(row => ({ time: row[1], file: row[2], fileId: row[3], outcome: row[4], detail: row[5], company: row[6] || '' }));
+}
+
+/* ==================== JOURNAL UTILITIES ==================== */
+
+/**
+ * Gets a journal sheet, creating it with headers on first use
+ * @param {string} name - Sheet name
+ * @param {Array<string>} headers - Header row
+ * @returns {Sheet} Journal sheet
+ */
+function getJournalSheet(name, headers) {
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(name);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.setFrozenRows(1);
+  } else if (sheet.getLastColumn() < headers.length) {
+    // Journals created before new columns were added
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Finds the sheet row of a run
+ * @param {Sheet} sheet - Run history sheet
+ * @param {string} runId - Run ID
+ * @returns {number|null} Row number or null if not found
+ */
+function findRunRow(sheet, runId) {
+  const ids = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 1).getValues();
+  
+  for (let i = ids.length - 1; i >= 1; i--) {
+    if (ids[i][0] === runId) return i + 1;
+  }
+  return null;
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    startRun,
+    updateRun,
+    finishRun,
+    recordRunFiles,
+    recordRunBatch,
+    beginBatchRun,
+    getCurrentBatchRun,
+    endBatchRun,
+    getRecentRuns,
+    getRunFiles
+  };
+}
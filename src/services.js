@@ -0,0 +1,60 @@
+/**
+ * CashFlow Automator - Service Adapters
+ * Single access point to the Apps Script services, so they can be replaced by in-memory fakes
+ * @version 2.1.0
+ */
+
+/* ==================== SERVICE REGISTRY ==================== */
+
+// Replacements installed with useServices(); empty when running in Apps Script
+let SERVICE_OVERRIDES = {};
+
+/**
+ * Services used by the modules. Each one resolves to its installed replacement,
+ * or to the built-in Apps Script service when none is installed.
+ *  - drive: DriveApp
+ *  - driveApi: Drive (advanced Drive service)
+ *  - gmail: GmailApp
+ *  - lock: LockService
+ *  - spreadsheet: SpreadsheetApp
+ *  - properties: PropertiesService
+ *  - script: ScriptApp
+ *  - urlFetch: UrlFetchApp
+ *  - utilities: Utilities
+ */
+const Services = {
+  get drive() { return SERVICE_OVERRIDES.drive || DriveApp; },
+  get driveApi() { return SERVICE_OVERRIDES.driveApi || Drive; },
+  get gmail() { return SERVICE_OVERRIDES.gmail || GmailApp; },
+  get lock() { return SERVICE_OVERRIDES.lock || LockService; },
+  get spreadsheet() { return SERVICE_OVERRIDES.spreadsheet || SpreadsheetApp; },
+  get properties() { return SERVICE_OVERRIDES.properties || PropertiesService; },
+  get script() { return SERVICE_OVERRIDES.script || ScriptApp; },
+  get urlFetch() { return SERVICE_OVERRIDES.urlFetch || UrlFetchApp; },
+  get utilities() { return SERVICE_OVERRIDES.utilities || Utilities; }
+};
+
+/**
+ * Installs service replacements (e.g. the in-memory fakes in tools/fake-services.js)
+ * Services not given keep resolving to Apps Script
+ * @param {Object} overrides - Any of {drive, driveApi, gmail, lock, spreadsheet, properties, script, urlFetch, utilities}
+ */
+function useServices(overrides) {
+  SERVICE_OVERRIDES = Object.assign({}, overrides);
+}
+
+/**
+ * Removes all replacements so every service resolves to Apps Script again
+ */
+function resetServices() {
+  SERVICE_OVERRIDES = {};
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Services,
+    useServices,
+    resetServices
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * CashFlow Automator - Shift Calendar
+ * Single source of truth for shift assignment and business-day rollover per branch
+ * @version 2.1.0
+ */
+
+/* ==================== SHIFT RESOLUTION ==================== */
+
+/**
+ * Gets the shift calendar for a branch
+ * Calendars live in CONFIG.SHIFT_CALENDARS keyed by branch name; 'default' applies otherwise.
+ * Each calendar declares:
+ *  - rolloverHour: closures before this hour belong to the previous business day
+ *  - shifts: [{name, code, start: 'HH:mm', end: 'HH:mm'}], windows may wrap past midnight
+ * @param {string} branch - Branch name (spaces or underscores)
+ * @returns {Object} Shift calendar
+ */
+function getShiftCalendar(branch) {
+  const calendars = CONFIG.SHIFT_CALENDARS;
+  const branchKey = normalizeBranchKey(branch);
+  const calendarKey = Object.keys(calendars)
+    .find(name => name !== 'default' && normalizeBranchKey(name) === branchKey);
+  
+  return calendars[calendarKey || 'default'];
+}
+
+/**
+ * Resolves the shift and business day of a closure
+ * @param {string} branch - Branch name
+ * @param {string} date - Closure date (dd/mm/yyyy)
+ * @param {string} time - Closure time (hh:mm or hh:mm:ss)
+ * @returns {Object|null} {name, code, businessDate, businessDateISO} or null if no shift matches
+ */
+function resolveShift(branch, date, time) {
+  if (!date || !time) return null;
+  
+  const calendar = getShiftCalendar(branch);
+  const minutes = timeToMinutes(time);
+  const shift = calendar.shifts.find(s => isWithinWindow(minutes, timeToMinutes(s.start), timeToMinutes(s.end)));
+  if (!shift) return null;
+  
+  const [day, month, year] = date.split('/').map(part => parseInt(part, 10));
+  const businessDay = new Date(Date.UTC(year, month - 1, day));
+  if (minutes < (calendar.rolloverHour || 0) * 60) {
+    businessDay.setUTCDate(businessDay.getUTCDate() - 1);
+  }
+  
+  const businessDateISO = businessDay.toISOString().split('T')[0];
+  const [isoYear, isoMonth, isoDay] = businessDateISO.split('-');
+  
+  return {
+    name: shift.name,
+    code: shift.code || shift.name.toUpperCase(),
+    businessDate: isoDay + '/' + isoMonth + '/' + isoYear,
+    businessDateISO
+  };
+}
+
+/* ==================== SHIFT UTILITIES ==================== */
+
+/**
+ * Checks whether a time falls in a [start, end) window, wrapping past midnight
+ * @param {number} minutes - Minutes since midnight
+ * @param {number} start - Window start in minutes
+ * @param {number} end - Window end in minutes (24:00 = 1440)
+ * @returns {boolean} True if inside the window
+ */
+function isWithinWindow(minutes, start, end) {
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Converts hh:mm[:ss] to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Normalizes branch names so "Main_Branch" and "main branch" match
+ * @param {string} branch - Branch name
+ * @returns {string} Normalized key
+ */
+function normalizeBranchKey(branch) {
+  return (branch || '').toString().trim().toLowerCase().replace(/[_\s]+/g, ' ');
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getShiftCalendar,
+    resolveShift,
+    normalizeBranchKey
+  };
+}
@@ -6,69 +6,134 @@
 
 /* ==================== SPREADSHEET SYNC FUNCTIONS ==================== */
 
+// Extracted data field → spreadsheet column
+const AMOUNT_FIELD_COLUMNS = [
+  ['openingCash', 'Opening Cash'],
+  ['cashSales', 'Cash Sales'],
+  ['totalSales', 'Total Sales'],
+  ['cardSales', 'Card Payments'],
+  ['digitalPayments', 'Digital Payments'],
+  ['closingCash', 'Closing Cash'],
+  ['cashWithdrawal', 'Cash Withdrawal']
+];
+
+// Extracted data field → column added to the sheet the first time a closure has it
+const IDENTITY_FIELD_COLUMNS = [
+  ['registerId', 'Register'],
+  ['cashier', 'Cashier']
+];
+
 /**
  * Updates Google Sheets with extracted financial data
+ * With a dry-run plan, the updates are added to the plan instead of written
  * @param {Array} rows - Array of extracted data objects
+ * @param {Object} plan - Optional dry-run plan
+ * @returns {number} Number of sheet rows updated (or that would be updated)
  */
-function updateSpreadsheet(rows) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+function updateSpreadsheet(rows, plan) {
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
   if (!sheet) {
-    Logger.log('Sheet not found: ' + CONFIG.SHEET_NAME);
-    return;
+    Log.error('sheet', 'Sheet not found: ' + CONFIG.SHEET_NAME, { step: 'sheet' });
+    return 0;
   }
   
   const allData = sheet.getDataRange().getValues();
   const headers = allData[0];
   const dataRows = allData.slice(1);
+  addIdentityColumns(sheet, headers, rows, plan);
   
   const columnIndex = {};
   headers.forEach((header, index) => {
     columnIndex[header] = index;
   });
   
+  const hasRegister = columnIndex['Register'] !== undefined;
   const rowMap = new Map();
   dataRows.forEach((row, rowIndex) => {
-    const key = normalizeDate(row[columnIndex['Date']]) + '|' + row[columnIndex['Shift']] + '|' + row[columnIndex['Branch']];
-    rowMap.set(key, rowIndex + 2);
+    rowMap.set(getSheetRowKey(row, columnIndex), rowIndex + 2);
   });
   
   const updates = [];
   
   rows.forEach(rowData => {
-    const key = normalizeDate(rowData.closureDate) + '|' + rowData.shift + '|' + rowData.branch;
-    const sheetRow = rowMap.get(key);
+    const key = getDataRowKey(rowData, hasRegister);
+    let sheetRow = rowMap.get(key);
+    
+    // A register seen for the first time claims the shift's unassigned row, or gets its own row
+    if (!sheetRow && hasRegister && rowData.registerId) {
+      sheetRow = assignRegisterRow(sheet, rowData, rowMap, dataRows, columnIndex, headers.length, updates, plan);
+    }
     
     if (!sheetRow) {
-      Logger.log('Row not found for: ' + key);
+      Log.warn('sheet', 'Row not found for: ' + key, {
+        file: rowData.file,
+        branch: rowData.branch,
+        date: rowData.businessDate,
+        step: 'sheet'
+      });
       return;
     }
     
-    const fieldMappings = [
-      ['openingCash', 'Opening Cash'],
-      ['cashSales', 'Cash Sales'],
-      ['totalSales', 'Total Sales'],
-      ['cardSales', 'Card Payments'],
-      ['digitalPayments', 'Digital Payments'],
-      ['closingCash', 'Closing Cash'],
-      ['cashWithdrawal', 'Cash Withdrawal']
-    ];
+    if (rowData.cashier && !dataRows[sheetRow - 2][columnIndex['Cashier']]) {
+      dataRows[sheetRow - 2][columnIndex['Cashier']] = rowData.cashier;
+      updates.push({ row: sheetRow, column: columnIndex['Cashier'] + 1, value: rowData.cashier, oldValue: '' });
+    }
     
-    fieldMappings.forEach(([dataField, sheetColumn]) => {
+    AMOUNT_FIELD_COLUMNS.forEach(([dataField, sheetColumn]) => {
       if (rowData[dataField] && columnIndex[sheetColumn] !== undefined) {
         const colIndex = columnIndex[sheetColumn];
         const existingValue = dataRows[sheetRow - 2][colIndex];
+        const amount = resolveFieldAmount(rowData, dataField);
+        
+        // Another closure (or an earlier file of this one) already filled the cell: keep it, but say so if it differs
+        if (existingValue) {
+          if (!amount.error && Number(existingValue) !== amount.value) {
+            Log.warn('sheet', 'Kept ' + sheetColumn + ' ' + existingValue + ' already in row ' + sheetRow + ', not writing ' + amount.value, {
+              file: rowData.file,
+              branch: rowData.branch,
+              date: rowData.businessDate,
+              step: 'sheet'
+            });
+          }
+          return;
+        }
         
-        if (!existingValue || existingValue === 0 || existingValue === '') {
-          updates.push({
-            row: sheetRow,
-            column: colIndex + 1,
-            value: convertArgentineNumber(rowData[dataField])
+        if (amount.error) {
+          Log.warn('sheet', 'Skipped amount for ' + sheetColumn + ': "' + amount.raw + '" (' + amount.error + ')', {
+            file: rowData.file,
+            branch: rowData.branch,
+            date: rowData.businessDate,
+            step: 'sheet'
           });
+          return;
         }
+        
+        dataRows[sheetRow - 2][colIndex] = amount.value;
+        updates.push({
+          row: sheetRow,
+          column: colIndex + 1,
+          value: amount.value,
+          oldValue: existingValue,
+          note: describeProvenance(rowData, dataField)
+        });
       }
     });
   });
   
+  if (plan && updates.length > 0) {
+    updates.forEach(u => addPlannedAction(plan, {
+      action: 'Update cell',
+      target: CONFIG.SHEET_NAME,
+      cell: toA1Notation(u.row, u.column),
+      oldValue: u.oldValue,
+      newValue: u.value,
+      detail: u.note
+    }));
+    
+    Log.info('sheet', updates.length + ' spreadsheet updates planned', { step: 'sheet', dryRun: true });
+    return new Set(updates.map(u => u.row)).size;
+  }
+  
   // Apply updates to spreadsheet
   if (updates.length > 0) {
     applySpreadsheetUpdates(sheet, updates);
@@ -77,10 +142,104 @@ function updateSpreadsheet(rows) {
     const updatedRows = [...new Set(updates.map(u => u.row))];
     highlightUpdatedRows(sheet, updatedRows, headers.length);
     
-    Logger.log('Applied ' + updates.length + ' updates to spreadsheet');
-  } else {
-    Logger.log('No updates needed - all data already present');
+    Log.info('sheet', 'Applied ' + updates.length + ' updates to spreadsheet', { step: 'sheet' });
+    return updatedRows.length;
+  }
+  
+  Log.info('sheet', 'No updates needed - all data already present', { step: 'sheet' });
+  return 0;
+}
+
+/**
+ * Adds the Register and Cashier columns the first time a closure carries a register ID or cashier
+ * Without a Register column, every register of a shift would share one row.
+ * @param {Sheet} sheet - Google Sheet
+ * @param {Array} headers - Sheet headers (the added columns are appended in place)
+ * @param {Array} rows - Extracted data objects
+ * @param {Object} plan - Optional dry-run plan (the columns are planned instead of added)
+ */
+function addIdentityColumns(sheet, headers, rows, plan) {
+  IDENTITY_FIELD_COLUMNS.forEach(([dataField, sheetColumn]) => {
+    if (headers.includes(sheetColumn) || !rows.some(rowData => rowData[dataField])) return;
+    
+    headers.push(sheetColumn);
+    if (plan) {
+      addPlannedAction(plan, { action: 'Add column', target: CONFIG.SHEET_NAME, cell: toA1Notation(1, headers.length), newValue: sheetColumn });
+      return;
+    }
+    
+    sheet.getRange(1, headers.length).setValue(sheetColumn);
+    Log.info('sheet', 'Added column ' + sheetColumn, { step: 'sheet' });
+  });
+}
+
+/**
+ * Builds the Date|Shift|Branch[|Register] key used to locate a sheet row for extracted data
+ * Uses the business date from the shift calendar, so overnight closures land on the right day
+ * @param {Object} data - Extracted financial data
+ * @param {boolean} includeRegister - Whether the sheet has a Register column
+ * @returns {string} Row key
+ */
+function getDataRowKey(data, includeRegister) {
+  const key = normalizeDate(data.businessDate || data.closureDate) + '|' + data.shift + '|' + data.branch;
+  return includeRegister ? key + '|' + (data.registerId || '') : key;
+}
+
+/**
+ * Builds the row key of an existing sheet row (same format as getDataRowKey)
+ * @param {Array} row - Sheet row values
+ * @param {Object} columnIndex - Header → column index map
+ * @returns {string} Row key
+ */
+function getSheetRowKey(row, columnIndex) {
+  const key = normalizeDate(row[columnIndex['Date']]) + '|' + row[columnIndex['Shift']] + '|' + row[columnIndex['Branch']];
+  return columnIndex['Register'] !== undefined ? key + '|' + (row[columnIndex['Register']] || '') : key;
+}
+
+/**
+ * Finds a sheet row for a register that has no row of its own yet
+ * Claims the shift's row without a register when there is one, otherwise appends a new row
+ * @param {Sheet} sheet - Google Sheet
+ * @param {Object} rowData - Extracted data object
+ * @param {Map} rowMap - Row key → sheet row number (updated in place)
+ * @param {Array} dataRows - Sheet values without headers (updated in place)
+ * @param {Object} columnIndex - Header → column index map
+ * @param {number} numColumns - Number of sheet columns
+ * @param {Array} updates - Pending updates (Register cell is queued here when claiming)
+ * @param {Object} plan - Optional dry-run plan (the new row is planned instead of appended)
+ * @returns {number} Sheet row number
+ */
+function assignRegisterRow(sheet, rowData, rowMap, dataRows, columnIndex, numColumns, updates, plan) {
+  const key = getDataRowKey(rowData, true);
+  const unassignedKey = getDataRowKey(Object.assign({}, rowData, { registerId: '' }), true);
+  const unassignedRow = rowMap.get(unassignedKey);
+  
+  if (unassignedRow) {
+    rowMap.delete(unassignedKey);
+    rowMap.set(key, unassignedRow);
+    dataRows[unassignedRow - 2][columnIndex['Register']] = rowData.registerId;
+    updates.push({ row: unassignedRow, column: columnIndex['Register'] + 1, value: rowData.registerId, oldValue: '' });
+    return unassignedRow;
   }
+  
+  const newRow = new Array(numColumns).fill('');
+  newRow[columnIndex['Date']] = normalizeDate(rowData.businessDate || rowData.closureDate);
+  newRow[columnIndex['Shift']] = rowData.shift;
+  newRow[columnIndex['Branch']] = rowData.branch;
+  newRow[columnIndex['Register']] = rowData.registerId;
+  
+  dataRows.push(newRow);
+  const rowNumber = dataRows.length + 1;
+  rowMap.set(key, rowNumber);
+  
+  if (plan) {
+    addPlannedAction(plan, { action: 'Append row', target: CONFIG.SHEET_NAME, cell: 'Row ' + rowNumber, newValue: key });
+    return rowNumber;
+  }
+  
+  sheet.appendRow(newRow);
+  Log.info('sheet', 'Added row ' + rowNumber + ' for register: ' + key, { branch: rowData.branch, step: 'sheet' });
+  return rowNumber;
 }
 
 /**
@@ -92,21 +251,43 @@ function applySpreadsheetUpdates(sheet, updates) {
   // Group updates by row for efficiency
   const updatesByRow = new Map();
   
-  updates.forEach(({row, column, value}) => {
+  updates.forEach(({row, column, value, note}) => {
     if (!updatesByRow.has(row)) {
       updatesByRow.set(row, []);
     }
-    updatesByRow.get(row).push({column, value});
+    updatesByRow.get(row).push({column, value, note});
   });
   
   // Apply updates row by row
   for (const [row, rowUpdates] of updatesByRow) {
-    rowUpdates.forEach(({column, value}) => {
-      sheet.getRange(row, column).setValue(value);
+    rowUpdates.forEach(({column, value, note}) => {
+      const range = sheet.getRange(row, column);
+      range.setValue(value);
+      if (note) range.setNote(note);
     });
   }
 }
 
+/**
+ * Describes where an extracted value came from (used as a cell note for auditors)
+ * @param {Object} rowData - Extracted data object with provenance
+ * @param {string} field - Data field name
+ * @returns {string} Human-readable provenance or empty string
+ */
+function describeProvenance(rowData, field) {
+  const provenance = rowData.provenance && rowData.provenance[field];
+  if (!provenance) return '';
+  
+  const structured = rowData.sourceType === CLOSURE_SOURCE_TYPES.STRUCTURED_EXPORT;
+  return 'Source: ' + rowData.file +
+    (provenance.line ? ' (' + (structured ? 'row ' : 'line ') + provenance.line + ')' : '') +
+    '\nMatched: ' + provenance.text +
+    '\nRule: ' + provenance.rule + (provenance.fallback ? ' [fallback]' : '') +
+    '\nConfidence: ' + provenance.confidence +
+    (structured ? '\nProvenance: ' + CLOSURE_SOURCE_TYPES.STRUCTURED_EXPORT : '') +
+    (rowData.backend ? '\nText backend: ' + rowData.backend : '');
+}
+
 /**
  * Highlights updated rows in the spreadsheet
  * @param {Sheet} sheet - Google Sheet
@@ -117,7 +298,7 @@ function highlightUpdatedRows(sheet, updatedRows, numColumns) {
   updatedRows.forEach(row => {
     sheet.getRange(row, 1, 1, numColumns).setBackground('#E8F5E8');
   });
-  Logger.log('Highlighted ' + updatedRows.length + ' updated rows');
+  Log.debug('sheet', 'Highlighted ' + updatedRows.length + ' updated rows', { step: 'sheet' });
 }
 
 /**
@@ -126,7 +307,7 @@ function highlightUpdatedRows(sheet, updatedRows, numColumns) {
  * @returns {number} Row number where data should be placed
  */
 function findOrCreateRow(data) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
   if (!sheet) return -1;
   
   const allData = sheet.getDataRange().getValues();
@@ -138,12 +319,11 @@ function findOrCreateRow(data) {
     columnIndex[header] = index;
   });
   
-  const normalizedDate = normalizeDate(data.closureDate);
-  const searchKey = normalizedDate + '|' + data.shift + '|' + data.branch;
+  const searchKey = getDataRowKey(data, columnIndex['Register'] !== undefined);
   
   for (let i = 0; i < dataRows.length; i++) {
     const row = dataRows[i];
-    const rowKey = normalizeDate(row[columnIndex['Date']]) + '|' + row[columnIndex['Shift']] + '|' + row[columnIndex['Branch']];
+    const rowKey = getSheetRowKey(row, columnIndex);
     
     if (rowKey === searchKey) {
       return i + 2; // +2 because data starts at row 2 (headers + 1-indexing)
@@ -151,7 +331,7 @@ function findOrCreateRow(data) {
   }
   
   // Row not found - would need to create new row
-  Logger.log('Row not found for: ' + searchKey);
+  Log.debug('sheet', 'Row not found for: ' + searchKey);
   return -1;
 }
 
@@ -176,36 +356,26 @@ function validateFinancialData(data) {
     errors.push('Missing shift information');
   }
   
-  // Financial data validation
-  if (data.totalSales) {
-    const sales = convertArgentineNumber(data.totalSales);
-    if (sales < 0) {
-      errors.push('Total sales cannot be negative');
-    }
-  }
-  
-  if (data.openingCash && data.closingCash) {
-    const opening = convertArgentineNumber(data.openingCash);
-    const closing = convertArgentineNumber(data.closingCash);
-    
-    if (opening < 0 || closing < 0) {
-      errors.push('Cash amounts cannot be negative');
+  // Amounts must parse in the report's locale and respect their sign policy
+  const amounts = {};
+  AMOUNT_FIELDS.forEach(field => {
+    if (!data[field]) return;
+    const amount = resolveFieldAmount(data, field);
+    if (amount.error) {
+      errors.push(field + ': ' + amount.error + ' ("' + amount.raw + '")');
+    } else {
+      amounts[field] = amount.value;
     }
-  }
+  });
   
   // Data consistency checks
-  if (data.cashSales && data.cardSales && data.totalSales) {
-    const cash = convertArgentineNumber(data.cashSales) || 0;
-    const cards = convertArgentineNumber(data.cardSales) || 0;
-    const digital = convertArgentineNumber(data.digitalPayments) || 0;
-    const totalSales = convertArgentineNumber(data.totalSales) || 0;
-    
-    const paymentMethodsSum = cash + cards + digital;
-    const difference = Math.abs(paymentMethodsSum - totalSales);
+  if (amounts.cashSales !== undefined && amounts.cardSales !== undefined && amounts.totalSales !== undefined) {
+    const paymentMethodsSum = amounts.cashSales + amounts.cardSales + (amounts.digitalPayments || 0);
+    const difference = Math.abs(paymentMethodsSum - amounts.totalSales);
     
     // Allow small rounding differences
     if (difference > 1) {
-      errors.push('Payment methods sum (' + paymentMethodsSum + ') doesn\'t match total sales (' + totalSales + ')');
+      errors.push('Payment methods sum (' + paymentMethodsSum + ') doesn\'t match total sales (' + amounts.totalSales + ')');
     }
   }
   
@@ -215,12 +385,186 @@ function validateFinancialData(data) {
   };
 }
 
+/* ==================== REVIEW QUEUE ==================== */
+
+const REVIEW_HEADERS = ['Logged At', 'Category', 'File', 'File ID', 'Reason', 'Status', 'Company'];
+
+// Review item statuses: items start open, operators set approved or rejected, approvals become applied once written
+const REVIEW_STATUS = {
+  OPEN: 'open',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  APPLIED: 'applied'
+};
+
+/**
+ * Adds an item to the review sheet, the single place operators check for files needing attention
+ * @param {Object} item - {category, file, fileId, reason} (recorded under the active company)
+ */
+function appendReviewItem(item) {
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(CONFIG.REVIEW_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.REVIEW_SHEET_NAME);
+    sheet.getRange(1, 1, 1, REVIEW_HEADERS.length).setValues([REVIEW_HEADERS]);
+  } else if (sheet.getLastColumn() < REVIEW_HEADERS.length) {
+    sheet.getRange(1, 1, 1, REVIEW_HEADERS.length).setValues([REVIEW_HEADERS]);
+  }
+  
+  const company = getActiveCompany();
+  sheet.appendRow([new Date().toISOString(), item.category, item.file, item.fileId || '', item.reason, REVIEW_STATUS.OPEN, company ? company.id : '']);
+}
+
+/**
+ * Reads the review items of a category
+ * @param {string} category - Review category
+ * @returns {Array<Object>} [{row, loggedAt, category, file, fileId, reason, status, company}], oldest first
+ */
+function loadReviewItems(category) {
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.REVIEW_SHEET_NAME);
+  if (!sheet) return [];
+  
+  return sheet.getDataRange().getValues().slice(1)
+    .map((values, index) => ({
+      row: index + 2,
+      loggedAt: values[0],
+      category: values[1],
+      file: values[2],
+      fileId: String(values[3] || ''),
+      reason: values[4],
+      status: String(values[5] || '').trim().toLowerCase(),
+      company: values[6] || DEFAULT_COMPANY_ID
+    }))
+    .filter(item => item.category === category);
+}
+
+/**
+ * Sets the status of a review item
+ * @param {number} row - Review sheet row (see loadReviewItems)
+ * @param {string} status - Status from REVIEW_STATUS
+ */
+function setReviewItemStatus(row, status) {
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.REVIEW_SHEET_NAME);
+  sheet.getRange(row, REVIEW_HEADERS.indexOf('Status') + 1).setValue(status);
+}
+
+/* ==================== CASHIER REPORTS ==================== */
+
+/**
+ * Builds the per-cashier cash over/short report for a date range
+ * Expected closing cash = opening cash + cash sales - cash withdrawal;
+ * over/short = counted closing cash - expected closing cash
+ * @param {string} startDate - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} endDate - End date (YYYY-MM-DD, inclusive)
+ * @returns {Object} {cashiers: Array, closures: Array} or {error}
+ */
+function buildCashierOverShortReport(startDate, endDate) {
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet) {
+    return { error: 'Sheet not found' };
+  }
+  
+  const allData = sheet.getDataRange().getValues();
+  const headers = allData[0];
+  const dataRows = allData.slice(1);
+  
+  const columnIndex = {};
+  headers.forEach((header, index) => {
+    columnIndex[header] = index;
+  });
+  
+  const closures = [];
+  const byCashier = new Map();
+  
+  dataRows.forEach(row => {
+    const date = normalizeDate(row[columnIndex['Date']]);
+    if (!date || date < startDate || date > endDate) return;
+    
+    const closing = row[columnIndex['Closing Cash']];
+    if (closing === '' || closing === null || closing === undefined) return;
+    
+    const opening = Number(row[columnIndex['Opening Cash']]) || 0;
+    const cashSales = Number(row[columnIndex['Cash Sales']]) || 0;
+    const withdrawal = Number(row[columnIndex['Cash Withdrawal']]) || 0;
+    const expected = opening + cashSales - withdrawal;
+    const overShort = Math.round((Number(closing) - expected) * 100) / 100;
+    
+    const cashier = (columnIndex['Cashier'] !== undefined && row[columnIndex['Cashier']]) || '(unknown)';
+    const closure = {
+      date: date,
+      shift: row[columnIndex['Shift']],
+      branch: row[columnIndex['Branch']],
+      register: columnIndex['Register'] !== undefined ? row[columnIndex['Register']] : '',
+      cashier: cashier,
+      expected: Math.round(expected * 100) / 100,
+      counted: Number(closing),
+      overShort: overShort
+    };
+    closures.push(closure);
+    
+    if (!byCashier.has(cashier)) {
+      byCashier.set(cashier, { cashier: cashier, closures: 0, totalOver: 0, totalShort: 0, net: 0, largestShort: 0 });
+    }
+    const summary = byCashier.get(cashier);
+    summary.closures++;
+    summary.net = Math.round((summary.net + overShort) * 100) / 100;
+    if (overShort > 0) summary.totalOver = Math.round((summary.totalOver + overShort) * 100) / 100;
+    if (overShort < 0) {
+      summary.totalShort = Math.round((summary.totalShort + overShort) * 100) / 100;
+      summary.largestShort = Math.min(summary.largestShort, overShort);
+    }
+  });
+  
+  const cashiers = Array.from(byCashier.values()).sort((a, b) => a.net - b.net);
+  return { cashiers, closures };
+}
+
+/**
+ * Writes the per-cashier over/short report to its own sheet
+ * @param {string} startDate - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} endDate - End date (YYYY-MM-DD, inclusive)
+ * @param {string} companyId - Optional: report on this company's sheet
+ * @returns {Object} Report data (see buildCashierOverShortReport)
+ */
+function writeCashierOverShortReport(startDate, endDate, companyId) {
+  if (companyId) {
+    return withCompany(companyId, () => writeCashierOverShortReport(startDate, endDate));
+  }
+  
+  const report = buildCashierOverShortReport(startDate, endDate);
+  if (report.error) {
+    Log.error('sheet', 'Cashier report error: ' + report.error, { step: 'cashier report' });
+    return report;
+  }
+  
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(CONFIG.CASHIER_REPORT_SHEET_NAME) ||
+                spreadsheet.insertSheet(CONFIG.CASHIER_REPORT_SHEET_NAME);
+  sheet.clear();
+  
+  const company = getActiveCompany();
+  const title = 'Cashier Over/Short: ' + startDate + ' to ' + endDate + (company && isMultiCompany() ? ' (' + company.name + ')' : '');
+  const values = [
+    [title, '', '', '', '', '', '', ''],
+    ['Cashier', 'Closures', 'Total Over', 'Total Short', 'Net', 'Largest Short', '', ''],
+    ...report.cashiers.map(c => [c.cashier, c.closures, c.totalOver, c.totalShort, c.net, c.largestShort, '', '']),
+    ['', '', '', '', '', '', '', ''],
+    ['Date', 'Shift', 'Branch', 'Register', 'Cashier', 'Expected', 'Counted', 'Over/Short'],
+    ...report.closures.map(c => [c.date, c.shift, c.branch, c.register, c.cashier, c.expected, c.counted, c.overShort])
+  ];
+  sheet.getRange(1, 1, values.length, 8).setValues(values);
+  
+  Log.info('sheet', 'Cashier report written: ' + report.cashiers.length + ' cashiers, ' + report.closures.length + ' closures', { step: 'cashier report' });
+  return report;
+}
+
 /**
  * Gets spreadsheet statistics and metrics
  * @returns {Object} Spreadsheet statistics
  */
 function getSpreadsheetStats() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
   if (!sheet) {
     return { error: 'Sheet not found' };
   }
@@ -281,17 +625,15 @@ function getSpreadsheetStats() {
 function logSpreadsheetStats() {
   const stats = getSpreadsheetStats();
   
-  Logger.log('=== SPREADSHEET STATISTICS ===');
-  Logger.log('Total rows: ' + stats.totalRows);
-  Logger.log('Branches: ' + stats.totalBranches);
-  
-  if (stats.dateRange.min && stats.dateRange.max) {
-    Logger.log('Date range: ' + stats.dateRange.min.toLocaleDateString() + ' to ' + stats.dateRange.max.toLocaleDateString());
-  }
-  
-  Logger.log('Completed rows: ' + stats.completedRows);
-  Logger.log('Incomplete rows: ' + stats.incompleteRows);
-  Logger.log('Completion rate: ' + stats.completionRate);
+  Log.info('sheet', 'Spreadsheet statistics', {
+    totalRows: stats.totalRows,
+    branches: stats.totalBranches,
+    dateRange: stats.dateRange.min && stats.dateRange.max ?
+      stats.dateRange.min.toLocaleDateString() + ' to ' + stats.dateRange.max.toLocaleDateString() : undefined,
+    completedRows: stats.completedRows,
+    incompleteRows: stats.incompleteRows,
+    completionRate: stats.completionRate
+  });
 }
 
 /**
@@ -299,11 +641,11 @@ function logSpreadsheetStats() {
  * @returns {string} Backup creation timestamp
  */
 function createSpreadsheetBackup() {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const spreadsheet = Services.spreadsheet.getActiveSpreadsheet();
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAME);
   
   if (!sheet) {
-    Logger.log('Sheet not found for backup');
+    Log.error('sheet', 'Sheet not found for backup', { step: 'backup' });
     return null;
   }
   
@@ -313,10 +655,10 @@ function createSpreadsheetBackup() {
   try {
     // Create backup by copying the sheet
     sheet.copyTo(spreadsheet).setName(backupName);
-    Logger.log('Backup created: ' + backupName);
+    Log.info('sheet', 'Backup created: ' + backupName, { step: 'backup' });
     return timestamp;
   } catch (error) {
-    Logger.log('Backup failed: ' + error.message);
+    Log.error('sheet', 'Backup failed: ' + error.message, { step: 'backup' });
     return null;
   }
 }
@@ -326,7 +668,7 @@ function createSpreadsheetBackup() {
  * @returns {string} CSV data as string
  */
 function exportDataToCSV() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
   if (!sheet) return '';
   
   const data = sheet.getDataRange().getValues();
@@ -348,7 +690,7 @@ function exportDataToCSV() {
  * @returns {Array} Array of detected anomalies
  */
 function findDataAnomalies() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const sheet = Services.spreadsheet.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
   if (!sheet) return [];
   
   const allData = sheet.getDataRange().getValues();
@@ -365,18 +707,18 @@ function findDataAnomalies() {
   dataRows.forEach((row, index) => {
     const rowNumber = index + 2;
     
-    // Check for negative values where they shouldn't exist
-    const positiveFields = ['Total Sales', 'Cash Sales', 'Opening Cash', 'Closing Cash'];
-    positiveFields.forEach(field => {
-      if (columnIndex[field] !== undefined && row[columnIndex[field]] < 0) {
-        anomalies.push({
-          type: 'NEGATIVE_VALUE',
-          field: field,
-          row: rowNumber,
-          value: row[columnIndex[field]],
-          message: 'Negative value in ' + field
-        });
-      }
+    // Check negative values against each field's sign policy
+    AMOUNT_FIELD_COLUMNS.forEach(([dataField, field]) => {
+      const policy = AMOUNT_SIGN_POLICIES[dataField];
+      if (policy === 'allow' || columnIndex[field] === undefined || !(row[columnIndex[field]] < 0)) return;
+      
+      anomalies.push({
+        type: policy === 'reject' ? 'NEGATIVE_VALUE' : 'UNNORMALIZED_SIGN',
+        field: field,
+        row: rowNumber,
+        value: row[columnIndex[field]],
+        message: policy === 'reject' ? 'Negative value in ' + field : 'Sign convention not normalized in ' + field
+      });
     });
     
     // Check for unusually high or low values
@@ -428,11 +770,21 @@ function findDataAnomalies() {
 // Export functions for testing and external use
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    AMOUNT_FIELD_COLUMNS,
     updateSpreadsheet,
+    getDataRowKey,
+    getSheetRowKey,
     applySpreadsheetUpdates,
+    describeProvenance,
     highlightUpdatedRows,
     findOrCreateRow,
     validateFinancialData,
+    REVIEW_STATUS,
+    appendReviewItem,
+    loadReviewItems,
+    setReviewItemStatus,
+    buildCashierOverShortReport,
+    writeCashierOverShortReport,
     getSpreadsheetStats,
     logSpreadsheetStats,
     createSpreadsheetBackup,
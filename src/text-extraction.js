@@ -0,0 +1,139 @@
+/**
+ * CashFlow Automator - Text Extraction Backends
+ * Turns a PDF file into plain text, trying each configured backend in order
+ * @version 2.1.0
+ */
+
+/* ==================== BACKEND DEFINITIONS ==================== */
+
+/**
+ * Registered extraction backends.
+ * Each backend declares:
+ *  - id: identifier recorded on the extracted data (and used in CONFIG.TEXT_EXTRACTION_BACKENDS)
+ *  - name: human-readable description
+ *  - extract(file): returns the text of the PDF, or throws when it cannot read it
+ *  - createsFiles: true when it writes to Drive, so dry runs and local-only extraction skip it
+ */
+const TEXT_EXTRACTION_BACKENDS = [
+  {
+    id: 'js-pdf',
+    name: 'Local JavaScript PDF parser (text layer)',
+    extract: extractTextWithJsPdf
+  },
+  {
+    id: 'docs-conversion',
+    name: 'Google Docs conversion (OCR fallback)',
+    extract: extractTextWithDocsConversion,
+    createsFiles: true
+  }
+];
+
+/* ==================== EXTRACTION ==================== */
+
+/**
+ * Extracts the text of a PDF using the first backend that can read it
+ * With options.plan (a dry run), backends that create files are not run: the conversion they
+ * would make is added to the plan instead. options.localOnly skips them too, for PDFs that are
+ * not Drive files yet (attachments read before they are saved).
+ * @param {File} pdf - Drive file
+ * @param {Object} options - {plan: dry-run plan, localOnly: boolean}
+ * @returns {Object} {text, backend, attempts: [{backend, error}]}
+ */
+function extractFileText(pdf, options = {}) {
+  const attempts = [];
+  const backendIds = CONFIG.TEXT_EXTRACTION_BACKENDS || TEXT_EXTRACTION_BACKENDS.map(b => b.id);
+  
+  for (let i = 0; i < backendIds.length; i++) {
+    const backend = getTextExtractionBackend(backendIds[i]);
+    if (!backend) {
+      attempts.push({ backend: backendIds[i], error: 'Unknown extraction backend' });
+      continue;
+    }
+    
+    if (backend.createsFiles && (options.plan || options.localOnly)) {
+      if (options.plan) addPlannedAction(options.plan, { action: 'Extract text', target: pdf.getName(), detail: backend.name });
+      attempts.push({ backend: backend.id, error: options.plan ? 'Skipped in dry run' : 'Skipped (local only)' });
+      continue;
+    }
+    
+    try {
+      const text = backend.extract(pdf);
+      if (text && text.trim()) {
+        return { text, backend: backend.id, attempts };
+      }
+      attempts.push({ backend: backend.id, error: 'PDF without extractable text' });
+    } catch (error) {
+      attempts.push({ backend: backend.id, error: error.message });
+    }
+  }
+  
+  const summary = attempts.map(a => a.backend + ': ' + a.error).join('; ');
+  throw new Error('Text extraction failed (' + summary + ')');
+}
+
+/**
+ * Gets a registered backend by id
+ * @param {string} backendId - Backend identifier
+ * @returns {Object|null} Backend definition or null if not registered
+ */
+function getTextExtractionBackend(backendId) {
+  return TEXT_EXTRACTION_BACKENDS.find(b => b.id === backendId) || null;
+}
+
+/* ==================== BACKEND IMPLEMENTATIONS ==================== */
+
+/**
+ * Reads the PDF text layer locally (no Drive round-trip)
+ * @param {File} pdf - Drive file
+ * @returns {string} Extracted text
+ */
+function extractTextWithJsPdf(pdf) {
+  const result = extractPdfText(pdf.getBlob().getBytes());
+  if (!result.readable) throw new Error(result.reason);
+  return result.text;
+}
+
+/**
+ * Converts the PDF to a temporary Google Doc and exports it as text
+ * The temporary document is always trashed, even when the export fails
+ * @param {File} pdf - Drive file
+ * @returns {string} Extracted text
+ */
+function extractTextWithDocsConversion(pdf) {
+  let tempDocId = null;
+  
+  try {
+    const docMetadata = Services.driveApi.Files.copy(
+      { title: pdf.getName() + ' (temp)', mimeType: MimeType.GOOGLE_DOCS },
+      pdf.getId()
+    );
+    tempDocId = docMetadata.id;
+    Services.utilities.sleep(2000);
+    
+    const exportUrl = 'https://docs.google.com/document/d/' + tempDocId + '/export?format=txt';
+    const response = Services.urlFetch.fetch(exportUrl, {
+      headers: { Authorization: 'Bearer ' + Services.script.getOAuthToken() }
+    });
+    
+    if (response.getResponseCode() !== 200) throw new Error('HTTP ' + response.getResponseCode());
+    
+    return response.getContentText();
+  } finally {
+    if (tempDocId) {
+      try {
+        Services.drive.getFileById(tempDocId).setTrashed(true);
+      } catch (error) {
+        Log.warn('extraction', 'Could not trash temp doc: ' + error.message, { docId: tempDocId, step: 'ocr' });
+      }
+    }
+  }
+}
+
+// Export functions for testing and external use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEXT_EXTRACTION_BACKENDS,
+    extractFileText,
+    getTextExtractionBackend
+  };
+}
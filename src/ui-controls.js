@@ -10,13 +10,16 @@
  * Creates custom menu when spreadsheet opens
  */
 function onOpen() {
-  const ui = SpreadsheetApp.getUi();
+  const ui = Services.spreadsheet.getUi();
   ui.createMenu('📄 PDF Processor')
     .addItem('🚀 Start Full Processing', 'startProcessing')
+    .addItem('🧪 Dry Run Next Batch', 'dryRunNextBatch')
     .addItem('📊 View System Status', 'viewStatus')
     .addSeparator()
     .addItem('⏸️ Pause Processing', 'pauseProcessing')
     .addItem('▶️ Resume Processing', 'resumeProcessing')
+    .addItem('🔁 Retry Failed Files', 'retryFailedFiles')
+    .addItem('✅ Apply Review Decisions', 'showReviewDecisionsDialog')
     .addSeparator()
     .addItem('🔄 Process Specific Date', 'showDateDialog')
     .addItem('📋 Browse Available Dates', 'showAvailableFolders')
@@ -24,6 +27,11 @@ function onOpen() {
     .addSeparator()
     .addItem('📧 Process Emails', 'showEmailDialog')
     .addItem('🔄 Reprocess Date', 'showReprocessDialog')
+    .addItem('🔎 Find Source Email', 'showSourceEmailDialog')
+    .addSeparator()
+    .addItem('👤 Cashier Over/Short Report', 'showCashierReportDialog')
+    .addItem('📜 Run History', 'showRunHistory')
+    .addItem('⚙️ Configuration', 'showEffectiveConfig')
     .addToUi();
 }
 
@@ -31,23 +39,26 @@ function onOpen() {
  * Shows dialog for processing specific date
  */
 function showDateDialog() {
-  const ui = SpreadsheetApp.getUi();
+  const ui = Services.spreadsheet.getUi();
+  
+  const companyId = promptForCompany(ui, 'Process Specific Date');
+  if (companyId === null) return;
   
   // Get available dates for suggestions
   let dateSuggestions = '';
   try {
-    const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER).next();
-    const subfolders = root.getFolders();
-    const dates = [];
+    const dates = new Set();
     
-    while (subfolders.hasNext()) {
-      const name = subfolders.next().getName();
-      if (/^\d{4}-\d{2}-\d{2}$/.test(name)) dates.push(name);
-    }
+    forEachCompany(() => {
+      const subfolders = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next().getFolders();
+      while (subfolders.hasNext()) {
+        const name = subfolders.next().getName();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(name)) dates.add(name);
+      }
+    }, companyId ? [companyId] : null);
     
-    if (dates.length > 0) {
-      dates.sort().reverse();
-      dateSuggestions = '\n\nRecent dates available:\n• ' + dates.slice(0, 5).join('\n• ');
+    if (dates.size > 0) {
+      dateSuggestions = '\n\nRecent dates available:\n• ' + Array.from(dates).sort().reverse().slice(0, 5).join('\n• ');
     }
   } catch (e) {
     // Continue without suggestions if folder access fails
@@ -77,7 +88,7 @@ function showDateDialog() {
     
     if (confirmation === ui.Button.YES) {
       ui.alert('Processing Started', 'Starting processing for ' + date + '.\nCheck logs for progress.', ui.ButtonSet.OK);
-      processDateFolder(date);
+      processDateFolder(date, 'menu', { company: companyId });
     }
   }
 }
@@ -86,7 +97,9 @@ function showDateDialog() {
  * Shows dialog for email processing
  */
 function showEmailDialog() {
-  const ui = SpreadsheetApp.getUi();
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Process Emails');
+  if (companyId === null) return;
   
   const response = ui.prompt(
     'Process Emails',
@@ -99,7 +112,7 @@ function showEmailDialog() {
     
     if (input === '') {
       // Use default range
-      procesarMisFechas();
+      processMyDates({ company: companyId });
     } else {
       // Parse date range
       const dates = input.split(' to ');
@@ -109,9 +122,10 @@ function showEmailDialog() {
         
         if (/^\d{4}\/\d{2}\/\d{2}$/.test(startDate) && /^\d{4}\/\d{2}\/\d{2}$/.test(endDate)) {
           ui.alert('Email Processing Started', 
-                  'Processing emails from ' + startDate + ' to ' + endDate + '.\nCheck logs for progress.', 
+                  'Processing emails from ' + startDate + ' to ' + endDate + '.\nLong ranges continue in the background; ' +
+                  'System Status shows the progress.', 
                   ui.ButtonSet.OK);
-          procesarCorreos(startDate, endDate);
+          processEmails(startDate, endDate, false, 'menu', { company: companyId });
         } else {
           ui.alert('Invalid Format', 'Please use: yyyy/mm/dd to yyyy/mm/dd', ui.ButtonSet.OK);
         }
@@ -126,11 +140,13 @@ function showEmailDialog() {
  * Shows dialog for reprocessing specific date
  */
 function showReprocessDialog() {
-  const ui = SpreadsheetApp.getUi();
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Reprocess Date');
+  if (companyId === null) return;
   
   const response = ui.prompt(
     'Reprocess Date',
-    'Enter date to reprocess (format: yyyy-mm-dd):\n\nThis will remove existing entries and reprocess all files for this date.',
+    'Enter date to reprocess (format: yyyy-mm-dd):\n\nThis will release the email index entries of this date and reprocess its emails.',
     ui.ButtonSet.OK_CANCEL
   );
   
@@ -144,44 +160,190 @@ function showReprocessDialog() {
     
     const confirmation = ui.alert(
       'Confirm Reprocessing',
-      'Reprocess all files for date ' + date + '?\n\nThis will remove existing processing entries and start fresh.',
+      'Reprocess all files for date ' + date + '?\n\nIts emails will be saved again even if already indexed.',
       ui.ButtonSet.YES_NO
     );
     
     if (confirmation === ui.Button.YES) {
       ui.alert('Reprocessing Started', 'Starting reprocessing for ' + date + '.\nCheck logs for progress.', ui.ButtonSet.OK);
-      reprocesarCorreosFecha(date);
+      reprocessDateEmails(date.replace(/-/g, '/'), true, 'menu', { company: companyId });
     }
   }
 }
 
+/**
+ * Shows dialog for finding the email a saved file came from
+ */
+function showSourceEmailDialog() {
+  const ui = Services.spreadsheet.getUi();
+  const response = ui.prompt(
+    'Find Source Email',
+    'Enter a saved file name or Drive file ID:\n\nExample: Main_Branch_2025-07-22_MORNING.pdf',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  const file = response.getResponseText().trim();
+  const entry = findEmailForFile(file);
+  if (!entry) {
+    ui.alert('Not Found', 'No indexed email created "' + file + '".', ui.ButtonSet.OK);
+    return;
+  }
+  
+  ui.alert('Source Email',
+    'Subject: ' + entry.subject + '\n' +
+    'Received: ' + entry.received + '\n' +
+    (isMultiCompany() ? 'Company: ' + entry.company + '\n' : '') +
+    'Closure: ' + entry.branch + ' ' + entry.businessDate + ' ' + entry.shift + '\n' +
+    (entry.rule ? 'Intake rule: ' + entry.rule + '\n' : '') +
+    'Files: ' + entry.fileNames.join(', ') + '\n' +
+    'Status: ' + entry.status + ' (' + entry.processedAt + ')\n\n' +
+    'https://mail.google.com/mail/#all/' + entry.messageId,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Shows dialog for the per-cashier over/short report
+ */
+function showCashierReportDialog() {
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Cashier Over/Short Report', false);
+  if (companyId === null) return;
+  
+  const response = ui.prompt(
+    'Cashier Over/Short Report',
+    'Enter date range (format: yyyy-mm-dd):\n\nExample: 2025-07-01 to 2025-07-31',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  const dates = response.getResponseText().trim().split(' to ');
+  if (dates.length !== 2 || !dates.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d.trim()))) {
+    ui.alert('Invalid Format', 'Please use: yyyy-mm-dd to yyyy-mm-dd', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const report = writeCashierOverShortReport(dates[0].trim(), dates[1].trim(), companyId);
+  if (report.error) {
+    ui.alert('Error', 'Could not build report: ' + report.error, ui.ButtonSet.OK);
+    return;
+  }
+  
+  let reportMessage = 'Closures: ' + report.closures.length + '\n';
+  reportMessage += 'Cashiers: ' + report.cashiers.length + '\n\n';
+  report.cashiers.slice(0, 10).forEach(c => {
+    reportMessage += '• ' + c.cashier + ': net ' + c.net + ' (' + c.closures + ' closures)\n';
+  });
+  reportMessage += '\nFull report in sheet "' + CONFIG.CASHIER_REPORT_SHEET_NAME + '".';
+  
+  ui.alert('Cashier Over/Short Report', reportMessage, ui.ButtonSet.OK);
+}
+
 /* ==================== PROCESSING CONTROLS ==================== */
 
+/**
+ * Previews the next batch without changing anything and points to the report sheet
+ */
+function dryRunNextBatch() {
+  const ui = Services.spreadsheet.getUi();
+  const results = previewNextBatch();
+  const failed = results.filter(r => r.error).length;
+  
+  ui.alert(
+    'Dry Run Complete',
+    'Files extracted: ' + results.length + ' (' + failed + ' would fail)\n\n' +
+    'Planned sheet updates, file moves and file creations are listed in the "' + CONFIG.DRY_RUN_SHEET_NAME + '" sheet.\n' +
+    'Nothing else was changed.',
+    ui.ButtonSet.OK
+  );
+}
+
 /**
  * Pauses the processing system
  */
 function pauseProcessing() {
-  PropertiesService.getScriptProperties().setProperty('processing_active', 'false');
+  const ui = Services.spreadsheet.getUi();
+  Services.properties.getScriptProperties().setProperty('processing_active', 'false');
   clearTriggers();
-  Logger.log('Processing paused');
-  SpreadsheetApp.getUi().alert('Processing Paused', 'Processing has been paused.', ui.ButtonSet.OK);
+  endBatchRun('PAUSED');
+  Log.info('ui', 'Processing paused');
+  ui.alert('Processing Paused', 'Processing has been paused.', ui.ButtonSet.OK);
 }
 
 /**
  * Resumes the processing system
  */
 function resumeProcessing() {
-  PropertiesService.getScriptProperties().setProperty('processing_active', 'true');
-  Logger.log('Resuming processing...');
-  SpreadsheetApp.getUi().alert('Processing Resumed', 'Processing has been resumed.', ui.ButtonSet.OK);
+  const ui = Services.spreadsheet.getUi();
+  Services.properties.getScriptProperties().setProperty('processing_active', 'true');
+  Log.info('ui', 'Resuming processing');
+  beginBatchRun('menu');
+  ui.alert('Processing Resumed', 'Processing has been resumed.', ui.ButtonSet.OK);
   processNextBatch();
 }
 
+/**
+ * Sends files that ran out of attempts back to the batch queue
+ */
+function retryFailedFiles() {
+  const ui = Services.spreadsheet.getUi();
+  const summary = getFileLedgerSummary();
+  const failedCount = summary.failed + summary.quarantined;
+  
+  if (failedCount === 0) {
+    ui.alert('Retry Failed Files', 'There are no failed files in the ledger.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const confirm = ui.alert(
+    'Retry Failed Files',
+    failedCount + ' failed files (' + summary.quarantined + ' quarantined) will be queued again. Continue?',
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (confirm === ui.Button.YES) {
+    const count = resetFailedLedgerEntries();
+    ui.alert('Retry Failed Files', count + ' files queued. They will be picked up by the next batch.', ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Writes the held closures approved in the review sheet
+ */
+function showReviewDecisionsDialog() {
+  const ui = Services.spreadsheet.getUi();
+  const approved = listApprovedClosures();
+  
+  if (approved.length === 0) {
+    ui.alert('Apply Review Decisions',
+      'There are no approved review items. Set the Status of a "' + HELD_REVIEW_CATEGORY + '" or "' + MISMATCH_REVIEW_CATEGORY +
+      '" item in ' + CONFIG.REVIEW_SHEET_NAME + ' to "approved" to write the report content, or "rejected" to leave it unwritten.',
+      ui.ButtonSet.OK);
+    return;
+  }
+  
+  const confirm = ui.alert(
+    'Apply Review Decisions',
+    approved.length + ' approved files will be written with their report content (subject mismatches are renamed after it). Continue?',
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (confirm === ui.Button.YES) {
+    const summary = applyReviewDecisions('menu');
+    if (!summary) return;
+    ui.alert('Apply Review Decisions',
+      summary.applied + ' applied, ' + summary.held + ' still held for review, ' + summary.failed + ' failed.',
+      ui.ButtonSet.OK);
+  }
+}
+
 /**
  * Processes files based on cell input
  */
 function processFromCell() {
-  const sheet = SpreadsheetApp.getActiveSheet();
+  const ui = Services.spreadsheet.getUi();
+  const sheet = Services.spreadsheet.getActiveSheet();
   
   // Find cell with "PROCESS_DATE:" in column A
   const range = sheet.getRange('A:A');
@@ -196,7 +358,7 @@ function processFromCell() {
   }
   
   if (dateRow === -1) {
-    SpreadsheetApp.getUi().alert('Configuration Needed', 
+    ui.alert('Configuration Needed', 
                                 'Add "PROCESS_DATE: 2025-07-22" in column A to trigger processing.', 
                                 ui.ButtonSet.OK);
     return;
@@ -207,7 +369,7 @@ function processFromCell() {
   const date = dateCell.getValue();
   
   if (!date) {
-    SpreadsheetApp.getUi().alert('Date Required', 
+    ui.alert('Date Required', 
                                 'Cell B' + dateRow + ' is empty. Enter date to process.', 
                                 ui.ButtonSet.OK);
     return;
@@ -215,17 +377,17 @@ function processFromCell() {
   
   let formattedDate;
   if (date instanceof Date) {
-    formattedDate = Utilities.formatDate(date, 'GMT-3', 'yyyy-MM-dd');
+    formattedDate = Services.utilities.formatDate(date, 'GMT-3', 'yyyy-MM-dd');
   } else {
     formattedDate = date.toString().trim();
   }
   
-  Logger.log('Processing date from cell: ' + formattedDate);
-  processDateFolder(formattedDate);
+  Log.info('ui', 'Processing date from cell', { date: formattedDate });
+  if (processDateFolder(formattedDate, 'cell') === false) return;
   
   // Mark as processed
   dateCell.setValue('Processed: ' + new Date().toLocaleString('es-AR'));
-  SpreadsheetApp.getUi().alert('Processing Complete', 
+  ui.alert('Processing Complete', 
                               'Date ' + formattedDate + ' processed successfully.\nCell updated with timestamp.', 
                               ui.ButtonSet.OK);
 }
@@ -236,7 +398,12 @@ function processFromCell() {
  * Shows current system status
  */
 function viewStatus() {
-  const props = PropertiesService.getScriptProperties();
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'System Status');
+  if (companyId === null) return;
+  
+  const companyIds = companyId ? [companyId] : null;
+  const props = Services.properties.getScriptProperties();
   const active = props.getProperty('processing_active') === 'true';
   const batch = props.getProperty('current_batch') || '1';
   const processed = props.getProperty('files_processed') || '0';
@@ -255,57 +422,108 @@ function viewStatus() {
     
     if (processed > 0 && elapsedMinutes > 0) {
       const speed = (processed / elapsedMinutes).toFixed(1);
-      statusMessage += 'Processing speed: ' + speed + ' files/minute\n';
+      statusMessage += 'Overall throughput: ' + speed + ' files/minute\n';
     }
   }
   
-  // Count pending files
+  const avgFileMs = parseFloat(props.getProperty('avg_file_ms') || '0');
+  if (avgFileMs > 0) {
+    statusMessage += 'Measured time per file: ' + (avgFileMs / 1000).toFixed(1) + 's (' + (60000 / avgFileMs).toFixed(1) + ' files/minute)\n';
+    statusMessage += 'Adaptive batch size: ' + (props.getProperty('adaptive_batch_size') || CONFIG.BATCH_SIZE) + ' files\n';
+  }
+  
+  // Count pending files: those the batch would still pick, not the ones the ledger leaves out
   try {
-    const folder = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER).next();
-    const pdfs = folder.getFilesByType(MimeType.PDF);
     let pending = 0;
+    const ledger = loadFileLedger();
     
-    while (pdfs.hasNext()) {
-      pdfs.next();
-      pending++;
-    }
-    
-    statusMessage += 'Pending files in root: ' + pending + '\n';
+    forEachCompany(company => {
+      const files = getClosureFiles(Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next());
+      const selection = selectBatchFiles(files, ledger, Infinity);
+      const companyPending = selection.batch.length + selection.waiting;
+      const leftOut = selection.excluded + selection.duplicates;
+      
+      pending += companyPending;
+      statusMessage += 'Pending files in root' + (isMultiCompany() ? ' (' + company.name + ')' : '') + ': ' + companyPending +
+                       (selection.waiting > 0 ? ' (' + selection.waiting + ' waiting to retry)' : '') +
+                       (leftOut > 0 ? ', ' + leftOut + ' left out by the ledger' : '') + '\n';
+    }, companyIds);
     
-    if (pending > 0 && active) {
-      const batchesRemaining = Math.ceil(pending / CONFIG.BATCH_SIZE);
-      const estimatedMinutes = batchesRemaining * (CONFIG.DELAY_SECONDS / 60);
-      statusMessage += 'Batches remaining: ~' + batchesRemaining + '\n';
+    if (pending > 0 && active && avgFileMs > 0) {
+      // Runs follow each other immediately; allow about a minute for each trigger to fire
+      const batchSize = parseInt(props.getProperty('adaptive_batch_size') || CONFIG.BATCH_SIZE);
+      const runsRemaining = Math.ceil(pending / batchSize);
+      const estimatedMinutes = (pending * avgFileMs) / 60000 + runsRemaining;
+      statusMessage += 'Runs remaining: ~' + runsRemaining + '\n';
       statusMessage += 'Estimated time: ~' + Math.round(estimatedMinutes) + ' minutes\n';
     }
   } catch (e) {
     statusMessage += 'Error checking pending files: ' + e.message + '\n';
   }
   
+  // File ledger
+  try {
+    const ledger = getFileLedgerSummary(companyIds);
+    statusMessage += 'Ledger: ' + ledger.done + ' done, ' + ledger.pending + ' pending, ' +
+                     ledger.failed + ' failed (retrying), ' + ledger.quarantined + ' quarantined, ' +
+                     ledger.skipped + ' duplicates\n';
+    if (ledger.quarantined > 0) {
+      statusMessage += 'See "' + CONFIG.REVIEW_SHEET_NAME + '" for quarantined files\n';
+    }
+  } catch (e) {
+    statusMessage += 'Error reading file ledger: ' + e.message + '\n';
+  }
+  
+  // Email run continuing across executions
+  const emailRun = getEmailIngestionProgress();
+  if (emailRun) {
+    statusMessage += 'Email run ' + emailRun.startDate + ' to ' + emailRun.endDate + ': continuing after ' + emailRun.executions +
+                     ' executions (' + emailRun.totals.emailsFound + ' emails found, ' + emailRun.totals.emailsNewlyProcessed +
+                     ' saved, ' + emailRun.totals.errors + ' errors so far)\n';
+  }
+  
+  // Jobs holding locks right now
+  getLockStatus().forEach(lock => {
+    statusMessage += 'Lock ' + lock.name + ': ' + lock.job + ' since ' + new Date(lock.acquiredAt).toLocaleString('es-AR') +
+                     (lock.stale ? ' (expired, will be taken over)' : '') + '\n';
+  });
+  
   // Check scheduled triggers
-  const triggers = ScriptApp.getProjectTriggers()
-    .filter(t => t.getHandlerFunction() === 'processNextBatch');
+  const triggers = Services.script.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === 'processNextBatch' || t.getHandlerFunction() === 'resumeEmailIngestion');
   statusMessage += 'Scheduled triggers: ' + triggers.length;
   
   // Show in alert dialog
-  SpreadsheetApp.getUi().alert('System Status', statusMessage, ui.ButtonSet.OK);
+  ui.alert('System Status', statusMessage, ui.ButtonSet.OK);
   
-  // Also log to console
-  Logger.log(statusMessage);
+  // Also log it
+  Log.info('ui', statusMessage);
 }
 
 /**
  * Shows detailed folder statistics
  */
 function showFolderStats() {
-  const stats = getFolderStats();
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Folder Statistics');
+  if (companyId === null) return;
   
-  if (stats.error) {
-    SpreadsheetApp.getUi().alert('Error', 'Could not get folder stats: ' + stats.error, ui.ButtonSet.OK);
-    return;
-  }
+  const sections = forEachCompany(company => {
+    const stats = getFolderStats();
+    const heading = isMultiCompany() ? '=== FOLDER STATISTICS: ' + company.name + ' ===\n' : '=== FOLDER STATISTICS ===\n';
+    return stats.error ? heading + 'Could not get folder stats: ' + stats.error + '\n' : heading + describeFolderStats(stats);
+  }, companyId ? [companyId] : null);
   
-  let statsMessage = '=== FOLDER STATISTICS ===\n';
+  ui.alert('Folder Statistics', sections.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * Describes folder statistics for a dialog
+ * @param {Object} stats - Folder statistics (see getFolderStats)
+ * @returns {string} Dialog text
+ */
+function describeFolderStats(stats) {
+  let statsMessage = '';
   statsMessage += 'Total files: ' + stats.totalFiles + '\n';
   statsMessage += 'PDF files: ' + stats.totalPDFs + '\n';
   statsMessage += 'Date folders: ' + stats.dateFolders + '\n';
@@ -323,21 +541,33 @@ function showFolderStats() {
     }
   }
   
-  SpreadsheetApp.getUi().alert('Folder Statistics', statsMessage, ui.ButtonSet.OK);
+  return statsMessage;
 }
 
 /**
  * Shows spreadsheet statistics
  */
 function showSpreadsheetStats() {
-  const stats = getSpreadsheetStats();
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Spreadsheet Statistics');
+  if (companyId === null) return;
   
-  if (stats.error) {
-    SpreadsheetApp.getUi().alert('Error', 'Could not get spreadsheet stats: ' + stats.error, ui.ButtonSet.OK);
-    return;
-  }
+  const sections = forEachCompany(company => {
+    const stats = getSpreadsheetStats();
+    const heading = isMultiCompany() ? '=== SPREADSHEET STATISTICS: ' + company.name + ' (' + CONFIG.SHEET_NAME + ') ===\n' : '=== SPREADSHEET STATISTICS ===\n';
+    return stats.error ? heading + 'Could not get spreadsheet stats: ' + stats.error + '\n' : heading + describeSpreadsheetStats(stats);
+  }, companyId ? [companyId] : null);
   
-  let statsMessage = '=== SPREADSHEET STATISTICS ===\n';
+  ui.alert('Spreadsheet Statistics', sections.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * Describes spreadsheet statistics for a dialog
+ * @param {Object} stats - Spreadsheet statistics (see getSpreadsheetStats)
+ * @returns {string} Dialog text
+ */
+function describeSpreadsheetStats(stats) {
+  let statsMessage = '';
   statsMessage += 'Total rows: ' + stats.totalRows + '\n';
   statsMessage += 'Branches: ' + stats.totalBranches + '\n';
   
@@ -349,7 +579,58 @@ function showSpreadsheetStats() {
   statsMessage += 'Incomplete rows: ' + stats.incompleteRows + '\n';
   statsMessage += 'Completion rate: ' + stats.completionRate + '\n';
   
-  SpreadsheetApp.getUi().alert('Spreadsheet Statistics', statsMessage, ui.ButtonSet.OK);
+  return statsMessage;
+}
+
+/**
+ * Shows recent runs from the run journal and the per-file outcomes of a chosen run
+ */
+function showRunHistory() {
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Run History');
+  if (companyId === null) return;
+  
+  const runs = getRecentRuns(10, companyId);
+  
+  if (runs.length === 0) {
+    ui.alert('Run History', 'No runs recorded yet.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  let historyMessage = '';
+  runs.forEach((run, index) => {
+    historyMessage += (index + 1) + '. ' + run['Run ID'] + ' - ' + run['Type'] + ' (' + run['Source'] + ')' +
+                      (run['Detail'] ? ' ' + run['Detail'] : '') +
+                      (isMultiCompany() && run['Company'] ? ' · ' + run['Company'] : '') + '\n' +
+                      '   ' + run['Started'] + ' → ' + (run['Ended'] || 'running') + ' [' + run['Finish Reason'] + ']\n' +
+                      '   Files: ' + run['Attempted'] + ' attempted, ' + run['Succeeded'] + ' ok, ' + run['Failed'] + ' failed · ' +
+                      'Rows updated: ' + run['Rows Updated'] + ' · Moved: ' + run['Files Moved'] + '\n';
+  });
+  
+  const response = ui.prompt(
+    'Run History',
+    historyMessage + '\nEnter a run number to see its files (or Cancel):',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  const run = runs[parseInt(response.getResponseText().trim(), 10) - 1];
+  if (!run) {
+    ui.alert('Run History', 'Invalid run number.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const files = getRunFiles(run['Run ID']).filter(f => !companyId || f.company === companyId);
+  let filesMessage = files.length === 0 ? 'No files recorded for this run.\n' : '';
+  files.slice(0, 30).forEach(f => {
+    filesMessage += '• ' + f.file + ' → ' + f.outcome + (f.detail ? ': ' + f.detail : '') + '\n';
+  });
+  if (files.length > 30) {
+    filesMessage += '... and ' + (files.length - 30) + ' more (see "' + CONFIG.RUN_FILES_SHEET_NAME + '" sheet)\n';
+  }
+  
+  ui.alert('Run ' + run['Run ID'], filesMessage, ui.ButtonSet.OK);
 }
 
 /* ==================== QUICK ACTIONS ==================== */
@@ -358,43 +639,49 @@ function showSpreadsheetStats() {
  * Processes today's files
  */
 function processToday() {
-  const today = Utilities.formatDate(new Date(), 'GMT-3', 'yyyy-MM-dd');
-  SpreadsheetApp.getUi().alert('Processing Today', 'Processing files for today: ' + today, ui.ButtonSet.OK);
-  processDateFolder(today);
+  const ui = Services.spreadsheet.getUi();
+  const today = Services.utilities.formatDate(new Date(), 'GMT-3', 'yyyy-MM-dd');
+  ui.alert('Processing Today', 'Processing files for today: ' + today, ui.ButtonSet.OK);
+  processDateFolder(today, 'menu');
 }
 
 /**
  * Processes yesterday's files
  */
 function processYesterday() {
+  const ui = Services.spreadsheet.getUi();
   const yesterday = new Date();
   yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayDate = Utilities.formatDate(yesterday, 'GMT-3', 'yyyy-MM-dd');
-  SpreadsheetApp.getUi().alert('Processing Yesterday', 'Processing files for yesterday: ' + yesterdayDate, ui.ButtonSet.OK);
-  processDateFolder(yesterdayDate);
+  const yesterdayDate = Services.utilities.formatDate(yesterday, 'GMT-3', 'yyyy-MM-dd');
+  ui.alert('Processing Yesterday', 'Processing files for yesterday: ' + yesterdayDate, ui.ButtonSet.OK);
+  processDateFolder(yesterdayDate, 'menu');
 }
 
 /**
  * Shows available dates for processing
  */
 function showAvailableDates() {
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Available Dates');
+  if (companyId === null) return;
+  
   try {
-    const root = DriveApp.getFoldersByName(CONFIG.MAIN_FOLDER).next();
-    const subfolders = root.getFolders();
-    const options = [];
+    const dates = new Set();
     
-    while (subfolders.hasNext()) {
-      const folder = subfolders.next();
-      const name = folder.getName();
-      if (/^\d{4}-\d{2}-\d{2}$/.test(name)) {
-        options.push(name);
+    forEachCompany(() => {
+      const subfolders = Services.drive.getFoldersByName(CONFIG.MAIN_FOLDER).next().getFolders();
+      while (subfolders.hasNext()) {
+        const name = subfolders.next().getName();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(name)) {
+          dates.add(name);
+        }
       }
-    }
+    }, companyId ? [companyId] : null);
     
-    options.sort().reverse();
+    const options = Array.from(dates).sort().reverse();
     
     if (options.length === 0) {
-      SpreadsheetApp.getUi().alert('No Dates', 'No date folders available.', ui.ButtonSet.OK);
+      ui.alert('No Dates', 'No date folders available.', ui.ButtonSet.OK);
       return;
     }
     
@@ -410,9 +697,9 @@ function showAvailableDates() {
     datesMessage += '\nTo process, use: processDateFolder("2025-07-22")';
     datesMessage += '\nMost recent: processDateFolder("' + options[0] + '")';
     
-    SpreadsheetApp.getUi().alert('Available Dates', datesMessage, ui.ButtonSet.OK);
+    ui.alert('Available Dates', datesMessage, ui.ButtonSet.OK);
   } catch (error) {
-    SpreadsheetApp.getUi().alert('Error', 'Error: ' + error.message, ui.ButtonSet.OK);
+    ui.alert('Error', 'Error: ' + error.message, ui.ButtonSet.OK);
   }
 }
 
@@ -420,7 +707,9 @@ function showAvailableDates() {
  * Runs data diagnostics
  */
 function runDiagnostics() {
-  const ui = SpreadsheetApp.getUi();
+  const ui = Services.spreadsheet.getUi();
+  const companyId = promptForCompany(ui, 'Run Diagnostics');
+  if (companyId === null) return;
   
   const response = ui.prompt(
     'Run Diagnostics',
@@ -440,7 +729,7 @@ function runDiagnostics() {
         ui.alert('Diagnostics Started', 
                 'Running diagnostics from ' + startDate + ' to ' + endDate + '.\nCheck logs for results.', 
                 ui.ButtonSet.OK);
-        diagnosticarCorreosProblematicos(startDate, endDate);
+        diagnoseEmailIssues(startDate, endDate, { company: companyId });
       } else {
         ui.alert('Invalid Format', 'Please use: yyyy/mm/dd to yyyy/mm/dd', ui.ButtonSet.OK);
       }
@@ -452,27 +741,64 @@ function runDiagnostics() {
 
 /* ==================== UTILITY FUNCTIONS ==================== */
 
+/**
+ * Asks which company a view or action applies to; single-company deployments are not asked
+ * Loads the configuration first: menu items start fresh executions, and COMPANIES may come from
+ * the Config sheet or Script Properties.
+ * @param {Ui} ui - Spreadsheet UI
+ * @param {string} title - Dialog title
+ * @param {boolean} allowAll - Whether an empty answer selects all companies
+ * @returns {string|null} Company id, '' for all companies, or null if cancelled
+ */
+function promptForCompany(ui, title, allowAll = true) {
+  loadConfig();
+  const companies = getCompanies();
+  if (companies.length === 1) return allowAll ? '' : companies[0].id;
+  
+  const response = ui.prompt(
+    title,
+    'Enter a company id:\n\n• ' + companies.map(c => c.id + ' (' + c.name + ')').join('\n• ') +
+    (allowAll ? '\n\nLeave empty for all companies:' : ''),
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+  
+  const companyId = response.getResponseText().trim();
+  if ((companyId === '' && allowAll) || companies.some(c => c.id === companyId)) return companyId;
+  
+  ui.alert('Unknown Company', 'No company with id "' + companyId + '".', ui.ButtonSet.OK);
+  return null;
+}
+
 /**
  * Shows system information
  */
 function showSystemInfo() {
+  const ui = Services.spreadsheet.getUi();
+  const config = loadConfig();
+  const overrides = Object.keys(config.sources).filter(key => config.sources[key] !== CONFIG_SOURCES.DEFAULT).length;
   const infoMessage = '=== SYSTEM INFORMATION ===\n' +
                      'CashFlow Automator v2.1.0\n' +
-                     'Main Folder: ' + CONFIG.MAIN_FOLDER + '\n' +
-                     'Batch Size: ' + CONFIG.BATCH_SIZE + ' files\n' +
-                     'Delay Between Batches: ' + CONFIG.DELAY_SECONDS + ' seconds\n' +
+                     (isMultiCompany()
+                       ? 'Companies: ' + getCompanies().map(c => c.name + ' (' + c.mainFolder + ')').join(', ') + '\n'
+                       : 'Main Folder: ' + CONFIG.MAIN_FOLDER + '\n') +
+                     'Batch Size: ' + CONFIG.MIN_BATCH_SIZE + '-' + CONFIG.MAX_BATCH_SIZE + ' files (adaptive, starts at ' + CONFIG.BATCH_SIZE + ')\n' +
+                     'Time Budget per Run: ' + Math.round(CONFIG.MAX_EXECUTION_TIME / 1000) + ' seconds\n' +
                      'Max Retries: ' + CONFIG.MAX_RETRIES + '\n' +
                      'Email Processing: ' + (CONFIG.EMAIL_BATCH_SIZE > 0 ? 'Enabled' : 'Disabled') + '\n' +
                      'Duplicate Detection: Enabled\n' +
+                     'Configuration: ' + overrides + ' overridden setting(s)' +
+                     (config.errors.length > 0 ? ', ' + config.errors.length + ' error(s) - see ⚙️ Configuration' : '') + '\n' +
                      '\nBuilt with Google Apps Script';
   
-  SpreadsheetApp.getUi().alert('System Information', infoMessage, ui.ButtonSet.OK);
+  ui.alert('System Information', infoMessage, ui.ButtonSet.OK);
 }
 
 /**
  * Tests data extraction with sample data
  */
 function testDataExtraction() {
+  const ui = Services.spreadsheet.getUi();
   const testText = 
     'Company Name: Sample Business - Main Branch\n' +
     'Closure date: 15/07/2025 14:30:00\n' +
@@ -487,8 +813,10 @@ function testDataExtraction() {
   const result = extractPDFData(testText, 'test_file.pdf');
   
   let testMessage = '=== DATA EXTRACTION TEST ===\n';
+  testMessage += 'Template: ' + (result.template || 'none matched') + '\n';
   testMessage += 'Branch: ' + result.branch + '\n';
-  testMessage += 'Date: ' + result.closureDate + '\n';
+  testMessage += 'Register: ' + result.registerId + (result.cashier ? ' (' + result.cashier + ')' : '') + '\n';
+  testMessage += 'Date: ' + result.closureDate + (result.businessDate !== result.closureDate ? ' (business day ' + result.businessDate + ')' : '') + '\n';
   testMessage += 'Time: ' + result.closureTime + '\n';
   testMessage += 'Shift: ' + result.shift + '\n';
   testMessage += 'Opening Cash: ' + result.openingCash + '\n';
@@ -499,8 +827,8 @@ function testDataExtraction() {
   testMessage += 'Closing Cash: ' + result.closingCash + '\n';
   testMessage += 'Withdrawal: ' + result.cashWithdrawal;
   
-  SpreadsheetApp.getUi().alert('Data Extraction Test', testMessage, ui.ButtonSet.OK);
-  Logger.log('Data extraction test completed successfully');
+  ui.alert('Data Extraction Test', testMessage, ui.ButtonSet.OK);
+  Log.info('ui', 'Data extraction test completed successfully');
 }
 
 // Export functions for testing and external use
@@ -510,10 +838,16 @@ if (typeof module !== 'undefined' && module.exports) {
     showDateDialog,
     showEmailDialog,
     showReprocessDialog,
+    showSourceEmailDialog,
+    showCashierReportDialog,
     pauseProcessing,
     resumeProcessing,
+    retryFailedFiles,
+    showReviewDecisionsDialog,
     processFromCell,
     viewStatus,
+    showRunHistory,
+    dryRunNextBatch,
     showFolderStats,
     showSpreadsheetStats,
     processToday,
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/**
+ * CashFlow Automator - Offline Extraction CLI
+ * Runs the project's extraction (extractPDFData, validateFinancialData) on local PDF or text files
+ * Usage: node tools/extract-cli.js <file|directory>... [--format json|csv] [--template id]
+ *                                  [--compare expected.json] [--out file]
+ * @version 2.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadAppsScript } = require('./gas-loader');
+const { createFakeServices } = require('./fake-services');
+
+const SUPPORTED_EXTENSIONS = ['.pdf', '.txt'];
+
+const USAGE = 'Usage: node tools/extract-cli.js <file|directory>... [--format json|csv] [--template id] [--compare expected.json] [--out file]';
+
+/* ==================== OPTIONS AND INPUTS ==================== */
+
+/**
+ * Parses command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} {inputs, format, template, compare, out}
+ */
+function parseArgs(argv) {
+  const options = { inputs: [], format: 'json', template: null, compare: null, out: null };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--template') options.template = argv[++i];
+    else if (arg === '--compare') options.compare = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('--')) throw new Error('Unknown option: ' + arg);
+    else options.inputs.push(arg);
+  }
+  
+  if (!options.help && options.inputs.length === 0) throw new Error('No input files given');
+  if (!['json', 'csv'].includes(options.format)) throw new Error('--format must be json or csv');
+  return options;
+}
+
+/**
+ * Expands files and directories (recursively) into the supported files, sorted by path
+ * @param {Array<string>} inputs - Paths given on the command line
+ * @returns {Array<string>} File paths
+ */
+function collectFiles(inputs) {
+  const files = [];
+  
+  const visit = (target, explicit) => {
+    const stats = fs.statSync(target);
+    if (stats.isDirectory()) {
+      fs.readdirSync(target).sort().forEach(name => visit(path.join(target, name), false));
+    } else if (SUPPORTED_EXTENSIONS.includes(path.extname(target).toLowerCase())) {
+      files.push(target);
+    } else if (explicit) {
+      throw new Error('Unsupported file type (expected .pdf or .txt): ' + target);
+    }
+  };
+  
+  inputs.forEach(input => visit(input, true));
+  return files;
+}
+
+/* ==================== EXTRACTION ==================== */
+
+/**
+ * Loads the project scripts for offline use
+ * Only the local PDF parser is enabled: Docs conversion needs Drive
+ * @returns {Object} Loaded scripts
+ */
+function loadExtractor() {
+  const app = loadAppsScript({ services: createFakeServices() });
+  app.get('CONFIG').TEXT_EXTRACTION_BACKENDS = ['js-pdf'];
+  return app;
+}
+
+/**
+ * Reads a local file as a Drive-like file object for extractFileText
+ * @param {string} filePath - Local path
+ * @returns {Object} {getName, getId, getBlob}
+ */
+function toDriveFile(filePath) {
+  const bytes = fs.readFileSync(filePath);
+  return {
+    getName: () => path.basename(filePath),
+    getId: () => filePath,
+    getBlob: () => ({ getBytes: () => bytes })
+  };
+}
+
+/**
+ * Extracts one file into a flat result record
+ * @param {Object} app - Loaded scripts
+ * @param {string} filePath - Local .pdf or .txt file
+ * @param {string} templateId - Optional template to force
+ * @returns {Object} Result record (columns listed by getRecordFields)
+ */
+function extractFile(app, filePath, templateId) {
+  const record = { file: path.basename(filePath), path: filePath };
+  
+  try {
+    let text;
+    if (path.extname(filePath).toLowerCase() === '.pdf') {
+      const extraction = app.call('extractFileText', toDriveFile(filePath));
+      text = extraction.text;
+      record.backend = extraction.backend;
+    } else {
+      text = fs.readFileSync(filePath, 'utf8');
+      record.backend = 'text-file';
+    }
+    
+    const data = app.call('extractPDFData', text, record.file, templateId || undefined);
+    if (data.error) throw new Error(data.error);
+    
+    Object.assign(record, {
+      template: data.template,
+      locale: data.locale,
+      branch: data.branch,
+      closureDate: data.closureDate,
+      closureTime: data.closureTime,
+      businessDate: data.businessDate,
+      shift: data.shift,
+      registerId: data.registerId,
+      cashier: data.cashier
+    });
+    
+    app.get('AMOUNT_FIELDS').forEach(field => {
+      const amount = data[field] ? app.call('resolveFieldAmount', data, field) : { value: null };
+      record[field] = amount.error ? null : amount.value;
+      record[field + 'Raw'] = data[field] || '';
+    });
+    
+    const validation = app.call('validateFinancialData', data);
+    const assessment = app.call('assessExtraction', data);
+    record.valid = validation.isValid;
+    record.validationErrors = Array.from(validation.errors);
+    record.autoWrite = assessment.autoWrite;
+    record.reviewReasons = Array.from(assessment.reasons);
+    record.error = '';
+  } catch (error) {
+    record.error = error.message;
+  }
+  
+  return record;
+}
+
+/* ==================== OUTPUT ==================== */
+
+/**
+ * Lists the columns of the result records, in output order
+ * @param {Object} app - Loaded scripts
+ * @returns {Array<string>} Field names
+ */
+function getRecordFields(app) {
+  const amountFields = app.get('AMOUNT_FIELDS');
+  return ['file', 'path', 'backend', 'template', 'locale', 'branch', 'closureDate', 'closureTime', 'businessDate', 'shift', 'registerId', 'cashier']
+    .concat(amountFields)
+    .concat(amountFields.map(field => field + 'Raw'))
+    .concat(['valid', 'validationErrors', 'autoWrite', 'reviewReasons', 'error']);
+}
+
+/**
+ * Formats records as CSV (list fields joined with "; ")
+ * @param {Array<Object>} records - Result records
+ * @param {Array<string>} fields - Columns
+ * @returns {string} CSV text
+ */
+function toCsv(records, fields) {
+  const cell = value => {
+    if (value === undefined || value === null) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  };
+  
+  return [fields.join(',')]
+    .concat(records.map(record => fields.map(field => cell(record[field])).join(',')))
+    .join('\n') + '\n';
+}
+
+/**
+ * Formats records as JSON with the columns in a stable order
+ * @param {Array<Object>} records - Result records
+ * @param {Array<string>} fields - Columns
+ * @returns {string} JSON text
+ */
+function toJson(records, fields) {
+  const ordered = records.map(record => {
+    const result = {};
+    fields.forEach(field => {
+      if (record[field] !== undefined) result[field] = record[field];
+    });
+    return result;
+  });
+  return JSON.stringify(ordered, null, 2) + '\n';
+}
+
+/* ==================== COMPARISON ==================== */
+
+/**
+ * Diffs results against an expected-results file
+ * The expected file is a JSON array of records (e.g. a previous --format json output), or an
+ * object keyed by file name. Only the fields present in an expected record are compared.
+ * @param {Array<Object>} records - Actual result records
+ * @param {string} expectedPath - Expected-results file
+ * @returns {Array<string>} Differences found
+ */
+function compareWithExpected(records, expectedPath) {
+  const parsed = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+  const expected = Array.isArray(parsed)
+    ? parsed
+    : Object.keys(parsed).map(file => Object.assign({ file }, parsed[file]));
+  const differences = [];
+  
+  expected.forEach(expectedRecord => {
+    const actual = records.find(r => r.file === expectedRecord.file);
+    if (!actual) {
+      differences.push(expectedRecord.file + ': not in the results');
+      return;
+    }
+    
+    Object.keys(expectedRecord).forEach(field => {
+      if (field === 'file' || field === 'path') return;
+      const want = JSON.stringify(expectedRecord[field]);
+      const got = JSON.stringify(actual[field] === undefined ? null : actual[field]);
+      if (want !== got) {
+        differences.push(expectedRecord.file + ': ' + field + ' expected ' + want + ', got ' + got);
+      }
+    });
+  });
+  
+  records
+    .filter(record => !expected.some(e => e.file === record.file))
+    .forEach(record => differences.push(record.file + ': not in the expected results'));
+  
+  return differences;
+}
+
+/* ==================== MAIN ==================== */
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {number} Exit code (1 when --compare finds differences)
+ */
+function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  
+  const app = loadExtractor();
+  if (options.template && !app.call('getReportTemplate', options.template)) {
+    throw new Error('Unknown report template: ' + options.template);
+  }
+  const files = collectFiles(options.inputs);
+  const records = files.map(file => extractFile(app, file, options.template));
+  const fields = getRecordFields(app);
+  const output = options.format === 'csv' ? toCsv(records, fields) : toJson(records, fields);
+  
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error('Wrote ' + records.length + ' results to ' + options.out);
+  } else {
+    process.stdout.write(output);
+  }
+  
+  const failed = records.filter(r => r.error).length;
+  const invalid = records.filter(r => !r.error && !r.valid).length;
+  console.error(records.length + ' files: ' + (records.length - failed) + ' extracted, ' + failed + ' failed, ' + invalid + ' with validation errors');
+  
+  if (options.compare) {
+    const differences = compareWithExpected(records, options.compare);
+    if (differences.length > 0) {
+      console.error('Differences from ' + options.compare + ':');
+      differences.forEach(difference => console.error(' • ' + difference));
+      return 1;
+    }
+    console.error('Matches ' + options.compare);
+  }
+  
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = {
+  extractFile,
+  compareWithExpected,
+  toCsv
+};
@@ -0,0 +1,907 @@
+/**
+ * CashFlow Automator - In-Memory Services
+ * Fake Drive, Gmail, Sheets, Properties, Script, UrlFetch and Utilities services for running
+ * the pipeline under Node (install them with useServices, see tools/gas-loader.js)
+ * @version 2.1.0
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+/* ==================== SHARED HELPERS ==================== */
+
+/**
+ * Creates an Apps Script style iterator (hasNext/next) over a snapshot of items
+ * @param {Array} items - Items to iterate
+ * @returns {Object} Iterator
+ */
+function createIterator(items) {
+  const list = items.slice();
+  let index = 0;
+  
+  return {
+    hasNext: () => index < list.length,
+    next: () => {
+      if (index >= list.length) throw new Error('Iterator has no more elements');
+      return list[index++];
+    }
+  };
+}
+
+/**
+ * Converts bytes to the signed byte array returned by Blob.getBytes()
+ * @param {Uint8Array|Buffer} bytes - Unsigned bytes
+ * @returns {Array<number>} Signed bytes (-128..127)
+ */
+function toSignedBytes(bytes) {
+  return Array.from(bytes, b => (b > 127 ? b - 256 : b));
+}
+
+/**
+ * Converts any byte array (signed or unsigned) or string to a Buffer
+ * @param {Array|Uint8Array|string} data - Bytes or text
+ * @returns {Buffer} Buffer
+ */
+function toBuffer(data) {
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  return Buffer.from(Array.from(data, b => b & 0xff));
+}
+
+/**
+ * Creates a blob
+ * @param {Array|Uint8Array|string} data - Content
+ * @param {string} contentType - MIME type
+ * @param {string} name - Blob name
+ * @returns {Object} Blob
+ */
+function createBlob(data, contentType, name) {
+  let bytes = toBuffer(data || '');
+  let type = contentType || 'application/octet-stream';
+  let blobName = name || null;
+  
+  const blob = {
+    getBytes: () => toSignedBytes(bytes),
+    getDataAsString: () => bytes.toString('utf8'),
+    getContentType: () => type,
+    setContentType: value => { type = value; return blob; },
+    getName: () => blobName,
+    setName: value => { blobName = value; return blob; },
+    setBytes: value => { bytes = toBuffer(value); return blob; },
+    copyBlob: () => createBlob(bytes, type, blobName),
+    getSize: () => bytes.length
+  };
+  return blob;
+}
+
+/* ==================== DRIVE ==================== */
+
+/**
+ * Creates the fake DriveApp and advanced Drive service over one in-memory file tree
+ * @returns {Object} {drive, driveApi}
+ */
+function createFakeDrive() {
+  const folders = new Map();
+  const files = new Map();
+  let nextId = 1;
+  
+  const newId = prefix => prefix + String(nextId++).padStart(4, '0');
+  const liveFolders = parentId => [...folders.values()].filter(f => !f.trashed && f.parentId === parentId);
+  const liveFiles = parentId => [...files.values()].filter(f => !f.trashed && f.parentId === parentId);
+  
+  function wrapFolder(record) {
+    const folder = {
+      getId: () => record.id,
+      getName: () => record.name,
+      setName: name => { record.name = name; return folder; },
+      getFolders: () => createIterator(liveFolders(record.id).map(wrapFolder)),
+      getFoldersByName: name => createIterator(liveFolders(record.id).filter(f => f.name === name).map(wrapFolder)),
+      createFolder: name => wrapFolder(addFolder(name, record.id)),
+      getFiles: () => createIterator(liveFiles(record.id).map(wrapFile)),
+      getFilesByType: mimeType => createIterator(liveFiles(record.id).filter(f => f.mimeType === mimeType).map(wrapFile)),
+      getFilesByName: name => createIterator(liveFiles(record.id).filter(f => f.name === name).map(wrapFile)),
+      createFile: (blobOrName, content, mimeType) => {
+        const blob = typeof blobOrName === 'string' ? createBlob(content, mimeType || 'text/plain', blobOrName) : blobOrName;
+        return wrapFile(addFile(blob.getName() || 'Untitled', blob.getBytes(), blob.getContentType(), record.id));
+      },
+      getParents: () => createIterator(record.parentId ? [wrapFolder(folders.get(record.parentId))] : []),
+      setTrashed: trashed => { record.trashed = trashed; return folder; },
+      isTrashed: () => record.trashed
+    };
+    return folder;
+  }
+  
+  function wrapFile(record) {
+    const file = {
+      getId: () => record.id,
+      getName: () => record.name,
+      setName: name => { record.name = name; record.updated = new Date(); return file; },
+      getMimeType: () => record.mimeType,
+      getSize: () => record.bytes.length,
+      getBlob: () => createBlob(record.bytes, record.mimeType, record.name),
+      getDateCreated: () => new Date(record.created.getTime()),
+      getLastUpdated: () => new Date(record.updated.getTime()),
+      getDescription: () => record.description,
+      setDescription: description => { record.description = description; return file; },
+      setContent: content => { record.bytes = toBuffer(content); record.updated = new Date(); return file; },
+      getParents: () => createIterator(record.parentId ? [wrapFolder(folders.get(record.parentId))] : []),
+      moveTo: folder => {
+        if (!folders.has(folder.getId())) throw new Error('Folder not found: ' + folder.getId());
+        record.parentId = folder.getId();
+        return file;
+      },
+      setTrashed: trashed => { record.trashed = trashed; return file; },
+      isTrashed: () => record.trashed
+    };
+    return file;
+  }
+  
+  function addFolder(name, parentId) {
+    const record = { id: newId('folder-'), name, parentId: parentId || null, trashed: false };
+    folders.set(record.id, record);
+    return record;
+  }
+  
+  function addFile(name, bytes, mimeType, parentId) {
+    const now = new Date();
+    const record = {
+      id: newId('file-'),
+      name,
+      bytes: toBuffer(bytes),
+      mimeType: mimeType || 'application/octet-stream',
+      parentId: parentId || null,
+      description: '',
+      trashed: false,
+      created: now,
+      updated: now
+    };
+    files.set(record.id, record);
+    return record;
+  }
+  
+  function findFile(id) {
+    const record = files.get(id);
+    if (!record) throw new Error('File not found: ' + id);
+    return record;
+  }
+  
+  const drive = {
+    getFoldersByName: name => createIterator([...folders.values()].filter(f => !f.trashed && f.name === name).map(wrapFolder)),
+    getFolderById: id => {
+      if (!folders.has(id)) throw new Error('Folder not found: ' + id);
+      return wrapFolder(folders.get(id));
+    },
+    getFileById: id => wrapFile(findFile(id)),
+    createFolder: name => wrapFolder(addFolder(name, null)),
+    getFiles: () => createIterator([...files.values()].filter(f => !f.trashed).map(wrapFile)),
+    
+    /**
+     * Renders a folder and its contents as an indented tree (simulation output)
+     * @param {Object} folder - Folder to start from
+     * @returns {string} Tree text
+     */
+    describeTree(folder) {
+      const lines = [];
+      const walk = (id, depth) => {
+        const record = folders.get(id);
+        lines.push('  '.repeat(depth) + record.name + '/');
+        liveFolders(id).sort((a, b) => a.name.localeCompare(b.name)).forEach(f => walk(f.id, depth + 1));
+        liveFiles(id).sort((a, b) => a.name.localeCompare(b.name)).forEach(f => lines.push('  '.repeat(depth + 1) + f.name));
+      };
+      walk(folder.getId(), 0);
+      return lines.join('\n');
+    }
+  };
+  
+  const driveApi = {
+    Files: {
+      get: id => {
+        const record = findFile(id);
+        return { id: record.id, title: record.name, mimeType: record.mimeType, md5Checksum: crypto.createHash('md5').update(record.bytes).digest('hex') };
+      },
+      copy: () => {
+        throw new Error('Docs conversion is not available in the simulator');
+      }
+    }
+  };
+  
+  return { drive, driveApi };
+}
+
+/* ==================== GMAIL ==================== */
+
+/**
+ * Creates the fake GmailApp
+ * search() understands subject:"...", from:(a OR b), after:, before:, has:attachment / filename:pdf or filename:{pdf zip}
+ * and label: / -label: (labels are kept per message, as in Gmail)
+ * @param {number} utcOffsetHours - Mailbox time zone offset used for after:/before: dates
+ * @returns {Object} Fake GmailApp with addMessage() for seeding
+ */
+function createFakeGmail(utcOffsetHours) {
+  const threads = [];
+  const labels = {};
+  let nextId = 1;
+  
+  const dayStart = value => {
+    const [year, month, day] = value.split('/').map(Number);
+    return Date.UTC(year, month - 1, day) - utcOffsetHours * 3600 * 1000;
+  };
+  
+  function wrapThread(thread) {
+    return {
+      getId: () => thread.id,
+      getFirstMessageSubject: () => thread.messages[0].subject,
+      getMessages: () => thread.messages.map(m => wrapMessage(m, thread)),
+      getMessageCount: () => thread.messages.length,
+      getLabels: () => Object.keys(labels)
+        .filter(name => thread.messages.some(m => m.labels.has(name)))
+        .map(name => labels[name]),
+      addLabel(label) {
+        thread.messages.forEach(m => m.labels.add(label.getName()));
+        return this;
+      },
+      removeLabel(label) {
+        thread.messages.forEach(m => m.labels.delete(label.getName()));
+        return this;
+      },
+      moveToArchive() {
+        thread.messages.forEach(m => { m.inbox = false; });
+        return this;
+      },
+      isInInbox: () => thread.messages.some(m => m.inbox)
+    };
+  }
+  
+  const labelSearchName = name => name.toLowerCase().replace(/[\s\/]+/g, '-');
+  const hasLabel = (message, searchName) => Array.from(message.labels).some(name => labelSearchName(name) === searchName);
+  
+  function wrapMessage(message, thread) {
+    return {
+      getId: () => message.id,
+      getSubject: () => message.subject,
+      getFrom: () => message.from,
+      getDate: () => new Date(message.date.getTime()),
+      getAttachments: () => message.attachments.map(a => createBlob(a.bytes, a.contentType, a.name)),
+      getThread: () => wrapThread(thread)
+    };
+  }
+  
+  function matches(message, query) {
+    const subject = query.match(/subject:"([^"]*)"/);
+    if (subject && !message.subject.toLowerCase().includes(subject[1].toLowerCase())) return false;
+    
+    const from = query.match(/from:\(([^)]*)\)/);
+    if (from && !from[1].split(' OR ').some(sender => message.from.toLowerCase().includes(sender.trim().toLowerCase()))) return false;
+    
+    const after = query.match(/after:(\d{4}\/\d{2}\/\d{2})/);
+    if (after && message.date.getTime() < dayStart(after[1])) return false;
+    
+    const before = query.match(/before:(\d{4}\/\d{2}\/\d{2})/);
+    if (before && message.date.getTime() >= dayStart(before[1])) return false;
+    
+    if (/has:attachment/.test(query) && message.attachments.length === 0) return false;
+    
+    const filename = query.match(/filename:(?:\{([^}]*)\}|(\w+))/);
+    const extensions = filename ? (filename[1] || filename[2]).toLowerCase().split(/\s+/) : [];
+    if (filename && !message.attachments.some(a => extensions.some(extension => a.name.toLowerCase().endsWith('.' + extension)))) return false;
+    
+    const labelTerms = query.match(/(^|\s)-?label:\S+/g) || [];
+    return labelTerms.every(term => {
+      const [, negated, name] = term.trim().match(/^(-?)label:(\S+)$/);
+      return hasLabel(message, name.toLowerCase()) !== (negated === '-');
+    });
+  }
+  
+  return {
+    search: (query, start = 0, max = 500) => threads
+      .filter(thread => thread.messages.some(m => matches(m, query)))
+      .slice(start, start + max)
+      .map(wrapThread),
+    
+    getUserLabelByName: name => labels[name] || null,
+    
+    createLabel(name) {
+      if (!labels[name]) labels[name] = { getName: () => name };
+      return labels[name];
+    },
+    
+    /**
+     * Adds a received message (each message gets its own thread unless threadId is given)
+     * @param {Object} message - {subject, date, from, attachments: [{name, bytes, contentType}], threadId}
+     * @returns {string} Thread ID
+     */
+    addMessage(message) {
+      let thread = message.threadId && threads.find(t => t.id === message.threadId);
+      if (!thread) {
+        thread = { id: 'thread-' + nextId++, messages: [] };
+        threads.push(thread);
+      }
+      
+      thread.messages.push({
+        id: 'msg-' + nextId++,
+        subject: message.subject,
+        from: message.from || 'pos@example.com',
+        date: new Date(message.date.getTime()),
+        labels: new Set(),
+        inbox: true,
+        attachments: (message.attachments || []).map(a => ({ name: a.name, bytes: toBuffer(a.bytes), contentType: a.contentType }))
+      });
+      return thread.id;
+    }
+  };
+}
+
+/* ==================== SPREADSHEET ==================== */
+
+/**
+ * Parses A1 notation ("B3", "A1:C5", "A:A") into a range box
+ * @param {string} notation - A1 reference
+ * @param {number} maxRows - Rows used for open-ended column references
+ * @returns {Object} {row, column, numRows, numColumns}
+ */
+function parseA1Notation(notation, maxRows) {
+  const toColumn = letters => letters.toUpperCase().split('').reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0);
+  const [start, end] = notation.split(':');
+  const first = start.match(/^([A-Z]+)(\d*)$/i);
+  const last = (end || start).match(/^([A-Z]+)(\d*)$/i);
+  if (!first || !last) throw new Error('Unsupported range: ' + notation);
+  
+  const row = first[2] ? Number(first[2]) : 1;
+  const lastRow = last[2] ? Number(last[2]) : Math.max(maxRows, 1);
+  return {
+    row,
+    column: toColumn(first[1]),
+    numRows: lastRow - row + 1,
+    numColumns: toColumn(last[1]) - toColumn(first[1]) + 1
+  };
+}
+
+/**
+ * Creates a fake sheet
+ * @param {string} name - Sheet name
+ * @param {Array<Array>} values - Initial cell values
+ * @returns {Object} Fake sheet
+ */
+function createFakeSheet(name, values) {
+  const state = { name, cells: (values || []).map(row => row.slice()), notes: {}, backgrounds: {}, hidden: false, frozenRows: 0 };
+  
+  const lastRow = () => {
+    for (let r = state.cells.length; r > 0; r--) {
+      if ((state.cells[r - 1] || []).some(v => v !== '' && v !== null && v !== undefined)) return r;
+    }
+    return 0;
+  };
+  const lastColumn = () => state.cells.reduce((max, row) => {
+    for (let c = row.length; c > max; c--) {
+      if (row[c - 1] !== '' && row[c - 1] !== null && row[c - 1] !== undefined) return c;
+    }
+    return max;
+  }, 0);
+  const cell = (r, c) => {
+    const value = (state.cells[r - 1] || [])[c - 1];
+    return value === undefined || value === null ? '' : value;
+  };
+  const setCell = (r, c, value) => {
+    while (state.cells.length < r) state.cells.push([]);
+    const row = state.cells[r - 1];
+    while (row.length < c) row.push('');
+    row[c - 1] = value;
+  };
+  
+  function createRange(row, column, numRows, numColumns) {
+    const forEachCell = fn => {
+      for (let r = 0; r < numRows; r++) {
+        for (let c = 0; c < numColumns; c++) fn(row + r, column + c, r, c);
+      }
+    };
+    
+    const range = {
+      getRow: () => row,
+      getColumn: () => column,
+      getNumRows: () => numRows,
+      getNumColumns: () => numColumns,
+      getA1Notation: () => {
+        const letters = n => (n > 26 ? letters(Math.floor((n - 1) / 26)) : '') + String.fromCharCode(65 + ((n - 1) % 26));
+        const first = letters(column) + row;
+        return numRows === 1 && numColumns === 1 ? first : first + ':' + letters(column + numColumns - 1) + (row + numRows - 1);
+      },
+      getValues: () => {
+        const result = [];
+        for (let r = 0; r < numRows; r++) {
+          const line = [];
+          for (let c = 0; c < numColumns; c++) line.push(cell(row + r, column + c));
+          result.push(line);
+        }
+        return result;
+      },
+      getValue: () => cell(row, column),
+      setValues: newValues => {
+        if (newValues.length !== numRows || newValues.some(line => line.length !== numColumns)) {
+          throw new Error('The number of rows or columns in the data does not match the range');
+        }
+        forEachCell((r, c, i, j) => setCell(r, c, newValues[i][j]));
+        return range;
+      },
+      setValue: value => { forEachCell((r, c) => setCell(r, c, value)); return range; },
+      getNote: () => state.notes[row + ':' + column] || '',
+      setNote: note => { forEachCell((r, c) => { state.notes[r + ':' + c] = note; }); return range; },
+      getBackground: () => state.backgrounds[row + ':' + column] || '#ffffff',
+      setBackground: color => { forEachCell((r, c) => { state.backgrounds[r + ':' + c] = color; }); return range; },
+      setNumberFormat: () => range,
+      setFontWeight: () => range,
+      clearContent: () => { forEachCell((r, c) => setCell(r, c, '')); return range; },
+      clear: () => {
+        forEachCell((r, c) => {
+          setCell(r, c, '');
+          delete state.notes[r + ':' + c];
+          delete state.backgrounds[r + ':' + c];
+        });
+        return range;
+      }
+    };
+    return range;
+  }
+  
+  const sheet = {
+    getName: () => state.name,
+    setName: newName => { state.name = newName; return sheet; },
+    getLastRow: lastRow,
+    getLastColumn: lastColumn,
+    getMaxRows: () => Math.max(state.cells.length, 1000),
+    getRange: (rowOrA1, column, numRows, numColumns) => {
+      if (typeof rowOrA1 === 'string') {
+        const box = parseA1Notation(rowOrA1, lastRow());
+        return createRange(box.row, box.column, box.numRows, box.numColumns);
+      }
+      return createRange(rowOrA1, column, numRows || 1, numColumns || 1);
+    },
+    getDataRange: () => createRange(1, 1, Math.max(lastRow(), 1), Math.max(lastColumn(), 1)),
+    appendRow: row => {
+      const r = lastRow() + 1;
+      row.forEach((value, index) => setCell(r, index + 1, value));
+      return sheet;
+    },
+    deleteRow: r => { state.cells.splice(r - 1, 1); return sheet; },
+    deleteRows: (r, count) => { state.cells.splice(r - 1, count); return sheet; },
+    clear: () => { state.cells = []; state.notes = {}; state.backgrounds = {}; return sheet; },
+    hideSheet: () => { state.hidden = true; return sheet; },
+    showSheet: () => { state.hidden = false; return sheet; },
+    isSheetHidden: () => state.hidden,
+    setFrozenRows: rows => { state.frozenRows = rows; return sheet; },
+    getFrozenRows: () => state.frozenRows,
+    copyTo: spreadsheet => spreadsheet.insertSheet('Copy of ' + state.name, undefined, state.cells)
+  };
+  return sheet;
+}
+
+/**
+ * Creates the fake SpreadsheetApp with one active spreadsheet
+ * @param {string} timeZone - Spreadsheet time zone
+ * @param {Object} ui - Fake Ui returned by getUi()
+ * @returns {Object} Fake SpreadsheetApp
+ */
+function createFakeSpreadsheetApp(timeZone, ui) {
+  const sheets = [];
+  let activeSheet = null;
+  
+  const spreadsheet = {
+    getId: () => 'spreadsheet-0001',
+    getName: () => 'CashFlow Automator (simulation)',
+    getSpreadsheetTimeZone: () => timeZone,
+    getSheets: () => sheets.slice(),
+    getSheetByName: name => sheets.find(s => s.getName() === name) || null,
+    getActiveSheet: () => activeSheet || sheets[0] || null,
+    setActiveSheet: sheet => { activeSheet = sheet; return sheet; },
+    insertSheet: (name, index, values) => {
+      if (name && sheets.some(s => s.getName() === name)) {
+        throw new Error('A sheet with the name "' + name + '" already exists');
+      }
+      const sheet = createFakeSheet(name || 'Sheet' + (sheets.length + 1), values);
+      sheets.push(sheet);
+      return sheet;
+    },
+    deleteSheet: sheet => { sheets.splice(sheets.indexOf(sheet), 1); }
+  };
+  
+  return {
+    getActiveSpreadsheet: () => spreadsheet,
+    getActive: () => spreadsheet,
+    getActiveSheet: () => spreadsheet.getActiveSheet(),
+    getUi: () => ui
+  };
+}
+
+/**
+ * Creates a UI that records alerts and answers prompts from a queue
+ * @returns {Object} Fake Ui
+ */
+function createFakeUi() {
+  const Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+  const responses = [];
+  const messages = [];
+  
+  const menu = {
+    addItem: () => menu,
+    addSeparator: () => menu,
+    addSubMenu: () => menu,
+    addToUi: () => undefined
+  };
+  
+  return {
+    Button,
+    ButtonSet: { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' },
+    messages,
+    createMenu: () => menu,
+    alert: (title, message, buttons) => {
+      messages.push({ type: 'alert', title, message: message || '' });
+      const response = responses.length > 0 ? responses.shift() : null;
+      if (response) return response.button;
+      return buttons === 'YES_NO' || buttons === 'YES_NO_CANCEL' ? Button.YES : Button.OK;
+    },
+    prompt: (title, message) => {
+      messages.push({ type: 'prompt', title, message: message || '' });
+      const response = responses.shift() || { text: '', button: Button.CANCEL };
+      return { getResponseText: () => response.text, getSelectedButton: () => response.button };
+    },
+    
+    /**
+     * Queues the answer to the next alert or prompt
+     * @param {string} text - Prompt text
+     * @param {string} button - Button pressed (defaults to OK)
+     */
+    respond(text, button) {
+      responses.push({ text: text || '', button: button || Button.OK });
+    }
+  };
+}
+
+/* ==================== PROPERTIES AND TRIGGERS ==================== */
+
+/**
+ * Creates a fake Properties store
+ * @returns {Object} Fake Properties
+ */
+function createFakeProperties() {
+  const values = {};
+  
+  return {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    getProperties: () => Object.assign({}, values),
+    getKeys: () => Object.keys(values),
+    setProperty(key, value) { values[key] = String(value); return this; },
+    setProperties(properties, deleteAllOthers) {
+      if (deleteAllOthers) Object.keys(values).forEach(key => delete values[key]);
+      Object.keys(properties).forEach(key => { values[key] = String(properties[key]); });
+      return this;
+    },
+    deleteProperty(key) { delete values[key]; return this; },
+    deleteAllProperties() { Object.keys(values).forEach(key => delete values[key]); return this; }
+  };
+}
+
+/**
+ * Creates the fake PropertiesService
+ * @returns {Object} Fake PropertiesService
+ */
+function createFakePropertiesService() {
+  const scriptProperties = createFakeProperties();
+  const userProperties = createFakeProperties();
+  const documentProperties = createFakeProperties();
+  
+  return {
+    getScriptProperties: () => scriptProperties,
+    getUserProperties: () => userProperties,
+    getDocumentProperties: () => documentProperties
+  };
+}
+
+/**
+ * Creates the fake ScriptApp
+ * Triggers are only recorded; the simulation fires them with takeNextTrigger()
+ * @returns {Object} Fake ScriptApp
+ */
+function createFakeScriptApp() {
+  const triggers = [];
+  let nextId = 1;
+  
+  function newTrigger(handler) {
+    const trigger = { id: 'trigger-' + nextId++, handler, runAt: Date.now(), recurring: false };
+    const wrapped = {
+      getUniqueId: () => trigger.id,
+      getHandlerFunction: () => trigger.handler,
+      getTriggerSource: () => 'CLOCK',
+      getRunAt: () => trigger.runAt
+    };
+    
+    const builder = {
+      after: ms => { trigger.runAt = Date.now() + ms; return builder; },
+      at: date => { trigger.runAt = date.getTime(); return builder; },
+      everyMinutes: () => { trigger.recurring = true; return builder; },
+      everyHours: () => { trigger.recurring = true; return builder; },
+      everyDays: () => { trigger.recurring = true; return builder; },
+      atHour: () => builder,
+      nearMinute: () => builder,
+      create: () => {
+        triggers.push(Object.assign(trigger, { wrapped }));
+        return wrapped;
+      }
+    };
+    return { timeBased: () => builder };
+  }
+  
+  return {
+    newTrigger,
+    getProjectTriggers: () => triggers.map(t => t.wrapped),
+    deleteTrigger: wrapped => {
+      const index = triggers.findIndex(t => t.wrapped === wrapped || t.id === wrapped.getUniqueId());
+      if (index !== -1) triggers.splice(index, 1);
+    },
+    getOAuthToken: () => 'fake-oauth-token',
+    
+    /**
+     * Removes and returns the one-off trigger due first
+     * @returns {Object|null} {handler, uid, runAt} or null when none is left
+     */
+    takeNextTrigger() {
+      const pending = triggers.filter(t => !t.recurring).sort((a, b) => a.runAt - b.runAt);
+      if (pending.length === 0) return null;
+      
+      triggers.splice(triggers.indexOf(pending[0]), 1);
+      return { handler: pending[0].handler, uid: pending[0].id, runAt: pending[0].runAt };
+    }
+  };
+}
+
+/**
+ * Creates the fake LockService
+ * Scripts run one at a time in Node, so the script lock is always free
+ * @returns {Object} Fake LockService
+ */
+function createFakeLockService() {
+  let held = false;
+  const lock = {
+    tryLock: () => { held = true; return true; },
+    waitLock: () => { held = true; },
+    releaseLock: () => { held = false; },
+    hasLock: () => held
+  };
+  
+  return {
+    getScriptLock: () => lock,
+    getDocumentLock: () => lock,
+    getUserLock: () => lock
+  };
+}
+
+/* ==================== URL FETCH AND UTILITIES ==================== */
+
+/**
+ * Creates the fake UrlFetchApp
+ * @param {Function} handler - Optional (url, params) => {code, body}; without one every fetch fails
+ * @returns {Object} Fake UrlFetchApp
+ */
+function createFakeUrlFetch(handler) {
+  return {
+    fetch: (url, params) => {
+      if (!handler) throw new Error('UrlFetchApp is not available in the simulator: ' + url);
+      const response = handler(url, params || {});
+      return {
+        getResponseCode: () => response.code || 200,
+        getContentText: () => response.body || '',
+        getBlob: () => createBlob(response.body || '', response.contentType, null)
+      };
+    }
+  };
+}
+
+/**
+ * Formats a date like Utilities.formatDate (yyyy, yy, MM, dd, HH, mm, ss)
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - "UTC", "GMT-3", "GMT+05:30" or an IANA zone
+ * @param {string} pattern - Format pattern
+ * @returns {string} Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  const time = date.getTime();
+  let parts;
+  const offset = /^(?:UTC|GMT)(?:([+-])(\d{1,2})(?::?(\d{2}))?)?$/.exec(timeZone);
+  
+  if (offset) {
+    const minutes = offset[1] ? (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3] || 0)) : 0;
+    const shifted = new Date(time + minutes * 60000);
+    parts = {
+      year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate(),
+      hour: shifted.getUTCHours(), minute: shifted.getUTCMinutes(), second: shifted.getUTCSeconds()
+    };
+  } else {
+    const formatted = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(time));
+    parts = {};
+    formatted.forEach(p => { if (p.type !== 'literal') parts[p.type] = Number(p.value); });
+  }
+  
+  const pad = n => String(n).padStart(2, '0');
+  const tokens = {
+    yyyy: String(parts.year), yy: String(parts.year).slice(-2), MM: pad(parts.month), dd: pad(parts.day),
+    HH: pad(parts.hour), mm: pad(parts.minute), ss: pad(parts.second)
+  };
+  return pattern.replace(/yyyy|yy|MM|dd|HH|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Creates the fake Utilities service
+ * @returns {Object} Fake Utilities
+ */
+function createFakeUtilities() {
+  return {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256' },
+    formatDate,
+    getUuid: () => crypto.randomUUID(),
+    sleep: () => undefined,
+    computeDigest: (algorithm, value) => toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest()),
+    newBlob: (data, contentType, name) => createBlob(data, contentType, name),
+    base64Encode: data => toBuffer(data).toString('base64'),
+    base64Decode: text => toSignedBytes(Buffer.from(text, 'base64')),
+    zip: (blobs, name) => createBlob(createZip(blobs.map(b => ({ name: b.getName(), bytes: b.getBytes() }))), 'application/zip', name || null),
+    unzip: blob => readZipEntries(toBuffer(blob.getBytes())).map(entry => createBlob(entry.bytes, 'application/octet-stream', entry.name))
+  };
+}
+
+/**
+ * Reads the entries of a ZIP archive (stored or deflated), from its central directory
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Array<Object>} [{name, bytes}]
+ */
+function readZipEntries(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1) throw new Error('Could not unzip: not a ZIP archive');
+  
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries.push({ name, bytes: method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data) });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+/* ==================== TEST DOCUMENTS ==================== */
+
+/**
+ * Builds a one-page PDF whose text layer holds the given lines (Helvetica, WinAnsi)
+ * @param {Array<string>} lines - Text lines, top to bottom
+ * @returns {Buffer} PDF bytes
+ */
+function createTextPdf(lines) {
+  const escape = text => text.replace(/[\\()]/g, c => '\\' + c);
+  const content = 'BT /F1 10 Tf 14 TL 50 800 Td\n' + lines.map(line => '(' + escape(line) + ') Tj T*').join('\n') + '\nET';
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Length ' + Buffer.byteLength(content, 'latin1') + ' >>\nstream\n' + content + '\nendstream'
+  ];
+  
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += (index + 1) + ' 0 obj\n' + body + '\nendobj\n';
+    return offset;
+  });
+  
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n' +
+    offsets.map(o => String(o).padStart(10, '0') + ' 00000 n \n').join('') +
+    'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Builds a ZIP archive with deflated entries
+ * @param {Array<Object>} files - [{name, bytes}] (bytes as Buffer, byte array or string)
+ * @returns {Buffer} Archive bytes
+ */
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  
+  files.forEach(file => {
+    const bytes = toBuffer(file.bytes);
+    const data = zlib.deflateRawSync(bytes);
+    const name = Buffer.from(file.name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(zlib.crc32(bytes), 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(bytes.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    header.copy(central, 8, 6, 30);
+    central.writeUInt32LE(offset, 42);
+    
+    locals.push(header, name, data);
+    centrals.push(central, name);
+    offset += header.length + name.length + data.length;
+  });
+  
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Builds a one-sheet XLSX workbook (inline strings, numeric cells for numbers)
+ * @param {Array<Array<string|number>>} rows - Cell values, header row first
+ * @returns {Buffer} Workbook bytes
+ */
+function createXlsx(rows) {
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const column = index => (index >= 26 ? column(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + index % 26);
+  const sheetRows = rows.map((row, r) => '<row r="' + (r + 1) + '">' + row.map((value, c) => {
+    const reference = column(c) + (r + 1);
+    return typeof value === 'number'
+      ? '<c r="' + reference + '"><v>' + value + '</v></c>'
+      : '<c r="' + reference + '" t="inlineStr"><is><t>' + escape(value) + '</t></is></c>';
+  }).join('') + '</row>').join('');
+  
+  return createZip([
+    { name: '[Content_Types].xml', bytes: '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>' },
+    { name: 'xl/workbook.xml', bytes: '<?xml version="1.0" encoding="UTF-8"?><workbook><sheets><sheet name="Closure" sheetId="1"/></sheets></workbook>' },
+    { name: 'xl/worksheets/sheet1.xml', bytes: '<?xml version="1.0" encoding="UTF-8"?><worksheet><sheetData>' + sheetRows + '</sheetData></worksheet>' }
+  ]);
+}
+
+/* ==================== FACTORY ==================== */
+
+/**
+ * Creates a full set of in-memory services
+ * @param {Object} options - {timeZone: spreadsheet zone, gmailUtcOffsetHours: mailbox offset, urlFetchHandler}
+ * @returns {Object} Services for useServices(), plus ui for scripted answers
+ */
+function createFakeServices(options = {}) {
+  const { drive, driveApi } = createFakeDrive();
+  const ui = createFakeUi();
+  
+  return {
+    drive,
+    driveApi,
+    gmail: createFakeGmail(options.gmailUtcOffsetHours === undefined ? -3 : options.gmailUtcOffsetHours),
+    lock: createFakeLockService(),
+    spreadsheet: createFakeSpreadsheetApp(options.timeZone || 'America/Argentina/Buenos_Aires', ui),
+    properties: createFakePropertiesService(),
+    script: createFakeScriptApp(),
+    urlFetch: createFakeUrlFetch(options.urlFetchHandler),
+    utilities: createFakeUtilities(),
+    ui
+  };
+}
+
+module.exports = {
+  createFakeServices,
+  createBlob,
+  createTextPdf,
+  createZip,
+  createXlsx,
+  formatDate
+};
@@ -0,0 +1,69 @@
+/**
+ * CashFlow Automator - Apps Script Loader
+ * Runs the src/ files under Node in one shared global scope, the way Apps Script does
+ * @version 2.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+// Apps Script enums the modules read as globals
+const MIME_TYPES = {
+  PDF: 'application/pdf',
+  PLAIN_TEXT: 'text/plain',
+  CSV: 'text/csv',
+  ZIP: 'application/zip',
+  MICROSOFT_EXCEL: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  GOOGLE_DOCS: 'application/vnd.google-apps.document',
+  GOOGLE_SHEETS: 'application/vnd.google-apps.spreadsheet',
+  FOLDER: 'application/vnd.google-apps.folder'
+};
+
+/**
+ * Loads every src/ file into a fresh global scope
+ * @param {Object} options - {services: replacements for useServices(), verbose: echo Logger output}
+ * @returns {Object} {context, logs, get(expression), call(functionName, ...args)}
+ */
+function loadAppsScript(options = {}) {
+  const logs = [];
+  const context = vm.createContext({
+    console,
+    MimeType: MIME_TYPES,
+    Logger: {
+      log: message => {
+        logs.push(String(message));
+        if (options.verbose) console.log(String(message));
+      }
+    }
+  });
+  
+  fs.readdirSync(SRC_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(SRC_DIR, file), 'utf8'), context, { filename: path.join('src', file) });
+    });
+  
+  if (options.services) {
+    context.useServices(options.services);
+  }
+  
+  return {
+    context,
+    logs,
+    // Top-level const/let (CONFIG, REPORT_TEMPLATES...) are not properties of the context object
+    get: expression => vm.runInContext(expression, context),
+    call: (functionName, ...args) => {
+      if (typeof context[functionName] !== 'function') throw new Error('Unknown function: ' + functionName);
+      return context[functionName](...args);
+    }
+  };
+}
+
+module.exports = {
+  loadAppsScript,
+  MIME_TYPES
+};
@@ -0,0 +1,662 @@
+#!/usr/bin/env node
+/**
+ * CashFlow Automator - Week Simulation
+ * Generates a week of closure emails (PDF reports, ZIPs of them and CSV/XLSX exports), runs email
+ * ingest and batch processing end to end
+ * against the in-memory services, then checks the resulting sheet and folder tree
+ * Usage: node tools/simulate-week.js [--start 2025-07-07] [--days 7] [--verbose]
+ * @version 2.1.0
+ */
+
+const { loadAppsScript } = require('./gas-loader');
+const { createFakeServices, createTextPdf, createZip, createXlsx } = require('./fake-services');
+
+const BRANCHES = ['Main Branch', 'Riverside'];
+
+// Closure times per shift of the default shift calendar
+const SHIFT_CLOSURES = [
+  { name: 'Morning', time: '15:45:10' },
+  { name: 'Evening', time: '23:50:30' }
+];
+
+const AMOUNT_COLUMNS = {
+  openingCash: 'Opening Cash',
+  cashSales: 'Cash Sales',
+  totalSales: 'Total Sales',
+  cardSales: 'Card Payments',
+  digitalPayments: 'Digital Payments',
+  closingCash: 'Closing Cash',
+  cashWithdrawal: 'Cash Withdrawal'
+};
+
+const SHEET_HEADERS = ['Date', 'Shift', 'Branch'].concat(Object.values(AMOUNT_COLUMNS));
+
+// Attachment each closure is mailed as, in turn, and the extension of the file it is saved as
+const ATTACHMENT_FORMATS = [
+  { id: 'pdf', extension: 'pdf' },
+  { id: 'zip', extension: 'pdf' },
+  { id: 'csv', extension: 'csv' },
+  { id: 'xlsx', extension: 'xlsx' }
+];
+
+// Columns of the "POS closure export" (English) layout
+const EXPORT_COLUMNS = {
+  branch: 'Branch',
+  closureDate: 'Closure Date',
+  closureTime: 'Closure Time',
+  openingCash: 'Opening Cash',
+  cashSales: 'Cash Sales',
+  cardSales: 'Card Sales',
+  digitalPayments: 'Digital Payments',
+  totalSales: 'Total Sales',
+  cashWithdrawal: 'Cash Withdrawal',
+  closingCash: 'Closing Cash'
+};
+
+/* ==================== SCENARIO ==================== */
+
+/**
+ * Parses command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} {start, days, verbose}
+ */
+function parseArgs(argv) {
+  const options = { start: '2025-07-07', days: 7, verbose: false };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--start') options.start = argv[++i];
+    else if (argv[i] === '--days') options.days = parseInt(argv[++i], 10);
+    else if (argv[i] === '--verbose') options.verbose = true;
+    else throw new Error('Unknown option: ' + argv[i]);
+  }
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.start)) throw new Error('--start must be yyyy-mm-dd');
+  if (!(options.days > 0)) throw new Error('--days must be a positive number');
+  return options;
+}
+
+/**
+ * Deterministic pseudo-random generator so every run produces the same week
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Builds the closures of the simulated week with their expected amounts
+ * @param {Object} options - {start, days}
+ * @returns {Array<Object>} Closures
+ */
+function buildClosures(options) {
+  const random = createRandom(20250707);
+  const amount = (min, max) => Math.round((min + random() * (max - min)) * 100) / 100;
+  const closures = [];
+  
+  for (let d = 0; d < options.days; d++) {
+    const date = new Date(options.start + 'T12:00:00Z');
+    date.setUTCDate(date.getUTCDate() + d);
+    const dateISO = date.toISOString().slice(0, 10);
+    
+    BRANCHES.forEach(branch => {
+      SHIFT_CLOSURES.forEach(shift => {
+        const cashSales = amount(800, 3000);
+        const cardSales = amount(1500, 6000);
+        const digitalPayments = amount(200, 1500);
+        const openingCash = amount(500, 1500);
+        const cashWithdrawal = amount(300, 900);
+        
+        closures.push({
+          dateISO,
+          branch,
+          shift: shift.name,
+          time: shift.time,
+          format: ATTACHMENT_FORMATS[closures.length % ATTACHMENT_FORMATS.length],
+          amounts: {
+            openingCash,
+            cashSales,
+            totalSales: Math.round((cashSales + cardSales + digitalPayments) * 100) / 100,
+            cardSales,
+            digitalPayments,
+            closingCash: Math.round((openingCash + cashSales - cashWithdrawal) * 100) / 100,
+            cashWithdrawal
+          }
+        });
+      });
+    });
+  }
+  
+  return closures;
+}
+
+/**
+ * Renders a closure as the text of a "Sample Business POS" report
+ * @param {Object} closure - Closure
+ * @returns {Array<string>} Report lines
+ */
+function renderReport(closure) {
+  const money = value => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const [year, month, day] = closure.dateISO.split('-');
+  const a = closure.amounts;
+  
+  return [
+    'Company name: SAMPLE BUSINESS - ' + closure.branch,
+    'Closure date: ' + day + '/' + month + '/' + year + ' ' + closure.time,
+    'Opening cash: $ ' + money(a.openingCash),
+    'Cash: ' + money(a.cashSales),
+    'Cards: ' + money(a.cardSales),
+    'Digital: ' + money(a.digitalPayments),
+    'Total sales: $ ' + money(a.totalSales),
+    'Withdrawal at Closure - $ ' + money(a.cashWithdrawal),
+    'Closing cash: $ ' + money(a.closingCash)
+  ];
+}
+
+/**
+ * Renders a closure as the rows of a structured export (header row, then the closure)
+ * @param {Object} closure - Closure
+ * @param {boolean} numeric - Amounts as numbers (XLSX cells) instead of en-US text (CSV)
+ * @returns {Array<Array<string|number>>} Rows
+ */
+function renderExport(closure, numeric) {
+  const [year, month, day] = closure.dateISO.split('-');
+  const values = {
+    branch: closure.branch,
+    closureDate: day + '/' + month + '/' + year,
+    closureTime: closure.time
+  };
+  Object.keys(closure.amounts).forEach(field => {
+    values[field] = numeric ? closure.amounts[field] : closure.amounts[field].toLocaleString('en-US', { minimumFractionDigits: 2 });
+  });
+  
+  const fields = Object.keys(EXPORT_COLUMNS);
+  return [fields.map(field => EXPORT_COLUMNS[field]), fields.map(field => values[field])];
+}
+
+/**
+ * Builds the attachment a closure is mailed as
+ * @param {Object} closure - Closure
+ * @returns {Object} {name, contentType, bytes}
+ */
+function renderAttachment(closure) {
+  const pdf = createTextPdf(renderReport(closure));
+  
+  switch (closure.format.id) {
+    case 'zip':
+      return { name: 'closures.zip', contentType: 'application/zip', bytes: createZip([{ name: 'reports/closure.pdf', bytes: pdf }]) };
+    case 'csv': {
+      const csv = renderExport(closure, false).map(row => row.map(cell => '"' + cell + '"').join(',')).join('\r\n');
+      // POS terminals send their exports without a specific content type
+      return { name: 'closure.csv', contentType: 'application/octet-stream', bytes: csv };
+    }
+    case 'xlsx':
+      return { name: 'closure.xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', bytes: createXlsx(renderExport(closure, true)) };
+    default:
+      return { name: 'closure.pdf', contentType: 'application/pdf', bytes: pdf };
+  }
+}
+
+/**
+ * Creates the financial sheet with an empty row per closure
+ * @param {Object} fakes - In-memory services
+ * @param {Object} config - CONFIG of the loaded scripts
+ * @param {Array<Object>} closures - Closures
+ */
+function seedSheet(fakes, config, closures) {
+  const rows = closures.map(c => [c.dateISO, c.shift, c.branch].concat(Object.keys(AMOUNT_COLUMNS).map(() => '')));
+  fakes.spreadsheet.getActiveSpreadsheet().insertSheet(config.SHEET_NAME, undefined, [SHEET_HEADERS].concat(rows));
+}
+
+/**
+ * Seeds Drive, Gmail and the financial sheet with the week's closures
+ * @param {Object} fakes - In-memory services
+ * @param {Object} config - CONFIG of the loaded scripts
+ * @param {Array<Object>} closures - Closures
+ * @returns {Object} Main processing folder
+ */
+function seedWorld(fakes, config, closures) {
+  const mainFolder = fakes.drive.createFolder(config.MAIN_FOLDER);
+  config.DESTINATION_FOLDER_ID = mainFolder.getId();
+  seedSheet(fakes, config, closures);
+  
+  closures.forEach(closure => {
+    const [year, month, day] = closure.dateISO.split('-');
+    const [hours, minutes, seconds] = closure.time.split(':').map(Number);
+    // Mail arrives a few minutes after the closure (Argentina is UTC-3)
+    const received = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), hours + 3, minutes + 5, seconds));
+    
+    fakes.gmail.addMessage({
+      subject: 'business ' + closure.branch + ' - Daily Closure Report - ' + day + '/' + month + '/' + year + ' - ' + closure.time,
+      date: received,
+      attachments: [renderAttachment(closure)]
+    });
+  });
+  
+  return mainFolder;
+}
+
+/* ==================== RUN ==================== */
+
+/**
+ * Fires pending one-off triggers until none is left
+ * @param {Object} app - Loaded scripts
+ * @param {Object} fakes - In-memory services
+ * @returns {number} Number of trigger executions
+ */
+function drainTriggers(app, fakes) {
+  let executions = 0;
+  let trigger = fakes.script.takeNextTrigger();
+  
+  while (trigger) {
+    if (++executions > 200) throw new Error('Triggers kept rescheduling after 200 executions');
+    app.call(trigger.handler, { triggerUid: trigger.uid });
+    trigger = fakes.script.takeNextTrigger();
+  }
+  
+  return executions;
+}
+
+/**
+ * Compares the sheet and folder tree with the expected closures
+ * @param {Object} fakes - In-memory services
+ * @param {Object} config - CONFIG of the loaded scripts
+ * @param {Array<Object>} closures - Closures
+ * @param {Object} mainFolder - Main processing folder
+ * @returns {Array<string>} Problems found
+ */
+function checkResults(fakes, config, closures, mainFolder) {
+  const problems = [];
+  const values = fakes.spreadsheet.getActiveSpreadsheet().getSheetByName(config.SHEET_NAME).getDataRange().getValues();
+  const headers = values[0];
+  
+  closures.forEach(closure => {
+    const row = values.find(r => r[0] === closure.dateISO && r[1] === closure.shift && r[2] === closure.branch);
+    const label = closure.dateISO + ' ' + closure.shift + ' ' + closure.branch;
+    if (!row) {
+      problems.push(label + ': row missing');
+      return;
+    }
+    
+    Object.keys(AMOUNT_COLUMNS).forEach(field => {
+      const actual = row[headers.indexOf(AMOUNT_COLUMNS[field])];
+      if (actual !== closure.amounts[field]) {
+        problems.push(label + ': ' + AMOUNT_COLUMNS[field] + ' is ' + JSON.stringify(actual) + ', expected ' + closure.amounts[field]);
+      }
+    });
+    
+    const dateFolders = mainFolder.getFoldersByName(closure.dateISO);
+    const fileName = closure.branch.replace(/\s+/g, '_') + '_' + closure.dateISO + '_' + closure.shift.toUpperCase() + '.' + closure.format.extension;
+    if (!dateFolders.hasNext() || !dateFolders.next().getFilesByName(fileName).hasNext()) {
+      problems.push(label + ': ' + fileName + ' not found in ' + config.MAIN_FOLDER + '/' + closure.dateISO);
+    }
+  });
+  
+  const leftover = mainFolder.getFiles();
+  while (leftover.hasNext()) {
+    problems.push('Still in the main folder: ' + leftover.next().getName());
+  }
+  
+  return problems;
+}
+
+/**
+ * Checks that menu prompts see companies configured outside the code
+ * Reloads the scripts (nothing loaded yet, as when a menu item starts a fresh execution) with
+ * COMPANIES set in Script Properties, then opens the cashier report, which needs one company.
+ * @param {Object} fakes - In-memory services
+ * @param {Object} options - {verbose}
+ * @returns {Array<string>} Problems found
+ */
+function checkCompanyPrompt(fakes, options) {
+  const companies = { north: { name: 'North' }, south: { name: 'South' } };
+  fakes.properties.getScriptProperties().setProperty('config.COMPANIES', JSON.stringify(companies));
+  
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const ui = fakes.spreadsheet.getUi();
+  const firstMessage = ui.messages.length;
+  ui.respond('north');
+  ui.respond('2025-07-01 to 2025-07-31');
+  
+  const problems = [];
+  try {
+    app.call('showCashierReportDialog');
+  } catch (error) {
+    problems.push('Cashier report with companies from Script Properties: ' + error.message);
+  }
+  
+  const prompt = ui.messages[firstMessage];
+  const missing = Object.keys(companies).filter(id => !prompt || prompt.type !== 'prompt' || !prompt.message.includes(id));
+  if (missing.length > 0) {
+    problems.push('Company prompt does not list ' + missing.join(', '));
+  }
+  
+  fakes.properties.getScriptProperties().deleteProperty('config.COMPANIES');
+  return problems;
+}
+
+/**
+ * Checks that the files of a ZIP holding a day's shifts are named after their own content
+ * Ingests one email, whose subject names the first shift, into a fresh world.
+ * @param {Object} options - {start, verbose}
+ * @returns {Array<string>} Problems found
+ */
+function checkArchiveNames(options) {
+  const fakes = createFakeServices();
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const config = app.get('CONFIG');
+  const folder = fakes.drive.createFolder(config.MAIN_FOLDER);
+  config.DESTINATION_FOLDER_ID = folder.getId();
+  
+  const shifts = buildClosures({ start: options.start, days: 1 }).filter(c => c.branch === BRANCHES[0]);
+  const [year, month, day] = options.start.split('-');
+  const entries = shifts.map(c => ({ name: 'reports/' + c.shift.toLowerCase() + '.pdf', bytes: createTextPdf(renderReport(c)) }));
+  fakes.gmail.addMessage({
+    subject: 'business ' + BRANCHES[0] + ' - Daily Closure Report - ' + day + '/' + month + '/' + year + ' - ' + shifts[0].time,
+    date: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), 23)),
+    attachments: [{ name: 'closures.zip', contentType: 'application/zip', bytes: createZip(entries) }]
+  });
+  
+  app.call('processEmails', options.start.replace(/-/g, '/'), options.start.replace(/-/g, '/'), false, 'simulation');
+  
+  return shifts
+    .map(c => c.branch.replace(/\s+/g, '_') + '_' + c.dateISO + '_' + c.shift.toUpperCase() + '.pdf')
+    .filter(fileName => !folder.getFilesByName(fileName).hasNext())
+    .map(fileName => 'ZIP entry not saved as ' + fileName);
+}
+
+/**
+ * Checks that mail from senders outside the intake rule's allowlist is never ingested
+ * A forged sender replies, with another closure, in the thread of a genuine email and mails one on its
+ * own from a look-alike address; only the genuine closure may be saved.
+ * @param {Object} options - {start, verbose}
+ * @returns {Array<string>} Problems found
+ */
+function checkSenderAllowlist(options) {
+  const fakes = createFakeServices();
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const config = app.get('CONFIG');
+  const folder = fakes.drive.createFolder(config.MAIN_FOLDER);
+  config.DESTINATION_FOLDER_ID = folder.getId();
+  
+  const [genuine, replied, forged] = buildClosures({ start: options.start, days: 1 });
+  const [year, month, day] = options.start.split('-');
+  const send = (closure, fields) => fakes.gmail.addMessage(Object.assign({
+    subject: 'business ' + closure.branch + ' - Daily Closure Report - ' + day + '/' + month + '/' + year + ' - ' + closure.time,
+    date: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), 23)),
+    attachments: [{ name: 'closure.pdf', contentType: 'application/pdf', bytes: createTextPdf(renderReport(closure)) }]
+  }, fields));
+  
+  const threadId = send(genuine, {});
+  send(replied, { threadId, from: 'POS System <pos@example.com.mailer.test>' });
+  send(forged, { from: 'pos@example.com.mailer.test' });
+  
+  app.call('processEmails', options.start.replace(/-/g, '/'), options.start.replace(/-/g, '/'), false, 'simulation');
+  
+  const problems = [];
+  const fileName = c => c.branch.replace(/\s+/g, '_') + '_' + c.dateISO + '_' + c.shift.toUpperCase() + '.pdf';
+  if (!folder.getFilesByName(fileName(genuine)).hasNext()) {
+    problems.push('Allowed sender: ' + fileName(genuine) + ' not saved');
+  }
+  [replied, forged]
+    .filter(c => folder.getFilesByName(fileName(c)).hasNext())
+    .forEach(c => problems.push('Sender not on the allowlist: ' + fileName(c) + ' was saved'));
+  return problems;
+}
+
+/**
+ * Checks that a batch runs in a deployment without email intake
+ * Drops one day's PDF reports into the main folder of a fresh world whose DESTINATION_FOLDER_ID
+ * is left at its placeholder, then processes them.
+ * @param {Object} options - {start, verbose}
+ * @returns {Array<string>} Problems found
+ */
+function checkBatchWithoutEmail(options) {
+  const fakes = createFakeServices();
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const config = app.get('CONFIG');
+  const folder = fakes.drive.createFolder(config.MAIN_FOLDER);
+  
+  const closures = buildClosures({ start: options.start, days: 1 });
+  seedSheet(fakes, config, closures);
+  closures.forEach(c => {
+    folder.createFile(c.branch + ' ' + c.shift + '.pdf', createTextPdf(renderReport(c)), 'application/pdf');
+  });
+  
+  app.call('startProcessing', 'simulation');
+  drainTriggers(app, fakes);
+  
+  const problems = [];
+  const leftover = folder.getFiles();
+  while (leftover.hasNext()) {
+    problems.push('Without email intake, still in the main folder: ' + leftover.next().getName());
+  }
+  return problems;
+}
+
+/**
+ * Checks that a job finding its locks held by another execution skips instead of running alongside it
+ * Starts processing from the menu while an email run elsewhere holds the sheet lock, then again once
+ * that run has released it.
+ * @param {Object} options - {start, verbose}
+ * @returns {Array<string>} Problems found
+ */
+function checkBusyLock(options) {
+  const fakes = createFakeServices();
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const config = app.get('CONFIG');
+  const folder = fakes.drive.createFolder(config.MAIN_FOLDER);
+  
+  const closure = buildClosures({ start: options.start, days: 1 })[0];
+  seedSheet(fakes, config, [closure]);
+  folder.createFile('closure.pdf', createTextPdf(renderReport(closure)), 'application/pdf');
+  
+  const lockKey = 'lock.' + app.call('getLockName', 'sheet');
+  const now = Date.now();
+  fakes.properties.getScriptProperties().setProperty(lockKey, JSON.stringify({
+    job: 'email run (another execution)', token: 'elsewhere', acquiredAt: new Date(now).toISOString(), expiresAt: now + 60 * 1000
+  }));
+  
+  const ui = fakes.spreadsheet.getUi();
+  const firstMessage = ui.messages.length;
+  app.call('startProcessing', 'menu');
+  
+  const problems = [];
+  if (!ui.messages.slice(firstMessage).some(message => message.title === 'Processing Busy')) {
+    problems.push('Busy sheet lock: starting from the menu was not reported as busy');
+  }
+  if (!folder.getFilesByName('closure.pdf').hasNext() || fakes.script.takeNextTrigger()) {
+    problems.push('Busy sheet lock: processing ran alongside the job holding it');
+  }
+  
+  fakes.properties.getScriptProperties().deleteProperty(lockKey);
+  app.call('startProcessing', 'simulation');
+  drainTriggers(app, fakes);
+  if (folder.getFilesByName('closure.pdf').hasNext()) {
+    problems.push('Released sheet lock: closure.pdf still in the main folder');
+  }
+  return problems;
+}
+
+/**
+ * Checks that a permanent failure is quarantined and a transient one waits for its retry
+ * Drops two PDFs without a text layer into the main folder; the Docs conversion that would read them
+ * answers HTTP 503 for one of them and is unavailable for the other. The quarantined file is released
+ * afterwards, and must get back its own description.
+ * @param {Object} options - {verbose}
+ * @returns {Array<string>} Problems found
+ */
+function checkRetryAndQuarantine(options) {
+  const fakes = createFakeServices();
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const config = app.get('CONFIG');
+  const folder = fakes.drive.createFolder(config.MAIN_FOLDER);
+  seedSheet(fakes, config, []);
+  
+  // Different bytes, or the second file would be skipped as a duplicate of the first
+  const scan = Buffer.from('%PDF-1.4\n%%EOF\n');
+  folder.createFile('scan-busy.pdf', scan, 'application/pdf');
+  folder.createFile('scan-unreadable.pdf', Buffer.concat([scan, Buffer.from('\n')]), 'application/pdf')
+    .setDescription('Scanned at the branch');
+  const copy = fakes.driveApi.Files.copy;
+  fakes.driveApi.Files.copy = (resource, fileId) => {
+    if (resource.title.startsWith('scan-busy')) throw new Error('Service unavailable (HTTP 503)');
+    return copy(resource, fileId);
+  };
+  
+  const startedAt = Date.now();
+  app.call('startProcessing', 'simulation');
+  
+  const problems = [];
+  const quarantine = folder.getFoldersByName(config.QUARANTINE_FOLDER);
+  const quarantined = quarantine.hasNext() ? quarantine.next().getFilesByName('scan-unreadable.pdf') : null;
+  if (!quarantined || !quarantined.hasNext()) {
+    problems.push('Permanent failure: scan-unreadable.pdf not in ' + config.QUARANTINE_FOLDER);
+  } else if (!quarantined.next().getDescription().includes('\nQuarantined ')) {
+    problems.push('Permanent failure: quarantine reason not on the file description');
+  }
+  
+  const retry = fakes.script.takeNextTrigger();
+  if (!folder.getFilesByName('scan-busy.pdf').hasNext()) {
+    problems.push('Transient failure: scan-busy.pdf left the main folder');
+  }
+  if (!retry || retry.runAt < startedAt + config.RETRY_BACKOFF_MINUTES * 60 * 1000) {
+    problems.push('Transient failure: no retry scheduled after the ' + config.RETRY_BACKOFF_MINUTES + ' minute backoff');
+  }
+  
+  app.call('resetFailedLedgerEntries');
+  const released = folder.getFilesByName('scan-unreadable.pdf');
+  if (!released.hasNext()) {
+    problems.push('Released from quarantine: scan-unreadable.pdf not back in the main folder');
+  } else if (released.next().getDescription() !== 'Scanned at the branch') {
+    problems.push('Released from quarantine: file description not restored');
+  }
+  return problems;
+}
+
+/**
+ * Checks that a closure whose subject names another branch is held, then written once approved
+ * Ingests one email whose subject names the second branch for a report of the first, processes it,
+ * approves its review item and applies the decision.
+ * @param {Object} options - {start, verbose}
+ * @returns {Array<string>} Problems found
+ */
+function checkMismatchReview(options) {
+  const fakes = createFakeServices();
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const config = app.get('CONFIG');
+  const folder = fakes.drive.createFolder(config.MAIN_FOLDER);
+  config.DESTINATION_FOLDER_ID = folder.getId();
+  
+  const closure = buildClosures({ start: options.start, days: 1 }).find(c => c.branch === BRANCHES[0]);
+  seedSheet(fakes, config, [closure]);
+  const [year, month, day] = options.start.split('-');
+  fakes.gmail.addMessage({
+    subject: 'business ' + BRANCHES[1] + ' - Daily Closure Report - ' + day + '/' + month + '/' + year + ' - ' + closure.time,
+    date: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), 23)),
+    attachments: [{ name: 'closure.pdf', contentType: 'application/pdf', bytes: createTextPdf(renderReport(closure)) }]
+  });
+  
+  app.call('processEmails', options.start.replace(/-/g, '/'), options.start.replace(/-/g, '/'), false, 'simulation');
+  app.call('startProcessing', 'simulation');
+  drainTriggers(app, fakes);
+  
+  const problems = [];
+  const spreadsheet = fakes.spreadsheet.getActiveSpreadsheet();
+  const closingCash = () => {
+    const values = spreadsheet.getSheetByName(config.SHEET_NAME).getDataRange().getValues();
+    return values[1][values[0].indexOf(AMOUNT_COLUMNS.closingCash)];
+  };
+  const review = spreadsheet.getSheetByName(config.REVIEW_SHEET_NAME);
+  const items = review ? review.getDataRange().getValues() : [];
+  const itemRow = items.findIndex(row => row[items[0].indexOf('Category')] === 'Subject mismatch');
+  if (itemRow < 1 || closingCash() !== '') {
+    return ['Subject mismatch: ' + (itemRow < 1 ? 'no review item' : 'written before approval')];
+  }
+  
+  const status = items[0].indexOf('Status');
+  review.getRange(itemRow + 1, status + 1).setValue('approved');
+  app.call('applyReviewDecisions', 'simulation');
+  
+  if (closingCash() !== closure.amounts.closingCash) {
+    problems.push('Approved subject mismatch: Closing Cash is ' + JSON.stringify(closingCash()) + ', expected ' + closure.amounts.closingCash);
+  }
+  if (review.getRange(itemRow + 1, status + 1).getValue() !== 'applied') {
+    problems.push('Approved subject mismatch: review item not marked applied');
+  }
+  const fileName = closure.branch.replace(/\s+/g, '_') + '_' + closure.dateISO + '_' + closure.shift.toUpperCase() + '.pdf';
+  const dateFolders = folder.getFoldersByName(closure.dateISO);
+  if (!dateFolders.hasNext() || !dateFolders.next().getFilesByName(fileName).hasNext()) {
+    problems.push('Approved subject mismatch: not renamed to ' + fileName);
+  }
+  return problems;
+}
+
+/**
+ * Runs the simulation and prints the outcome
+ * @param {Object} options - {start, days, verbose}
+ * @returns {number} Exit code
+ */
+function simulateWeek(options) {
+  const fakes = createFakeServices();
+  const app = loadAppsScript({ services: fakes, verbose: options.verbose });
+  const config = app.get('CONFIG');
+  const closures = buildClosures(options);
+  const mainFolder = seedWorld(fakes, config, closures);
+  
+  const lastDate = closures[closures.length - 1].dateISO;
+  console.log('Simulating ' + closures.length + ' closures (' + options.start + ' to ' + lastDate + ', ' + BRANCHES.length + ' branches)');
+  
+  const ingest = app.call('processEmails', options.start.replace(/-/g, '/'), lastDate.replace(/-/g, '/'), false, 'simulation');
+  console.log('Email ingest: ' + ingest.stats.emailsFound + ' emails, ' + ingest.stats.filesCreated + ' files created, ' + ingest.stats.errors + ' errors');
+  
+  app.call('startProcessing', 'simulation');
+  const executions = drainTriggers(app, fakes);
+  console.log('Batch processing: ' + (executions + 1) + ' executions');
+  
+  const runs = app.call('getRecentRuns', 5);
+  runs.reverse().forEach(run => {
+    console.log(' • ' + run['Type'] + ' run ' + run['Run ID'] + ': ' + run['Succeeded'] + '/' + run['Attempted'] + ' ok, ' +
+                run['Rows Updated'] + ' rows updated, ' + run['Files Moved'] + ' moved [' + run['Finish Reason'] + ']');
+  });
+  
+  console.log('\n' + fakes.drive.describeTree(mainFolder) + '\n');
+  
+  const problems = checkResults(fakes, config, closures, mainFolder).concat(
+    checkCompanyPrompt(fakes, options),
+    checkArchiveNames(options),
+    checkSenderAllowlist(options),
+    checkBatchWithoutEmail(options),
+    checkMismatchReview(options),
+    checkBusyLock(options),
+    checkRetryAndQuarantine(options)
+  );
+  if (problems.length > 0) {
+    console.log('FAILED: ' + problems.length + ' problems');
+    problems.forEach(problem => console.log(' • ' + problem));
+    return 1;
+  }
+  
+  console.log('OK: every closure reached its sheet row and date folder');
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = simulateWeek(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  simulateWeek,
+  buildClosures,
+  renderReport,
+  renderExport
+};